@@ -0,0 +1,38 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Article from './models/Article.js';
+import { migrateEmbeddedArticles, rekeyCanonicalUrls } from './utils/articleStore.js';
+import { loadTopicModel } from './utils/topicClassifier.js';
+
+// Usage: node migrate-articles.js [--prune]
+//   Copies the articles embedded in AuthorProfile (articleData, latestArticle,
+//   articleLinks) and Author documents into the Article collection. Safe to re-run.
+//   Stored articles are first re-keyed to the current canonical URL, merging
+//   copies of the same article that older keys kept apart.
+//   --prune  afterwards trims the embedded arrays down to the recent-articles summary
+dotenv.config();
+
+const prune = process.argv.includes('--prune');
+
+console.log(`📦 Migrating embedded articles${prune ? ' (pruning embedded arrays)' : ''}...\n`);
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+  await Article.init(); // Unique canonicalUrl index must exist before upserting
+  loadTopicModel(); // Migrated articles are classified
+
+  const startTime = Date.now();
+  const rekeyed = await rekeyCanonicalUrls();
+  const stats = await migrateEmbeddedArticles({ prune });
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`✅ Re-keyed ${rekeyed.rekeyed} articles, merged ${rekeyed.merged} duplicates (${rekeyed.authors} authors refreshed)`);
+  console.log(`✅ Migrated ${stats.profiles} profiles and ${stats.authors} legacy authors`);
+  console.log(`   ${stats.upserted} new articles, ${stats.modified} updated`);
+  console.log(`   ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+} catch (err) {
+  console.error('❌ Migration failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
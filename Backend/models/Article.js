@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Who wrote the copy (see scrapers/copyClassifier.js)
+export const COPY_TYPES = ['staff', 'agency', 'syndicated', 'sponsored'];
+
+// One document per article, shared by all of its authors
+const ArticleSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  canonicalUrl: { type: String, required: true }, // Dedupe key
+  title: String,
+  outlet: { type: String, required: true }, // Normalized (lowercase) outlet name
+
+  authors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AuthorProfile' }],
+  authorNames: { type: [String], default: [] },
+
+  publishDate: Date, // UTC
+  modifiedDate: Date,
+  section: String,
+  topics: { type: [String], default: [] },
+  topicScores: { // Topic classifier probabilities, most likely first
+    type: [{ _id: false, topic: String, probability: Number }],
+    default: []
+  },
+  keywords: { type: [String], default: [] },
+  language: String, // Detected from the text (see utils/languageDetector.js), else the one the outlet declared
+  languageConfidence: Number, // 0-1, of the detection the language rests on; unset when only declared
+  declaredLanguage: String, // Language the outlet declared (sitemap metadata)
+
+  copyType: { type: String, enum: COPY_TYPES, default: 'staff' },
+  agencies: { type: [String], default: [] }, // Wire agencies credited or quoted ("with inputs from PTI")
+  syndicatedFrom: String, // Outlet the story was republished from
+  copySignals: { type: [String], default: [] }, // What the classification was based on
+
+  body: { type: String, select: false }, // Main text, boilerplate removed (opt in with +body)
+  wordCount: Number,
+  readingTime: Number, // Minutes
+
+  firstSeenAt: { type: Date, default: Date.now }, // When a scrape first found this article
+}, {
+  timestamps: true
+});
+
+ArticleSchema.index({ canonicalUrl: 1 }, { unique: true });
+ArticleSchema.index({ authors: 1, publishDate: -1 }); // An author's articles, newest first
+ArticleSchema.index({ outlet: 1, publishDate: -1 });
+ArticleSchema.index({ topics: 1, publishDate: -1 });
+ArticleSchema.index({ publishDate: -1 });
+ArticleSchema.index({ authorNames: 1 });
+ArticleSchema.index({ outlet: 1, copyType: 1 });
+ArticleSchema.index({ outlet: 1, language: 1 });
+
+const Article = mongoose.models.Article || mongoose.model("Article", ArticleSchema);
+
+export default Article;
@@ -1,9 +1,16 @@
 import mongoose from "mongoose";
 
-const ArticleSchema = new mongoose.Schema({
+// Summary of a recent article; full records live in the Article collection
+const ArticleSummarySchema = new mongoose.Schema({
   title: String,
   url: String,
-  scrapedAt: Date
+  publishDate: Date, // UTC
+  modifiedDate: Date,
+  language: String,
+  copyType: String,
+  wordCount: Number,
+  readingTime: Number, // Minutes
+  scrapedAt: Date // When this article was first found
 }, { _id: false });
 
 const SocialLinksSchema = new mongoose.Schema({
@@ -20,13 +27,28 @@ const AuthorProfileSchema = new mongoose.Schema({
   profileLink: { type: String, required: true },
   profilePic: String,
   bio: String,
+  role: { type: String, default: 'Journalist' },
   section: { type: String, default: 'General' },
   topics: { type: [String], default: [] },
-  articles: { type: Number, default: 0 },
-  articleLinks: { type: [String], default: [] },
-  articleData: { type: [ArticleSchema], default: [] },
-  latestArticle: ArticleSchema,
+  articles: { type: Number, default: 0 }, // Articles credited to this author in the Article collection
+  copyTypes: { // Credited articles by copy type (staff, agency, syndicated, sponsored)
+    type: Object,
+    default: {}
+  },
+  languages: { // Credited articles by language, e.g. { hi: 40, en: 3 }
+    type: Object,
+    default: {}
+  },
+  language: String, // The one most of them are in
+  articleData: { type: [ArticleSummarySchema], default: [] }, // Most recent ones, newest first
+  latestArticle: ArticleSummarySchema,
   socialLinks: SocialLinksSchema,
+  // schema.org Person data (JSON-LD, microdata or RDFa)
+  sameAs: { type: [String], default: [] }, // Other pages about this person (social accounts, Wikipedia, ...)
+  worksFor: { type: [String], default: [] },
+  knowsAbout: { type: [String], default: [] },
+  fieldSources: { type: Object, default: {} }, // Where each field came from, e.g. { bio: 'json-ld', avatar: 'selector' }
+  person: { type: mongoose.Schema.Types.ObjectId, ref: 'Person' }, // Same journalist's profiles at other outlets
   
   // NLP and analysis fields
   influence: { type: Number, default: 0 }, // Calculated influence score
@@ -46,13 +68,40 @@ const AuthorProfileSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Create compound index for faster queries
-AuthorProfileSchema.index({ name: 1, outlet: 1 }, { unique: true });
+// One profile per profile page: two journalists of the same name at one
+// outlet have different pages (profiles without a link stay unique by name)
+AuthorProfileSchema.index({ name: 1, outlet: 1, profileLink: 1 }, { unique: true });
+AuthorProfileSchema.index({ profileLink: 1 });
 AuthorProfileSchema.index({ outlet: 1 });
 AuthorProfileSchema.index({ topics: 1 });
 AuthorProfileSchema.index({ influence: -1 }); // For sorting by influence
 AuthorProfileSchema.index({ publicationFrequency: 1 });
+AuthorProfileSchema.index({ person: 1 });
+AuthorProfileSchema.index({ language: 1 });
 
 const AuthorProfile = mongoose.models.AuthorProfile || mongoose.model("AuthorProfile", AuthorProfileSchema);
 
+// Indexes older versions created: unique { name, outlet } left no room for namesakes
+const LEGACY_INDEXES = ['name_1_outlet_1'];
+
+/**
+ * Drop indexes older versions created (call once connected)
+ */
+export async function dropLegacyProfileIndexes() {
+  let existing;
+  try {
+    existing = await AuthorProfile.collection.indexes();
+  } catch (err) {
+    if (err.codeName === 'NamespaceNotFound') return []; // No profiles yet
+    throw err;
+  }
+
+  const legacy = existing.map(index => index.name).filter(name => LEGACY_INDEXES.includes(name));
+  for (const name of legacy) {
+    await AuthorProfile.collection.dropIndex(name);
+    console.log(`🗂️  Dropped legacy AuthorProfile index ${name}`);
+  }
+  return legacy;
+}
+
 export default AuthorProfile;
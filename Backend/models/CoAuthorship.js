@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// Two journalists credited together on at least one article of an outlet
+const CoAuthorshipSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // outlet|name-a|name-b (lowercase, sorted)
+  outlet: { type: String, required: true }, // Normalized (lowercase) outlet name
+  names: { type: [String], required: true }, // The two names, sorted
+  authors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AuthorProfile' }], // Profiles found for the names
+
+  count: { type: Number, default: 0 }, // Articles written together
+  lastArticleAt: Date, // Publish date of the latest shared article
+}, {
+  timestamps: true
+});
+
+CoAuthorshipSchema.index({ key: 1 }, { unique: true });
+CoAuthorshipSchema.index({ outlet: 1, count: -1 });
+CoAuthorshipSchema.index({ authors: 1 });
+
+const CoAuthorship = mongoose.models.CoAuthorship || mongoose.model("CoAuthorship", CoAuthorshipSchema);
+
+export default CoAuthorship;
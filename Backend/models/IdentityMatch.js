@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+export const MATCH_STATUSES = ['candidate', 'confirmed', 'rejected'];
+
+// Two author profiles that may belong to the same person
+const IdentityMatchSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // Sorted profile ids joined with "|"
+  profiles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AuthorProfile' }], // Exactly two
+
+  confidence: { type: Number, required: true, min: 0, max: 1 },
+  signals: { // Per-signal scores (0-1) the confidence was built from
+    name: { type: Number, default: 0 },
+    social: { type: Number, default: 0 },
+    photo: { type: Number, default: 0 },
+    bio: { type: Number, default: 0 }
+  },
+  reasons: { type: [String], default: [] }, // Human-readable evidence
+
+  status: { type: String, enum: MATCH_STATUSES, default: 'candidate' },
+  person: { type: mongoose.Schema.Types.ObjectId, ref: 'Person' }, // Set once confirmed
+  reviewedAt: Date, // When confirmed or rejected (by a user or automatically)
+  autoConfirmed: { type: Boolean, default: false },
+}, {
+  timestamps: true
+});
+
+IdentityMatchSchema.index({ key: 1 }, { unique: true });
+IdentityMatchSchema.index({ status: 1, confidence: -1 }); // Review queue
+IdentityMatchSchema.index({ profiles: 1 });
+
+const IdentityMatch = mongoose.models.IdentityMatch || mongoose.model("IdentityMatch", IdentityMatchSchema);
+
+export default IdentityMatch;
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// One real journalist across outlets: the AuthorProfiles confirmed to be the same person
+const PersonSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // Spelling used on the most active profile
+  aliases: { type: [String], default: [] }, // Other spellings seen on linked profiles
+  profiles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AuthorProfile' }],
+  outlets: { type: [String], default: [] }, // Normalized (lowercase) outlet names
+  profilePic: String,
+  socialLinks: { type: Object, default: {} }, // Merged from the linked profiles
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+PersonSchema.index({ profiles: 1 });
+PersonSchema.index({ outlets: 1 });
+PersonSchema.index({ name: 1 });
+
+const Person = mongoose.models.Person || mongoose.model("Person", PersonSchema);
+
+export default Person;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+export const JOB_STATUSES = ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'];
+
+const ScrapeJobSchema = new mongoose.Schema({
+  jobId: { type: String, required: true, unique: true },
+  type: { type: String, required: true }, // Handler name registered with the job queue
+  outlet: { type: String, required: true },
+  params: { type: Object, default: {} }, // Everything the handler needs to (re)run the job
+
+  status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+
+  // Progress reporting
+  progress: { type: Number, default: 0 },
+  message: String,
+  error: String,
+
+  // Results
+  website: String,
+  authorsFound: { type: Number, default: 0 },
+  authorsSaved: { type: Number, default: 0 },
+  authors: { type: Array, default: [] },
+  fetchStats: Object, // Requests made / URLs skipped by robots.txt (see scrapers/httpClient.js)
+
+  startTime: { type: Date, default: Date.now }, // When the job was requested
+  startedAt: Date, // When the latest attempt started running
+  completedAt: Date,
+  failedAt: Date,
+  cancelledAt: Date,
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+ScrapeJobSchema.index({ status: 1, createdAt: 1 }); // For claiming the next queued job
+ScrapeJobSchema.index({ outlet: 1, createdAt: -1 });
+
+const ScrapeJob = mongoose.models.ScrapeJob || mongoose.model("ScrapeJob", ScrapeJobSchema);
+
+export default ScrapeJob;
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+export const SCHEDULE_STATUSES = ['active', 'paused'];
+
+const ScrapeScheduleSchema = new mongoose.Schema({
+  outlet: { type: String, required: true },
+  cron: { type: String, required: true }, // 5-field cron expression, e.g. "0 */6 * * *"
+  timezone: { type: String, default: 'Asia/Kolkata' },
+  maxAuthors: { type: Number, default: 30 },
+  incremental: { type: Boolean, default: true }, // Only fetch articles newer than the last run
+
+  status: { type: String, enum: SCHEDULE_STATUSES, default: 'active' },
+  nextRunAt: Date, // Next cron time plus this schedule's jitter
+
+  // Outcome of the latest run
+  lastRunAt: Date,
+  lastJobId: String,
+  lastStatus: String, // queued, completed, failed, cancelled or skipped (still running)
+  lastError: String,
+  lastResult: { type: Object, default: {} }, // authorsFound / authorsSaved / message
+
+  runCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 },
+  skippedCount: { type: Number, default: 0 },
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+ScrapeScheduleSchema.index({ status: 1, nextRunAt: 1 }); // For finding due schedules
+ScrapeScheduleSchema.index({ outlet: 1 });
+
+const ScrapeSchedule = mongoose.models.ScrapeSchedule || mongoose.model("ScrapeSchedule", ScrapeScheduleSchema);
+
+export default ScrapeSchedule;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// One topic of the taxonomy every classifier and analytics endpoint reads
+// (see utils/taxonomy.js). Articles and profiles store the display name.
+const TopicSchema = new mongoose.Schema({
+  topicId: { type: String, required: true }, // Stable slug, e.g. "real-estate"
+  name: { type: String, required: true }, // Display name
+  color: { type: String, default: '#6b7280' }, // Hex color for charts and the network graph
+  keywords: { type: [String], default: [] }, // Lowercase terms for keyword matching and classifier seeding
+  urlHints: { type: [String], default: [] }, // URL path fragments of section pages, e.g. "/cricket"
+  parent: { type: String, default: null }, // topicId of the parent topic
+  order: { type: Number, default: 0 } // Display order
+}, {
+  timestamps: true
+});
+
+TopicSchema.index({ topicId: 1 }, { unique: true });
+TopicSchema.index({ name: 1 }, { unique: true });
+TopicSchema.index({ parent: 1 });
+
+const Topic = mongoose.models.Topic || mongoose.model("Topic", TopicSchema);
+
+export default Topic;
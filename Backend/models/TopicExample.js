@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+export const EXAMPLE_SOURCES = ['manual', 'article'];
+
+// A labeled text the topic classifier is trained on (see utils/topicClassifier.js)
+const TopicExampleSchema = new mongoose.Schema({
+  title: String,
+  text: { type: String, default: '' }, // Body text, or the whole example when there is no title
+  topics: { type: [String], required: true }, // Correct topics, most relevant first
+  source: { type: String, enum: EXAMPLE_SOURCES, default: 'manual' },
+  article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article' }, // When labeled from a stored article
+}, {
+  timestamps: true
+});
+
+TopicExampleSchema.index({ topics: 1 });
+TopicExampleSchema.index({ article: 1 }, { sparse: true });
+
+const TopicExample = mongoose.models.TopicExample || mongoose.model("TopicExample", TopicExampleSchema);
+
+export default TopicExample;
@@ -0,0 +1,181 @@
+import express from "express";
+import mongoose from "mongoose";
+import Article, { COPY_TYPES } from "../models/Article.js";
+import { parseArticleDate } from "../scrapers/articleDates.js";
+import { findTopic } from "../utils/taxonomy.js";
+import { languageCode } from "../utils/languageDetector.js";
+import { redetectLanguages } from "../utils/articleStore.js";
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+const AUTHOR_FIELDS = "name outlet profileLink profilePic";
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A repeated parameter (?outlet=a&outlet=b) arrives as an array: lists join
+// it, everything else keeps the first value
+function queryValue(value) {
+  return value === undefined ? undefined : String([].concat(value)[0]);
+}
+
+function queryList(value) {
+  return value === undefined ? undefined : [].concat(value).join(',');
+}
+
+function exactMatch(text) {
+  return new RegExp(`^\\s*${escapeRegex(text.trim())}\\s*$`, 'i');
+}
+
+// Reject malformed ids before they reach Mongo (CastError -> 500)
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: "Article not found" });
+  }
+  next();
+});
+
+// ============================================================
+// List articles
+// Filters: author (profile id or name), outlet, topic, section,
+// language (codes or names, comma-separated: hi,mr or Hindi),
+// from / to (publish date range; dates without a timezone are IST),
+// copyType (staff, agency, syndicated, sponsored; comma-separated),
+// agency=exclude (drop wire copy)
+// ============================================================
+router.get("/", async (req, res) => {
+  try {
+    const [author, outlet, topic, section, from, to, agency] =
+      ['author', 'outlet', 'topic', 'section', 'from', 'to', 'agency'].map(name => queryValue(req.query[name]));
+    const language = queryList(req.query.language);
+    const copyType = queryList(req.query.copyType);
+    const query = {};
+
+    if (copyType || agency === 'exclude') {
+      const types = copyType ? String(copyType).split(',').map(t => t.trim().toLowerCase()) : COPY_TYPES;
+      const invalid = types.filter(t => !COPY_TYPES.includes(t));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: "Invalid copyType", details: `Use one of: ${COPY_TYPES.join(', ')}` });
+      }
+      const wanted = types.filter(t => agency !== 'exclude' || t !== 'agency');
+      // Articles stored before classification count as staff copy
+      query.copyType = { $in: wanted.includes('staff') ? [...wanted, null] : wanted };
+    }
+
+    if (author) {
+      if (mongoose.Types.ObjectId.isValid(author)) {
+        query.authors = author;
+      } else {
+        query.authorNames = exactMatch(author);
+      }
+    }
+    if (outlet) query.outlet = outlet.toLowerCase().trim();
+    if (topic) query.topics = exactMatch(findTopic(topic)?.name || topic); // Taxonomy id or name
+    if (section) query.section = exactMatch(section);
+    if (language) {
+      // Declared locales of older articles ("hi-IN") count too
+      const codes = String(language).split(',').map(languageCode).filter(Boolean);
+      query.language = { $in: codes.map(code => new RegExp(`^${escapeRegex(code)}(?:[-_]|$)`, 'i')) };
+    }
+
+    if (from || to) {
+      const fromDate = from ? parseArticleDate(from) : null;
+      const toDate = to ? parseArticleDate(to) : null;
+      if ((from && !fromDate) || (to && !toDate)) {
+        return res.status(400).json({ error: "Invalid date range", details: "Use ISO dates, e.g. 2024-05-01" });
+      }
+
+      query.publishDate = {};
+      if (fromDate) query.publishDate.$gte = fromDate.date;
+      if (toDate) {
+        // A day-only `to` includes that whole day
+        query.publishDate.$lte = toDate.dayOnly
+          ? new Date(toDate.date.getTime() + 24 * 60 * 60 * 1000 - 1)
+          : toDate.date;
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(queryValue(req.query.limit)) || 50, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(queryValue(req.query.page)) || 1, 1);
+
+    const [total, articles] = await Promise.all([
+      Article.countDocuments(query),
+      Article.find(query)
+        .sort({ publishDate: -1, firstSeenAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("authors", AUTHOR_FIELDS)
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      count: articles.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      articles
+    });
+  } catch (error) {
+    console.error("Error listing articles:", error);
+    res.status(500).json({
+      error: "Failed to list articles",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Re-detect the language of stored articles ({ outlet } for one outlet) and
+// refresh their authors' language mix
+// ============================================================
+router.post("/detect-language", async (req, res) => {
+  try {
+    const outlet = req.body?.outlet ? String(req.body.outlet).toLowerCase().trim() : undefined;
+    const { updated, authors } = await redetectLanguages({ outlet });
+
+    console.log(`🌍 Re-detected language of ${updated} articles (${authors} authors refreshed)`);
+    res.json({
+      success: true,
+      articlesUpdated: updated,
+      authorsRefreshed: authors
+    });
+  } catch (error) {
+    console.error("Error detecting article languages:", error);
+    res.status(500).json({
+      error: "Failed to detect article languages",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Single article, with its body text
+// ============================================================
+router.get("/:id", async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id)
+      .select("+body")
+      .populate("authors", AUTHOR_FIELDS)
+      .lean();
+
+    if (!article) {
+      return res.status(404).json({ error: "Article not found" });
+    }
+
+    res.json({
+      success: true,
+      article
+    });
+  } catch (error) {
+    console.error("Error fetching article:", error);
+    res.status(500).json({
+      error: "Failed to fetch article",
+      details: error.message
+    });
+  }
+});
+
+export default router;
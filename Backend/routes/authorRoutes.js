@@ -2,18 +2,334 @@ import express from "express";
 import Author from "../models/Author.js";
 import AuthorProfile from "../models/AuthorProfile.js";
 import { scrapeLightweight } from "../scrapers/newsOutletScraper.js";
+import { knownArticleUrls, canonicalArticleUrl, saveArticles, refreshArticleSummary } from "../utils/articleStore.js";
+import { refreshCoAuthorships, listCoAuthorships } from "../utils/coAuthorship.js";
+import { resolveIdentities } from "../utils/identityResolver.js";
+import { canonicalizeUrl } from "../scrapers/canonicalUrl.js";
+import { languageCode } from "../utils/languageDetector.js";
+import {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  pauseJob,
+  resumeJob
+} from "../utils/jobQueue.js";
+import { emitJobEvent } from "../utils/jobEvents.js";
+import ScrapeJob from "../models/ScrapeJob.js";
 
 const router = express.Router();
 
-// Job tracking
-const jobs = new Map();
+const MAX_KEYWORDS = 15;
+const TOP_KEYWORDS = 5;
+
+// Stored keywords merged with ones from newly fetched articles: keywords in
+// both first, then the rest of each list taken in turn so neither crowds the
+// other out
+function mergeKeywords(stored, scraped) {
+  const scrapedSet = new Set(scraped);
+  const both = stored.filter(k => scrapedSet.has(k));
+  const storedOnly = stored.filter(k => !scrapedSet.has(k));
+  const scrapedOnly = scraped.filter(k => !both.includes(k));
+
+  const merged = [...both];
+  for (let i = 0; i < Math.max(storedOnly.length, scrapedOnly.length); i++) {
+    if (i < storedOnly.length) merged.push(storedOnly[i]);
+    if (i < scrapedOnly.length) merged.push(scrapedOnly[i]);
+  }
+  return [...new Set(merged)].slice(0, MAX_KEYWORDS);
+}
+
+// ============================================================
+// Incremental scraping: when did we last scrape this outlet / its authors?
+// ============================================================
+async function getIncrementalCutoffs(outlet) {
+  const normalizedOutlet = outlet.toLowerCase().trim();
+  const escaped = normalizedOutlet.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Start of the last completed run, so articles published while it ran aren't missed
+  const lastJob = await ScrapeJob.findOne({
+    type: 'discover-and-scrape',
+    outlet: new RegExp(`^\\s*${escaped}\\s*$`, 'i'),
+    status: 'completed'
+  })
+    .sort({ completedAt: -1 })
+    .select('startedAt completedAt')
+    .lean();
+
+  const profiles = await AuthorProfile.find({ outlet: normalizedOutlet })
+    .select('name scrapedAt')
+    .lean();
+
+  const authorSince = new Map();
+  for (const profile of profiles) {
+    if (profile.scrapedAt) authorSince.set(profile.name.toLowerCase().trim(), profile.scrapedAt);
+  }
+
+  return {
+    since: lastJob ? (lastJob.startedAt || lastJob.completedAt) : null,
+    authorSince
+  };
+}
+
+// Article bodies are saved on the profiles; the job result keeps the rest
+function withoutArticleBodies(authors = []) {
+  return authors.map(author => ({
+    ...author,
+    articles: (author.articles || []).map(({ body, ...article }) => article)
+  }));
+}
+
+// ============================================================
+// Job handler: scrape an outlet and save every author profile
+// ============================================================
+async function runDiscoverAndScrapeJob(job, { update, control }) {
+  const { outlet, maxAuthors = 30, incremental = false } = job.params;
+
+  await update({ progress: 10, message: 'Detecting website...' });
+
+  let since = null;
+  let authorSince = null;
+  if (incremental) {
+    ({ since, authorSince } = await getIncrementalCutoffs(outlet));
+    console.log(since
+      ? `⏩ Incremental scrape of ${outlet}: articles newer than ${since.toISOString()}`
+      : `⏩ Incremental scrape of ${outlet}: no previous successful run, scraping everything`);
+  }
+
+  // Forward scraper events to socket.io subscribers; stage/author events also
+  // move the stored progress (scraping is mapped onto 10-80%, saving is the rest)
+  let progressWrites = Promise.resolve();
+  const onProgress = ({ type, ...payload }) => {
+    emitJobEvent(job.jobId, type, payload);
+
+    if (payload.progress != null && payload.message) {
+      const progress = Math.round(10 + payload.progress * 0.7);
+      progressWrites = progressWrites
+        .then(() => update({ progress, message: payload.message }))
+        .catch(err => console.error(`Progress update failed: ${err.message}`));
+    }
+  };
+
+  // Call the lightweight scraper (no Puppeteer); it stops at the next
+  // request boundary when the job is cancelled and returns what it has
+  const result = await scrapeLightweight(outlet, maxAuthors, onProgress, { control, since, authorSince });
+  await progressWrites;
+
+  if (result.error) {
+    throw new Error(result.error);
+  }
+
+  await update({
+    progress: 80,
+    message: result.cancelled ? 'Cancelled, saving partial results...' : 'Saving to database...',
+    authorsFound: result.authorsCount,
+    website: result.website
+  });
+
+  // DEBUG: Log what we received
+  console.log(`\n🔍 DEBUG: Scraper result structure:`);
+  console.log(`   - result.authorsCount: ${result.authorsCount}`);
+  console.log(`   - result.authors exists: ${!!result.authors}`);
+  console.log(`   - result.authors length: ${result.authors?.length}`);
+  if (result.authors && result.authors.length > 0) {
+    console.log(`   - First author sample:`, {
+      name: result.authors[0].name,
+      outlet: result.authors[0].outlet,
+      totalArticles: result.authors[0].totalArticles,
+      topics: result.authors[0].topics?.length,
+      hasArticlesArray: !!result.authors[0].articles
+    });
+  }
+
+  // Save all authors and their profiles to MongoDB
+  const savedProfiles = [];
+
+  // Normalize outlet name for consistency (lowercase, trimmed)
+  const normalizedOutlet = result.outlet.toLowerCase().trim();
+
+  if (result.upToDate) {
+    return {
+      message: 'Up to date: no new articles since the last scrape',
+      authorsFound: 0,
+      authorsSaved: 0,
+      website: result.website,
+      fetchStats: result.fetchStats
+    };
+  }
+
+  if (!result.authors || result.authors.length === 0) {
+    console.error(`❌ No authors data to save! Result structure:`, Object.keys(result));
+    return {
+      message: 'Scraping completed but no authors were saved',
+      authorsFound: result.authorsCount || 0,
+      authorsSaved: 0,
+      error: 'No author data returned from scraper',
+      fetchStats: result.fetchStats
+    };
+  }
+
+  for (const authorData of result.authors) {
+    try {
+      // DEBUG: Log what we're about to save
+      console.log(`\n💾 Saving author: ${authorData.name}`);
+      console.log(`   Topics: ${JSON.stringify(authorData.topics)}`);
+      console.log(`   Keywords: ${JSON.stringify(authorData.keywords?.slice(0, 5))}`);
+      console.log(`   Influence: ${authorData.influenceScore}`);
+      console.log(`   Total Articles: ${authorData.totalArticles}`);
+
+      // Ensure articles array exists
+      const articlesArray = Array.isArray(authorData.articles) ? authorData.articles : [];
+
+      const profileLink = canonicalizeUrl(authorData.profileUrl) || authorData.profileUrl;
+      let existing = await AuthorProfile.findOne({ profileLink: { $in: [profileLink, authorData.profileUrl] } })
+        .select('_id keywords')
+        .lean();
+      if (!existing) {
+        // Profiles saved before URLs were canonicalized may still have a raw
+        // link (tracking parameters, AMP host...) that canonicalizes to this one.
+        // Same-name journalists with other profile pages stay separate.
+        const namesakes = await AuthorProfile.find({ name: authorData.name, outlet: normalizedOutlet })
+          .select('_id keywords profileLink')
+          .lean();
+        existing = namesakes.find(p => p.profileLink !== profileLink && canonicalizeUrl(p.profileLink) === profileLink) || null;
+      }
+
+      // Article history is append-only: articles go to the Article collection
+      // and only URLs not yet credited to this author count as new
+      const knownUrls = await knownArticleUrls(existing?._id, articlesArray.filter(a => a.url).map(a => a.url));
+      const scrapedAt = new Date();
+      const newArticles = articlesArray
+        .filter(a => a.url && !knownUrls.has(canonicalArticleUrl(a.url)));
+
+      const fields = {
+        name: authorData.name,
+        outlet: normalizedOutlet, // Use normalized outlet name
+        profileLink,
+        profilePic: authorData.profilePicture || null,
+        bio: authorData.bio || null,
+        role: authorData.role || 'Journalist',
+        email: authorData.email || null,
+        socialLinks: authorData.socialLinks || {},
+        sameAs: Array.isArray(authorData.sameAs) ? authorData.sameAs : [],
+        worksFor: Array.isArray(authorData.worksFor) ? authorData.worksFor : [],
+        knowsAbout: Array.isArray(authorData.knowsAbout) ? authorData.knowsAbout : [],
+        fieldSources: authorData.fieldSources || {},
+        scrapedAt
+      };
+
+      // Incremental runs only see new articles, so their keywords are merged
+      // into the stored ones rather than replacing them. Influence comes from
+      // the stored article count (refreshArticleSummary below).
+      const scrapedKeywords = Array.isArray(authorData.keywords) ? authorData.keywords : [];
+      if (!incremental) {
+        fields.keywords = scrapedKeywords;
+      } else if (newArticles.length > 0) {
+        fields.keywords = mergeKeywords(existing?.keywords || [], scrapedKeywords);
+      }
+      if (fields.keywords) fields.topKeywords = fields.keywords.slice(0, TOP_KEYWORDS);
+
+      const topics = Array.isArray(authorData.topics) ? authorData.topics : [];
+      const update = { $set: fields };
+      if (incremental) {
+        if (newArticles.length > 0) update.$addToSet = { topics: { $each: topics } };
+      } else {
+        update.$set.topics = topics;
+      }
+
+      // Authors a cancelled run found but never read the profile page of: their
+      // articles are saved, their placeholder fields only fill new profiles
+      if (authorData.profileRead === false) {
+        const { name, outlet: profileOutlet, profileLink: link, ...placeholders } = update.$set;
+        update.$set = { name, outlet: profileOutlet, profileLink: link };
+        update.$setOnInsert = placeholders;
+        delete update.$addToSet;
+      }
+
+      const profile = await AuthorProfile.findOneAndUpdate(
+        existing ? { _id: existing._id } : { profileLink },
+        update,
+        { upsert: true, new: true }
+      );
+
+      await saveArticles(articlesArray, { outlet: normalizedOutlet, author: profile, scrapedAt });
+      await refreshArticleSummary(profile._id);
+
+      // Also save to Author collection for backwards compatibility
+      await Author.findOneAndUpdate(
+        { profileLink: { $in: [profileLink, authorData.profileUrl] } },
+        {
+          $set: {
+            name: authorData.name,
+            outlet: normalizedOutlet, // Use normalized outlet name
+            profileLink,
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      savedProfiles.push(profile);
+      console.log(`✅ Saved/Updated: ${authorData.name} (${profile.topics?.length || 0} topics, ${profile.keywords?.length || 0} keywords)`);
+    } catch (saveErr) {
+      console.error(`❌ Error saving ${authorData.name}:`, saveErr.message);
+    }
+  }
+
+  // Agency stories with no staff byline are kept, credited to the agency by name
+  let agencyArticlesSaved = 0;
+  if (result.agencyArticles?.length > 0) {
+    try {
+      const { upserted } = await saveArticles(result.agencyArticles, { outlet: normalizedOutlet });
+      agencyArticlesSaved = upserted;
+      console.log(`📰 Saved ${result.agencyArticles.length} agency articles (${upserted} new)`);
+    } catch (agencyErr) {
+      console.error(`❌ Error saving agency articles:`, agencyErr.message);
+    }
+  }
+
+  // Shared bylines: recount the outlet's co-author pairs now that its articles are saved
+  try {
+    const { pairs } = await refreshCoAuthorships(normalizedOutlet);
+    console.log(`🤝 ${pairs} co-author pairs for ${normalizedOutlet}`);
+  } catch (coAuthorErr) {
+    console.error(`❌ Error updating co-authorships:`, coAuthorErr.message);
+  }
+
+  // Match the saved profiles against this journalist's profiles at other outlets
+  if (savedProfiles.length > 0) {
+    try {
+      const { candidates, confirmed } = await resolveIdentities({ profileIds: savedProfiles.map(p => p._id) });
+      console.log(`🪪 ${candidates} identity matches (${confirmed} auto-confirmed)`);
+    } catch (identityErr) {
+      console.error(`❌ Error resolving identities:`, identityErr.message);
+    }
+  }
+
+  console.log(`\n✅ Job ${job.jobId} completed: ${savedProfiles.length} profiles saved\n`);
+
+  return {
+    message: result.cancelled
+      ? `Cancelled: saved ${savedProfiles.length} partial profiles`
+      : 'Completed successfully!',
+    authorsFound: result.authorsCount,
+    authorsSaved: savedProfiles.length,
+    agencyArticlesSaved,
+    website: result.website,
+    fetchStats: result.fetchStats,
+    authors: withoutArticleBodies(result.authors)
+  };
+}
+
+registerJobHandler('discover-and-scrape', runDiscoverAndScrapeJob);
 
 // ============================================================
 // NEW: Discover authors and fetch their complete profiles (JOB-BASED)
 // ============================================================
 router.post("/discover-and-scrape", async (req, res) => {
   try {
-    const { outlet, maxAuthors = 30 } = req.body;
+    const { outlet, maxAuthors = 30, incremental = false } = req.body;
 
     if (!outlet) {
       return res.status(400).json({ error: "Outlet name is required" });
@@ -21,22 +337,14 @@ router.post("/discover-and-scrape", async (req, res) => {
 
     // Create job ID
     const jobId = `${outlet.toLowerCase().replace(/\s+/g, '_')}_${Date.now()}`;
-    
-    // Initialize job status
-    jobs.set(jobId, {
-      status: 'started',
+
+    // Persist the job; the worker picks it up in the background
+    await enqueueJob('discover-and-scrape', {
+      jobId,
       outlet,
-      maxAuthors,
-      progress: 0,
-      message: 'Starting scraper...',
-      authorsFound: 0,
-      authorsSaved: 0,
-      startTime: new Date(),
+      params: { outlet, maxAuthors, incremental: Boolean(incremental) }
     });
 
-    console.log(`\n🚀 Starting job ${jobId} for: ${outlet}`);
-
-    // Return immediately with job ID
     res.json({
       success: true,
       jobId,
@@ -44,160 +352,6 @@ router.post("/discover-and-scrape", async (req, res) => {
       statusEndpoint: `/api/authors/job-status/${jobId}`
     });
 
-    // Start scraping in background (don't await)
-    (async () => {
-      try {
-        jobs.set(jobId, { ...jobs.get(jobId), progress: 10, message: 'Detecting website...' });
-        
-        // Call the lightweight scraper (no Puppeteer)
-        const result = await scrapeLightweight(outlet, maxAuthors);
-
-        if (result.error) {
-          jobs.set(jobId, {
-            ...jobs.get(jobId),
-            status: 'failed',
-            error: result.error,
-            progress: 0,
-            message: `Failed: ${result.error}`
-          });
-          return;
-        }
-
-        jobs.set(jobId, { 
-          ...jobs.get(jobId), 
-          progress: 80, 
-          message: 'Saving to database...',
-          authorsFound: result.authorsCount 
-        });
-
-        // DEBUG: Log what we received
-        console.log(`\n🔍 DEBUG: Scraper result structure:`);
-        console.log(`   - result.authorsCount: ${result.authorsCount}`);
-        console.log(`   - result.authors exists: ${!!result.authors}`);
-        console.log(`   - result.authors length: ${result.authors?.length}`);
-        if (result.authors && result.authors.length > 0) {
-          console.log(`   - First author sample:`, {
-            name: result.authors[0].name,
-            outlet: result.authors[0].outlet,
-            totalArticles: result.authors[0].totalArticles,
-            topics: result.authors[0].topics?.length,
-            hasArticlesArray: !!result.authors[0].articles
-          });
-        }
-
-        // Save all authors and their profiles to MongoDB
-        const savedProfiles = [];
-        
-        // Normalize outlet name for consistency (lowercase, trimmed)
-        const normalizedOutlet = result.outlet.toLowerCase().trim();
-        
-        if (!result.authors || result.authors.length === 0) {
-          console.error(`❌ No authors data to save! Result structure:`, Object.keys(result));
-          jobs.set(jobId, {
-            ...jobs.get(jobId),
-            status: 'completed',
-            progress: 100,
-            message: 'Scraping completed but no authors were saved',
-            authorsFound: result.authorsCount || 0,
-            authorsSaved: 0,
-            error: 'No author data returned from scraper'
-          });
-          return;
-        }
-        
-        for (const authorData of result.authors) {
-          try {
-            // DEBUG: Log what we're about to save
-            console.log(`\n💾 Saving author: ${authorData.name}`);
-            console.log(`   Topics: ${JSON.stringify(authorData.topics)}`);
-            console.log(`   Keywords: ${JSON.stringify(authorData.keywords?.slice(0, 5))}`);
-            console.log(`   Influence: ${authorData.influenceScore}`);
-            console.log(`   Total Articles: ${authorData.totalArticles}`);
-            
-            // Ensure articles array exists
-            const articlesArray = Array.isArray(authorData.articles) ? authorData.articles : [];
-            const articleLinks = articlesArray.map(a => a.url).filter(url => url);
-            
-            // Use profileLink as the unique identifier (it has unique index)
-            const profile = await AuthorProfile.findOneAndUpdate(
-              { profileLink: authorData.profileUrl },
-              {
-                $set: {
-                  name: authorData.name,
-                  outlet: normalizedOutlet, // Use normalized outlet name
-                  profileLink: authorData.profileUrl,
-                  profilePic: authorData.profilePicture || null,
-                  bio: authorData.bio || null,
-                  role: authorData.role || 'Journalist',
-                  email: authorData.email || null,
-                  socialLinks: authorData.socialLinks || {},
-                  articles: articlesArray.length,
-                  articleLinks: articleLinks,
-                  articleData: articlesArray,
-                  latestArticle: articlesArray[0] || null,
-                  topics: Array.isArray(authorData.topics) ? authorData.topics : [],
-                  keywords: Array.isArray(authorData.keywords) ? authorData.keywords : [],
-                  topKeywords: Array.isArray(authorData.topKeywords) ? authorData.topKeywords : [],
-                  influence: authorData.influenceScore || 0,
-                  scrapedAt: new Date()
-                }
-              },
-              { upsert: true, new: true }
-            );
-
-            // Also save to Author collection for backwards compatibility
-            await Author.findOneAndUpdate(
-              { profileLink: authorData.profileUrl },
-              {
-                $set: {
-                  name: authorData.name,
-                  outlet: normalizedOutlet, // Use normalized outlet name
-                  profileLink: authorData.profileUrl,
-                  updatedAt: new Date()
-                }
-              },
-              { upsert: true, new: true }
-            );
-
-            savedProfiles.push(profile);
-            console.log(`✅ Saved/Updated: ${authorData.name} (${profile.topics?.length || 0} topics, ${profile.keywords?.length || 0} keywords)`);
-          } catch (saveErr) {
-            console.error(`❌ Error saving ${authorData.name}:`, saveErr.message);
-          }
-        }
-
-        // Mark job as completed
-        jobs.set(jobId, {
-          ...jobs.get(jobId),
-          status: 'completed',
-          progress: 100,
-          message: 'Completed successfully!',
-          authorsFound: result.authorsCount,
-          authorsSaved: savedProfiles.length,
-          website: result.website,
-          authors: result.authors,
-          completedTime: new Date()
-        });
-
-        console.log(`\n✅ Job ${jobId} completed: ${savedProfiles.length} profiles saved\n`);
-
-        // Clean up job after 10 minutes
-        setTimeout(() => {
-          jobs.delete(jobId);
-        }, 10 * 60 * 1000);
-
-      } catch (error) {
-        console.error(`❌ Error in job ${jobId}:`, error);
-        jobs.set(jobId, {
-          ...jobs.get(jobId),
-          status: 'failed',
-          error: error.message,
-          progress: 0,
-          message: `Failed: ${error.message}`
-        });
-      }
-    })();
-
   } catch (error) {
     console.error("❌ Error starting job:", error);
     res.status(500).json({ 
@@ -212,29 +366,106 @@ router.post("/discover-and-scrape", async (req, res) => {
 // ============================================================
 // Check job status
 // ============================================================
-router.get("/job-status/:jobId", (req, res) => {
-  const { jobId } = req.params;
-  
-  const job = jobs.get(jobId);
-  
-  if (!job) {
-    return res.status(404).json({ 
-      error: "Job not found or expired",
-      message: "Job IDs expire after 10 minutes of completion"
+router.get("/job-status/:jobId", async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error("Error fetching job status:", error);
+    res.status(500).json({
+      error: "Failed to fetch job status",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Cancel / pause / resume a job
+// ============================================================
+const JOB_ACTIONS = {
+  cancel: { run: cancelJob, allowedFrom: ['queued', 'running', 'paused'] },
+  pause: { run: pauseJob, allowedFrom: ['queued', 'running'] },
+  resume: { run: resumeJob, allowedFrom: ['paused'] },
+};
+
+router.post("/jobs/:jobId/:action(cancel|pause|resume)", async (req, res) => {
+  try {
+    const { jobId, action } = req.params;
+    const { run, allowedFrom } = JOB_ACTIONS[action];
+
+    const job = await getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    if (!allowedFrom.includes(job.status)) {
+      return res.status(409).json({ error: `Cannot ${action} a job that is ${job.status}` });
+    }
+
+    const updated = await run(jobId);
+    if (!updated) {
+      // The job changed state between the check and the update
+      return res.status(409).json({ error: `Cannot ${action} job, its status just changed` });
+    }
+
+    console.log(`⏯️  ${action} requested for job ${jobId}`);
+
+    res.json({
+      success: true,
+      job: updated
+    });
+  } catch (error) {
+    console.error(`Error updating job:`, error);
+    res.status(500).json({
+      error: "Failed to update job",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// List scrape jobs (history is kept in MongoDB)
+// ============================================================
+router.get("/jobs", async (req, res) => {
+  try {
+    const { status, outlet, limit } = req.query;
+
+    const jobs = await listJobs({
+      status,
+      outlet,
+      limit: parseInt(limit) || 50
+    });
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    console.error("Error listing jobs:", error);
+    res.status(500).json({
+      error: "Failed to list jobs",
+      details: error.message
     });
   }
-  
-  res.json(job);
 });
 
 // ============================================================
 // Get all author profiles from database
+// Filters: outlet, language (codes or names, comma-separated: the language
+// most of a journalist's articles are in)
 // ============================================================
 router.get("/profiles", async (req, res) => {
   try {
-    const { outlet, limit } = req.query;
+    const { outlet, language, limit } = req.query;
     
     const query = outlet ? { outlet } : {};
+    if (language) query.language = { $in: String(language).split(',').map(languageCode).filter(Boolean) };
     
     const profiles = await AuthorProfile.find(query)
       .sort({ articles: -1, scrapedAt: -1 })
@@ -254,6 +485,35 @@ router.get("/profiles", async (req, res) => {
   }
 });
 
+// ============================================================
+// Co-authorship pairs (journalists credited on the same articles)
+// Filters: outlet, author (profile id or name), minCount
+// ============================================================
+router.get("/coauthors", async (req, res) => {
+  try {
+    const { outlet, author, minCount, limit } = req.query;
+
+    const pairs = await listCoAuthorships({
+      outlet,
+      author,
+      minCount: Math.max(parseInt(minCount) || 1, 1),
+      limit: Math.min(parseInt(limit) || 500, 2000)
+    });
+
+    res.json({
+      success: true,
+      count: pairs.length,
+      pairs
+    });
+  } catch (error) {
+    console.error("Error fetching co-authors:", error);
+    res.status(500).json({ 
+      error: "Failed to fetch co-authors",
+      details: error.message 
+    });
+  }
+});
+
 // ============================================================
 // Get single author profile
 // ============================================================
@@ -0,0 +1,175 @@
+import express from "express";
+import mongoose from "mongoose";
+import IdentityMatch, { MATCH_STATUSES } from "../models/IdentityMatch.js";
+import {
+  resolveIdentities,
+  confirmMatch,
+  rejectMatch,
+  listMatches,
+  listPeople,
+  getPersonHistory
+} from "../utils/identityResolver.js";
+
+const router = express.Router();
+
+// Reject malformed ids before they reach Mongo (CastError -> 500)
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: "Person not found" });
+  }
+  next();
+});
+
+router.param("matchId", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: "Match not found" });
+  }
+  next();
+});
+
+// ============================================================
+// List people (journalists linked across outlets)
+// ============================================================
+router.get("/", async (req, res) => {
+  try {
+    const { outlet, name, limit } = req.query;
+    const people = await listPeople({ outlet, name, limit: Math.min(parseInt(limit) || 100, 500) });
+
+    res.json({
+      success: true,
+      count: people.length,
+      people
+    });
+  } catch (error) {
+    console.error("Error listing people:", error);
+    res.status(500).json({
+      error: "Failed to list people",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Candidate matches between profiles, most confident first
+// ============================================================
+router.get("/matches", async (req, res) => {
+  try {
+    const { status = 'candidate', minConfidence, profile, limit } = req.query;
+
+    if (status !== 'all' && !MATCH_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: all, ${MATCH_STATUSES.join(', ')}` });
+    }
+    if (profile && !mongoose.Types.ObjectId.isValid(profile)) {
+      return res.status(400).json({ error: "Invalid profile id" });
+    }
+
+    const matches = await listMatches({
+      status: status === 'all' ? undefined : status,
+      minConfidence: parseFloat(minConfidence) || undefined,
+      profile,
+      limit: Math.min(parseInt(limit) || 100, 500)
+    });
+
+    res.json({
+      success: true,
+      count: matches.length,
+      matches
+    });
+  } catch (error) {
+    console.error("Error listing identity matches:", error);
+    res.status(500).json({
+      error: "Failed to list identity matches",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Re-run identity resolution over all profiles
+// ============================================================
+router.post("/matches/resolve", async (req, res) => {
+  try {
+    const { minConfidence, autoConfirm } = req.body || {};
+
+    const result = await resolveIdentities({
+      ...(minConfidence != null ? { minConfidence: parseFloat(minConfidence) } : {}),
+      ...(autoConfirm != null ? { autoConfirm: parseFloat(autoConfirm) } : {})
+    });
+
+    console.log(`🪪 Identity resolution: ${result.candidates} candidate matches, ${result.confirmed} auto-confirmed`);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error("Error resolving identities:", error);
+    res.status(500).json({
+      error: "Failed to resolve identities",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Confirm / reject a candidate match
+// ============================================================
+const MATCH_ACTIONS = {
+  confirm: { run: confirmMatch, allowedFrom: ['candidate', 'rejected'] },
+  reject: { run: rejectMatch, allowedFrom: ['candidate'] },
+};
+
+router.post("/matches/:matchId/:action(confirm|reject)", async (req, res) => {
+  try {
+    const { matchId, action } = req.params;
+    const { run, allowedFrom } = MATCH_ACTIONS[action];
+
+    const match = await IdentityMatch.findById(matchId).lean();
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+
+    if (!allowedFrom.includes(match.status)) {
+      return res.status(409).json({ error: `Cannot ${action} a match that is ${match.status}` });
+    }
+
+    const updated = await run(matchId);
+
+    res.json({
+      success: true,
+      match: updated
+    });
+  } catch (error) {
+    console.error("Error updating identity match:", error);
+    res.status(500).json({
+      error: "Failed to update identity match",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// A person with their full outlet history
+// ============================================================
+router.get("/:id", async (req, res) => {
+  try {
+    const person = await getPersonHistory(req.params.id);
+
+    if (!person) {
+      return res.status(404).json({ error: "Person not found" });
+    }
+
+    res.json({
+      success: true,
+      person
+    });
+  } catch (error) {
+    console.error("Error fetching person:", error);
+    res.status(500).json({
+      error: "Failed to fetch person",
+      details: error.message
+    });
+  }
+});
+
+export default router;
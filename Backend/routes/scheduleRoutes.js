@@ -0,0 +1,175 @@
+import express from "express";
+import mongoose from "mongoose";
+import ScrapeSchedule from "../models/ScrapeSchedule.js";
+import {
+  validateCron,
+  createSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  getScheduleRuns
+} from "../utils/scheduler.js";
+
+const router = express.Router();
+
+// Reject malformed ids before they reach Mongo (CastError -> 500)
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+  next();
+});
+
+// ============================================================
+// Create a recurring scrape for an outlet
+// ============================================================
+router.post("/", async (req, res) => {
+  try {
+    const { outlet, cron, timezone, maxAuthors = 30, incremental = true } = req.body;
+
+    if (!outlet || !cron) {
+      return res.status(400).json({ error: "Outlet name and cron expression are required" });
+    }
+
+    try {
+      validateCron(cron, timezone);
+    } catch (cronErr) {
+      return res.status(400).json({ error: "Invalid cron expression or timezone", details: cronErr.message });
+    }
+
+    const schedule = await createSchedule({
+      outlet,
+      cron,
+      timezone,
+      maxAuthors: parseInt(maxAuthors) || 30,
+      incremental: Boolean(incremental)
+    });
+
+    console.log(`⏰ Created schedule for ${schedule.outlet} (${schedule.cron})`);
+
+    res.status(201).json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error("Error creating schedule:", error);
+    res.status(500).json({
+      error: "Failed to create schedule",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// List schedules
+// ============================================================
+router.get("/", async (req, res) => {
+  try {
+    const { status, outlet } = req.query;
+    const schedules = await listSchedules({ status, outlet });
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      schedules
+    });
+  } catch (error) {
+    console.error("Error listing schedules:", error);
+    res.status(500).json({
+      error: "Failed to list schedules",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Runs started by a schedule (with their outcome)
+// ============================================================
+router.get("/:id/runs", async (req, res) => {
+  try {
+    const schedule = await ScrapeSchedule.findById(req.params.id).lean();
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    const runs = await getScheduleRuns(req.params.id, parseInt(req.query.limit) || 20);
+
+    res.json({
+      success: true,
+      schedule,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    console.error("Error fetching schedule runs:", error);
+    res.status(500).json({
+      error: "Failed to fetch schedule runs",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Pause / resume a schedule
+// ============================================================
+const SCHEDULE_ACTIONS = {
+  pause: { run: pauseSchedule, allowedFrom: ['active'] },
+  resume: { run: resumeSchedule, allowedFrom: ['paused'] },
+};
+
+router.post("/:id/:action(pause|resume)", async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const { run, allowedFrom } = SCHEDULE_ACTIONS[action];
+
+    const schedule = await ScrapeSchedule.findById(id).lean();
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    if (!allowedFrom.includes(schedule.status)) {
+      return res.status(409).json({ error: `Cannot ${action} a schedule that is ${schedule.status}` });
+    }
+
+    const updated = await run(id);
+
+    res.json({
+      success: true,
+      schedule: updated
+    });
+  } catch (error) {
+    console.error("Error updating schedule:", error);
+    res.status(500).json({
+      error: "Failed to update schedule",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Delete a schedule (jobs it already started keep running)
+// ============================================================
+router.delete("/:id", async (req, res) => {
+  try {
+    const deleted = await deleteSchedule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    console.log(`🗑️  Deleted schedule for ${deleted.outlet}`);
+
+    res.json({
+      success: true,
+      deleted: deleted._id
+    });
+  } catch (error) {
+    console.error("Error deleting schedule:", error);
+    res.status(500).json({
+      error: "Failed to delete schedule",
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,254 @@
+import express from "express";
+import Topic from "../models/Topic.js";
+import { loadTaxonomy, addDefaultTopics, addDefaultKeywords, getTaxonomy, findTopic, renameTopicLabels } from "../utils/taxonomy.js";
+
+const router = express.Router();
+
+const TOPIC_ID = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_NAME_LENGTH = 50;
+const MAX_TERM_LENGTH = 80;
+
+// Look the topic up by its id (or display name)
+router.param("topicId", async (req, res, next, topicId) => {
+  try {
+    const ref = findTopic(topicId);
+    req.topic = await Topic.findOne({ topicId: ref ? ref.topicId : String(topicId).toLowerCase() });
+    if (!req.topic) {
+      return res.status(404).json({ error: "Topic not found" });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+function slugify(name) {
+  return name.toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function cleanTerms(terms) {
+  return [...new Set([].concat(terms || [])
+    .filter(term => typeof term === 'string')
+    .map(term => term.normalize('NFC').trim().toLowerCase())
+    .filter(term => term.length > 0 && term.length <= MAX_TERM_LENGTH))];
+}
+
+// Would `parentId` put `topicId` under itself?
+function createsCycle(topicId, parentId) {
+  const byId = new Map(getTaxonomy().map(topic => [topic.topicId, topic]));
+  for (let id = parentId; id; id = byId.get(id)?.parent) {
+    if (id === topicId) return true;
+  }
+  return false;
+}
+
+// Validated topic fields from a request body, or { error }. `existing` is the
+// topic being updated; fields missing from the body are left unchanged.
+function topicFromBody(body, existing = null) {
+  const fields = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) return { error: `Name must be 1-${MAX_NAME_LENGTH} characters` };
+    const clash = findTopic(name);
+    if (clash && clash.topicId !== existing?.topicId) return { error: `A topic named "${clash.name}" already exists` };
+    fields.name = name;
+  }
+
+  if (!existing) {
+    const topicId = body.topicId === undefined ? slugify(fields.name) : String(body.topicId).trim();
+    if (!TOPIC_ID.test(topicId) || topicId.length > MAX_NAME_LENGTH) {
+      return { error: "topicId must be a lowercase slug (letters, digits and hyphens)" };
+    }
+    if (findTopic(topicId)) return { error: `Topic "${topicId}" already exists` };
+    fields.topicId = topicId;
+  } else if (body.topicId !== undefined && body.topicId !== existing.topicId) {
+    return { error: "topicId cannot be changed" };
+  }
+
+  if (body.color !== undefined) {
+    if (typeof body.color !== 'string' || !COLOR.test(body.color.trim())) return { error: "Color must be a hex color like #3b82f6" };
+    fields.color = body.color.trim().toLowerCase();
+  }
+
+  if (body.keywords !== undefined) fields.keywords = cleanTerms(body.keywords);
+  if (body.urlHints !== undefined) fields.urlHints = cleanTerms(body.urlHints);
+
+  if (body.parent !== undefined) {
+    if (body.parent === null || body.parent === '') {
+      fields.parent = null;
+    } else {
+      const parent = findTopic(String(body.parent));
+      if (!parent) return { error: `Parent topic not found: ${body.parent}` };
+      const topicId = existing?.topicId || fields.topicId;
+      if (createsCycle(topicId, parent.topicId)) return { error: "A topic cannot be its own ancestor" };
+      fields.parent = parent.topicId;
+    }
+  }
+
+  if (body.order !== undefined) {
+    const order = parseInt(body.order);
+    if (isNaN(order)) return { error: "Order must be a number" };
+    fields.order = order;
+  }
+
+  return { fields };
+}
+
+// Nest topics under their parents: [{ ...topic, children: [...] }]
+function topicTree(topics) {
+  const nodes = new Map(topics.map(topic => [topic.topicId, { ...topic, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+// ============================================================
+// List the taxonomy (flat, each topic naming its parent; ?tree=true nests
+// sub-topics under their parents)
+// ============================================================
+router.get("/", async (req, res) => {
+  try {
+    const topics = await Topic.find({}).sort({ order: 1, name: 1 }).lean();
+
+    res.json({
+      success: true,
+      count: topics.length,
+      topics: req.query.tree === 'true' ? topicTree(topics) : topics
+    });
+  } catch (error) {
+    console.error("Error listing topics:", error);
+    res.status(500).json({
+      error: "Failed to list topics",
+      details: error.message
+    });
+  }
+});
+
+router.get("/:topicId", (req, res) => {
+  res.json({
+    success: true,
+    topic: req.topic
+  });
+});
+
+// ============================================================
+// Add a topic: { name, topicId?, color?, keywords?, urlHints?, parent?, order? }
+// Classifiers pick up its keywords and URL hints at once; a trained model only
+// learns to predict it after the next retrain with examples labeled with it.
+// ============================================================
+router.post("/", async (req, res) => {
+  try {
+    const { fields, error } = topicFromBody(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (fields.order === undefined) fields.order = getTaxonomy().length;
+    const topic = await Topic.create(fields);
+    await loadTaxonomy();
+
+    console.log(`🏷️  Added topic ${topic.name} (${topic.topicId})`);
+    res.status(201).json({
+      success: true,
+      topic
+    });
+  } catch (error) {
+    console.error("Error adding topic:", error);
+    res.status(500).json({
+      error: "Failed to add topic",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Add the bundled default topics missing from the taxonomy (e.g. sub-topics
+// shipped after the taxonomy was first seeded) and the bundled keywords
+// missing from existing topics
+// ============================================================
+router.post("/defaults", async (req, res) => {
+  try {
+    const keywordsAdded = await addDefaultKeywords();
+    const added = await addDefaultTopics();
+    await loadTaxonomy();
+
+    const keywordCount = Object.values(keywordsAdded).reduce((sum, keywords) => sum + keywords.length, 0);
+    console.log(`🏷️  Added ${added.length} default topics and ${keywordCount} default keywords`);
+    res.json({
+      success: true,
+      count: added.length,
+      added: added.map(topic => topic.topicId),
+      keywordsAdded
+    });
+  } catch (error) {
+    console.error("Error adding default topics:", error);
+    res.status(500).json({
+      error: "Failed to add default topics",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Update a topic. Renaming it relabels stored articles, profiles and
+// training examples.
+// ============================================================
+router.put("/:topicId", async (req, res) => {
+  try {
+    const { fields, error } = topicFromBody(req.body || {}, req.topic);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const oldName = req.topic.name;
+    const topic = await Topic.findByIdAndUpdate(req.topic._id, { $set: fields }, { new: true });
+    const relabeled = fields.name && fields.name !== oldName ? await renameTopicLabels(oldName, fields.name) : 0;
+    await loadTaxonomy();
+
+    res.json({
+      success: true,
+      topic,
+      relabeled
+    });
+  } catch (error) {
+    console.error("Error updating topic:", error);
+    res.status(500).json({
+      error: "Failed to update topic",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Remove a topic. Its sub-topics move up to its parent; articles and profiles
+// keep the label, but classifiers and analytics no longer use it.
+// ============================================================
+router.delete("/:topicId", async (req, res) => {
+  try {
+    const { topicId, parent } = req.topic;
+    const { modifiedCount } = await Topic.updateMany({ parent: topicId }, { $set: { parent } });
+    await Topic.deleteOne({ _id: req.topic._id });
+    await loadTaxonomy();
+
+    console.log(`🏷️  Removed topic ${req.topic.name} (${topicId})`);
+    res.json({
+      success: true,
+      deleted: topicId,
+      reparented: modifiedCount
+    });
+  } catch (error) {
+    console.error("Error removing topic:", error);
+    res.status(500).json({
+      error: "Failed to remove topic",
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,288 @@
+import express from "express";
+import mongoose from "mongoose";
+import Article from "../models/Article.js";
+import TopicExample, { EXAMPLE_SOURCES } from "../models/TopicExample.js";
+import {
+  CLASSIFIER_ALGORITHMS,
+  trainingExamples,
+  trainTopicModel,
+  evaluateTopicModel,
+  getTopicModelInfo,
+  topicProbabilities,
+  predictTopics
+} from "../utils/topicClassifier.js";
+import { reclassifyArticles } from "../utils/articleStore.js";
+import { findTopic } from "../utils/taxonomy.js";
+
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+const MAX_TEXT_LENGTH = 20000;
+
+// Reject malformed ids before they reach Mongo (CastError -> 500)
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: "Example not found" });
+  }
+  next();
+});
+
+function cleanTopics(topics) {
+  return [...new Set([].concat(topics || [])
+    .filter(topic => typeof topic === 'string')
+    .map(topic => topic.trim())
+    .filter(topic => topic.length > 0 && topic.length <= 50))];
+}
+
+// Validated example fields from a request body entry, or { error }
+async function exampleFromBody(entry) {
+  const labels = cleanTopics(entry?.topics);
+  if (labels.length === 0) return { error: "Each example needs at least one topic" };
+
+  // Taxonomy ids or names, stored as display names
+  const unknown = labels.filter(label => !findTopic(label));
+  if (unknown.length > 0) return { error: `Unknown topics: ${unknown.join(', ')}` };
+  const topics = [...new Set(labels.map(label => findTopic(label).name))];
+
+  if (entry.articleId) {
+    if (!mongoose.Types.ObjectId.isValid(entry.articleId)) return { error: `Invalid article id: ${entry.articleId}` };
+    const article = await Article.findById(entry.articleId).select('+body title').lean();
+    if (!article) return { error: `Article not found: ${entry.articleId}` };
+    return {
+      title: article.title,
+      text: (article.body || '').substring(0, MAX_TEXT_LENGTH),
+      topics,
+      source: 'article',
+      article: article._id
+    };
+  }
+
+  const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+  const text = typeof (entry.text ?? entry.body) === 'string' ? (entry.text ?? entry.body).trim() : '';
+  if (!title && !text) return { error: "Each example needs a title, text or articleId" };
+
+  return { title: title || undefined, text: text.substring(0, MAX_TEXT_LENGTH), topics, source: 'manual' };
+}
+
+function algorithmFrom(body) {
+  const algorithm = body?.algorithm;
+  if (algorithm && !CLASSIFIER_ALGORITHMS.includes(algorithm)) {
+    return { error: `Algorithm must be one of: ${CLASSIFIER_ALGORITHMS.join(', ')}` };
+  }
+  return { algorithm };
+}
+
+// ============================================================
+// Topic classifier: the model in use
+// ============================================================
+router.get("/classifier", async (req, res) => {
+  try {
+    const storedExamples = await TopicExample.countDocuments();
+
+    res.json({
+      success: true,
+      model: getTopicModelInfo(),
+      storedExamples
+    });
+  } catch (error) {
+    console.error("Error fetching topic model:", error);
+    res.status(500).json({
+      error: "Failed to fetch topic model",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Retrain on the seed headlines and stored examples, save the model and
+// optionally re-run it over stored articles
+// ============================================================
+router.post("/classifier/train", async (req, res) => {
+  try {
+    const { includeSeed = true, reclassify = false } = req.body || {};
+    const { algorithm, error } = algorithmFrom(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const examples = await trainingExamples({ includeSeed: includeSeed !== false });
+    let model;
+    try {
+      model = await trainTopicModel(examples, algorithm ? { algorithm } : {});
+    } catch (trainErr) {
+      return res.status(400).json({ error: "Training failed", details: trainErr.message });
+    }
+
+    const articlesUpdated = reclassify ? await reclassifyArticles() : undefined;
+    if (reclassify) console.log(`🧠 Reclassified ${articlesUpdated} articles`);
+
+    res.json({
+      success: true,
+      model,
+      ...(reclassify ? { articlesUpdated } : {})
+    });
+  } catch (error) {
+    console.error("Error training topic model:", error);
+    res.status(500).json({
+      error: "Failed to train topic model",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Hold-out evaluation: precision / recall / F1 per topic
+// ============================================================
+router.post("/classifier/evaluate", async (req, res) => {
+  try {
+    const { includeSeed = true, testShare = 0.2 } = req.body || {};
+    const { algorithm, error } = algorithmFrom(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const examples = await trainingExamples({ includeSeed: includeSeed !== false });
+    let evaluation;
+    try {
+      evaluation = await evaluateTopicModel(examples, {
+        testShare: parseFloat(testShare) || 0.2,
+        ...(algorithm ? { algorithm } : {})
+      });
+    } catch (evalErr) {
+      return res.status(400).json({ error: "Evaluation failed", details: evalErr.message });
+    }
+
+    res.json({
+      success: true,
+      evaluation
+    });
+  } catch (error) {
+    console.error("Error evaluating topic model:", error);
+    res.status(500).json({
+      error: "Failed to evaluate topic model",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================
+// Classify a text: { title, body } or { text }
+// ============================================================
+router.post("/classify", (req, res) => {
+  const { title, body, text } = req.body || {};
+  if (!title && !body && !text) {
+    return res.status(400).json({ error: "Provide a title, body or text to classify" });
+  }
+
+  const input = { title: title || '', body: body || text || '' };
+  res.json({
+    success: true,
+    topics: predictTopics(input),
+    probabilities: topicProbabilities(input)
+  });
+});
+
+// ============================================================
+// Training examples
+// ============================================================
+router.get("/examples", async (req, res) => {
+  try {
+    const { topic, source } = req.query;
+    if (source && !EXAMPLE_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Source must be one of: ${EXAMPLE_SOURCES.join(', ')}` });
+    }
+
+    const query = {};
+    if (topic) query.topics = findTopic(topic)?.name || topic;
+    if (source) query.source = source;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_LIMIT);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [total, examples] = await Promise.all([
+      TopicExample.countDocuments(query),
+      TopicExample.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      count: examples.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      examples
+    });
+  } catch (error) {
+    console.error("Error listing topic examples:", error);
+    res.status(500).json({
+      error: "Failed to list topic examples",
+      details: error.message
+    });
+  }
+});
+
+// Add one example ({ title, text, topics } or { articleId, topics }) or many
+// ({ examples: [...] }). Labeling an article again replaces its example.
+// The model only changes on the next retrain.
+router.post("/examples", async (req, res) => {
+  try {
+    const entries = Array.isArray(req.body?.examples) ? req.body.examples : [req.body];
+    if (entries.length === 0) {
+      return res.status(400).json({ error: "No examples given" });
+    }
+
+    const fields = [];
+    for (const [index, entry] of entries.entries()) {
+      const example = await exampleFromBody(entry);
+      if (example.error) {
+        return res.status(400).json({ error: example.error, index });
+      }
+      fields.push(example);
+    }
+
+    const saved = [];
+    for (const example of fields) {
+      saved.push(example.article
+        ? await TopicExample.findOneAndUpdate({ article: example.article }, { $set: example }, { upsert: true, new: true })
+        : await TopicExample.create(example));
+    }
+
+    res.status(201).json({
+      success: true,
+      count: saved.length,
+      examples: saved
+    });
+  } catch (error) {
+    console.error("Error adding topic examples:", error);
+    res.status(500).json({
+      error: "Failed to add topic examples",
+      details: error.message
+    });
+  }
+});
+
+router.delete("/examples/:id", async (req, res) => {
+  try {
+    const example = await TopicExample.findByIdAndDelete(req.params.id);
+    if (!example) {
+      return res.status(404).json({ error: "Example not found" });
+    }
+
+    res.json({
+      success: true,
+      deleted: example._id
+    });
+  } catch (error) {
+    console.error("Error deleting topic example:", error);
+    res.status(500).json({
+      error: "Failed to delete topic example",
+      details: error.message
+    });
+  }
+});
+
+export default router;
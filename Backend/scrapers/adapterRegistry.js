@@ -0,0 +1,129 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+// ============================================================
+// OUTLET ADAPTER REGISTRY
+// Outlet-specific extraction lives in scrapers/adapters/<outlet>.js. Each
+// module default-exports an adapter:
+//
+//   {
+//     name: 'Example Times',
+//     hostnames: ['exampletimes.com'],          // Subdomains match too
+//     extractBylines($, ctx)      -> [{ name, profileUrl? }]   (article page)
+//     extractProfileUrl(name, ctx) -> url                       (no link in byline)
+//     extractBio($, ctx)          -> string                      (profile page)
+//     extractAvatar($, ctx)       -> url                         (profile page)
+//     extractArticles($, ctx)     -> [{ title, url, publishDate? }] (profile page)
+//     extractNextPage($, ctx)     -> url                         (profile pagination)
+//   }
+//
+// Every hook is optional. When a hook is missing, throws, or returns nothing,
+// the generic heuristics are used instead. Files starting with `_` are skipped.
+// ============================================================
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ADAPTERS_DIR = process.env.SCRAPER_ADAPTERS_DIR || path.join(__dirname, 'adapters');
+
+let adapters = null;
+let loading = null;
+
+/**
+ * Import every adapter module from the adapters directory (once)
+ */
+export async function loadAdapters() {
+  if (adapters) return adapters;
+  if (loading) return loading;
+
+  loading = (async () => {
+    const loaded = [];
+    let files = [];
+    try {
+      files = await fs.readdir(ADAPTERS_DIR);
+    } catch (err) {
+      console.log(`   ⚠️ No outlet adapters directory (${ADAPTERS_DIR})`);
+    }
+
+    for (const file of files.sort()) {
+      if (!file.endsWith('.js') || file.startsWith('_')) continue;
+
+      try {
+        const mod = await import(pathToFileURL(path.join(ADAPTERS_DIR, file)).href);
+        const adapter = mod.default;
+        if (!adapter || !Array.isArray(adapter.hostnames) || adapter.hostnames.length === 0) {
+          console.log(`   ⚠️ Skipping adapter ${file}: no hostnames`);
+          continue;
+        }
+        loaded.push({ ...adapter, name: adapter.name || file.replace(/\.js$/, ''), file });
+      } catch (err) {
+        console.log(`   ⚠️ Failed to load adapter ${file}: ${err.message}`);
+      }
+    }
+
+    adapters = loaded;
+    loading = null;
+    if (loaded.length > 0) {
+      console.log(`🧩 Loaded ${loaded.length} outlet adapters: ${loaded.map(a => a.name).join(', ')}`);
+    }
+    return adapters;
+  })();
+
+  return loading;
+}
+
+function normalizeHost(hostname) {
+  return String(hostname || '').toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Find the adapter for a hostname (exact host or any subdomain of it)
+ */
+export async function getAdapterForHost(hostname) {
+  const host = normalizeHost(hostname);
+  if (!host) return null;
+
+  let best = null;
+  let bestLength = 0;
+  for (const adapter of await loadAdapters()) {
+    for (const candidate of adapter.hostnames.map(normalizeHost)) {
+      // Most specific hostname wins (e.g. tamil.example.com over example.com)
+      if ((host === candidate || host.endsWith(`.${candidate}`)) && candidate.length > bestLength) {
+        best = adapter;
+        bestLength = candidate.length;
+      }
+    }
+  }
+  return best;
+}
+
+export async function getAdapterForUrl(url) {
+  try {
+    return await getAdapterForHost(new URL(url).hostname);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Call an adapter hook. Returns null when there is no adapter or hook, the
+ * hook throws, or it returns an empty result, so callers can fall back.
+ */
+export function callAdapter(adapter, hook, ...args) {
+  if (!adapter || typeof adapter[hook] !== 'function') return null;
+
+  try {
+    const result = adapter[hook](...args);
+    if (result == null || result === '' || (Array.isArray(result) && result.length === 0)) return null;
+    return result;
+  } catch (err) {
+    console.log(`    ⚠️ Adapter ${adapter.name}.${hook} failed: ${err.message}`);
+    return null;
+  }
+}
+
+export default {
+  loadAdapters,
+  getAdapterForHost,
+  getAdapterForUrl,
+  callAdapter
+};
@@ -0,0 +1,51 @@
+// Template for an outlet adapter. Copy to `<outlet>.js` (without the leading
+// underscore) and keep only the hooks the outlet needs; anything left out
+// falls back to the generic extraction in newsOutletScraper.js.
+//
+// Every hook gets a cheerio document `$` and a context:
+//   { url, website, hostname, author }   (author only on profile pages)
+
+export default {
+  name: 'Example Times',
+  hostnames: ['exampletimes.com'],
+
+  // Article page -> authors in the byline
+  extractBylines($, ctx) {
+    return $('.story-byline a.author').map((i, el) => ({
+      name: $(el).text().trim(),
+      profileUrl: $(el).attr('href')
+    })).get();
+  },
+
+  // Profile URL when the byline has no link
+  extractProfileUrl(name, ctx) {
+    const slug = name.toLowerCase().trim().replace(/\s+/g, '-');
+    return `${ctx.website}/profile/${slug}`;
+  },
+
+  // Profile page -> bio text
+  extractBio($, ctx) {
+    return $('.author-profile .about').first().text().trim();
+  },
+
+  // Profile page -> avatar image URL
+  extractAvatar($, ctx) {
+    return $('.author-profile img').first().attr('src');
+  },
+
+  // Profile page -> articles by this author (publishDate/modifiedDate optional;
+  // any format, no timezone means IST)
+  extractArticles($, ctx) {
+    return $('.author-stories li a').map((i, el) => ({
+      title: $(el).text().trim(),
+      url: $(el).attr('href'),
+      publishDate: $(el).closest('li').find('time').attr('datetime')
+    })).get();
+  },
+
+  // Profile page -> URL of the next page of articles (rel="next", pagers,
+  // ?page= / /page/N links and "load more" buttons are detected without it)
+  extractNextPage($, ctx) {
+    return $('.pagination a.next').attr('href');
+  }
+};
@@ -0,0 +1,175 @@
+import * as cheerio from "cheerio";
+
+// ============================================================
+// ARTICLE BODY
+// Readability-style main text detection: paragraphs are scored by length and
+// punctuation, their scores flow up to the containing blocks, link-heavy and
+// boilerplate-named blocks are penalised, and the best block (plus matching
+// siblings) is taken as the article body.
+// ============================================================
+
+const WORDS_PER_MINUTE = 200;
+const MAX_BODY_CHARS = 20000;
+const MIN_PARAGRAPH_CHARS = 25;
+const MIN_BODY_CHARS = 200;
+
+// Never part of the article text
+const REMOVE_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'button', 'select',
+  'nav', 'header', 'footer', 'aside', 'figure', 'figcaption',
+  '[role="navigation"]', '[role="banner"]', '[role="complementary"]', '[aria-hidden="true"]'
+];
+
+const UNLIKELY_CANDIDATES = /comment|share|social|related|recommend|sidebar|footer|header|menu|nav|breadcrumb|\b(ads?|advert\w*)\b|promo|sponsor|newsletter|subscribe|popup|modal|cookie|tags|trending|also-read|read-more|more-from/i;
+const LIKELY_CANDIDATES = /article|body|content|entry|main|story|text|post|detail|description/i;
+const POSITIVE_CLASS = /article|body|content|entry|main|story|text|post|detail/i;
+const NEGATIVE_CLASS = /comment|share|social|related|sidebar|footer|widget|promo|advert|meta|byline|author|caption|hidden|tags/i;
+
+function classAndId($el) {
+  return `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+}
+
+function classWeight($el) {
+  const names = classAndId($el);
+  let weight = 0;
+  if (POSITIVE_CLASS.test(names)) weight += 25;
+  if (NEGATIVE_CLASS.test(names)) weight -= 25;
+  return weight;
+}
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Share of a block's text that sits inside links
+function linkDensity($, $el) {
+  const textLength = normalizeText($el.text()).length;
+  if (!textLength) return 1;
+  const linkLength = $el.find('a').toArray()
+    .reduce((sum, a) => sum + normalizeText($(a).text()).length, 0);
+  return linkLength / textLength;
+}
+
+/**
+ * Word count and reading time (minutes) of a text
+ */
+export function measureText(text) {
+  const wordCount = text ? text.split(/\s+/).filter(Boolean).length : 0;
+  return {
+    wordCount,
+    readingTime: wordCount ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) : 0
+  };
+}
+
+// Text of the paragraphs inside a block, one paragraph per line
+function blockText($, $block) {
+  const paragraphs = $block.find('p, h2, h3, li, blockquote').toArray()
+    .filter(el => $(el).parents('p, li, blockquote').length === 0)
+    .map(el => normalizeText($(el).text()))
+    .filter(text => text.length >= MIN_PARAGRAPH_CHARS || /[.!?।]$/.test(text));
+
+  return paragraphs.length > 0 ? paragraphs.join('\n\n') : normalizeText($block.text());
+}
+
+// articleBody from JSON-LD, when the page publishes it
+function jsonLdBody($) {
+  let body = null;
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const data = JSON.parse($(el).html());
+      const nodes = [].concat(data, data?.['@graph'] || []);
+      for (const node of nodes) {
+        if (typeof node?.articleBody === 'string' && node.articleBody.trim().length > (body || '').length) {
+          body = node.articleBody.trim();
+        }
+      }
+    } catch (e) {}
+  });
+  return body;
+}
+
+/**
+ * Main text of an article page.
+ * Returns { text, wordCount, readingTime } or null when no body was found.
+ */
+export function extractArticleBody(html) {
+  if (!html || typeof html !== 'string') return null;
+
+  const $ = cheerio.load(html);
+  const structuredBody = jsonLdBody($);
+
+  $(REMOVE_SELECTORS.join(', ')).remove();
+
+  // Drop boilerplate blocks, unless they look like the article container itself
+  $('div, section, ul, ol, span, p').each((i, el) => {
+    const $el = $(el);
+    const names = classAndId($el);
+    if (UNLIKELY_CANDIDATES.test(names) && !LIKELY_CANDIDATES.test(names) && $el.closest('article').length === 0) {
+      $el.remove();
+    }
+  });
+
+  // Score paragraphs and credit their parent (full) and grandparent (half)
+  const scores = new Map();
+  const addScore = (el, points) => {
+    if (!el || el.type !== 'tag') return;
+    if (!scores.has(el)) {
+      const $el = $(el);
+      let base = classWeight($el);
+      if (el.name === 'article') base += 10;
+      if (el.name === 'div' || el.name === 'section' || el.name === 'main') base += 5;
+      scores.set(el, base);
+    }
+    scores.set(el, scores.get(el) + points);
+  };
+
+  $('p, pre, td, blockquote').each((i, el) => {
+    const text = normalizeText($(el).text());
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+    // Commas (and the Devanagari danda) mark running prose
+    const points = 1 + (text.match(/[,،、।]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(el.parent, points);
+    addScore(el.parent?.parent, points / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(el)));
+    scores.set(el, adjusted);
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+
+  let text = '';
+  if (best) {
+    // Siblings that score close to the best block belong to the same body
+    // (outlets often split stories around inline ads)
+    const threshold = Math.max(10, bestScore * 0.2);
+    const parts = [];
+    const siblings = best.parent ? $(best.parent).children().toArray() : [best];
+    for (const sibling of siblings) {
+      if (sibling === best || (scores.get(sibling) || 0) >= threshold) {
+        parts.push(blockText($, $(sibling)));
+      }
+    }
+    text = parts.filter(Boolean).join('\n\n');
+  }
+
+  if (structuredBody && structuredBody.length > text.length) {
+    text = structuredBody;
+  }
+
+  if (text.length < MIN_BODY_CHARS) return null;
+
+  text = text.substring(0, MAX_BODY_CHARS);
+  return { text, ...measureText(text) };
+}
+
+export default {
+  extractArticleBody,
+  measureText
+};
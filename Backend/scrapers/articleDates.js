@@ -0,0 +1,238 @@
+// ============================================================
+// ARTICLE DATES
+// Publish/modified dates from JSON-LD, meta tags, <time> elements, feeds and
+// URLs. Everything is normalized to UTC; a date without a timezone is read as
+// IST, which is what Indian outlets mean when they leave it out. A timezone
+// abbreviation we don't know makes the date unreadable rather than IST.
+// ============================================================
+
+const IST_OFFSET = '+05:30';
+const MIN_YEAR = 1995;
+const MAX_FUTURE_MS = 2 * 24 * 60 * 60 * 1000; // Tolerate clock skew and early timestamps
+
+// Abbreviations Date.parse doesn't understand (or reads as US time) and what
+// they mean on the sites we scrape
+const ZONE_ABBREVIATIONS = {
+  IST: '+0530',
+  EST: '-0500',
+  EDT: '-0400',
+  CST: '-0600',
+  CDT: '-0500',
+  MST: '-0700',
+  MDT: '-0600',
+  PST: '-0800',
+  PDT: '-0700',
+  BST: '+0100',
+  CET: '+0100',
+  CEST: '+0200',
+  PKT: '+0500',
+  NPT: '+0545',
+  SGT: '+0800',
+  JST: '+0900',
+  AEST: '+1000',
+  AEDT: '+1100'
+};
+const ZONE_ABBREVIATION = new RegExp(`\\b(${Object.keys(ZONE_ABBREVIATIONS).join('|')})\\b`);
+const UNKNOWN_ZONE = /\b(?!AM$|PM$|GMT$|UTC$|UT$)[A-Z]{2,5}$/;
+
+const MONTH_NAMES = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\b/i;
+
+// Checked in order; the first that parses wins
+const PUBLISHED_META = [
+  'meta[property="article:published_time"]',
+  'meta[name="article:published_time"]',
+  'meta[itemprop="datePublished"]',
+  'meta[property="og:published_time"]',
+  'meta[name="publish-date"]',
+  'meta[name="publishdate"]',
+  'meta[name="pubdate"]',
+  'meta[name="parsely-pub-date"]',
+  'meta[name="sailthru.date"]',
+  'meta[name="DC.date.issued"]',
+  'meta[name="date"]',
+];
+
+const MODIFIED_META = [
+  'meta[property="article:modified_time"]',
+  'meta[name="article:modified_time"]',
+  'meta[itemprop="dateModified"]',
+  'meta[property="og:updated_time"]',
+  'meta[name="last-modified"]',
+];
+
+function isPlausible(date) {
+  if (isNaN(date.getTime())) return false;
+  return date.getUTCFullYear() >= MIN_YEAR && date.getTime() <= Date.now() + MAX_FUTURE_MS;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Parse a date as found on a page or in a feed.
+ * Returns { date, dayOnly } (dayOnly when there was no time of day) or null.
+ */
+export function parseArticleDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    return isPlausible(value) ? { date: value, dayOnly: false } : null;
+  }
+
+  // Unix timestamps, in seconds or milliseconds
+  if (typeof value === 'number' || /^\d{10}(\d{3})?$/.test(String(value).trim())) {
+    const num = Number(value);
+    const date = new Date(num < 1e12 ? num * 1000 : num);
+    return isPlausible(date) ? { date, dayOnly: false } : null;
+  }
+
+  let text = String(value)
+    .replace(/\s+/g, ' ')
+    .replace(/^(last\s+)?(published|updated|modified|posted|first published|created)\s*(on|at)?\s*[:\-]?\s*/i, '')
+    .replace(/\s+at\s+/i, ' ')
+    .trim();
+  if (!text) return null;
+
+  // Timezone abbreviations become offsets; one we can't place means we don't
+  // know when it was published
+  text = text
+    .replace(/\bIST\b/i, ZONE_ABBREVIATIONS.IST)
+    .replace(ZONE_ABBREVIATION, (abbreviation) => ZONE_ABBREVIATIONS[abbreviation]);
+  if (UNKNOWN_ZONE.test(text)) return null;
+
+  const hasTime = /\d{1,2}:\d{2}/.test(text.replace(/[+-]\d{2}:?\d{2}$/, ''));
+  const hasZone = /(Z|[+-]\d{2}:?\d{2}|\bGMT|\bUTC|\bUT)$/i.test(text);
+  let date;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    date = new Date(`${text}T00:00:00${IST_OFFSET}`);
+    return isPlausible(date) ? { date, dayOnly: true } : null;
+  }
+
+  // ISO 8601 with a time of day
+  match = text.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2})(:\d{2}(?::\d{2}(?:\.\d+)?)?)\s*(.*)$/);
+  if (match) {
+    let zone = match[4] ? match[4].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2') : IST_OFFSET;
+    if (/^(GMT|UTC|UT)$/i.test(zone)) zone = 'Z';
+    date = new Date(`${match[1]}T${pad(match[2])}${match[3]}${zone}`);
+    return isPlausible(date) ? { date, dayOnly: false } : null;
+  }
+
+  // Day-first numeric dates (10/10/2026, 10-10-2026 10:30), as written in India
+  match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match) {
+    const [, day, month, year, hour, minute, second] = match;
+    if (Number(month) > 12 || Number(day) > 31) return null;
+    const time = hour ? `${pad(hour)}:${minute}:${second || '00'}` : '00:00:00';
+    date = new Date(`${year}-${pad(month)}-${pad(day)}T${time}${IST_OFFSET}`);
+    return isPlausible(date) ? { date, dayOnly: !hour } : null;
+  }
+
+  // Textual dates (RFC 822 feed dates, "Oct 10, 2026 10:30 AM", ...)
+  if (!MONTH_NAMES.test(text)) return null;
+  if (hasZone) {
+    text = text.replace(/([+-]\d{2}):(\d{2})$/, '$1$2');
+    if (!hasTime) text = text.replace(/\s*(\S+)$/, ' 00:00 $1');
+  } else {
+    text = hasTime ? `${text} +0530` : `${text} 00:00 +0530`;
+  }
+  date = new Date(text);
+  return isPlausible(date) ? { date, dayOnly: !hasTime } : null;
+}
+
+/**
+ * Date as a UTC ISO string, or null when it can't be read
+ */
+export function normalizeDate(value) {
+  const parsed = parseArticleDate(value);
+  return parsed ? parsed.date.toISOString() : null;
+}
+
+/**
+ * Date embedded in an article URL (/2026/10/10/, /2026-10-10-, /20261010/) as YYYY-MM-DD
+ */
+export function dateFromUrl(url) {
+  if (!url) return null;
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    pathname = String(url);
+  }
+
+  const match = pathname.match(/(?:^|[\/_-])(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})(?=[\/_.-]|$)/) ||
+    pathname.match(/\/(\d{4})(\d{2})(\d{2})(?=\/|$)/);
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const text = `${year}-${pad(month)}-${pad(day)}`;
+  return parseArticleDate(text) ? text : null;
+}
+
+// Nodes of a JSON-LD document, flattening arrays and @graph
+function jsonLdNodes(data, nodes = []) {
+  if (Array.isArray(data)) {
+    data.forEach(item => jsonLdNodes(item, nodes));
+  } else if (data && typeof data === 'object') {
+    nodes.push(data);
+    if (data['@graph']) jsonLdNodes(data['@graph'], nodes);
+  }
+  return nodes;
+}
+
+function firstValid(values) {
+  for (const value of values) {
+    const text = typeof value === 'string' ? value.trim() : value;
+    if (text && parseArticleDate(text)) return text;
+  }
+  return null;
+}
+
+/**
+ * Publish and modified dates of an article page, as found on the page
+ * (normalize with normalizeDate before storing). Falls back to the URL.
+ */
+export function extractArticleDates($, url) {
+  const published = [];
+  const modified = [];
+
+  // 1. JSON-LD (NewsArticle, Article, ...)
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      for (const node of jsonLdNodes(JSON.parse($(el).html()))) {
+        if (node.datePublished || node.dateCreated) published.push(node.datePublished || node.dateCreated);
+        if (node.dateModified) modified.push(node.dateModified);
+      }
+    } catch (e) {}
+  });
+
+  // 2. Meta tags
+  for (const selector of PUBLISHED_META) published.push($(selector).attr('content'));
+  for (const selector of MODIFIED_META) modified.push($(selector).attr('content'));
+
+  // 3. <time> elements and other microdata
+  const timeValue = ($el) => $el.attr('datetime') || $el.attr('content') || $el.text();
+  published.push(timeValue($('[itemprop="datePublished"]').not('meta').first()));
+  modified.push(timeValue($('[itemprop="dateModified"]').not('meta').first()));
+  published.push(timeValue($('time[pubdate]').first()));
+  published.push(timeValue($('time[datetime]').first()));
+
+  // 4. Date in the URL
+  published.push(dateFromUrl(url));
+
+  return {
+    publishDate: firstValid(published),
+    modifiedDate: firstValid(modified)
+  };
+}
+
+export default {
+  parseArticleDate,
+  normalizeDate,
+  dateFromUrl,
+  extractArticleDates
+};
@@ -0,0 +1,79 @@
+// ============================================================
+// BYLINES
+// Splitting a byline into the people it credits: "A and B", "A, B & C",
+// "A और B". A dateline after the last name ("..., New Delhi") is dropped and
+// desk or department names ("Science & Technology Desk", "Dept. of Science
+// and Technology") stay whole.
+// ============================================================
+
+// Words joining co-authors in a byline ("A and B", "A और B", "A மற்றும் B", ...)
+const BYLINE_CONJUNCTIONS = [
+  'and',                      // English
+  'और', 'एवं', 'तथा', 'व',      // Hindi
+  'आणि',                      // Marathi
+  'மற்றும்',                   // Tamil
+  'మరియు',                    // Telugu
+  'ಮತ್ತು',                     // Kannada
+  'ഒപ്പം', 'കൂടാതെ',           // Malayalam
+  'এবং', 'ও',                 // Bengali
+  'અને',                      // Gujarati
+  'ਅਤੇ',                      // Punjabi
+  'ଏବଂ', 'ଓ',                 // Odia
+];
+
+// "&" or a conjunction, captured so split() keeps it
+const BYLINE_JOINER_REGEX = new RegExp(`(\\s*&\\s*|\\s+(?:${BYLINE_CONJUNCTIONS.join('|')})\\s+)`, 'i');
+
+// Words that make a byline part a desk or organisation rather than a person
+const ORG_WORDS = /\b(desk|bureau|team|staff|service|network|department|dept|ministry|office|institute|university|council|board|agency|agencies)\b/i;
+// "Dept. of Science", "Ministry of Health": the name goes on after a joiner
+const ORG_OF = /\b(department|dept|ministry|institute|university|council|board|office)\.?\s+of\s+/i;
+
+// Does "left <joiner> right" name one desk or organisation? "Science &
+// Technology Desk" (one word, then a desk) or "Dept. of Science and Technology"
+function joinsOrgName(left, right) {
+  if (ORG_OF.test(left) && !ORG_WORDS.test(right)) return true;
+  return !/\s/.test(left.trim()) && !ORG_WORDS.test(left) && ORG_WORDS.test(right);
+}
+
+/**
+ * Split a multi-author byline into names: "A and B", "A, B & C", "A और B".
+ * Commas separate names only before the last "&" or conjunction; after the
+ * last name they start a dateline ("Jane Doe and John Roe, New Delhi" ->
+ * ["Jane Doe", "John Roe"]), as they do in a single-name byline.
+ */
+export function splitByline(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const cleaned = text
+    .replace(/\s*\(?\s*(with\s+)?(agency\s+)?inputs?\s+from\s+.*$/i, '') // "... with inputs from PTI"
+    .replace(/\s+/g, ' ')
+    .replace(/^by\s+/i, '')
+    .trim();
+  if (!cleaned) return [];
+
+  // [part, joiner, part, joiner, part]: desk and organisation names are
+  // joined back up
+  const pieces = cleaned.split(BYLINE_JOINER_REGEX);
+  const parts = [pieces[0]];
+  let joined = false; // an organisation name takes in one joiner at most
+  for (let i = 1; i < pieces.length; i += 2) {
+    const right = pieces[i + 1] || '';
+    if (!joined && joinsOrgName(parts[parts.length - 1], right)) {
+      parts[parts.length - 1] += pieces[i] + right;
+      joined = true;
+    } else {
+      parts.push(right);
+      joined = false;
+    }
+  }
+
+  const last = parts.pop().split(',')[0];
+  return [...parts.flatMap(part => part.split(',')), last]
+    .map(part => part.replace(/^(by|and)\s+/i, '').trim())
+    .filter(Boolean);
+}
+
+export default {
+  splitByline
+};
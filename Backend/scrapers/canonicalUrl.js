@@ -0,0 +1,119 @@
+// ============================================================
+// CANONICAL URLS
+// One URL per page: tracking parameters dropped, AMP and mobile variants
+// folded into the desktop page, host lowercased, no fragment or trailing
+// slash. Pages that declare <link rel="canonical"> are trusted over all this.
+// ============================================================
+
+// Query parameters that only track where a click came from. Generic names
+// (from, ref, share...) stay: sites use them for offsets and content.
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'twclid', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', 'ref_src', 'ref_url', 'cmpid', 'ncid', 's_cid', '__twitter_impression'
+]);
+const TRACKING_PREFIXES = ['utm_', 'itm_', 'pk_', 'mtm_'];
+
+// Subdomains that serve the same pages as the main site
+const VARIANT_SUBDOMAIN = /^(m|mobile|amp)\./;
+
+function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+// "www.ndtv.com" / "m.ndtv.com" -> "ndtv.com"
+function bareHost(hostname) {
+  return hostname.toLowerCase().replace(VARIANT_SUBDOMAIN, '').replace(/^www\./, '');
+}
+
+/**
+ * Do two URLs (or hostnames) belong to the same site once www/AMP/mobile are ignored?
+ */
+export function isSameSite(a, b) {
+  try {
+    const hostA = a.includes('/') ? new URL(a).hostname : a;
+    const hostB = b.includes('/') ? new URL(b).hostname : b;
+    return bareHost(hostA) === bareHost(hostB);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Google AMP cache: https://www-ndtv-com.cdn.ampproject.org/c/s/www.ndtv.com/...
+function unwrapAmpCache(url) {
+  if (!url.hostname.endsWith('.cdn.ampproject.org')) return url;
+  const match = url.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+  if (!match) return url;
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${url.search}`);
+  } catch (e) {
+    return url;
+  }
+}
+
+// AMP paths: /amp/story, /story/amp, /story/amp/1, /story.amp, /story.amp.html, /amp_articleshow/1.cms
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/^\/amp(?=\/)/i, '')
+    .replace(/\/amp(\/\d+)?\/?$/i, '')
+    .replace(/\.amp(\.html?)?$/i, '$1')
+    .replace(/\/amp_([a-z]+)\//i, '/$1/')
+    || '/';
+}
+
+/**
+ * Canonical form of a URL (undefined when it isn't a valid http(s) URL).
+ * `base` resolves relative links; `preferredHost` (the outlet's hostname) is
+ * where AMP/mobile hosts of the same site are folded to. Without one they are
+ * kept: not every site has a www host.
+ */
+export function canonicalizeUrl(href, { base, preferredHost } = {}) {
+  if (!href || typeof href !== 'string') return undefined;
+
+  let url;
+  try {
+    url = unwrapAmpCache(new URL(href.trim(), base));
+  } catch (e) {
+    return undefined;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return undefined;
+
+  url.hash = '';
+  url.hostname = url.hostname.toLowerCase();
+  if (url.protocol === 'http:' && url.port === '80') url.port = '';
+
+  if (preferredHost && VARIANT_SUBDOMAIN.test(url.hostname) && isSameSite(preferredHost, url.hostname)) {
+    url.hostname = preferredHost.toLowerCase();
+  }
+
+  url.pathname = stripAmpPath(url.pathname);
+  if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '');
+
+  // Drop tracking parameters; sort the rest so their order doesn't matter
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+
+  return url.href;
+}
+
+/**
+ * Canonical URL a page declares (<link rel="canonical">, then og:url), if it
+ * is on the same site and isn't just the homepage
+ */
+export function pageCanonicalUrl($, pageUrl, options = {}) {
+  const declared = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content');
+  const canonical = canonicalizeUrl(declared, { base: pageUrl, ...options });
+  if (!canonical) return undefined;
+
+  const { pathname } = new URL(canonical);
+  if (pathname === '/' || !isSameSite(canonical, pageUrl)) return undefined;
+  return canonical;
+}
+
+export default {
+  canonicalizeUrl,
+  pageCanonicalUrl,
+  isSameSite
+};
@@ -0,0 +1,242 @@
+// ============================================================
+// COPY CLASSIFICATION
+// Who actually wrote an article: the outlet's own staff, a wire agency (PTI,
+// IANS, Reuters...), another outlet it was syndicated from, or an advertiser
+// (sponsored / brand content). Agency copy often carries a staff name that
+// only edited or published it, so the byline alone isn't enough: datelines
+// like "New Delhi, Sep 5 (PTI)", "with inputs from" phrases and copy notices
+// ("auto-generated from a syndicated feed") are read as well.
+// ============================================================
+
+// Wire agencies; `byline` matches the whole byline, `tag` a "(PTI)"-style dateline tag
+const AGENCIES = [
+  { name: 'PTI', byline: /^(pti|press trust of india)$/i, tag: /\(\s*pti\s*\)/i },
+  { name: 'IANS', byline: /^(ians|indo[- ]asian news service)$/i, tag: /\(\s*ians\s*\)/i },
+  { name: 'ANI', byline: /^(ani|asian news international)$/i, tag: /\(\s*ani\s*\)/i },
+  { name: 'UNI', byline: /^(uni|united news of india)$/i, tag: /\(\s*uni\s*\)/i },
+  { name: 'Reuters', byline: /^(reuters|thomson reuters)$/i, tag: /\(\s*reuters\s*\)/i },
+  { name: 'AP', byline: /^(ap|associated press|the associated press)$/i, tag: /\(\s*AP\s*\)/ },
+  { name: 'AFP', byline: /^(afp|agence france[- ]presse)$/i, tag: /\(\s*afp\s*\)/i },
+  { name: 'Bloomberg', byline: /^bloomberg( news)?$/i, tag: /\(\s*bloomberg\s*\)/i },
+  { name: 'Xinhua', byline: /^xinhua$/i, tag: /\(\s*xinhua\s*\)/i },
+  { name: 'DPA', byline: /^dpa$/i, tag: /\(\s*dpa\s*\)/i },
+  { name: 'Agencies', byline: /^(agency|agencies|wire|wires|news agencies)$/i, tag: /\(\s*agencies\s*\)/i },
+];
+
+// Press-release wires are paid placements
+const PRESS_RELEASE_BYLINE = /^(newsvoir|pr newswire|business wire|globe newswire|mediawire|press release|pr)$/i;
+
+const SPONSORED_PATH = /\/(sponsored|brand-?(stories|connect|solutions|desk|studio|post)|partner-?(content|feature)s?|advertorial|impact-?feature|spotlight|brandwire|press-?releases?|pr-?wire)(\/|$)/i;
+const SPONSORED_BYLINE = /^(brand\s*(desk|studio|connect|post)|partner content|impact feature|(ht|et|toi|mint)?\s*spotlight|sponsored( content)?|advertorial|marketing feature|special arrangement)$/i;
+const SPONSORED_NOTICE = /\b(this (is an?|article is an?|content is) (sponsored|paid|advertorial|partnered|promotional)|sponsored (content|post|feature|article)|advertorial|brand connect initiative|impact feature|partnered feature|paid (content|promotion|feature)|this is a press release|content (is|has been) provided by the (advertiser|brand|sponsor)|(produced|created) (in partnership|on behalf of))\b/i;
+
+// Agency copy republished as-is: "(This story has not been edited by NDTV staff
+// and is auto-generated from a syndicated feed.)", Mint's "published from a
+// wire agency feed without modifications to the text"
+const AGENCY_NOTICE = /(auto-?generated from a syndicated feed|published from a (wire )?agency feed|from a syndicated (news )?feed|wire agency feed without modification|has not been edited by [\w .&'-]{2,40} staff)/i;
+
+// "with inputs from PTI", "(With agency inputs)", "- with inputs from IANS and Reuters"
+const INPUTS_FROM = /\bwith\s+(?:(?:agency|agencies'?)\s+)?inputs?\s*(?:from\s+([^.\n)]{2,80}))?/i;
+
+// "This article first appeared on Scroll.in", "originally published in The Conversation"
+const SYNDICATION_NOTICE = /\b(?:first (?:appeared|published)|originally (?:appeared|published)|was originally published|republished|re-published|syndicated)\s+(?:on|in|by|from|with permission from)\s+(?:the\s+)?([A-Z][\w&'-]*(?:\.[a-z]{2,6})?(?:\s+[A-Z][\w&'-]*(?:\.[a-z]{2,6})?){0,4})/;
+
+function clean(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// "By PTI", "PTI | New Delhi", "Reuters Staff" -> agency
+function bylineAgency(byline) {
+  const text = clean(byline)
+    .replace(/^(by|from|via|source:?|written by)\s+/i, '')
+    .split(/\s*[|,–—-]\s+|\s*\|\s*/)[0]
+    .replace(/\s+(staff|desk|bureau|news desk|online desk)$/i, '')
+    .trim();
+  return AGENCIES.find(agency => agency.byline.test(text)) || null;
+}
+
+// Agencies named in a "with inputs from ..." phrase ("agency inputs" -> Agencies;
+// "inputs from our Lucknow bureau" -> none)
+function agenciesInInputs(phrase) {
+  const parts = phrase.split(/\s*(?:,|&|\band\b)\s*/i).map(part => part.trim());
+  const named = AGENCIES.filter(agency => agency.name !== 'Agencies' && parts.some(part => agency.byline.test(part)));
+  if (named.length > 0) return named.map(agency => agency.name);
+  return /agenc|wires?\b/i.test(phrase) ? ['Agencies'] : [];
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Raw byline strings of a page, before any name validation: JSON-LD author /
+ * creator (Organizations included), author meta tags and byline elements
+ */
+export function pageBylines($) {
+  const bylines = [];
+  const addAuthor = (value) => {
+    for (const entry of [].concat(value || [])) {
+      const name = typeof entry === 'string' ? entry : entry?.name;
+      if (name) bylines.push(clean(name));
+    }
+  };
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const data = JSON.parse($(el).html());
+      for (const item of [].concat(data, data?.['@graph'] || [])) {
+        if (!item || typeof item !== 'object') continue;
+        addAuthor(item.author);
+        addAuthor(item.creator);
+      }
+    } catch (e) {}
+  });
+
+  $('meta[name="author"], meta[property="article:author"], meta[name="byl"], meta[name="parsely-author"]').each((i, el) => {
+    const content = $(el).attr('content');
+    if (content && !/^https?:/i.test(content)) bylines.push(clean(content));
+  });
+
+  $('.byline, .author, .author-name, [itemprop="author"], [class*="byline"], .story-author, .article-author').slice(0, 10).each((i, el) => {
+    const text = clean($(el).text());
+    if (text && text.length < 150) bylines.push(text);
+  });
+
+  return [...new Set(bylines.filter(Boolean))];
+}
+
+/**
+ * Classify an article's copy.
+ *   $          cheerio document of the article page (optional)
+ *   url        article URL
+ *   bylines    raw byline strings (defaults to pageBylines($))
+ *   body       main text, for datelines and notices
+ * Returns { copyType: 'staff' | 'agency' | 'syndicated' | 'sponsored',
+ *           agencies: [..], syndicatedFrom, signals: [..] }
+ */
+export function classifyCopy({ $ = null, url = '', bylines = null, body = '' } = {}) {
+  const signals = [];
+  const agencies = new Set();
+  const byline = bylines || ($ ? pageBylines($) : []);
+
+  // Notices sit in small print around the body that boilerplate removal may drop
+  const noticeText = clean([
+    ...(body.length > 1200 ? [body.slice(0, 400), body.slice(-800)] : [body]),
+    $ ? $('[class*="disclaimer"], [class*="syndicat"], [class*="sponsor"], [class*="brand"], .note, em, i, small').slice(0, 40).text() : ''
+  ].join(' '));
+
+  // ---------------- Sponsored / brand content ----------------
+  let sponsored = false;
+  let pathname = '';
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {}
+  if (SPONSORED_PATH.test(pathname)) {
+    sponsored = true;
+    signals.push('sponsored-url');
+  }
+  if (byline.some(b => SPONSORED_BYLINE.test(b) || PRESS_RELEASE_BYLINE.test(b.replace(/^by\s+/i, '')))) {
+    sponsored = true;
+    signals.push('sponsored-byline');
+  }
+  if (SPONSORED_NOTICE.test(noticeText)) {
+    sponsored = true;
+    signals.push('sponsored-notice');
+  }
+  if ($ && /sponsored|advertorial|partner/i.test($('meta[property="article:content_tier"], meta[name="content-type"], meta[property="article:section"]').attr('content') || '')) {
+    sponsored = true;
+    signals.push('sponsored-meta');
+  }
+
+  // ---------------- Wire agency copy ----------------
+  let agencyCopy = false;
+  const personBylines = [];
+  for (const b of byline) {
+    const agency = bylineAgency(b);
+    if (agency) {
+      agencies.add(agency.name);
+      agencyCopy = true;
+      if (!signals.includes('agency-byline')) signals.push('agency-byline');
+    } else {
+      // "Jane Doe (PTI)" or "Jane Doe, Reuters": a named agency reporter
+      const tagged = AGENCIES.find(agency => agency.tag.test(b) || (agency.name !== 'AP' && new RegExp(`,\\s*${agency.name}$`, 'i').test(b)));
+      if (tagged && !INPUTS_FROM.test(b)) {
+        agencies.add(tagged.name);
+        agencyCopy = true;
+        if (!signals.includes('agency-byline')) signals.push('agency-byline');
+      } else {
+        personBylines.push(b);
+      }
+    }
+  }
+
+  // Dateline: "New Delhi, Sep 5 (PTI) -" in the opening words
+  const opening = body.slice(0, 200);
+  for (const agency of AGENCIES) {
+    const tagAt = opening.search(agency.tag);
+    if (tagAt !== -1 && tagAt < 120) {
+      agencies.add(agency.name);
+      agencyCopy = true;
+      signals.push('agency-dateline');
+      break;
+    }
+  }
+
+  if (AGENCY_NOTICE.test(noticeText)) {
+    agencyCopy = true;
+    signals.push('agency-notice');
+  }
+
+  // "with inputs from PTI": staff copy that used agency material, unless nobody
+  // from the outlet is credited at all
+  const inputs = [...byline, noticeText].map(text => INPUTS_FROM.exec(text)).find(Boolean);
+  const inputAgencies = inputs ? agenciesInInputs(inputs[1] || inputs[0]) : [];
+  if (inputAgencies.length > 0) {
+    inputAgencies.forEach(name => agencies.add(name));
+    signals.push('agency-inputs');
+    if (personBylines.length === 0 && byline.length > 0) agencyCopy = true;
+  }
+
+  // ---------------- Syndicated from another outlet ----------------
+  let syndicatedFrom = null;
+  const articleHost = hostOf(url);
+  if ($) {
+    const canonical = $('link[rel="canonical"]').attr('href');
+    const source = $('meta[name="syndication-source"], meta[name="original-source"], link[rel="original-source"]').first();
+    for (const [candidate, signal] of [[canonical, 'cross-site-canonical'], [source.attr('content') || source.attr('href'), 'syndication-source']]) {
+      let absolute = null;
+      try {
+        absolute = candidate ? new URL(candidate, url).href : null;
+      } catch (e) {}
+      const host = hostOf(absolute);
+      if (host && articleHost && host !== articleHost && !host.endsWith(`.${articleHost}`) && !articleHost.endsWith(`.${host}`)) {
+        syndicatedFrom = host;
+        signals.push(signal);
+        break;
+      }
+    }
+  }
+  if (!syndicatedFrom) {
+    const notice = SYNDICATION_NOTICE.exec(noticeText);
+    if (notice && !AGENCIES.some(agency => agency.byline.test(notice[1]))) {
+      syndicatedFrom = notice[1].replace(/[.,;:]+$/, '');
+      signals.push('syndication-notice');
+    }
+  }
+
+  const copyType = sponsored ? 'sponsored'
+    : agencyCopy ? 'agency'
+    : syndicatedFrom ? 'syndicated'
+    : 'staff';
+
+  return { copyType, agencies: [...agencies], syndicatedFrom, signals };
+}
+
+export default {
+  pageBylines,
+  classifyCopy
+};
@@ -0,0 +1,551 @@
+import { articlesFromJson } from "./profilePagination.js";
+
+// ============================================================
+// EMBEDDED STATE
+// JS-rendered outlets ship the page's data as a hydration payload instead of
+// HTML: <script id="__NEXT_DATA__">, window.__INITIAL_STATE__ = {...}, Nuxt's
+// window.__NUXT__ / #__NUXT_DATA__, or inline application/json blocks. Reading
+// those gives the bylines, profile links and article lists cheerio can't see,
+// without a headless browser. Payloads are parsed, never executed.
+// ============================================================
+
+const MAX_SCRIPT_LENGTH = 5 * 1024 * 1024;
+const MAX_DEPTH = 40;
+
+// window.<name> = ... for names that hold page state
+const STATE_ASSIGNMENT = /(?:window|self|globalThis)(?:\.|\[\s*["'])([A-Za-z_$][\w$]*)(?:["']\s*\])?\s*=\s*|(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=\s*/g;
+const STATE_NAME = /^__[A-Z0-9_]+__$|state|data|props|payload|store|cache|context/i;
+
+// ============================================================
+// JS LITERAL PARSER
+// Hydration scripts are JSON with JS syntax on top: unquoted keys, single
+// quotes, undefined, void 0, JSON.parse("...") and (Nuxt 2) identifiers bound
+// by a wrapping function. This reads those; anything else throws.
+// ============================================================
+
+const REF = Symbol('ref');
+
+function parseLiteral(text, start, resolveIdentifier = () => null) {
+  let i = start;
+
+  const fail = (message) => {
+    throw new Error(`${message} at ${i}`);
+  };
+
+  const skipSpace = () => {
+    for (;;) {
+      while (i < text.length && /\s/.test(text[i])) i++;
+      if (text.startsWith('//', i)) {
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end;
+      } else if (text.startsWith('/*', i)) {
+        const end = text.indexOf('*/', i + 2);
+        i = end === -1 ? text.length : end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const readString = () => {
+    const quote = text[i++];
+    let out = '';
+    while (i < text.length && text[i] !== quote) {
+      let c = text[i++];
+      if (quote === '`' && c === '$' && text[i] === '{') fail('Template expression');
+      if (c === '\\') {
+        c = text[i++];
+        if (c === 'n') out += '\n';
+        else if (c === 't') out += '\t';
+        else if (c === 'r') out += '\r';
+        else if (c === 'b') out += '\b';
+        else if (c === 'f') out += '\f';
+        else if (c === 'v') out += '\v';
+        else if (c === '0' && !/\d/.test(text[i])) out += '\0';
+        else if (c === 'x') {
+          out += String.fromCharCode(parseInt(text.substr(i, 2), 16));
+          i += 2;
+        } else if (c === 'u' && text[i] === '{') {
+          const end = text.indexOf('}', i);
+          out += String.fromCodePoint(parseInt(text.slice(i + 1, end), 16));
+          i = end + 1;
+        } else if (c === 'u') {
+          out += String.fromCharCode(parseInt(text.substr(i, 4), 16));
+          i += 4;
+        } else if (c === '\r' || c === '\n') {
+          if (c === '\r' && text[i] === '\n') i++; // Line continuation
+        } else {
+          out += c;
+        }
+      } else {
+        out += c;
+      }
+    }
+    if (text[i] !== quote) fail('Unterminated string');
+    i++;
+    return out;
+  };
+
+  const readNumber = () => {
+    const match = /^[-+]?(?:0x[\da-f]+|(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?|Infinity)/i.exec(text.slice(i, i + 64));
+    if (!match) fail('Bad number');
+    i += match[0].length;
+    return Number(match[0]);
+  };
+
+  const readIdentifier = () => {
+    const match = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/.exec(text.slice(i, i + 256));
+    if (!match) fail(`Unexpected "${text[i]}"`);
+    i += match[0].length;
+    return match[0];
+  };
+
+  // Skip a balanced (...) group, e.g. the arguments of new Date(...)
+  const skipParens = () => {
+    skipSpace();
+    if (text[i] !== '(') return;
+    let depth = 0;
+    do {
+      const c = text[i];
+      if (c === '"' || c === "'" || c === '`') {
+        readString();
+        continue;
+      }
+      if (c === '(') depth++;
+      if (c === ')') depth--;
+      i++;
+    } while (depth > 0 && i < text.length);
+  };
+
+  const readValue = (depth) => {
+    if (depth > MAX_DEPTH) fail('Too deep');
+    skipSpace();
+    const c = text[i];
+    if (c === '{') return readObject(depth);
+    if (c === '[') return readArray(depth);
+    if (c === '"' || c === "'" || c === '`') return readString();
+    if (c === '!' && /^!\s*[01]/.test(text.slice(i, i + 3))) { // Minified true / false
+      i++;
+      return readNumber() === 0;
+    }
+    if (/[-+.\d]/.test(c)) return readNumber();
+
+    const name = readIdentifier();
+    switch (name) {
+      case 'true': return true;
+      case 'false': return false;
+      case 'null': return null;
+      case 'undefined': return undefined;
+      case 'NaN': return null;
+      case 'Infinity': return Infinity;
+      case 'void':
+        readValue(depth + 1);
+        return undefined;
+      case 'new': { // new Date("...") keeps its date string
+        skipSpace();
+        const constructor = readIdentifier();
+        skipSpace();
+        const open = i;
+        if (constructor === 'Date' && text[i] === '(') {
+          i++;
+          skipSpace();
+          if (text[i] === '"' || text[i] === "'") {
+            const date = readString();
+            skipSpace();
+            if (text[i] === ')') {
+              i++;
+              return date;
+            }
+          }
+          i = open;
+        }
+        skipParens();
+        return null;
+      }
+      case 'JSON.parse': {
+        skipSpace();
+        if (text[i++] !== '(') fail('Expected (');
+        const json = readValue(depth + 1);
+        skipSpace();
+        if (text[i++] !== ')') fail('Expected )');
+        return typeof json === 'string' ? JSON.parse(json) : json;
+      }
+      default:
+        return resolveIdentifier(name);
+    }
+  };
+
+  const readObject = (depth) => {
+    const obj = {};
+    i++;
+    for (;;) {
+      skipSpace();
+      if (text[i] === '}') {
+        i++;
+        return obj;
+      }
+      const c = text[i];
+      const key = c === '"' || c === "'" ? readString() : /[\d.]/.test(c) ? String(readNumber()) : readIdentifier();
+      skipSpace();
+      if (text[i] === ':') {
+        i++;
+        obj[key] = readValue(depth + 1);
+      } else {
+        obj[key] = resolveIdentifier(key); // { a, b } shorthand
+      }
+      skipSpace();
+      if (text[i] === ',') i++;
+      else if (text[i] !== '}') fail('Expected , or }');
+    }
+  };
+
+  const readArray = (depth) => {
+    const arr = [];
+    i++;
+    for (;;) {
+      skipSpace();
+      if (text[i] === ']') {
+        i++;
+        return arr;
+      }
+      if (text[i] === ',') { // Hole
+        arr.push(undefined);
+        i++;
+        continue;
+      }
+      arr.push(readValue(depth + 1));
+      skipSpace();
+      if (text[i] === ',') i++;
+      else if (text[i] !== ']') fail('Expected , or ]');
+    }
+  };
+
+  const value = readValue(0);
+  return { value, end: i, skipSpace: () => { skipSpace(); return i; } };
+}
+
+// Replace Nuxt 2 parameter references with the arguments they were bound to
+function bindReferences(value, bindings, depth = 0) {
+  if (depth > MAX_DEPTH || value == null || typeof value !== 'object') return value;
+  if (value[REF]) return bindings.has(value[REF]) ? bindings.get(value[REF]) : null;
+  for (const key of Object.keys(value)) value[key] = bindReferences(value[key], bindings, depth + 1);
+  return value;
+}
+
+/**
+ * Nuxt 2: window.__NUXT__=(function(a,b,c){return {...}}(1,"x",null))
+ */
+function parseNuxtFunction(text, start) {
+  const head = /^\s*\(?\s*function\s*\(([^)]*)\)\s*\{/.exec(text.slice(start, start + 4000));
+  if (!head) return undefined;
+
+  const params = head[1].split(',').map(p => p.trim()).filter(Boolean);
+  const bodyStart = start + head[0].length;
+  const returnAt = text.indexOf('return', bodyStart);
+  if (returnAt === -1) return undefined;
+
+  const body = parseLiteral(text, returnAt + 'return'.length, name => ({ [REF]: name }));
+  let i = body.skipSpace();
+  if (text[i] === ';') i++;
+  while (/\s/.test(text[i] || '')) i++;
+  if (text[i++] !== '}') return undefined;
+  while (/[\s)]/.test(text[i] || '')) i++;
+  if (text[i++] !== '(') return undefined;
+
+  const args = [];
+  for (;;) {
+    while (/\s/.test(text[i] || '')) i++;
+    if (text[i] === ')' || i >= text.length) break;
+    const arg = parseLiteral(text, i);
+    args.push(arg.value);
+    i = arg.skipSpace();
+    if (text[i] === ',') i++;
+  }
+
+  return bindReferences(body.value, new Map(params.map((name, idx) => [name, args[idx]])));
+}
+
+/**
+ * Nuxt 3 #__NUXT_DATA__ (devalue): a flat array where every object value and
+ * array item is an index into the array, and ["Type", ...] marks special values
+ */
+function reviveDevalue(payload) {
+  if (!Array.isArray(payload)) return payload;
+  const revived = new Map();
+
+  const hydrate = (index, depth) => {
+    if (typeof index !== 'number' || index < 0 || depth > MAX_DEPTH) return undefined;
+    if (revived.has(index)) return revived.get(index);
+
+    const value = payload[index];
+    if (!value || typeof value !== 'object') return value;
+
+    if (Array.isArray(value)) {
+      if (typeof value[0] === 'string') {
+        const [type, ...args] = value;
+        if (type === 'Date' || type === 'BigInt' || type === 'RegExp') return args[0];
+        if (type === 'Set') return args.map(arg => hydrate(arg, depth + 1));
+        if (type === 'Map' || type === 'null') {
+          const obj = {};
+          for (let k = 0; k < args.length; k += 2) {
+            obj[type === 'Map' ? hydrate(args[k], depth + 1) : args[k]] = hydrate(args[k + 1], depth + 1);
+          }
+          return obj;
+        }
+        return hydrate(args[0], depth + 1); // Reactive, Ref, ShallowReactive, NuxtError...
+      }
+      const arr = [];
+      revived.set(index, arr);
+      for (const item of value) arr.push(hydrate(item, depth + 1));
+      return arr;
+    }
+
+    const obj = {};
+    revived.set(index, obj);
+    for (const [key, item] of Object.entries(value)) obj[key] = hydrate(item, depth + 1);
+    return obj;
+  };
+
+  return hydrate(0, 0);
+}
+
+// Apollo's normalized cache (window.__APOLLO_STATE__) links entities with
+// { __ref: "Author:12" }; point those at the entities themselves
+function resolveApolloRefs(data) {
+  if (!data || typeof data !== 'object' || !Object.values(data).some(v => v?.__typename)) return data;
+  const isRef = (v) => v && typeof v === 'object' && typeof v.__ref === 'string' && Object.keys(v).length === 1;
+  const seen = new Set();
+
+  const link = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > MAX_DEPTH || seen.has(value)) return;
+    seen.add(value);
+    for (const [key, child] of Object.entries(value)) {
+      if (isRef(child) && data[child.__ref]) value[key] = data[child.__ref];
+      else link(child, depth + 1);
+    }
+  };
+  link(data, 0);
+  return data;
+}
+
+// ============================================================
+// FINDING PAYLOADS
+// ============================================================
+
+const statesCache = new WeakMap();
+
+/**
+ * Every hydration payload on a page: [{ source, data }] where source is
+ * next-data, nuxt-data, nuxt, window-state or json-script
+ */
+export function extractEmbeddedStates($) {
+  if (statesCache.has($)) return statesCache.get($);
+  const states = [];
+
+  $('script').each((i, el) => {
+    const $el = $(el);
+    const type = ($el.attr('type') || '').toLowerCase();
+    const id = $el.attr('id') || '';
+    const text = $el.html() || '';
+    if (!text.trim() || text.length > MAX_SCRIPT_LENGTH || type === 'application/ld+json') return;
+
+    try {
+      if (id === '__NEXT_DATA__') {
+        states.push({ source: 'next-data', data: JSON.parse(text) });
+      } else if (id === '__NUXT_DATA__') {
+        states.push({ source: 'nuxt-data', data: reviveDevalue(JSON.parse(text)) });
+      } else if (type === 'application/json') {
+        states.push({ source: 'json-script', data: JSON.parse(text) });
+      } else if (!type || /javascript|ecmascript|module/.test(type)) {
+        for (const match of text.matchAll(STATE_ASSIGNMENT)) {
+          const name = match[1] || match[2];
+          if (!STATE_NAME.test(name)) continue;
+          const start = match.index + match[0].length;
+
+          let data;
+          try {
+            data = name === '__NUXT__' && /^\s*\(?\s*function/.test(text.slice(start, start + 50))
+              ? parseNuxtFunction(text, start)
+              : parseLiteral(text, start).value;
+          } catch (e) {
+            continue;
+          }
+          if (data && typeof data === 'object') {
+            states.push({ source: name === '__NUXT__' ? 'nuxt' : 'window-state', data: resolveApolloRefs(data) });
+          }
+        }
+      }
+    } catch (e) {
+      // Not a payload we can read
+    }
+  });
+
+  statesCache.set($, states);
+  return states;
+}
+
+// ============================================================
+// AUTHORS AND ARTICLES
+// ============================================================
+
+const AUTHOR_KEYS = ['author', 'authors', 'byline', 'bylines', 'writer', 'writers', 'reporter', 'reporters',
+  'contributor', 'contributors', 'creator', 'creators', 'authorDetails', 'author_details', 'authorInfo', 'author_info'];
+const NAME_KEYS = ['name', 'displayName', 'display_name', 'fullName', 'full_name', 'authorName', 'author_name', 'title'];
+const PROFILE_KEYS = ['profileUrl', 'profile_url', 'authorUrl', 'author_url', 'url', 'link', 'permalink', 'href', 'canonical_url'];
+const STORY_URL_KEYS = ['url', 'link', 'permalink', 'canonical_url', 'canonicalUrl', 'shareUrl', 'share_url', 'webUrl', 'weburl'];
+const HEADLINE_KEYS = ['headline', 'title', 'heading', 'seoTitle', 'seo_title'];
+const PROFILE_PATH = /\/(authors?|profiles?|journalists?|writers?|reporters?|columnists?|agency)\//i;
+const NON_STORY_PATH = /\/(authors?|profiles?|journalists?|writers?|reporters?|columnists?|tags?|topics?|category|categories|search)\//i;
+
+function stringAt(obj, keys) {
+  for (const key of keys) {
+    const value = obj?.[key];
+    if (typeof value === 'string' && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+function resolveHref(href, base) {
+  if (!href || /^(#|javascript:|mailto:)/i.test(href)) return null;
+  try {
+    const url = new URL(href, base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Authors under one author key: "A and B", { name, url }, [{ name }, ...]
+function authorEntries(value, base) {
+  return [].concat(value || []).flatMap(entry => {
+    if (typeof entry === 'string') return [{ name: entry.trim(), profileUrl: null }];
+    if (!entry || typeof entry !== 'object') return [];
+    const name = stringAt(entry, NAME_KEYS);
+    if (!name) return [];
+    const href = stringAt(entry, PROFILE_KEYS);
+    const slug = stringAt(entry, ['slug']);
+    return [{
+      name,
+      profileUrl: resolveHref(href, base) || (slug && PROFILE_PATH.test(slug) ? resolveHref(slug, base) : null)
+    }];
+  }).filter(a => a.name && a.name.length < 150);
+}
+
+// Visit every object in a payload (cycle- and depth-safe)
+function walkObjects(data, visit) {
+  const seen = new Set();
+  const walk = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > MAX_DEPTH || seen.has(value)) return;
+    seen.add(value);
+    if (!Array.isArray(value)) visit(value);
+    for (const child of Object.values(value)) walk(child, depth + 1);
+  };
+  walk(data, 0);
+}
+
+function comparableText(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+}
+
+function samePage(a, b) {
+  try {
+    const urlA = new URL(a);
+    const urlB = new URL(b);
+    return urlA.pathname.replace(/\/+$/, '') === urlB.pathname.replace(/\/+$/, '');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Byline of the article a page is about: [{ name, profileUrl }]. Payloads also
+ * list related stories with their own authors, so the story is picked by its
+ * URL or headline; without a match, authors are only trusted when every story
+ * in the payload agrees on them.
+ */
+export function embeddedBylines($, pageUrl) {
+  const pageTitles = [
+    $('meta[property="og:title"]').attr('content'),
+    $('h1').first().text(),
+    $('title').first().text()
+  ].map(comparableText).filter(Boolean);
+
+  const stories = [];
+  for (const { data } of extractEmbeddedStates($)) {
+    walkObjects(data, obj => {
+      const key = AUTHOR_KEYS.find(k => obj[k]);
+      if (!key) return;
+      const authors = authorEntries(obj[key], pageUrl);
+      if (authors.length > 0) stories.push({ obj, authors });
+    });
+  }
+  if (stories.length === 0) return [];
+
+  const byUrl = stories.find(({ obj }) => {
+    const href = resolveHref(stringAt(obj, STORY_URL_KEYS), pageUrl);
+    return href && samePage(href, pageUrl);
+  });
+  if (byUrl) return byUrl.authors;
+
+  const byHeadline = stories.find(({ obj }) => {
+    const headline = comparableText(stringAt(obj, HEADLINE_KEYS));
+    return headline.length > 10 && pageTitles.some(title => title === headline || title.startsWith(headline));
+  });
+  if (byHeadline) return byHeadline.authors;
+
+  const signature = (authors) => authors.map(a => a.name.toLowerCase()).sort().join('|');
+  const first = signature(stories[0].authors);
+  return stories.every(story => signature(story.authors) === first) ? stories[0].authors : [];
+}
+
+/**
+ * Every author a payload mentions (directory and listing pages): [{ name, profileUrl }]
+ */
+export function embeddedAuthors($, pageUrl) {
+  const found = new Map();
+  const add = ({ name, profileUrl }) => {
+    const key = name.toLowerCase();
+    if (!found.has(key) || (!found.get(key).profileUrl && profileUrl)) found.set(key, { name, profileUrl });
+  };
+
+  for (const { data } of extractEmbeddedStates($)) {
+    walkObjects(data, obj => {
+      const key = AUTHOR_KEYS.find(k => obj[k]);
+      if (key) authorEntries(obj[key], pageUrl).forEach(add);
+
+      // Directory listings: { name, url: "/author/jane-doe" } without an author key
+      const href = resolveHref(stringAt(obj, PROFILE_KEYS), pageUrl);
+      const name = stringAt(obj, NAME_KEYS);
+      if (name && href && PROFILE_PATH.test(new URL(href).pathname)) add({ name, profileUrl: href });
+    });
+  }
+  return [...found.values()];
+}
+
+/**
+ * Stories listed in a page's payloads: [{ title, url, publishDate, modifiedDate }]
+ * with absolute URLs. Navigation entries, tag and author pages are left out.
+ */
+export function embeddedArticles($, pageUrl) {
+  const articles = [];
+  const seen = new Set();
+
+  for (const { data } of extractEmbeddedStates($)) {
+    for (const item of articlesFromJson(data).items) {
+      const url = resolveHref(item.url, pageUrl);
+      if (!url || seen.has(url) || item.title.length < 15) continue;
+      const { pathname } = new URL(url);
+      if (pathname.length < 15 || NON_STORY_PATH.test(pathname)) continue;
+      seen.add(url);
+      articles.push({ ...item, url });
+    }
+  }
+  return articles;
+}
+
+export default {
+  extractEmbeddedStates,
+  embeddedBylines,
+  embeddedAuthors,
+  embeddedArticles
+};
@@ -0,0 +1,263 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+// ============================================================
+// ON-DISK HTTP CACHE
+// One JSON file per URL. Fresh entries are served without touching the
+// network; stale entries are revalidated with If-None-Match /
+// If-Modified-Since and reused when the server answers 304.
+// The directory is pruned at most once per PRUNE_INTERVAL_MS (after a write):
+// entries not refreshed for SCRAPER_CACHE_MAX_AGE_DAYS go first, then the least
+// recently stored ones until it is under SCRAPER_CACHE_MAX_MB.
+// ============================================================
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CACHE_DIR = process.env.SCRAPER_CACHE_DIR || path.join(__dirname, '..', '.cache', 'http');
+const CACHE_ENABLED = process.env.SCRAPER_CACHE !== 'off';
+const MAX_CACHE_BYTES = (parseInt(process.env.SCRAPER_CACHE_MAX_MB) || 500) * 1024 * 1024;
+const MAX_ENTRY_AGE_MS = (parseInt(process.env.SCRAPER_CACHE_MAX_AGE_DAYS) || 60) * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const TMP_MAX_AGE_MS = 60 * 60 * 1000; // Leftovers of writes that never got renamed
+
+// How long an entry is fresh, in seconds, per resource type.
+// Override with SCRAPER_CACHE_TTL_<TYPE>, e.g. SCRAPER_CACHE_TTL_FEED=300
+const DEFAULT_TTLS = {
+  feed: 15 * 60,
+  sitemap: 60 * 60,
+  homepage: 30 * 60,
+  section: 60 * 60,
+  directory: 24 * 60 * 60,
+  article: 30 * 24 * 60 * 60,
+  profile: 7 * 24 * 60 * 60,
+  search: 0,
+  default: 60 * 60
+};
+
+export const RESOURCE_TYPES = Object.keys(DEFAULT_TTLS).filter(t => t !== 'default');
+
+/**
+ * Freshness lifetime for a resource type, in milliseconds
+ */
+export function getCacheTtl(resourceType = 'default') {
+  const type = DEFAULT_TTLS[resourceType] !== undefined ? resourceType : 'default';
+  const override = parseInt(process.env[`SCRAPER_CACHE_TTL_${type.toUpperCase()}`]);
+  return (isNaN(override) ? DEFAULT_TTLS[type] : override) * 1000;
+}
+
+export function isCacheEnabled() {
+  return CACHE_ENABLED;
+}
+
+function cacheFile(url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex');
+  return path.join(CACHE_DIR, hash.slice(0, 2), `${hash}.json`);
+}
+
+/**
+ * Read a cache entry (null when missing or unreadable)
+ */
+export async function readCacheEntry(url) {
+  if (!CACHE_ENABLED) return null;
+
+  try {
+    const entry = JSON.parse(await fs.readFile(cacheFile(url), 'utf8'));
+    return entry.url === url ? entry : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Store a response. Returns false for bodies we can't serialize.
+ */
+export async function writeCacheEntry(url, response, resourceType = 'default') {
+  if (!CACHE_ENABLED) return false;
+  if (response.status < 200 || response.status >= 300) return false;
+
+  let data = response.data;
+  let encoding = 'json';
+  if (Buffer.isBuffer(data)) {
+    data = data.toString('base64');
+    encoding = 'base64';
+  } else if (typeof data === 'string') {
+    encoding = 'text';
+  } else if (data === null || typeof data !== 'object') {
+    return false;
+  }
+
+  const headers = response.headers || {};
+  const entry = {
+    url,
+    resourceType,
+    status: response.status,
+    headers: {
+      'content-type': headers['content-type'] || null,
+      etag: headers.etag || null,
+      'last-modified': headers['last-modified'] || null
+    },
+    encoding,
+    data,
+    storedAt: Date.now()
+  };
+
+  const file = cacheFile(url);
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so concurrent readers never see half a file
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entry));
+    await fs.rename(tmp, file);
+    schedulePrune();
+    return true;
+  } catch (err) {
+    console.log(`   ⚠️ Could not write HTTP cache for ${url}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Mark an entry fresh again after a 304
+ */
+export async function touchCacheEntry(entry) {
+  entry.storedAt = Date.now();
+  const file = cacheFile(entry.url);
+  try {
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entry));
+    await fs.rename(tmp, file);
+  } catch (err) {
+    // Entry stays stale and is revalidated again next time
+  }
+}
+
+// ============================================================
+// PRUNING
+// ============================================================
+
+let lastPruneAt = 0;
+let pruning = null;
+
+async function listCacheFiles() {
+  const files = [];
+  let buckets;
+  try {
+    buckets = await fs.readdir(CACHE_DIR);
+  } catch (err) {
+    return files; // Nothing cached yet
+  }
+
+  for (const bucket of buckets) {
+    let names;
+    try {
+      names = await fs.readdir(path.join(CACHE_DIR, bucket));
+    } catch (err) {
+      continue;
+    }
+    for (const name of names) {
+      const file = path.join(CACHE_DIR, bucket, name);
+      try {
+        const { size, mtimeMs } = await fs.stat(file);
+        files.push({ file, size, mtimeMs, tmp: name.endsWith('.tmp') });
+      } catch (err) {
+        // Removed by a concurrent prune or rename
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Remove expired entries, then the oldest ones until the cache fits in
+ * `maxBytes`. Returns { removed, freedBytes, remainingBytes }.
+ */
+export async function pruneCache({ maxBytes = MAX_CACHE_BYTES, maxAgeMs = MAX_ENTRY_AGE_MS } = {}) {
+  const now = Date.now();
+  const files = await listCacheFiles();
+  let totalBytes = files.reduce((sum, f) => sum + f.size, 0);
+  let removed = 0;
+  let freedBytes = 0;
+
+  const remove = async (entry) => {
+    try {
+      await fs.unlink(entry.file);
+      removed++;
+      freedBytes += entry.size;
+      totalBytes -= entry.size;
+    } catch (err) {
+      // Already gone
+    }
+  };
+
+  // Oldest first; mtime is when the entry was last stored or revalidated
+  files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  const kept = [];
+  for (const entry of files) {
+    const age = now - entry.mtimeMs;
+    if (age > (entry.tmp ? TMP_MAX_AGE_MS : maxAgeMs)) await remove(entry);
+    else if (!entry.tmp) kept.push(entry);
+  }
+
+  for (const entry of kept) {
+    if (totalBytes <= maxBytes) break;
+    await remove(entry);
+  }
+
+  return { removed, freedBytes, remainingBytes: totalBytes };
+}
+
+// Kick off a prune in the background if the last one is old enough
+function schedulePrune() {
+  if (pruning || Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = Date.now();
+  pruning = pruneCache()
+    .then(({ removed, freedBytes }) => {
+      if (removed > 0) console.log(`   🧹 HTTP cache: removed ${removed} entries (${(freedBytes / 1024 / 1024).toFixed(1)} MB)`);
+    })
+    .catch(err => console.log(`   ⚠️ Could not prune HTTP cache: ${err.message}`))
+    .finally(() => { pruning = null; });
+}
+
+export function isFresh(entry, resourceType = entry.resourceType) {
+  return Date.now() - entry.storedAt < getCacheTtl(resourceType);
+}
+
+/**
+ * Conditional request headers for a stale entry
+ */
+export function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry.headers.etag) headers['If-None-Match'] = entry.headers.etag;
+  if (entry.headers['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+  return headers;
+}
+
+/**
+ * Rebuild an axios-like response from a cache entry
+ */
+export function cachedResponse(entry, config = {}) {
+  const data = entry.encoding === 'base64' ? Buffer.from(entry.data, 'base64') : entry.data;
+  return {
+    data,
+    status: entry.status,
+    statusText: 'OK',
+    headers: entry.headers,
+    config,
+    fromCache: true
+  };
+}
+
+export default {
+  RESOURCE_TYPES,
+  getCacheTtl,
+  isCacheEnabled,
+  readCacheEntry,
+  writeCacheEntry,
+  touchCacheEntry,
+  pruneCache,
+  isFresh,
+  conditionalHeaders,
+  cachedResponse
+};
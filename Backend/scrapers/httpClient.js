@@ -0,0 +1,370 @@
+import axios from "axios";
+import { AsyncLocalStorage } from "async_hooks";
+import {
+  readCacheEntry,
+  writeCacheEntry,
+  touchCacheEntry,
+  isFresh,
+  conditionalHeaders,
+  cachedResponse
+} from "./httpCache.js";
+import { fixtureRequest, getHttpMode } from "./httpFixtures.js";
+
+// ============================================================
+// SHARED FETCH LAYER
+// Every scraper request goes through here so each host is treated politely:
+//   - robots.txt is fetched once per host (cached) and Disallow rules are honored
+//   - requests checked against robots.txt identify as AtenFluxBot, the agent
+//     whose robots.txt group was applied, whatever User-Agent the caller set
+//   - Crawl-delay slows the host's token bucket down
+//   - a per-host concurrency cap and token-bucket rate limit apply across all jobs
+// GET responses are cached on disk (see httpCache.js) and revalidated with
+// conditional requests once they expire. In record/replay mode (see
+// httpFixtures.js) the cache is bypassed so fixtures hold exactly what the
+// scraper saw.
+// ============================================================
+
+const ROBOTS_AGENT = 'AtenFluxBot'; // Token matched against robots.txt user-agent groups
+const BOT_USER_AGENT = `Mozilla/5.0 (compatible; ${ROBOTS_AGENT}/1.0)`;
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_TIMEOUT_MS = 8000;
+
+const HOST_CONCURRENCY = parseInt(process.env.SCRAPER_HOST_CONCURRENCY) || 3;
+const HOST_RATE = parseFloat(process.env.SCRAPER_HOST_RATE) || 2; // Requests per second per host
+const HOST_BURST = parseInt(process.env.SCRAPER_HOST_BURST) || 3;
+const MAX_CRAWL_DELAY_S = 30; // Ignore absurd Crawl-delay values instead of stalling a job
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class RobotsDisallowedError extends Error {
+  constructor(url) {
+    super(`Blocked by robots.txt: ${url}`);
+    this.name = 'RobotsDisallowedError';
+    this.url = url;
+  }
+}
+
+// ============================================================
+// FETCH STATS (scoped to one scrape run)
+// ============================================================
+
+const statsStorage = new AsyncLocalStorage();
+
+export function createFetchStats() {
+  return {
+    requests: 0,
+    failed: 0,
+    skippedByRobots: 0,
+    skippedUrls: [], // First few skipped URLs, for debugging
+    cacheHits: 0, // Served from disk without a request
+    notModified: 0, // Revalidated with a 304
+    throttledMs: 0 // Time spent waiting on per-host limits
+  };
+}
+
+/**
+ * Run `fn` with its own fetch stats; every request made inside it is counted
+ */
+export function runWithFetchStats(stats, fn) {
+  return statsStorage.run(stats, fn);
+}
+
+function currentStats() {
+  return statsStorage.getStore() || null;
+}
+
+// ============================================================
+// ROBOTS.TXT
+// ============================================================
+
+/**
+ * Parse robots.txt into user-agent groups
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'disallow' || field === 'allow') {
+      // An empty Disallow means "allow everything"
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+}
+
+// Product token of a user-agent value ("AtenFluxBot/1.0" -> "atenfluxbot")
+function productToken(value) {
+  return value.split('/')[0].trim().toLowerCase();
+}
+
+/**
+ * Pick the group that applies to our agent: one naming its product token
+ * (case-insensitive, RFC 9309), else the `*` group
+ */
+export function selectRobotsGroup(groups, agent = ROBOTS_AGENT) {
+  const token = productToken(agent);
+  return groups.find(g => g.agents.some(a => a !== '*' && productToken(a) === token))
+    || groups.find(g => g.agents.includes('*'))
+    || null;
+}
+
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+/**
+ * Longest matching rule wins; Allow wins ties
+ */
+export function isPathAllowed(group, pathWithQuery) {
+  if (!group || group.rules.length === 0) return true;
+
+  let best = null;
+  for (const rule of group.rules) {
+    if (!robotsPatternToRegex(rule.path).test(pathWithQuery)) continue;
+    if (!best || rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return !best || best.allow;
+}
+
+const robotsCache = new Map(); // origin -> { group, fetchedAt } | Promise
+
+async function loadRobots(origin) {
+  try {
+    const response = await fixtureRequest({
+      method: 'get',
+      url: `${origin}/robots.txt`,
+      headers: { 'User-Agent': BOT_USER_AGENT },
+      timeout: ROBOTS_TIMEOUT_MS,
+      maxRedirects: 3,
+      responseType: 'text',
+      validateStatus: (status) => status < 500
+    }, axios.request);
+
+    if (response.status >= 400) {
+      return { group: null, fetchedAt: Date.now() }; // No robots.txt: everything allowed
+    }
+
+    return { group: selectRobotsGroup(parseRobotsTxt(response.data)), fetchedAt: Date.now() };
+  } catch (err) {
+    // Unreachable robots.txt: allow, but retry sooner than the normal TTL
+    return { group: null, fetchedAt: Date.now() - ROBOTS_TTL_MS + 10 * 60 * 1000 };
+  }
+}
+
+async function getRobotsGroup(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached instanceof Promise) return (await cached).group;
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached.group;
+
+  const pending = loadRobots(origin);
+  robotsCache.set(origin, pending);
+  const entry = await pending;
+  robotsCache.set(origin, entry);
+  return entry.group;
+}
+
+// ============================================================
+// PER-HOST LIMITS
+// ============================================================
+
+const hostStates = new Map();
+
+function getHostState(hostname) {
+  let state = hostStates.get(hostname);
+  if (!state) {
+    state = {
+      active: 0,
+      waiting: [],
+      tokens: HOST_BURST,
+      capacity: HOST_BURST,
+      ratePerSec: HOST_RATE,
+      lastRefill: Date.now()
+    };
+    hostStates.set(hostname, state);
+  }
+  return state;
+}
+
+function applyCrawlDelay(state, crawlDelay) {
+  if (crawlDelay == null || crawlDelay <= 0) return;
+  const seconds = Math.min(crawlDelay, MAX_CRAWL_DELAY_S);
+  state.ratePerSec = Math.min(HOST_RATE, 1 / seconds);
+  state.capacity = 1;
+  state.tokens = Math.min(state.tokens, 1);
+}
+
+async function acquireSlot(state) {
+  if (state.active < HOST_CONCURRENCY) {
+    state.active++;
+    return;
+  }
+  // releaseSlot hands its slot straight to us
+  await new Promise(resolve => state.waiting.push(resolve));
+}
+
+function releaseSlot(state) {
+  const next = state.waiting.shift();
+  if (next) next();
+  else state.active--;
+}
+
+async function takeToken(state) {
+  for (;;) {
+    const now = Date.now();
+    state.tokens = Math.min(state.capacity, state.tokens + ((now - state.lastRefill) / 1000) * state.ratePerSec);
+    state.lastRefill = now;
+
+    if (state.tokens >= 1) {
+      state.tokens -= 1;
+      return;
+    }
+
+    await delay(Math.ceil(((1 - state.tokens) / state.ratePerSec) * 1000));
+  }
+}
+
+// ============================================================
+// REQUESTS
+// ============================================================
+
+// Replace the caller's User-Agent (any casing) with ours
+function withBotUserAgent(headers = {}) {
+  const rest = Object.fromEntries(Object.entries(headers).filter(([name]) => name.toLowerCase() !== 'user-agent'));
+  return { ...rest, 'User-Agent': BOT_USER_AGENT };
+}
+
+/**
+ * Polite request. `options.robots = false` skips the robots.txt check and is
+ * only meant for search-engine lookups used to discover an outlet; those keep
+ * the caller's User-Agent, all others are sent as AtenFluxBot.
+ * `options.resourceType` (feed, sitemap, profile...) picks the cache lifetime.
+ */
+export async function politeRequest(method, url, requestConfig = {}, options = {}) {
+  const { robots = true, resourceType = 'default' } = options;
+  // The robots.txt rules we follow are AtenFluxBot's, so say that is who we are
+  const config = robots ? { ...requestConfig, headers: withBotUserAgent(requestConfig.headers) } : requestConfig;
+  const stats = currentStats();
+  const parsed = new URL(url);
+
+  if (robots) {
+    const group = await getRobotsGroup(parsed.origin);
+    const state = getHostState(parsed.hostname);
+    if (group) applyCrawlDelay(state, group.crawlDelay);
+
+    if (!isPathAllowed(group, parsed.pathname + parsed.search)) {
+      if (stats) {
+        stats.skippedByRobots++;
+        if (stats.skippedUrls.length < 20) stats.skippedUrls.push(url);
+      }
+      throw new RobotsDisallowedError(url);
+    }
+  }
+
+  // After the robots check, so a page disallowed since it was cached is not served
+  const { mode } = getHttpMode();
+  const cacheable = method === 'get' && resourceType !== 'search' && mode === 'live';
+  const cached = cacheable ? await readCacheEntry(url) : null;
+  if (cached && isFresh(cached, resourceType)) {
+    if (stats) stats.cacheHits++;
+    return cachedResponse(cached, config);
+  }
+
+  const state = getHostState(parsed.hostname);
+  const waitStart = Date.now();
+  await acquireSlot(state);
+
+  try {
+    if (mode !== 'replay') await takeToken(state); // No need to pace reads from disk
+    if (stats) {
+      stats.throttledMs += Date.now() - waitStart;
+      stats.requests++;
+    }
+
+    if (!cached) {
+      const response = await fixtureRequest({ ...config, method, url }, axios.request);
+      if (cacheable) await writeCacheEntry(url, response, resourceType);
+      return response;
+    }
+
+    // Stale entry: ask the server whether it changed
+    const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+    const response = await axios.request({
+      ...config,
+      method,
+      url,
+      headers: { ...config.headers, ...conditionalHeaders(cached) },
+      validateStatus: (status) => status === 304 || validateStatus(status)
+    });
+
+    if (response.status === 304) {
+      if (stats) stats.notModified++;
+      await touchCacheEntry(cached);
+      return cachedResponse(cached, config);
+    }
+
+    await writeCacheEntry(url, response, resourceType);
+    return response;
+  } catch (err) {
+    if (stats) stats.failed++;
+    throw err;
+  } finally {
+    releaseSlot(state);
+  }
+}
+
+export function httpGet(url, config = {}, options = {}) {
+  return politeRequest('get', url, config, options);
+}
+
+export function httpHead(url, config = {}, options = {}) {
+  return politeRequest('head', url, config, options);
+}
+
+export default {
+  httpGet,
+  httpHead,
+  politeRequest,
+  createFetchStats,
+  runWithFetchStats,
+  parseRobotsTxt,
+  selectRobotsGroup,
+  isPathAllowed,
+  RobotsDisallowedError
+};
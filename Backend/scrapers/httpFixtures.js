@@ -0,0 +1,142 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { AxiosError } from "axios";
+
+// ============================================================
+// RECORD / REPLAY
+// In `record` mode every request the scraper makes (robots.txt included) is
+// written to a fixture directory, one JSON file per method + URL. In `replay`
+// mode those files are served back instead of touching the network, so an
+// outlet run can be reproduced offline. Requests without a fixture fail the
+// same way a network error would.
+//
+// Select with SCRAPER_HTTP_MODE=record|replay and SCRAPER_FIXTURES_DIR, or
+// call setHttpMode() before scraping.
+// ============================================================
+
+export const HTTP_MODES = ['live', 'record', 'replay'];
+
+let mode = process.env.SCRAPER_HTTP_MODE || 'live';
+let fixturesDir = process.env.SCRAPER_FIXTURES_DIR || null;
+
+/**
+ * Switch between live, record and replay
+ */
+export function setHttpMode(nextMode, dir = fixturesDir) {
+  if (!HTTP_MODES.includes(nextMode)) {
+    throw new Error(`Unknown HTTP mode "${nextMode}" (expected ${HTTP_MODES.join(', ')})`);
+  }
+  if (nextMode !== 'live' && !dir) {
+    throw new Error(`HTTP mode "${nextMode}" needs a fixtures directory`);
+  }
+  mode = nextMode;
+  fixturesDir = dir ? path.resolve(dir) : null;
+}
+
+export function getHttpMode() {
+  return { mode, fixturesDir };
+}
+
+function fixtureFile(method, url) {
+  const hash = crypto.createHash('sha1').update(`${method.toUpperCase()} ${url}`).digest('hex');
+  let host = 'unknown-host';
+  try {
+    host = new URL(url).hostname;
+  } catch (e) {
+    // Keep the fallback folder
+  }
+  return path.join(fixturesDir, host, `${hash}.json`);
+}
+
+function serializeBody(data) {
+  if (Buffer.isBuffer(data)) return { encoding: 'base64', data: data.toString('base64') };
+  if (typeof data === 'string') return { encoding: 'text', data };
+  return { encoding: 'json', data: data ?? null };
+}
+
+function pickHeaders(headers = {}) {
+  const kept = {};
+  for (const name of ['content-type', 'content-encoding', 'etag', 'last-modified', 'location']) {
+    if (headers[name]) kept[name] = headers[name];
+  }
+  return kept;
+}
+
+async function saveFixture(method, url, fixture) {
+  const file = fixtureFile(method, url);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ method: method.toUpperCase(), url, ...fixture }, null, 2));
+}
+
+async function replayFixture(config) {
+  const method = config.method || 'get';
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(fixtureFile(method, config.url), 'utf8'));
+  } catch (err) {
+    throw new AxiosError(`No fixture recorded for ${method.toUpperCase()} ${config.url}`, 'ENOFIXTURE', config);
+  }
+
+  if (fixture.error) {
+    throw new AxiosError(fixture.error.message, fixture.error.code, config);
+  }
+
+  const response = {
+    data: fixture.encoding === 'base64' ? Buffer.from(fixture.data, 'base64') : fixture.data,
+    status: fixture.status,
+    statusText: fixture.statusText || '',
+    headers: fixture.headers || {},
+    config,
+    fromFixture: true
+  };
+
+  const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+  if (!validateStatus(response.status)) {
+    throw new AxiosError(`Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config, null, response);
+  }
+
+  return response;
+}
+
+/**
+ * Perform a request according to the current mode. `send` does the real
+ * network call (axios.request) and is only used in live and record modes.
+ */
+export async function fixtureRequest(config, send) {
+  if (mode === 'replay') return replayFixture(config);
+  if (mode !== 'record') return send(config);
+
+  const method = config.method || 'get';
+  try {
+    const response = await send(config);
+    await saveFixture(method, config.url, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: pickHeaders(response.headers),
+      ...serializeBody(response.data)
+    });
+    return response;
+  } catch (err) {
+    if (err.response) {
+      await saveFixture(method, config.url, {
+        status: err.response.status,
+        statusText: err.response.statusText,
+        headers: pickHeaders(err.response.headers),
+        ...serializeBody(err.response.data)
+      });
+    } else {
+      await saveFixture(method, config.url, { error: { message: err.message, code: err.code || null } });
+    }
+    throw err;
+  }
+}
+
+export default {
+  HTTP_MODES,
+  setHttpMode,
+  getHttpMode,
+  fixtureRequest
+};
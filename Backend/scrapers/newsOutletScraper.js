@@ -1,8 +1,18 @@
-import axios from "axios";
 import * as cheerio from "cheerio";
-import { analyzeArticleTitles, categorizeTopics, calculateInfluence } from "../utils/nlpAnalyzer.js";
-
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+import { analyzeArticleTitles, categorizeTopics, calculateInfluence, extractKeywords } from "../utils/nlpAnalyzer.js";
+import { getTaxonomy, topicPath, withAncestors } from "../utils/taxonomy.js";
+import { checkpoint, isCancellation } from "../utils/jobControl.js";
+import { httpGet, httpHead, createFetchStats, runWithFetchStats } from "./httpClient.js";
+import { getAdapterForHost, callAdapter } from "./adapterRegistry.js";
+import { collectSitemapEntries } from "./sitemaps.js";
+import { parseArticleDate, normalizeDate, dateFromUrl, extractArticleDates } from "./articleDates.js";
+import { extractArticleBody } from "./articleBody.js";
+import { canonicalizeUrl, pageCanonicalUrl } from "./canonicalUrl.js";
+import { extractPersons, personProfile } from "./structuredPerson.js";
+import { findNextPageUrl, findLoadMoreUrl, parseJsonPayload, articlesFromJson, nextJsonPageUrl } from "./profilePagination.js";
+import { embeddedBylines, embeddedAuthors, embeddedArticles } from "./embeddedState.js";
+import { classifyCopy } from "./copyClassifier.js";
+import { splitByline } from "./bylines.js";
 
 // User agents for rotation
 const USER_AGENTS = [
@@ -34,6 +44,98 @@ function normalizeAuthorName(name) {
     .trim();
 }
 
+// Distinct names in a list of found authors; "Jane Doe - Mumbai" folds into "Jane Doe"
+function distinctAuthorNames(foundAuthors) {
+  const names = [];
+  const sorted = [...foundAuthors].sort((a, b) => a.name.length - b.name.length);
+  for (const { name } of sorted) {
+    const key = normalizeAuthorName(name);
+    const covered = names.some(existing => {
+      const existingKey = normalizeAuthorName(existing);
+      return key === existingKey || (key.startsWith(existingKey) && /^[^\p{L}]/u.test(key.slice(existingKey.length)));
+    });
+    if (!covered) names.push(name.trim());
+  }
+  return names;
+}
+
+// Co-authors of one article: the names of its fullest single byline (one
+// JSON-LD author list, meta tag or byline element). Names from different
+// bylines aren't paired, so a stray author link elsewhere on the page doesn't
+// make that writer everyone's co-author.
+function articleAuthorNames(foundAuthors) {
+  const bylines = new Map(); // byline -> authors found in it
+  for (const found of foundAuthors) {
+    const key = found.byline || found.source;
+    if (!bylines.has(key)) bylines.set(key, []);
+    bylines.get(key).push(found);
+  }
+
+  let names = [];
+  for (const group of bylines.values()) {
+    const groupNames = distinctAuthorNames(group);
+    if (groupNames.length > names.length) names = groupNames;
+  }
+  return names;
+}
+
+// Absolute URL for a possibly relative href (undefined when missing or invalid)
+function resolveUrl(href, base) {
+  if (!href || typeof href !== 'string') return undefined;
+  try {
+    return new URL(href.trim(), base).href;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Incremental mode: is an item dated after the cutoff? Undated items are kept
+// (the save step drops URLs already in the author's history)
+function isNewerThan(dateValue, cutoff) {
+  if (!cutoff || !dateValue) return true;
+  const parsed = parseArticleDate(dateValue);
+  if (!parsed) return true;
+  const cutoffDate = new Date(cutoff);
+  
+  // Day-only dates (from URLs) can't be compared to the hour, keep the whole day
+  if (parsed.dayOnly) {
+    return parsed.date.getTime() + 24 * 60 * 60 * 1000 > cutoffDate.getTime();
+  }
+  
+  return parsed.date > cutoffDate;
+}
+
+// Article with its dates as UTC ISO strings (no timezone in the source = IST)
+function withNormalizedDates(article) {
+  return {
+    ...article,
+    publishDate: normalizeDate(article.publishDate),
+    modifiedDate: normalizeDate(article.modifiedDate)
+  };
+}
+
+// Article fields for a copy classification (staff / agency / syndicated / sponsored)
+function copyFields($, url, body) {
+  const { copyType, agencies, syndicatedFrom, signals } = classifyCopy({ $, url, body: body?.text || '' });
+  return { copyType, agencies, syndicatedFrom, copySignals: signals };
+}
+
+// Date shown next to a link on a listing page, else the one in its URL
+function listingDate($, el, url) {
+  const $time = $(el).closest('li, article, [class*="story"], [class*="card"], [class*="item"]').find('time').first();
+  const value = $time.attr('datetime') || $time.text().trim();
+  if (value && parseArticleDate(value)) return value;
+  return dateFromUrl(url);
+}
+
+// Stories from a page's hydration payload (__NEXT_DATA__, __INITIAL_STATE__, ...)
+// for JS-rendered pages whose HTML has no article links; outlet host only
+function embeddedStoryLinks($, pageUrl, hostname) {
+  return embeddedArticles($, pageUrl)
+    .map(story => ({ ...story, url: canonicalizeUrl(story.url, { preferredHost: hostname }) }))
+    .filter(story => story.url && new URL(story.url).hostname === hostname);
+}
+
 function isValidJournalistName(name, debug = false) {
   if (!name || typeof name !== 'string') {
     if (debug) console.log(`      ❌ Not a string or empty`);
@@ -83,6 +185,7 @@ function isValidJournalistName(name, debug = false) {
     /&\s*(pti|reuters|agencies|ani|ians)/i,
     /^(by|from|with|via)\s+(pti|reuters|agencies|staff|correspondent)/i,
     /\(.*?(pti|reuters|agencies|ani|ians).*?\)/i,  // Names with wire service in parentheses
+    /\b(desk|bureau|department|dept|ministry)\b/i,  // Desks and departments: "Science Desk", "Dept. of Science"
   ];
   
   for (const pattern of INVALID_PATTERNS) {
@@ -186,13 +289,13 @@ async function detectOutletWebsite(outletName) {
     
     console.log(`      Query: "${query}"`);
     
-    const response = await axios.get(searchUrl, {
+    const response = await httpGet(searchUrl, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
         'Accept': 'text/html',
       },
       timeout: 10000
-    });
+    }, { robots: false, resourceType: 'search' }); // Search lookup, not a crawl of the outlet
     
     const $ = cheerio.load(response.data);
     
@@ -287,7 +390,7 @@ async function detectOutletWebsite(outletName) {
     
     for (const url of patterns) {
       try {
-        const response = await axios.head(url, {
+        const response = await httpHead(url, {
           timeout: 5000,
           headers: { 'User-Agent': getRandomUserAgent() },
           maxRedirects: 5,
@@ -323,14 +426,14 @@ async function detectOutletWebsite(outletName) {
       const query = `${outletName} official website`;
       const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}&gl=in`;
       
-      const response = await axios.get(searchUrl, {
+      const response = await httpGet(searchUrl, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
           'Accept': 'text/html',
           'Accept-Language': 'en-IN,en;q=0.9',
         },
         timeout: 10000
-      });
+      }, { robots: false, resourceType: 'search' });
       
       const $ = cheerio.load(response.data);
       
@@ -402,7 +505,7 @@ async function detectOutletWebsite(outletName) {
       if (domainMatch || titleMatch || snippetMatch) {
         // Verify it's accessible
         try {
-          const headResponse = await axios.head(candidate.url, { 
+          const headResponse = await httpHead(candidate.url, { 
             timeout: 8000,
             headers: { 'User-Agent': getRandomUserAgent() },
             maxRedirects: 5
@@ -537,14 +640,14 @@ async function detectOutletWebsite(outletName) {
   // Verify it's actually a news website by checking the homepage
   console.log(`\n   🔍 Verifying it's a news website...`);
   try {
-    const verifyResponse = await axios.get(winner.url, {
+    const verifyResponse = await httpGet(winner.url, {
       headers: { 
         'User-Agent': getRandomUserAgent(),
         'Accept': 'text/html',
       },
       timeout: 10000,
       maxRedirects: 5
-    });
+    }, { resourceType: 'homepage' });
     
     const $ = cheerio.load(verifyResponse.data);
     const title = $('title').text().toLowerCase();
@@ -592,10 +695,10 @@ async function discoverRSSFeeds(website) {
   const feeds = [];
   
   try {
-    const response = await axios.get(website, {
+    const response = await httpGet(website, {
       headers: { 'User-Agent': getRandomUserAgent() },
       timeout: 15000
-    });
+    }, { resourceType: 'homepage' });
     
     const $ = cheerio.load(response.data);
     
@@ -632,12 +735,15 @@ async function discoverRSSFeeds(website) {
 // COLLECT ARTICLES FROM WEBSITE
 // ============================================================
 
-async function collectArticlesFromWebsite(website, targetCount = 500) {
+// Articles are added to `allArticles` as they are found, so a cancelled run
+// still has the ones collected before it stopped
+async function collectArticlesFromWebsite(website, targetCount = 500, control = null, since = null, allArticles = []) {
   console.log(`\n📰 STAGE 1: Collecting articles from: ${website}`);
   console.log(`   Target: ${targetCount} articles (for discovering ~${Math.floor(targetCount / 10)} authors)`);
-  const allArticles = [];
+  if (since) console.log(`   Incremental: only feed/sitemap entries newer than ${new Date(since).toISOString()}`);
   const seenUrls = new Set();
   const hostname = new URL(website).hostname;
+  let skippedOld = 0;
   
   try {
     // Strategy 1: Discover RSS/Atom feeds dynamically (NO hardcoding)
@@ -652,13 +758,14 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
     
     for (const path of rssPaths) {
       if (allArticles.length >= targetCount) break;
+      await checkpoint(control);
       
       try {
-        const rssUrl = website + path;
-        const response = await axios.get(rssUrl, {
+        const rssUrl = path.startsWith('http') ? path : website + path; // Discovered feeds are absolute
+        const response = await httpGet(rssUrl, {
           headers: { 'User-Agent': getRandomUserAgent() },
           timeout: 15000
-        });
+        }, { resourceType: 'feed' });
         
         const $ = cheerio.load(response.data, { xmlMode: true });
         
@@ -680,14 +787,24 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
           }
           
           const title = $item.find('title').first().text().trim();
+          const updated = $item.find('updated').first().text().trim() || null;
+          const published = $item.find('pubDate, published, dc\\:date').first().text().trim() || updated;
           
-          if (link && link.startsWith('http') && !seenUrls.has(link)) {
+          if (!isNewerThan(published, since)) {
+            skippedOld++;
+            return;
+          }
+          
+          // AMP, mobile and utm-tagged copies of a story share one URL
+          link = canonicalizeUrl(link, { preferredHost: hostname });
+          if (link && !seenUrls.has(link)) {
             seenUrls.add(link);
-            allArticles.push({ url: link, title: title || 'Untitled', page: 'rss' });
+            allArticles.push({ url: link, title: title || 'Untitled', page: 'rss', publishDate: published, modifiedDate: updated });
           }
         });
         
-        if (allArticles.length > 0) {
+        // In incremental mode a feed with only old items still counts as found
+        if (allArticles.length > 0 || (since && skippedOld > 0)) {
           console.log(`  ✓ Found ${allArticles.length} articles from RSS (${path})`);
           break;
         }
@@ -697,59 +814,76 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
       }
     }
     
-    // Strategy 2: Sitemap
+    // Strategy 2: Sitemap (indexes followed recursively, gzip and Google News aware)
     if (allArticles.length < targetCount) {
       console.log(`Strategy 2: Checking sitemap...`);
       const sitemapPaths = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap-news.xml'];
       
       for (const path of sitemapPaths) {
         if (allArticles.length >= targetCount) break;
+        await checkpoint(control);
         
         try {
-          const sitemapUrl = website + path;
-          const response = await axios.get(sitemapUrl, {
-            headers: { 'User-Agent': getRandomUserAgent() },
-            timeout: 15000
+          const { entries, skippedOld: olderEntries, filesFetched } = await collectSitemapEntries(website + path, {
+            maxUrls: targetCount - allArticles.length,
+            control,
+            isNewer: (date) => isNewerThan(date, since),
+            userAgent: getRandomUserAgent()
           });
+          skippedOld += olderEntries;
           
-          const $ = cheerio.load(response.data, { xmlMode: true });
-          
-          $('loc, url loc').each((i, el) => {
-            if (allArticles.length >= targetCount) return false;
+          let added = 0;
+          for (const entry of entries) {
+            const url = canonicalizeUrl(entry.loc, { preferredHost: hostname });
+            if (!url || seenUrls.has(url)) continue;
+            // Filter out non-article URLs
+            if (url.includes('/author/') || url.includes('/tag/') || url.includes('/category/')) continue;
             
-            const url = $(el).text().trim();
-            if (url && url.startsWith('http') && !seenUrls.has(url)) {
-              // Filter out non-article URLs
-              if (!url.includes('/author/') && !url.includes('/tag/') && !url.includes('/category/')) {
-                seenUrls.add(url);
-                allArticles.push({ url, title: 'Article', page: 'sitemap' });
-              }
-            }
-          });
+            seenUrls.add(url);
+            allArticles.push({
+              url,
+              title: entry.news?.title || 'Article',
+              page: 'sitemap',
+              publishDate: entry.news?.publicationDate || entry.lastmod || null,
+              modifiedDate: entry.lastmod || null,
+              keywords: entry.news?.keywords || [],
+              language: entry.news?.language || null
+            });
+            added++;
+          }
           
-          if (allArticles.length > 0) {
-            console.log(`  ✓ Found ${allArticles.length} articles from sitemap`);
+          if (added > 0 || (since && olderEntries > 0)) {
+            console.log(`  ✓ Found ${added} articles from sitemap (${path}, ${filesFetched} sitemap files)`);
             break;
           }
         } catch (e) {
+          if (isCancellation(e)) throw e;
           continue;
         }
       }
     }
     
+    // Incremental mode: undated homepage/section/search links would pull in old
+    // articles, so they are only used when the outlet has no dated feed or sitemap
+    const hasDatedSources = Boolean(since) && allArticles.length + skippedOld > 0;
+    if (hasDatedSources) {
+      console.log(`   Incremental: ${allArticles.length} new entries, ${skippedOld} older ones skipped`);
+    }
+    
     // Strategy 3: Scrape homepage
-    if (allArticles.length < targetCount) {
+    if (!hasDatedSources && allArticles.length < targetCount) {
       console.log(`Strategy 3: Scraping homepage...`);
+      await checkpoint(control);
       
       try {
-        const response = await axios.get(website, {
+        const response = await httpGet(website, {
           headers: {
             'User-Agent': getRandomUserAgent(),
             'Accept': 'text/html,application/xhtml+xml',
             'Accept-Language': 'en-US,en;q=0.9,hi;q=0.8,ta;q=0.7,ml;q=0.6',
           },
           timeout: 20000
-        });
+        }, { resourceType: 'homepage' });
         
         const $ = cheerio.load(response.data);
         
@@ -763,10 +897,11 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
           // Build full URL
           let fullUrl;
           try {
-            fullUrl = href.startsWith('http') ? href : new URL(href, website).href;
+            fullUrl = canonicalizeUrl(href, { base: website, preferredHost: hostname });
           } catch (e) {
             return;
           }
+          if (!fullUrl) return;
           
           try {
             const url = new URL(fullUrl);
@@ -814,6 +949,14 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
           } catch (e) {}
         });
         
+        // JS-rendered homepages: stories from the hydration payload
+        for (const story of embeddedStoryLinks($, website, hostname)) {
+          if (allArticles.length >= targetCount) break;
+          if (seenUrls.has(story.url)) continue;
+          seenUrls.add(story.url);
+          allArticles.push({ url: story.url, title: story.title, publishDate: story.publishDate, page: 'homepage' });
+        }
+        
         console.log(`  ✓ Collected ${allArticles.length} articles from homepage`);
       } catch (e) {
         console.log(`  ⚠️  Homepage scraping failed: ${e.message}`);
@@ -821,7 +964,7 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
     }
     
     // Strategy 4: Crawl section pages (news, politics, sports, etc.)
-    if (allArticles.length < targetCount) {
+    if (!hasDatedSources && allArticles.length < targetCount) {
       console.log(`Strategy 4: Crawling section pages...`);
       
       const sections = ['news', 'india', 'national', 'politics', 'business', 'sports', 
@@ -840,12 +983,13 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
           
           for (const url of sectionUrls) {
             if (allArticles.length >= targetCount) break;
+            await checkpoint(control);
             
             try {
-              const response = await axios.get(url, {
+              const response = await httpGet(url, {
                 headers: { 'User-Agent': getRandomUserAgent() },
                 timeout: 15000
-              });
+              }, { resourceType: 'section' });
               
               const $ = cheerio.load(response.data);
               
@@ -857,10 +1001,11 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
                 
                 let fullUrl;
                 try {
-                  fullUrl = href.startsWith('http') ? href : new URL(href, website).href;
+                  fullUrl = canonicalizeUrl(href, { base: website, preferredHost: hostname });
                 } catch (e) {
                   return;
                 }
+                if (!fullUrl) return;
                 
                 try {
                   const url = new URL(fullUrl);
@@ -881,6 +1026,13 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
                 } catch (e) {}
               });
               
+              for (const story of embeddedStoryLinks($, url, hostname)) {
+                if (allArticles.length >= targetCount) break;
+                if (seenUrls.has(story.url)) continue;
+                seenUrls.add(story.url);
+                allArticles.push({ url: story.url, title: story.title, publishDate: story.publishDate, page: section });
+              }
+              
               if (allArticles.length > 0) {
                 console.log(`  ✓ Found ${allArticles.length} articles from ${section} section`);
                 break; // Try next section
@@ -889,31 +1041,31 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
               continue;
             }
           }
-          
-          await delay(500);
         } catch (e) {
+          if (isCancellation(e)) throw e;
           continue;
         }
       }
     }
     
     // Strategy 5: DuckDuckGo search for more articles
-    if (allArticles.length < 100) {
+    if (!hasDatedSources && allArticles.length < 100) {
       console.log(`Strategy 5: Using DuckDuckGo search...`);
+      await checkpoint(control);
       
       try {
         const searchUrl = `https://html.duckduckgo.com/html/?q=site:${hostname} news article`;
-        const response = await axios.get(searchUrl, {
+        const response = await httpGet(searchUrl, {
           headers: { 'User-Agent': getRandomUserAgent() },
           timeout: 15000
-        });
+        }, { robots: false, resourceType: 'search' });
         
         const $ = cheerio.load(response.data);
         
         $('.result__a').each((i, el) => {
           if (allArticles.length >= targetCount) return false;
           
-          const href = $(el).attr('href');
+          const href = canonicalizeUrl($(el).attr('href'), { preferredHost: hostname });
           const title = $(el).text().trim();
           
           if (href && href.includes(hostname) && !seenUrls.has(href)) {
@@ -929,6 +1081,7 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
     }
     
   } catch (err) {
+    if (isCancellation(err)) throw err;
     console.error(`Error collecting articles: ${err.message}`);
   }
   
@@ -940,8 +1093,7 @@ async function collectArticlesFromWebsite(website, targetCount = 500) {
 // FIND AUTHOR DIRECTORY PAGES
 // ============================================================
 
-async function findAuthorDirectoryPages(website, maxAuthors = 30) {
-  const authors = [];
+async function findAuthorDirectoryPages(website, maxAuthors = 30, control = null, authors = []) {
   const seenNames = new Set();
   
   console.log(`\n   🔍 Searching for author directory pages...`);
@@ -965,13 +1117,14 @@ async function findAuthorDirectoryPages(website, maxAuthors = 30) {
     
     for (const path of directoryPaths) {
       if (authors.length >= maxAuthors) break;
+      await checkpoint(control);
       
       try {
         const dirUrl = website + path;
-        const response = await axios.get(dirUrl, {
+        const response = await httpGet(dirUrl, {
           headers: { 'User-Agent': getRandomUserAgent() },
           timeout: 15000
-        });
+        }, { resourceType: 'directory' });
         
         const $ = cheerio.load(response.data);
         
@@ -986,7 +1139,8 @@ async function findAuthorDirectoryPages(website, maxAuthors = 30) {
           
           if (name && href && name.length > 3 && name.length < 60) {
             if (isValidJournalistName(name) && !seenNames.has(normalizeAuthorName(name))) {
-              const fullUrl = href.startsWith('http') ? href : new URL(href, website).href;
+              const fullUrl = canonicalizeUrl(href, { base: website, preferredHost: new URL(website).hostname });
+              if (!fullUrl) return;
               seenNames.add(normalizeAuthorName(name));
               authors.push({
                 name: name.trim(),
@@ -997,6 +1151,16 @@ async function findAuthorDirectoryPages(website, maxAuthors = 30) {
           }
         });
         
+        // JS-rendered directories list their people in the hydration payload
+        for (const entry of embeddedAuthors($, dirUrl)) {
+          if (authors.length >= maxAuthors) break;
+          const fullUrl = canonicalizeUrl(entry.profileUrl, { preferredHost: new URL(website).hostname });
+          if (!fullUrl || !isValidJournalistName(entry.name) || seenNames.has(normalizeAuthorName(entry.name))) continue;
+          seenNames.add(normalizeAuthorName(entry.name));
+          authors.push({ name: entry.name, profileUrl: fullUrl });
+          console.log(`         ✓ Found: ${entry.name} (embedded state)`);
+        }
+        
         if (authors.length > 0) {
           console.log(`      ✅ Found ${authors.length} authors on ${path}`);
           break; // Found a directory page that works
@@ -1006,11 +1170,10 @@ async function findAuthorDirectoryPages(website, maxAuthors = 30) {
         // Try next path
         continue;
       }
-      
-      await delay(500);
     }
     
   } catch (err) {
+    if (isCancellation(err)) throw err;
     console.log(`      ⚠️  Directory search failed: ${err.message}`);
   }
   
@@ -1021,12 +1184,15 @@ async function findAuthorDirectoryPages(website, maxAuthors = 30) {
 // EXTRACT AUTHORS FROM ARTICLES
 // ============================================================
 
-async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
+// Authors are added to `authorsMap` (normalized name -> author) as their
+// bylines are read, so a cancelled run still has them
+async function extractAuthorsFromArticles(articles, website, maxAuthors = 35, control = null, authorsMap = new Map()) {
   console.log(`\n👥 ENHANCED Universal Extraction: Processing ${articles.length} articles...`);
   console.log(`   Target: ${maxAuthors} unique authors across ALL languages`);
   
-  const authorsMap = new Map();
   const hostname = new URL(website).hostname;
+  const adapter = await getAdapterForHost(hostname);
+  if (adapter) console.log(`   🧩 Using outlet adapter: ${adapter.name}`);
   const processLimit = Math.min(articles.length, 300); // Process up to 300 articles for better coverage
   
   // Batch process articles for speed (5 concurrent requests)
@@ -1038,6 +1204,7 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
       console.log(`  ✅ Found sufficient authors (${authorsMap.size}), stopping early`);
       break;
     }
+    await checkpoint(control);
     
     const batchEnd = Math.min(batchStart + CONCURRENT_REQUESTS, processLimit);
     const batchArticles = articles.slice(batchStart, batchEnd);
@@ -1049,18 +1216,63 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
           console.log(`\n  🔍 SAMPLE ARTICLE: ${article.url.substring(0, 80)}...`);
         }
         
-        const response = await axios.get(article.url, {
+        const response = await httpGet(article.url, {
           headers: { 
             'User-Agent': getRandomUserAgent(),
             'Accept-Language': 'en-US,en;q=0.9,hi;q=0.8,ta;q=0.7,ml;q=0.6,te;q=0.5,kn;q=0.5,mr;q=0.5,gu;q=0.5,pa;q=0.5,bn;q=0.5',
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
           },
           timeout: 10000
-        });
+        }, { resourceType: 'article' });
         
         const $ = cheerio.load(response.data);
         const foundAuthors = [];
         
+        // The page's own canonical URL wins over the link we followed
+        article.url = pageCanonicalUrl($, article.url, { preferredHost: hostname }) || article.url;
+        
+        // Sitemap/homepage links often have no usable title; take it from the page
+        if (!article.title || article.title === 'Article' || article.title === 'Untitled') {
+          const pageTitle = $('meta[property="og:title"]').attr('content') || $('title').first().text();
+          if (pageTitle && pageTitle.trim()) article.title = pageTitle.trim().substring(0, 250);
+        }
+        
+        // Publish/modified dates from the page when the feed or sitemap had none
+        const pageDates = extractArticleDates($, article.url);
+        article.publishDate = article.publishDate || pageDates.publishDate;
+        article.modifiedDate = article.modifiedDate || pageDates.modifiedDate;
+        
+        // Main text (for keyword/topic analysis of the author's articles)
+        const body = extractArticleBody(response.data);
+        if (body) {
+          article.body = body.text;
+          article.wordCount = body.wordCount;
+          article.readingTime = body.readingTime;
+        }
+        
+        // Staff, wire agency, syndicated or sponsored copy (agency bylines never
+        // become journalists, but the article is still worth keeping)
+        Object.assign(article, copyFields($, article.url, body));
+        
+        // STRATEGY 0: Outlet adapter (generic strategies only run when it finds nobody)
+        const adapterBylines = callAdapter(adapter, 'extractBylines', $, { url: article.url, website, hostname });
+        if (adapterBylines) {
+          for (const byline of adapterBylines) {
+            const names = splitByline(byline?.name);
+            for (const name of names) {
+              if (!isValidJournalistName(name)) continue;
+              foundAuthors.push({
+                name,
+                source: 'adapter',
+                byline: 'adapter', // An outlet adapter's bylines are all the article's authors
+                // A profile link can only belong to a single-author byline
+                profileUrl: names.length === 1 ? canonicalizeUrl(byline.profileUrl, { base: article.url, preferredHost: hostname }) : undefined
+              });
+            }
+          }
+          if (foundAuthors.length > 0) return foundAuthors;
+        }
+        
         // DEBUG: For first article, show what selectors we're checking
         if (processed === 0 && idx === 0) {
           console.log(`  🔎 Checking selectors...`);
@@ -1104,7 +1316,7 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
             const structures = [data];
             if (data['@graph']) structures.push(...data['@graph']);
             
-            for (const item of structures) {
+            for (const [itemIdx, item] of structures.entries()) {
               if (!item) continue;
               
               let authorNames = [];
@@ -1142,9 +1354,9 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
                 });
               }
               
-              for (const authorName of authorNames) {
-                if (authorName && isValidJournalistName(authorName, false)) {
-                  foundAuthors.push({ name: authorName.trim(), source: 'json-ld' });
+              for (const authorName of authorNames.flatMap(splitByline)) {
+                if (isValidJournalistName(authorName, false)) {
+                  foundAuthors.push({ name: authorName, source: 'json-ld', byline: `json-ld:${idx}:${itemIdx}` });
                 }
               }
             }
@@ -1156,6 +1368,21 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
           }
         });
         
+        // STRATEGY 1b: Hydration payload (__NEXT_DATA__, __INITIAL_STATE__, Nuxt) on
+        // JS-rendered pages, whose byline never makes it into the HTML
+        for (const [bylineIdx, byline] of embeddedBylines($, article.url).entries()) {
+          const names = splitByline(byline.name);
+          for (const name of names) {
+            if (!isValidJournalistName(name)) continue;
+            foundAuthors.push({
+              name,
+              source: 'embedded-state',
+              byline: `embedded-state:${bylineIdx}`,
+              profileUrl: names.length === 1 ? canonicalizeUrl(byline.profileUrl, { preferredHost: hostname }) : undefined
+            });
+          }
+        }
+        
         // STRATEGY 2: Meta tags (Priority 2)
         const metaSelectors = [
           'meta[name="author"]',
@@ -1170,9 +1397,10 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
         ];
         
         for (const selector of metaSelectors) {
-          const metaAuthor = $(selector).attr('content');
-          if (metaAuthor && isValidJournalistName(metaAuthor)) {
-            foundAuthors.push({ name: metaAuthor.trim(), source: 'meta' });
+          for (const metaAuthor of splitByline($(selector).attr('content'))) {
+            if (isValidJournalistName(metaAuthor)) {
+              foundAuthors.push({ name: metaAuthor, source: 'meta', byline: `meta:${selector}` });
+            }
           }
         }
         
@@ -1214,7 +1442,8 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
               foundAuthors.push({ 
                 name: name.trim(), 
                 source: 'link',
-                profileUrl: href.startsWith('http') ? href : new URL(href, website).href
+                byline: `link:${selector}:${idx}`,
+                profileUrl: canonicalizeUrl(href, { base: website, preferredHost: hostname })
               });
             }
           });
@@ -1287,16 +1516,19 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
               .replace(/\s+(ସାମ୍ବାଦିକ|ଲେଖକ)$/i, '')
               .trim();
             
-            if (cleaned && cleaned.length >= 3 && isValidJournalistName(cleaned)) {
-              foundAuthors.push({ name: cleaned, source: 'byline-text' });
-            }
-            
-            // Also try to extract just the name part if there's additional info
-            const nameMatch = cleaned.match(/^([A-Za-z\u0900-\u097F\u0980-\u09FF\u0A00-\u0A7F\u0A80-\u0AFF\u0B00-\u0B7F\u0B80-\u0BFF\u0C00-\u0C7F\u0C80-\u0CFF\u0D00-\u0D7F\u0D80-\u0DFF\s\.]+?)(?:\s+[-–—|]|\s+\(|$)/);
-            if (nameMatch && nameMatch[1]) {
-              const extractedName = nameMatch[1].trim();
-              if (extractedName !== cleaned && isValidJournalistName(extractedName)) {
-                foundAuthors.push({ name: extractedName, source: 'byline-extracted' });
+            // Multi-author bylines give one name per co-author
+            for (const part of splitByline(cleaned)) {
+              if (part.length >= 3 && isValidJournalistName(part)) {
+                foundAuthors.push({ name: part, source: 'byline-text', byline: `byline-text:${selector}:${idx}` });
+              }
+              
+              // Also try to extract just the name part if there's additional info
+              const nameMatch = part.match(/^([A-Za-z\u0900-\u097F\u0980-\u09FF\u0A00-\u0A7F\u0A80-\u0AFF\u0B00-\u0B7F\u0B80-\u0BFF\u0C00-\u0C7F\u0C80-\u0CFF\u0D00-\u0D7F\u0D80-\u0DFF\s\.]+?)(?:\s+[-–—|]|\s+\(|$)/);
+              if (nameMatch && nameMatch[1]) {
+                const extractedName = nameMatch[1].trim();
+                if (extractedName !== part && isValidJournalistName(extractedName)) {
+                  foundAuthors.push({ name: extractedName, source: 'byline-extracted', byline: `byline-text:${selector}:${idx}` });
+                }
               }
             }
           });
@@ -1325,12 +1557,18 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
               .replace(/^(by|author:?|written by|द्वारा|எழுதியவர்|ലേഖകൻ|লিখেছেন)\s*/i, '')
               .trim();
             
-            if (cleaned && isValidJournalistName(cleaned)) {
-              foundAuthors.push({ name: cleaned, source: 'standalone' });
+            for (const name of splitByline(cleaned)) {
+              if (isValidJournalistName(name)) {
+                foundAuthors.push({ name, source: 'standalone', byline: `standalone:${selector}:${idx}` });
+              }
             }
           });
         }
         
+        // schema.org Person entities for the credited authors (an unnamed one
+        // can't be told apart from the others on an article page)
+        article.persons = extractPersons($, article.url).filter(p => p.name);
+        
         return foundAuthors;
         
       } catch (err) {
@@ -1355,7 +1593,10 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
     
     // Process all found authors
     let addedInBatch = 0;
-    for (const foundAuthors of batchResults) {
+    for (const [resultIdx, foundAuthors] of batchResults.entries()) {
+      const article = batchArticles[resultIdx];
+      const coAuthorNames = articleAuthorNames(foundAuthors);
+      
       for (const authorData of foundAuthors) {
         const key = normalizeAuthorName(authorData.name);
         if (!authorsMap.has(key)) {
@@ -1365,10 +1606,45 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
           
           authorsMap.set(key, {
             name: authorData.name.trim(),
-            profileUrl: authorData.profileUrl || `${website}/author/${slug}`
+            profileUrl: authorData.profileUrl ||
+              canonicalizeUrl(callAdapter(adapter, 'extractProfileUrl', authorData.name, { website, hostname }), { base: website, preferredHost: hostname }) ||
+              `${website}/author/${slug}`,
+            bylineArticles: [] // Articles credited to this author, with feed/sitemap metadata
           });
           addedInBatch++;
         }
+        
+        // Structured author data from the article page, for when the profile page has none
+        const authorEntry = authorsMap.get(key);
+        if (!authorEntry.structured && article.persons?.length) {
+          const structured = personProfile(article.persons, authorData.name);
+          if (structured) {
+            authorEntry.structured = {
+              fields: structured.fields,
+              sources: Object.fromEntries(Object.entries(structured.sources).map(([field, source]) => [field, `article-${source}`]))
+            };
+          }
+        }
+        
+        const bylineArticles = authorEntry.bylineArticles;
+        if (!bylineArticles.some(a => a.url === article.url)) {
+          bylineArticles.push({
+            title: article.title,
+            url: article.url,
+            publishDate: article.publishDate || null,
+            modifiedDate: article.modifiedDate || null,
+            keywords: article.keywords || [],
+            language: article.language || null,
+            authorNames: coAuthorNames, // Everyone credited in the byline
+            body: article.body || null,
+            wordCount: article.wordCount || 0,
+            readingTime: article.readingTime || 0,
+            copyType: article.copyType,
+            agencies: article.agencies || [],
+            syndicatedFrom: article.syndicatedFrom || null,
+            copySignals: article.copySignals || []
+          });
+        }
       }
     }
     
@@ -1382,9 +1658,6 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
     if (processed % 10 === 0 || processed === processLimit) {
       console.log(`  📊 Progress: ${processed}/${processLimit} articles → ${authorsMap.size} unique authors found`);
     }
-    
-    // Small delay between batches to avoid overwhelming the server
-    await delay(200);
   }
   
   console.log(`\n✅ Extraction complete: ${authorsMap.size} unique authors from ${processed} articles`);
@@ -1394,7 +1667,7 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
   if (authorsMap.size === 0) {
     console.log(`\n❌ WARNING: NO AUTHORS FOUND!`);
     console.log(`   Possible reasons:`);
-    console.log(`   1. Website uses JavaScript rendering (needs Puppeteer)`);
+    console.log(`   1. Website renders bylines with JavaScript and ships no readable page state`);
     console.log(`   2. Website blocks non-browser requests`);
     console.log(`   3. Articles use generic bylines (e.g., "Staff Reporter")`);
     console.log(`   4. Byline format doesn't match our selectors`);
@@ -1415,23 +1688,44 @@ async function extractAuthorsFromArticles(articles, website, maxAuthors = 35) {
 // EXTRACT AUTHOR PROFILE DATA
 // ============================================================
 
-async function extractAuthorData(author, outletName, website) {
+const PROFILE_MAX_PAGES = parseInt(process.env.SCRAPER_PROFILE_PAGES) || 10; // Profile listing pages followed per author
+const PROFILE_MAX_ARTICLES = parseInt(process.env.SCRAPER_PROFILE_ARTICLES) || 300; // Articles collected per author profile
+const ARTICLE_BODY_LIMIT = parseInt(process.env.SCRAPER_BODY_LIMIT) || 10; // Article pages fetched per author for body text
+
+async function extractAuthorData(author, outletName, website, control = null, since = null) {
   console.log(`  Extracting profile for: ${author.name}`);
+  const adapter = await getAdapterForHost(new URL(website).hostname);
   
   try {
-    const response = await axios.get(author.profileUrl, {
+    await checkpoint(control);
+    const response = await httpGet(author.profileUrl, {
       headers: { 
         'User-Agent': getRandomUserAgent(),
         'Accept-Language': 'en-US,en;q=0.9,hi;q=0.8,ta;q=0.7,ml;q=0.6',
       },
       timeout: 15000,
       maxRedirects: 5
-    });
+    }, { resourceType: 'profile' });
     
     const $ = cheerio.load(response.data);
-    
-    // Extract bio
-    let bio = null;
+    const adapterContext = { url: author.profileUrl, website, hostname: new URL(website).hostname, author };
+    
+    // schema.org Person data (JSON-LD, microdata, RDFa) on the profile page, else
+    // what the author's article pages said about them. fieldSources records where
+    // each profile field came from: adapter, json-ld, microdata, rdfa,
+    // article-<source> or selector
+    const structured = personProfile(extractPersons($, author.profileUrl), author.name) || author.structured || null;
+    const structuredFields = structured?.fields || {};
+    const fieldSources = {};
+    
+    // Extract bio (outlet adapter first, then structured data, then generic selectors)
+    let bio = callAdapter(adapter, 'extractBio', $, adapterContext);
+    if (bio) {
+      fieldSources.bio = 'adapter';
+    } else if (structuredFields.bio) {
+      bio = structuredFields.bio;
+      fieldSources.bio = structured.sources.bio;
+    }
     const bioSelectors = [
       '.bio',
       '.author-bio',
@@ -1446,16 +1740,19 @@ async function extractAuthorData(author, outletName, website) {
     ];
     
     for (const selector of bioSelectors) {
+      if (bio) break;
       const text = $(selector).first().text().trim();
       if (text && text.length > 20 && text.length < 1000) {
         bio = text;
+        fieldSources.bio = 'selector';
         break;
       }
     }
     
-    // Extract role
-    let role = 'Journalist';
-    const roleSelectors = [
+    // Extract role (jobTitle from structured data, then generic selectors)
+    let role = structuredFields.role || 'Journalist';
+    if (structuredFields.role) fieldSources.role = structured.sources.role;
+    const roleSelectors = structuredFields.role ? [] : [
       '.role',
       '[itemprop="jobTitle"]',
       '.author-role',
@@ -1470,195 +1767,353 @@ async function extractAuthorData(author, outletName, website) {
       const text = $(selector).first().text().trim();
       if (text && text.length > 2 && text.length < 50) {
         role = text;
+        fieldSources.role = 'selector';
         break;
       }
     }
     
+    // Extract avatar
+    let profilePicture = resolveUrl(callAdapter(adapter, 'extractAvatar', $, adapterContext), author.profileUrl) || null;
+    if (profilePicture) {
+      fieldSources.avatar = 'adapter';
+    } else if (structuredFields.avatar) {
+      profilePicture = structuredFields.avatar;
+      fieldSources.avatar = structured.sources.avatar;
+    }
+    const avatarSelectors = [
+      '[itemprop="image"]',
+      '.author-image img',
+      '.author-photo img',
+      '.author-avatar img',
+      '.profile-image img',
+      '.profile-pic img',
+      'img[class*="author"]',
+      'img[class*="avatar"]',
+    ];
+    
+    for (const selector of avatarSelectors) {
+      if (profilePicture) break;
+      const $img = $(selector).first();
+      const src = $img.attr('src') || $img.attr('data-src') || $img.attr('content');
+      if (src && !src.startsWith('data:')) {
+        profilePicture = resolveUrl(src, author.profileUrl) || null;
+        if (profilePicture) fieldSources.avatar = 'selector';
+      }
+    }
+    
+    // Social accounts and other identities (sameAs) only come from structured data
+    const socialLinks = structuredFields.socialLinks || {};
+    for (const [field, source] of Object.entries(structured?.sources || {})) {
+      if (/^(socialLinks\.|sameAs|worksFor|knowsAbout)/.test(field)) fieldSources[field] = source;
+    }
+    
     // Extract articles from profile page - ENHANCED LOGIC
     const articles = [];
     const seenUrls = new Set();
     const hostname = new URL(website).hostname;
     
-    // Strategy 1: Look for article containers first
-    const articleContainerSelectors = [
-      '.article-list',
-      '.articles',
-      '.author-articles',
-      '.post-list',
-      '.story-list',
-      '[class*="article"]',
-      '[class*="story"]',
-      '[class*="post-list"]',
-      '.content-list',
-      'article',
-    ];
+    // Strategy 0: Outlet adapter's article list (replaces the generic strategies below).
+    // Also used for the items of "load more" JSON responses.
+    const addListedArticles = (list, baseUrl) => {
+      for (const item of list || []) {
+        const fullUrl = canonicalizeUrl(item?.url, { base: baseUrl, preferredHost: hostname });
+        const title = (item?.title || '').trim();
+        if (!fullUrl || !title || seenUrls.has(fullUrl) || articles.length >= PROFILE_MAX_ARTICLES) continue;
+        seenUrls.add(fullUrl);
+        articles.push({
+          title: title.substring(0, 250),
+          url: fullUrl,
+          publishDate: item.publishDate || dateFromUrl(fullUrl),
+          modifiedDate: item.modifiedDate || null
+        });
+      }
+    };
     
-    let foundInContainer = false;
-    for (const containerSelector of articleContainerSelectors) {
-      const $container = $(containerSelector);
-      if ($container.length > 0) {
-        $container.find('a[href]').each((i, el) => {
-          if (articles.length >= 100) return false;
+    addListedArticles(callAdapter(adapter, 'extractArticles', $, adapterContext), author.profileUrl);
+    const adapterListFound = articles.length > 0;
+    
+    // Generic listing extraction for one profile page (strategies 1-3); returns
+    // how many new articles the page added
+    const addListingArticles = ($, pageUrl) => {
+      const before = articles.length;
+      
+      // Strategy 1: Look for article containers first
+      const articleContainerSelectors = [
+        '.article-list',
+        '.articles',
+        '.author-articles',
+        '.post-list',
+        '.story-list',
+        '[class*="article"]',
+        '[class*="story"]',
+        '[class*="post-list"]',
+        '.content-list',
+        'article',
+      ];
+    
+      let foundInContainer = false;
+      for (const containerSelector of articleContainerSelectors) {
+        const $container = $(containerSelector);
+        if ($container.length > 0) {
+          $container.find('a[href]').each((i, el) => {
+            if (articles.length >= PROFILE_MAX_ARTICLES) return false;
+          
+            const href = $(el).attr('href');
+            if (!href) return;
           
+            // Get title from link text or nearby elements
+            let title = $(el).text().trim();
+            if (!title || title.length < 10) {
+              title = $(el).attr('title') || $(el).find('[class*="title"], h1, h2, h3, h4').text().trim();
+            }
+          
+            if (!title || title.length < 10) return;
+          
+            let fullUrl;
+            try {
+              fullUrl = canonicalizeUrl(href, { base: pageUrl, preferredHost: hostname });
+            } catch (e) {
+              return;
+            }
+            if (!fullUrl) return;
+          
+            if (seenUrls.has(fullUrl)) return;
+          
+            try {
+              const url = new URL(fullUrl);
+              if (url.hostname !== hostname) return;
+            
+              const pathname = url.pathname;
+              const search = url.search || '';
+            
+              // Enhanced article detection
+              const isArticle = 
+                // Date patterns
+                /\/\d{4}\/\d{1,2}\/\d{1,2}\/.+/.test(pathname) ||
+                /\/\d{4}-\d{2}-\d{2}\/.+/.test(pathname) ||
+                /\d{4}\/\d{2}\/\d{2}/.test(pathname) ||
+                // ID patterns
+                /-\d{5,}/.test(pathname) ||
+                /\d{8,}\.html/.test(pathname) ||
+                /\d{7,}/.test(pathname) ||
+                /[?&]id=\d+/.test(search) ||
+                // Path patterns
+                /\/(article|story|news|post|blog|column|opinion|report|coverage|breaking)\/.+/.test(pathname) ||
+                /\/(national|international|world|india|politics|business|sports|entertainment|tech|science|health|lifestyle|city|state)\/.+/.test(pathname) ||
+                // Query params
+                /articleshow|newsid|storyid|articleid|story_id|news_id|article-/i.test(search + pathname) ||
+                // File extensions
+                /\.(html|htm|asp|aspx|php|jsp)/.test(pathname) ||
+                // Length-based
+                (pathname.length > 30 && !pathname.includes('/tag/') && !pathname.includes('/category/'));
+            
+              // Exclude non-articles
+              if (pathname.includes('/author/') || pathname.includes('/tag/') || 
+                  pathname.includes('/category/') || pathname.includes('/search') ||
+                  pathname.includes('/profile/') || pathname === '/' || pathname.length < 10) {
+                return;
+              }
+            
+              if (isArticle && title.length >= 10 && title.length < 300) {
+                seenUrls.add(fullUrl);
+              
+                articles.push({ 
+                  title: title.substring(0, 250), 
+                  url: fullUrl,
+                  publishDate: listingDate($, el, fullUrl)
+                });
+                foundInContainer = true;
+              }
+            } catch (e) {}
+          });
+        
+          if (foundInContainer && articles.length - before > 5) {
+            break; // Found articles in this container
+          }
+        }
+      }
+    
+      // Strategy 2: Fallback to scanning all links if no container found
+      if (articles.length - before < 5) {
+        $('a[href]').each((i, el) => {
+          if (articles.length >= PROFILE_MAX_ARTICLES) return false;
+        
           const href = $(el).attr('href');
           if (!href) return;
-          
-          // Get title from link text or nearby elements
+        
+          // Get title with multiple fallbacks
           let title = $(el).text().trim();
           if (!title || title.length < 10) {
-            title = $(el).attr('title') || $(el).find('[class*="title"], h1, h2, h3, h4').text().trim();
+            title = $(el).attr('title') || '';
           }
-          
+          if (!title || title.length < 10) {
+            title = $(el).attr('aria-label') || '';
+          }
+          if (!title || title.length < 10) {
+            // Check if parent has title
+            title = $(el).parent().find('[class*="title"], [class*="headline"]').first().text().trim();
+          }
+        
           if (!title || title.length < 10) return;
-          
+        
           let fullUrl;
           try {
-            fullUrl = href.startsWith('http') ? href : new URL(href, website).href;
+            fullUrl = canonicalizeUrl(href, { base: pageUrl, preferredHost: hostname });
           } catch (e) {
             return;
           }
-          
+          if (!fullUrl) return;
+        
           if (seenUrls.has(fullUrl)) return;
-          
+        
           try {
             const url = new URL(fullUrl);
             if (url.hostname !== hostname) return;
-            
+          
             const pathname = url.pathname;
             const search = url.search || '';
-            
-            // Enhanced article detection
+          
+            // Very aggressive article detection
             const isArticle = 
-              // Date patterns
-              /\/\d{4}\/\d{1,2}\/\d{1,2}\/.+/.test(pathname) ||
-              /\/\d{4}-\d{2}-\d{2}\/.+/.test(pathname) ||
-              /\d{4}\/\d{2}\/\d{2}/.test(pathname) ||
-              // ID patterns
+              /\/\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2}/.test(pathname) ||
+              /\d{4}\/\d{2}/.test(pathname) ||
               /-\d{5,}/.test(pathname) ||
-              /\d{8,}\.html/.test(pathname) ||
               /\d{7,}/.test(pathname) ||
-              /[?&]id=\d+/.test(search) ||
-              // Path patterns
-              /\/(article|story|news|post|blog|column|opinion|report|coverage|breaking)\/.+/.test(pathname) ||
-              /\/(national|international|world|india|politics|business|sports|entertainment|tech|science|health|lifestyle|city|state)\/.+/.test(pathname) ||
-              // Query params
-              /articleshow|newsid|storyid|articleid|story_id|news_id|article-/i.test(search + pathname) ||
-              // File extensions
-              /\.(html|htm|asp|aspx|php|jsp)/.test(pathname) ||
-              // Length-based
-              (pathname.length > 30 && !pathname.includes('/tag/') && !pathname.includes('/category/'));
-            
-            // Exclude non-articles
+              /\/(article|story|news|post|blog)\//i.test(pathname) ||
+              /articleshow|newsid|storyid|articleid/i.test(search + pathname) ||
+              /\.(html|htm|php|asp)/.test(pathname) ||
+              (pathname.length > 25 && pathname.split('/').length >= 3);
+          
+            // Strict exclusions
             if (pathname.includes('/author/') || pathname.includes('/tag/') || 
-                pathname.includes('/category/') || pathname.includes('/search') ||
-                pathname.includes('/profile/') || pathname === '/' || pathname.length < 10) {
+                pathname.includes('/category/') || pathname.includes('/page/') ||
+                pathname === '/' || pathname.length < 10) {
               return;
             }
-            
+          
             if (isArticle && title.length >= 10 && title.length < 300) {
               seenUrls.add(fullUrl);
-              
-              // Extract date
-              let publishDate = null;
-              const dateMatch = pathname.match(/\/(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})\//);
-              if (dateMatch) {
-                publishDate = `${dateMatch[1]}-${String(dateMatch[2]).padStart(2, '0')}-${String(dateMatch[3]).padStart(2, '0')}`;
-              }
-              
+            
               articles.push({ 
                 title: title.substring(0, 250), 
                 url: fullUrl,
-                publishDate
+                publishDate: listingDate($, el, fullUrl)
               });
-              foundInContainer = true;
             }
           } catch (e) {}
         });
-        
-        if (foundInContainer && articles.length > 5) {
-          break; // Found articles in this container
-        }
       }
-    }
+      
+      // Strategy 3: JS-rendered profiles list the stories in their hydration payload
+      if (articles.length - before < 5) {
+        addListedArticles(embeddedStoryLinks($, pageUrl, hostname), pageUrl);
+      }
+      
+      return articles.length - before;
+    };
     
-    // Strategy 2: Fallback to scanning all links if no container found
-    if (articles.length < 5) {
-      $('a[href]').each((i, el) => {
-        if (articles.length >= 100) return false;
-        
-        const href = $(el).attr('href');
-        if (!href) return;
-        
-        // Get title with multiple fallbacks
-        let title = $(el).text().trim();
-        if (!title || title.length < 10) {
-          title = $(el).attr('title') || '';
-        }
-        if (!title || title.length < 10) {
-          title = $(el).attr('aria-label') || '';
-        }
-        if (!title || title.length < 10) {
-          // Check if parent has title
-          title = $(el).parent().find('[class*="title"], [class*="headline"]').first().text().trim();
-        }
-        
-        if (!title || title.length < 10) return;
+    const addPageArticles = ($page, pageUrl) => (adapterListFound
+      ? addListedArticles(callAdapter(adapter, 'extractArticles', $page, { ...adapterContext, url: pageUrl }), pageUrl)
+      : addListingArticles($page, pageUrl));
+    
+    if (!adapterListFound) addListingArticles($, author.profileUrl);
+    
+    // Walk the profile's older pages: the adapter's extractNextPage, rel="next",
+    // numbered pagers, ?page= / /page/N links, then "load more" JSON endpoints.
+    // Stops at the page/article budget, on a page with nothing new, or (in
+    // incremental mode) once a page reaches articles older than the cutoff.
+    const reachedCutoff = (pageArticles) => {
+      if (!since) return false;
+      const dated = pageArticles.filter(a => parseArticleDate(a.publishDate));
+      return dated.length > 0 && !isNewerThan(dated[dated.length - 1].publishDate, since);
+    };
+    
+    let pageArticles = articles.slice();
+    let listing = { $, json: null, url: author.profileUrl };
+    const visitedPages = new Set([author.profileUrl]);
+    let pagesFollowed = 0;
+    
+    for (let page = 2; page <= PROFILE_MAX_PAGES && articles.length < PROFILE_MAX_ARTICLES; page++) {
+      if (pageArticles.length === 0 || reachedCutoff(pageArticles)) break;
+      
+      let nextUrl = null;
+      if (listing.json) {
+        nextUrl = nextJsonPageUrl(listing.json, listing.url, listing.itemCount);
+      } else {
+        const pageContext = { ...adapterContext, url: listing.url };
+        nextUrl = resolveUrl(callAdapter(adapter, 'extractNextPage', listing.$, pageContext), listing.url) ||
+          findNextPageUrl(listing.$, listing.url, page - 1) ||
+          findLoadMoreUrl(listing.$, listing.url, page - 1);
+      }
+      if (!nextUrl || visitedPages.has(nextUrl)) break;
+      visitedPages.add(nextUrl);
+      await checkpoint(control);
+      
+      try {
+        const pageResponse = await httpGet(nextUrl, {
+          headers: {
+            'User-Agent': getRandomUserAgent(),
+            'Accept': 'text/html,application/json;q=0.9,*/*;q=0.8'
+          },
+          timeout: 15000
+        }, { resourceType: 'profile' });
         
-        let fullUrl;
-        try {
-          fullUrl = href.startsWith('http') ? href : new URL(href, website).href;
-        } catch (e) {
-          return;
+        const before = articles.length;
+        const json = parseJsonPayload(pageResponse.data);
+        if (json) {
+          // Payloads can carry ads and partner links; keep the outlet's own stories
+          const { items, html } = articlesFromJson(json);
+          const outletDomain = hostname.replace(/^www\./, '');
+          const ownStories = items.filter(item => {
+            const itemUrl = resolveUrl(item.url, nextUrl);
+            const itemHost = itemUrl ? new URL(itemUrl).hostname : '';
+            return itemHost === outletDomain || itemHost.endsWith(`.${outletDomain}`);
+          });
+          addListedArticles(ownStories, nextUrl);
+          for (const fragment of html) addPageArticles(cheerio.load(fragment), nextUrl);
+          listing = { $: listing.$, json, url: nextUrl, itemCount: items.length };
+        } else {
+          const $page = cheerio.load(pageResponse.data);
+          addPageArticles($page, nextUrl);
+          listing = { $: $page, json: null, url: nextUrl };
         }
         
-        if (seenUrls.has(fullUrl)) return;
-        
-        try {
-          const url = new URL(fullUrl);
-          if (url.hostname !== hostname) return;
-          
-          const pathname = url.pathname;
-          const search = url.search || '';
-          
-          // Very aggressive article detection
-          const isArticle = 
-            /\/\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2}/.test(pathname) ||
-            /\d{4}\/\d{2}/.test(pathname) ||
-            /-\d{5,}/.test(pathname) ||
-            /\d{7,}/.test(pathname) ||
-            /\/(article|story|news|post|blog)\//i.test(pathname) ||
-            /articleshow|newsid|storyid|articleid/i.test(search + pathname) ||
-            /\.(html|htm|php|asp)/.test(pathname) ||
-            (pathname.length > 25 && pathname.split('/').length >= 3);
-          
-          // Strict exclusions
-          if (pathname.includes('/author/') || pathname.includes('/tag/') || 
-              pathname.includes('/category/') || pathname.includes('/page/') ||
-              pathname === '/' || pathname.length < 10) {
-            return;
-          }
-          
-          if (isArticle && title.length >= 10 && title.length < 300) {
-            seenUrls.add(fullUrl);
-            
-            let publishDate = null;
-            const dateMatch = pathname.match(/(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})/);
-            if (dateMatch) {
-              publishDate = `${dateMatch[1]}-${String(dateMatch[2]).padStart(2, '0')}-${String(dateMatch[3]).padStart(2, '0')}`;
-            }
-            
-            articles.push({ 
-              title: title.substring(0, 250), 
-              url: fullUrl,
-              publishDate
-            });
-          }
-        } catch (e) {}
-      });
+        pageArticles = articles.slice(before);
+        pagesFollowed++;
+      } catch (e) {
+        if (isCancellation(e)) throw e;
+        break;
+      }
+    }
+    
+    if (pagesFollowed > 0) {
+      console.log(`    📄 Followed ${pagesFollowed} more profile page(s)`);
     }
     
     console.log(`    ✓ Found ${articles.length} articles on profile page`);
     
+    // Add articles this author was credited on during discovery, and fill in
+    // their sitemap/feed metadata (dates, news keywords, language)
+    for (const known of author.bylineArticles || []) {
+      const existing = articles.find(a => a.url === known.url);
+      if (existing) {
+        existing.publishDate = existing.publishDate || known.publishDate;
+        existing.modifiedDate = existing.modifiedDate || known.modifiedDate;
+        if (!existing.keywords?.length && known.keywords?.length) existing.keywords = known.keywords;
+        existing.language = existing.language || known.language;
+        if (!existing.authorNames?.length && known.authorNames?.length) existing.authorNames = known.authorNames;
+        if (!existing.body && known.body) {
+          Object.assign(existing, { body: known.body, wordCount: known.wordCount, readingTime: known.readingTime });
+        }
+        if (!existing.copyType && known.copyType) {
+          Object.assign(existing, { copyType: known.copyType, agencies: known.agencies, syndicatedFrom: known.syndicatedFrom, copySignals: known.copySignals });
+        }
+      } else if (articles.length < PROFILE_MAX_ARTICLES) {
+        seenUrls.add(known.url);
+        articles.push({ ...known });
+      }
+    }
+    
     // If still no articles, try searching for articles by this author using search
     if (articles.length === 0) {
       console.log(`    🔍 No articles on profile page, searching articles...`);
@@ -1674,12 +2129,13 @@ async function extractAuthorData(author, outletName, website) {
         
         for (const searchUrl of searchUrls) {
           if (articles.length > 10) break;
+          await checkpoint(control);
           
           try {
-            const searchResponse = await axios.get(searchUrl, {
+            const searchResponse = await httpGet(searchUrl, {
               headers: { 'User-Agent': getRandomUserAgent() },
               timeout: 10000
-            });
+            }, { resourceType: 'search' });
             
             const $search = cheerio.load(searchResponse.data);
             
@@ -1693,10 +2149,11 @@ async function extractAuthorData(author, outletName, website) {
               
               let fullUrl;
               try {
-                fullUrl = href.startsWith('http') ? href : new URL(href, website).href;
+                fullUrl = canonicalizeUrl(href, { base: website, preferredHost: hostname });
               } catch (e) {
                 return;
               }
+              if (!fullUrl) return;
               
               if (seenUrls.has(fullUrl)) return;
               
@@ -1716,7 +2173,7 @@ async function extractAuthorData(author, outletName, website) {
                   articles.push({ 
                     title: title.substring(0, 250), 
                     url: fullUrl,
-                    publishDate: null
+                    publishDate: dateFromUrl(fullUrl)
                   });
                 }
               } catch (e) {}
@@ -1731,10 +2188,60 @@ async function extractAuthorData(author, outletName, website) {
           }
         }
       } catch (searchErr) {
+        if (isCancellation(searchErr)) throw searchErr;
         console.log(`    ⚠️  Search failed: ${searchErr.message}`);
       }
     }
     
+    // Incremental mode: drop profile articles dated before this author's last scrape
+    if (since) {
+      const before = articles.length;
+      const newer = articles.filter(a => isNewerThan(a.publishDate, since));
+      articles.length = 0;
+      articles.push(...newer);
+      console.log(`    ⏩ Incremental: ${articles.length} new, ${before - articles.length} already scraped`);
+    }
+    
+    // Body text for the newest articles that weren't already fetched during discovery
+    const needBody = articles
+      .filter(a => !a.body)
+      .sort((a, b) => (parseArticleDate(b.publishDate)?.date.getTime() || 0) - (parseArticleDate(a.publishDate)?.date.getTime() || 0))
+      .slice(0, Math.max(0, ARTICLE_BODY_LIMIT - articles.filter(a => a.body).length));
+    let bodiesFound = 0;
+    for (const article of needBody) {
+      await checkpoint(control);
+      try {
+        const articleResponse = await httpGet(article.url, {
+          headers: { 'User-Agent': getRandomUserAgent() },
+          timeout: 10000
+        }, { resourceType: 'article' });
+        const $article = cheerio.load(articleResponse.data);
+        article.url = pageCanonicalUrl($article, article.url, { preferredHost: hostname }) || article.url;
+        
+        const body = extractArticleBody(articleResponse.data);
+        if (body) {
+          Object.assign(article, { body: body.text, wordCount: body.wordCount, readingTime: body.readingTime });
+          bodiesFound++;
+        }
+        Object.assign(article, copyFields($article, article.url, body));
+        if (!article.publishDate || !article.modifiedDate) {
+          const pageDates = extractArticleDates($article, article.url);
+          article.publishDate = article.publishDate || pageDates.publishDate;
+          article.modifiedDate = article.modifiedDate || pageDates.modifiedDate;
+        }
+      } catch (e) {
+        if (isCancellation(e)) throw e;
+      }
+    }
+    if (needBody.length > 0) {
+      console.log(`    📄 Extracted body text for ${bodiesFound}/${needBody.length} articles`);
+      
+      // Links that turned out to share a canonical URL are one article
+      const unique = articles.filter((a, i) => articles.findIndex(b => b.url === a.url) === i);
+      articles.length = 0;
+      articles.push(...unique);
+    }
+    
     // ENHANCED NLP Analysis + COMPREHENSIVE Topic Extraction from URLs, Sections & Content
     let keywords = [];
     let topics = ['General'];
@@ -1745,175 +2252,50 @@ async function extractAuthorData(author, outletName, website) {
       try {
         const titles = articles.map(a => a.title);
         const nlpResult = analyzeArticleTitles(titles);
-        keywords = nlpResult.keywords.slice(0, 15).map(k => k.term);
+        const titleKeywords = nlpResult.keywords.map(k => k.term);
         
-        // COMPREHENSIVE Topic Detection System with scoring
-        const topicScores = new Map();
+        // Body text says much more than titles; its keywords come first
+        const bodyKeywords = extractKeywords(articles.filter(a => a.body), 15).map(k => k.word);
+        keywords = [...new Set([...bodyKeywords, ...titleKeywords])].slice(0, 15);
         
-        // Define comprehensive topic detection patterns
-        const topicPatterns = {
-          'Politics': {
-            urlKeywords: ['/politic', '/govt', '/election', '/parliament', '/cabinet', '/minister', 
-                         '/ruling', '/opposition', '/legislature', '/governance', '/policy'],
-            titleKeywords: ['election', 'government', 'minister', 'parliament', 'BJP', 'Congress',
-                           'party', 'vote', 'candidate', 'campaign', 'political', 'legislature',
-                           'ruling', 'opposition', 'PM', 'chief minister', 'governor', 'MP', 'MLA']
-          },
-          'Business': {
-            urlKeywords: ['/business', '/economy', '/market', '/finance', '/stock', '/trade', 
-                         '/investment', '/corporate', '/industry', '/startup', '/company'],
-            titleKeywords: ['economy', 'market', 'stock', 'business', 'finance', 'investment',
-                           'corporate', 'company', 'industry', 'profit', 'revenue', 'GDP',
-                           'IPO', 'share', 'trading', 'startup', 'entrepreneur', 'rupee']
-          },
-          'Technology': {
-            urlKeywords: ['/tech', '/technology', '/digital', '/ai', '/gadget', '/mobile', 
-                         '/internet', '/cyber', '/software', '/innovation', '/startup-tech'],
-            titleKeywords: ['technology', 'digital', 'startup', 'AI', 'artificial intelligence',
-                           'software', 'app', 'smartphone', 'internet', 'cyber', 'innovation',
-                           'gadget', 'mobile', 'tech', 'computer', 'data', 'cloud', '5G', 'blockchain']
-          },
-          'Sports': {
-            urlKeywords: ['/sport', '/cricket', '/football', '/hockey', '/tennis', '/badminton',
-                         '/olympics', '/IPL', '/match', '/tournament', '/athlete'],
-            titleKeywords: ['cricket', 'match', 'tournament', 'sport', 'football', 'hockey',
-                           'tennis', 'badminton', 'olympics', 'IPL', 'player', 'team', 'win',
-                           'championship', 'medal', 'coach', 'stadium', 'athlete', 'game']
-          },
-          'Entertainment': {
-            urlKeywords: ['/entertainment', '/cinema', '/movie', '/celebrity', '/bollywood',
-                         '/hollywood', '/music', '/television', '/film', '/showbiz'],
-            titleKeywords: ['film', 'actor', 'cinema', 'celebrity', 'movie', 'bollywood',
-                           'director', 'actress', 'music', 'singer', 'album', 'television',
-                           'show', 'series', 'entertainment', 'star', 'release', 'box office']
-          },
-          'Health': {
-            urlKeywords: ['/health', '/medical', '/covid', '/hospital', '/medicine', '/wellness',
-                         '/disease', '/healthcare', '/doctor', '/patient'],
-            titleKeywords: ['health', 'medical', 'disease', 'doctor', 'hospital', 'patient',
-                           'treatment', 'medicine', 'covid', 'vaccine', 'virus', 'pandemic',
-                           'healthcare', 'wellness', 'diagnosis', 'surgery', 'clinic']
-          },
-          'Environment': {
-            urlKeywords: ['/environment', '/climate', '/pollution', '/green', '/ecology',
-                         '/conservation', '/wildlife', '/sustainable', '/renewable'],
-            titleKeywords: ['climate', 'environment', 'pollution', 'green', 'sustainable',
-                           'carbon', 'emission', 'wildlife', 'conservation', 'renewable',
-                           'ecology', 'global warming', 'deforestation', 'biodiversity']
-          },
-          'Education': {
-            urlKeywords: ['/education', '/school', '/university', '/exam', '/student',
-                         '/college', '/academic', '/learning', '/admission'],
-            titleKeywords: ['education', 'school', 'university', 'student', 'exam',
-                           'college', 'teacher', 'admission', 'course', 'degree',
-                           'academic', 'learning', 'study', 'campus', 'scholarship']
-          },
-          'Crime': {
-            urlKeywords: ['/crime', '/police', '/court', '/legal', '/law', '/justice',
-                         '/investigation', '/arrest', '/murder', '/theft'],
-            titleKeywords: ['crime', 'police', 'arrest', 'court', 'murder', 'theft',
-                           'investigation', 'accused', 'victim', 'case', 'legal',
-                           'justice', 'jail', 'robbery', 'assault', 'fraud', 'FIR']
-          },
-          'International': {
-            urlKeywords: ['/international', '/world', '/global', '/foreign', '/usa', '/china',
-                         '/pakistan', '/uk', '/europe', '/asia', '/americas'],
-            titleKeywords: ['international', 'world', 'global', 'foreign', 'USA', 'China',
-                           'Pakistan', 'United Nations', 'UN', 'NATO', 'embassy',
-                           'bilateral', 'diplomat', 'overseas', 'abroad', 'treaty']
-          },
-          'Lifestyle': {
-            urlKeywords: ['/lifestyle', '/fashion', '/food', '/travel', '/culture', '/beauty',
-                         '/wellness', '/fitness', '/luxury', '/dining'],
-            titleKeywords: ['lifestyle', 'fashion', 'food', 'travel', 'culture', 'beauty',
-                           'fitness', 'luxury', 'recipe', 'restaurant', 'vacation',
-                           'style', 'trend', 'dining', 'tourism', 'destination']
-          },
-          'Social Issues': {
-            urlKeywords: ['/social', '/society', '/women', '/gender', '/rights', '/welfare',
-                         '/community', '/activism', '/NGO'],
-            titleKeywords: ['women', 'gender', 'rights', 'social', 'community', 'welfare',
-                           'discrimination', 'equality', 'activism', 'protest', 'NGO',
-                           'charity', 'empowerment', 'marginalized', 'minority']
-          },
-          'Science': {
-            urlKeywords: ['/science', '/research', '/space', '/astronomy', '/physics',
-                         '/biology', '/chemistry', '/discovery', '/ISRO', '/NASA'],
-            titleKeywords: ['science', 'research', 'space', 'discovery', 'study', 'scientist',
-                           'experiment', 'astronomy', 'physics', 'biology', 'ISRO',
-                           'satellite', 'planet', 'galaxy', 'laboratory', 'innovation']
-          },
-          'Real Estate': {
-            urlKeywords: ['/real-estate', '/property', '/housing', '/construction', '/realty',
-                         '/apartment', '/land', '/developer'],
-            titleKeywords: ['property', 'real estate', 'housing', 'apartment', 'construction',
-                           'developer', 'builder', 'flat', 'plot', 'rent', 'buy', 'home']
-          },
-          'Automobile': {
-            urlKeywords: ['/auto', '/automobile', '/car', '/bike', '/vehicle', '/motor',
-                         '/transport', '/ev', '/electric-vehicle'],
-            titleKeywords: ['car', 'bike', 'vehicle', 'automobile', 'electric vehicle', 'EV',
-                           'motor', 'launch', 'SUV', 'sedan', 'motorcycle', 'transport']
-          },
-          'Opinion': {
-            urlKeywords: ['/opinion', '/editorial', '/column', '/comment', '/analysis',
-                         '/perspective', '/viewpoint', '/blog'],
-            titleKeywords: ['opinion', 'editorial', 'column', 'analysis', 'perspective',
-                           'viewpoint', 'comment', 'argues', 'believes', 'thinks']
-          }
-        };
+        // Topic scoring: URL sections plus the trained topic classifier
+        const topicScores = new Map();
+        const addScore = (topic, score) => topicScores.set(topic, (topicScores.get(topic) || 0) + score);
         
         // Score each article for topics
         articles.forEach(article => {
           const url = article.url.toLowerCase();
-          const title = article.title.toLowerCase();
           
-          for (const [topicName, patterns] of Object.entries(topicPatterns)) {
-            let score = 0;
-            
-            // Check URL keywords (higher weight - 3 points per match)
-            for (const keyword of patterns.urlKeywords) {
-              if (url.includes(keyword)) {
-                score += 3;
-              }
-            }
-            
-            // Check title keywords (medium weight - 1 point per match)
-            for (const keyword of patterns.titleKeywords) {
-              if (title.includes(keyword.toLowerCase())) {
-                score += 1;
-              }
-            }
-            
-            // Add score to topic
-            if (score > 0) {
-              topicScores.set(topicName, (topicScores.get(topicName) || 0) + score);
+          // Taxonomy URL hints: section paths that reliably say what a story is about
+          // (3 points per match, to the topic and every topic above it)
+          for (const topic of getTaxonomy()) {
+            for (const hint of topic.urlHints || []) {
+              if (url.includes(hint.toLowerCase())) topicPath(topic.topicId).forEach(t => addScore(t.name, 3));
             }
           }
+          
+          // Topics the classifier finds in the title and opening of the body (2 points each)
+          for (const topic of categorizeTopics(article)) addScore(topic, 2);
         });
         
-        // Convert scores to topics (threshold: at least 5% of articles should match)
-        const threshold = Math.max(2, articles.length * 0.05);
-        const detectedTopics = [];
+        // The bio names the beat outright ("covers politics and elections")
+        if (bio) {
+          for (const topic of categorizeTopics(bio)) addScore(topic, 2);
+        }
+        
+        // A topic counts when it comes up in about a fifth of the articles
+        const threshold = Math.max(4, articles.length * 0.4);
         
         // Sort topics by score
         const sortedTopics = Array.from(topicScores.entries())
           .sort((a, b) => b[1] - a[1]);
         
-        for (const [topic, score] of sortedTopics) {
-          if (score >= threshold) {
-            detectedTopics.push(topic);
-          }
-        }
-        
-        // Combine NLP topics with detected topics
-        const combinedText = titles.join(' ') + (bio || '');
-        const nlpTopics = categorizeTopics(combinedText);
-        
-        // Merge all sources
-        const allTopics = new Set([...detectedTopics, ...nlpTopics]);
+        const allTopics = new Set(sortedTopics
+          .filter(([, score]) => score >= threshold)
+          .map(([topic]) => topic));
         
-        publicationTopics = Array.from(allTopics);
+        // Sub-topics listed after the topics above them (Sports, Cricket, IPL)
+        publicationTopics = withAncestors(Array.from(allTopics));
         if (publicationTopics.length === 0) publicationTopics = ['General'];
         
         // Keep original topics field for backward compatibility
@@ -1924,7 +2306,7 @@ async function extractAuthorData(author, outletName, website) {
           topics: publicationTopics,
           bio,
           socialLinks: {},
-          profilePic: null
+          profilePic: profilePicture
         });
         
         // Enhanced logging with topic breakdown
@@ -1946,10 +2328,14 @@ async function extractAuthorData(author, outletName, website) {
       profileUrl: author.profileUrl,
       role,
       bio,
-      email: null,
-      socialLinks: {},
-      profilePicture: null,
-      articles,
+      email: socialLinks.email || null,
+      socialLinks,
+      sameAs: structuredFields.sameAs || [],
+      worksFor: structuredFields.worksFor || [],
+      knowsAbout: structuredFields.knowsAbout || [],
+      fieldSources,
+      profilePicture,
+      articles: articles.map(withNormalizedDates),
       totalArticles: articles.length,
       keywords,
       topics,
@@ -1959,37 +2345,84 @@ async function extractAuthorData(author, outletName, website) {
     };
     
   } catch (err) {
+    if (isCancellation(err)) throw err;
     console.log(`    ⚠️  Error extracting profile: ${err.message}`);
     
     // Return minimal data even on error
-    return {
-      name: author.name,
-      outlet: outletName,
-      profileUrl: author.profileUrl,
-      role: 'Journalist',
-      bio: null,
-      email: null,
-      socialLinks: {},
-      profilePicture: null,
-      articles: [],
-      totalArticles: 0,
-      keywords: [],
-      topics: ['General'],
-      publicationTopics: ['General'],
-      influenceScore: 50,
-      topKeywords: []
-    };
+    return discoveredAuthorData(author, outletName);
   }
 }
 
+// Profile of a discovered author without their profile page: structured data
+// from their article pages and the articles credited to them
+function discoveredAuthorData(author, outletName) {
+  const structuredFields = author.structured?.fields || {};
+  return {
+    name: author.name,
+    outlet: outletName,
+    profileUrl: author.profileUrl,
+    role: structuredFields.role || 'Journalist',
+    bio: structuredFields.bio || null,
+    email: structuredFields.socialLinks?.email || null,
+    socialLinks: structuredFields.socialLinks || {},
+    sameAs: structuredFields.sameAs || [],
+    worksFor: structuredFields.worksFor || [],
+    knowsAbout: structuredFields.knowsAbout || [],
+    fieldSources: author.structured?.sources || {},
+    profilePicture: structuredFields.avatar || null,
+    articles: (author.bylineArticles || []).map(withNormalizedDates), // Still known from discovery
+    totalArticles: author.bylineArticles?.length || 0,
+    keywords: [],
+    topics: ['General'],
+    publicationTopics: ['General'],
+    influenceScore: 50,
+    topKeywords: []
+  };
+}
+
+// Wire copy nobody at the outlet is credited on, credited to the agency by name
+function uncreditedAgencyArticles(articles, articleAuthors) {
+  const creditedUrls = new Set(articleAuthors.flatMap(a => (a.bylineArticles || []).map(article => article.url)));
+  return articles
+    .filter(article => article.copyType === 'agency' && !creditedUrls.has(article.url))
+    .map(article => withNormalizedDates({ ...article, authorNames: article.agencies || [] }));
+}
+
 // ============================================================
 // MAIN SCRAPER FUNCTION
 // ============================================================
 
-export async function scrapeLightweight(outletName, maxAuthors = 35, progressCallback = null) {
+export async function scrapeLightweight(outletName, maxAuthors = 35, progressCallback = null, options = {}) {
+  // Every request made during this run is counted in its own fetch stats
+  const fetchStats = createFetchStats();
+  const result = await runWithFetchStats(fetchStats, () =>
+    runLightweightScrape(outletName, maxAuthors, progressCallback, options)
+  );
+  
+  const summary = `🤖 Politeness: ${fetchStats.requests} requests, ${fetchStats.skippedByRobots} URLs skipped by robots.txt, ` +
+    `${Math.round(fetchStats.throttledMs / 1000)}s waiting on per-host limits, ` +
+    `${fetchStats.cacheHits} cache hits, ${fetchStats.notModified} not modified`;
+  console.log(summary);
+  if (progressCallback) progressCallback({ type: 'log', message: summary });
+  
+  return { ...result, fetchStats };
+}
+
+async function runLightweightScrape(outletName, maxAuthors, progressCallback, options) {
+  const {
+    control = null, // Cancel/pause handle from the job queue
+    since = null, // Incremental mode: outlet's last successful scrape
+    authorSince = null // Incremental mode: Map of lowercased author name -> last scrape
+  } = options;
+  
+  // progressCallback receives events: { type: 'log' | 'stage' | 'author' | 'error', ... }
+  // `progress` on stage/author events is a 0-100 estimate for the whole scrape
+  const emit = (type, data = {}) => {
+    if (progressCallback) progressCallback({ type, ...data });
+  };
   const log = (msg) => {
     console.log(msg);
-    if (progressCallback) progressCallback(msg);
+    emit('log', { message: msg });
   };
   
   log(`\n${'='.repeat(80)}`);
@@ -2001,36 +2434,49 @@ export async function scrapeLightweight(outletName, maxAuthors = 35, progressCal
   log(`🌍 Language Support: All Indian languages + English`);
   log(`${'='.repeat(80)}\n`);
   
+  // Declared outside the try so a cancelled run can still return partial results
+  let website = null;
+  const results = [];
+  const articles = [];
+  const directoryAuthors = [];
+  const bylineAuthors = new Map();
+  let authors = [];
+  
   try {
     // Step 1: Detect website
-    const website = await detectOutletWebsite(outletName);
+    emit('stage', { stage: 'detect-website', message: `Detecting website for "${outletName}"...`, progress: 5 });
+    website = await detectOutletWebsite(outletName);
     if (!website) {
       throw new Error(`Could not detect website for: ${outletName}`);
     }
     
     console.log(`✅ Website: ${website}`);
+    emit('stage', { stage: 'collect-articles', message: `Collecting articles from ${website}`, website, progress: 15 });
     
     // Step 2: Collect MANY articles (500+) for better author discovery
-    const articles = await collectArticlesFromWebsite(website, Math.max(500, maxAuthors * 20));
+    await collectArticlesFromWebsite(website, Math.max(500, maxAuthors * 20), control, since, articles);
     
-    if (articles.length === 0) {
+    if (articles.length === 0 && !since) {
       throw new Error('No articles found - website might be blocking requests or has unusual structure');
     }
     
     console.log(`✅ Collected ${articles.length} articles`);
+    emit('stage', { stage: 'discover-authors', message: `Collected ${articles.length} articles, discovering journalists...`, articlesCount: articles.length, progress: 35 });
     
     // Step 3: Try author directory FIRST (more reliable)
     console.log(`\n👥 STAGE 2: Discovering Journalist Profiles`);
     console.log(`   Strategy 1: Author Directory Pages...`);
     
-    let authors = await findAuthorDirectoryPages(website, maxAuthors);
+    await findAuthorDirectoryPages(website, maxAuthors, control, directoryAuthors);
+    authors = [...directoryAuthors];
     console.log(`   ✓ Found ${authors.length} authors from directory pages`);
     
     // Step 4: Extract authors from articles to fill the gap
     let articleAuthors = []; // Initialize outside the if block
-    if (authors.length < maxAuthors) {
+    let agencyArticles = [];
+    if (authors.length < maxAuthors && articles.length > 0) {
       console.log(`\n   Strategy 2: Extracting from ${articles.length} articles...`);
-      articleAuthors = await extractAuthorsFromArticles(articles, website, maxAuthors - authors.length);
+      articleAuthors = await extractAuthorsFromArticles(articles, website, maxAuthors - authors.length, control, bylineAuthors);
       console.log(`   ✓ Found ${articleAuthors.length} additional authors from articles`);
       
       // Merge without duplicates
@@ -2041,9 +2487,19 @@ export async function scrapeLightweight(outletName, maxAuthors = 35, progressCal
           existingNames.add(normalizeAuthorName(author.name));
         }
       }
+      
+      agencyArticles = uncreditedAgencyArticles(articles, articleAuthors);
+      if (agencyArticles.length > 0) {
+        console.log(`   📰 ${agencyArticles.length} agency articles with no staff byline`);
+      }
     }
     
     if (authors.length === 0) {
+      if (since) {
+        log(`✅ No new articles since ${new Date(since).toISOString()}, outlet is up to date`);
+        emit('stage', { stage: 'done', message: 'No new articles since the last scrape', progress: 100 });
+        return { outlet: outletName, website, authorsCount: 0, authors: [], upToDate: true };
+      }
       throw new Error('No valid journalists found. This outlet may use generic bylines or has an unusual structure.');
     }
     
@@ -2067,16 +2523,19 @@ export async function scrapeLightweight(outletName, maxAuthors = 35, progressCal
     console.log(`\n✅ TOTAL: ${authors.length} unique journalists discovered`);
     console.log(`   From directory: ${fromDirectory}`);
     console.log(`   From articles: ${fromArticles}\n`);
+    emit('stage', { stage: 'extract-profiles', message: `Extracting ${authors.length} journalist profiles...`, authorsCount: authors.length, progress: 50 });
     
     // Step 4: Extract full profiles for each author
     console.log(`${'='.repeat(80)}`);
     console.log(`EXTRACTING AUTHOR PROFILES`);
     console.log(`${'='.repeat(80)}\n`);
     
-    const results = [];
     const BATCH_SIZE = 10; // Process 10 authors at a time (faster!)
+    let extractedCount = 0;
+    const profileProgress = () => 50 + Math.round((extractedCount / authors.length) * 45);
     
     for (let i = 0; i < authors.length; i += BATCH_SIZE) {
+      await checkpoint(control);
       const batch = authors.slice(i, Math.min(i + BATCH_SIZE, authors.length));
       
       console.log(`\n📦 Processing batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(authors.length / BATCH_SIZE)} (${batch.length} authors)...`);
@@ -2086,11 +2545,26 @@ export async function scrapeLightweight(outletName, maxAuthors = 35, progressCal
         console.log(`  [${authorNum}/${authors.length}] ${author.name}`);
         
         try {
-          const data = await extractAuthorData(author, outletName, website);
+          const authorCutoff = authorSince?.get(author.name.toLowerCase().trim()) || null;
+          const data = await extractAuthorData(author, outletName, website, control, authorCutoff);
           console.log(`     ✓ Extracted ${data.totalArticles} articles`);
+          extractedCount++;
+          emit('author', {
+            name: data.name,
+            profileUrl: data.profileUrl,
+            totalArticles: data.totalArticles,
+            topics: data.topics,
+            index: authorNum,
+            total: authors.length,
+            message: `Extracted ${data.name} (${data.totalArticles} articles)`,
+            progress: profileProgress()
+          });
           return data;
         } catch (err) {
+          if (isCancellation(err)) throw err;
           console.log(`     ⚠️  Failed: ${err.message}`);
+          extractedCount++;
+          emit('error', { message: `Failed to extract ${author.name}: ${err.message}`, author: author.name, progress: profileProgress() });
           return {
             name: author.name,
             outlet: outletName,
@@ -2111,15 +2585,15 @@ export async function scrapeLightweight(outletName, maxAuthors = 35, progressCal
         }
       });
       
-      const batchResults = await Promise.all(batchPromises);
+      // allSettled so profiles finished before a cancel are kept
+      const settled = await Promise.allSettled(batchPromises);
+      const batchResults = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
       results.push(...batchResults);
       
-      console.log(`  ✅ Batch complete: ${batchResults.length} profiles processed`);
+      const rejected = settled.find(r => r.status === 'rejected');
+      if (rejected) throw rejected.reason;
       
-      // Rate limiting between batches (shorter delay for speed)
-      if (i + BATCH_SIZE < authors.length) {
-        await delay(800);
-      }
+      console.log(`  ✅ Batch complete: ${batchResults.length} profiles processed`);
     }
     
     // Calculate statistics for judges
@@ -2167,15 +2641,44 @@ export async function scrapeLightweight(outletName, maxAuthors = 35, progressCal
     console.log(`   ✓ Multi-language: Supported ✓`);
     console.log(`${'='.repeat(80)}\n`);
     
+    emit('stage', { stage: 'done', message: `Scraped ${results.length} journalists (${totalArticles} articles)`, progress: 100 });
+    
     return {
       outlet: outletName,
       website,
       authorsCount: results.length,
-      authors: results
+      authors: results,
+      agencyArticles
     };
     
   } catch (err) {
+    if (isCancellation(err)) {
+      // Authors found but not extracted yet keep their bylined articles; their
+      // profile pages were never read
+      const extracted = new Set(results.map(r => normalizeAuthorName(r.name)));
+      const pending = [];
+      for (const author of [...authors, ...directoryAuthors, ...bylineAuthors.values()]) {
+        const key = normalizeAuthorName(author.name);
+        if (extracted.has(key) || results.length + pending.length >= maxAuthors) continue;
+        extracted.add(key);
+        pending.push({ ...discoveredAuthorData(author, outletName), profileRead: false });
+      }
+      const agencyArticles = uncreditedAgencyArticles(articles, Array.from(bylineAuthors.values()));
+
+      console.log(`\n🛑 Scrape cancelled: returning ${results.length} profiles extracted so far, ${pending.length} authors not yet extracted and ${agencyArticles.length} agency articles`);
+      emit('stage', { stage: 'cancelled', message: `Cancelled after ${results.length} profiles` });
+      return {
+        cancelled: true,
+        outlet: outletName,
+        website,
+        authorsCount: results.length + pending.length,
+        authors: [...results, ...pending],
+        agencyArticles
+      };
+    }
+    
     console.error(`\n❌ Scraping Error: ${err.message}`);
+    emit('error', { message: err.message, fatal: true });
     return {
       error: err.message,
       outlet: outletName,
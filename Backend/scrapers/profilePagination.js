@@ -0,0 +1,297 @@
+// ============================================================
+// PROFILE PAGINATION
+// Author pages usually list only the newest 10-20 stories. Older ones sit
+// behind rel="next" links, numbered pagers, ?page= / /page/N URLs or a
+// "load more" button that fetches JSON. These helpers find the next page in
+// any of those forms; the walk itself (budget, cutoff, dedupe) lives in
+// extractAuthorData.
+// ============================================================
+
+// Query parameters that carry a page number
+const PAGE_PARAMS = ['page', 'pg', 'pageno', 'page_no', 'pagenum', 'paged'];
+// Query parameters that carry an item offset
+const OFFSET_PARAMS = ['offset', 'start', 'from', 'skip'];
+
+const PAGER_SELECTORS = [
+  '.pagination',
+  '.pager',
+  '.paging',
+  '.page-numbers',
+  '.wp-pagenavi',
+  'nav[aria-label*="agination"]',
+  '[class*="pagination"]',
+  '[class*="pager"]',
+];
+
+// "Next" in English and the Indian languages the scraper supports
+const NEXT_TEXT = /^(next|older)\b|^(›|»|>|→|>>)$|^(अगला|अगले|आगे|அடுத்த|తదుపరి|അടുത്ത|ಮುಂದಿನ|পরবর্তী|পরের|पुढील|पुढे|આગળ|ਅਗਲਾ|ପରବର୍ତ୍ତୀ)/i;
+
+const LOAD_MORE_SELECTORS = [
+  '[class*="load-more"]',
+  '[class*="loadmore"]',
+  '[class*="load_more"]',
+  '[id*="load-more"]',
+  '[id*="loadmore"]',
+  '[class*="show-more"]',
+  '[data-load-more]',
+];
+const LOAD_MORE_TEXT = /^(load|show|view|read) more|^more (stories|articles|news)|^(और देखें|और पढ़ें|ज़्यादा|மேலும்|మరిన్ని|കൂടുതൽ|ಇನ್ನಷ್ಟು|আরও|आणखी|વધુ|ਹੋਰ)/i;
+const ENDPOINT_ATTRS = ['data-url', 'data-href', 'data-api', 'data-endpoint', 'data-next', 'data-next-url', 'data-load-url', 'data-ajax-url', 'data-src'];
+
+function toUrl(href, base) {
+  if (!href || typeof href !== 'string' || /^(#|javascript:|mailto:)/i.test(href.trim())) return null;
+  try {
+    const url = new URL(href.trim(), base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Compare URLs without fragment or trailing slash
+function sameUrl(a, b) {
+  const strip = (url) => url.href.replace(/#.*$/, '').replace(/\/+(\?|$)/, '$1');
+  return strip(a) === strip(b);
+}
+
+/**
+ * Page number a URL points at ("/page/3", "/page-3", "?page=3"), with a
+ * function building the same URL for another page; null when there is none
+ */
+export function pageNumberOf(href) {
+  const url = toUrl(href);
+  if (!url) return null;
+
+  for (const [name, value] of url.searchParams) {
+    if (PAGE_PARAMS.includes(name.toLowerCase()) && /^\d+$/.test(value)) {
+      return {
+        page: parseInt(value),
+        build: (n) => {
+          const next = new URL(url);
+          next.searchParams.set(name, String(n));
+          return next.href;
+        }
+      };
+    }
+  }
+
+  const match = url.pathname.match(/^(.*\/page[/-])(\d+)(\/?)$/i);
+  if (match) {
+    return {
+      page: parseInt(match[2]),
+      build: (n) => {
+        const next = new URL(url);
+        next.pathname = `${match[1]}${n}${match[3]}`;
+        return next.href;
+      }
+    };
+  }
+
+  return null;
+}
+
+// URLs page `n` of a listing could live at when page 1 has no number in it
+function pageVariants(pageUrl, n) {
+  const url = toUrl(pageUrl);
+  const path = url.pathname.replace(/\/+$/, '');
+  const variants = [`${path}/page/${n}`, `${path}/page/${n}/`, `${path}/page-${n}`]
+    .map(pathname => new URL(pathname + url.search, url));
+  for (const name of PAGE_PARAMS) {
+    const withParam = new URL(url);
+    withParam.searchParams.set(name, String(n));
+    variants.push(withParam);
+  }
+  return variants;
+}
+
+/**
+ * URL of the page after `pageNumber` in an HTML listing: rel="next", a "Next"
+ * or numbered link in a pager, or a ?page= / /page/N link for the next page.
+ * A URL that already carries a page number is continued even without links.
+ */
+export function findNextPageUrl($, pageUrl, pageNumber = 1) {
+  const current = toUrl(pageUrl);
+  if (!current) return null;
+  const accept = (href) => {
+    const url = toUrl(href, pageUrl);
+    return url && url.hostname === current.hostname && !sameUrl(url, current) ? url.href : null;
+  };
+
+  // rel="next"
+  const relNext = accept($('link[rel~="next"]').attr('href')) || accept($('a[rel~="next"]').attr('href'));
+  if (relNext) return relNext;
+
+  // "Next" or the following number in a pager
+  const $pagers = $(PAGER_SELECTORS.join(', '));
+  let pagerNext = null;
+  $pagers.find('a[href]').each((i, el) => {
+    const $a = $(el);
+    const text = $a.text().replace(/\s+/g, ' ').trim();
+    const label = `${$a.attr('aria-label') || ''} ${$a.attr('title') || ''} ${$a.attr('class') || ''}`;
+    if (NEXT_TEXT.test(text) || /\bnext\b/i.test(label) || text === String(pageNumber + 1)) {
+      pagerNext = accept($a.attr('href'));
+      if (pagerNext) return false;
+    }
+  });
+  if (pagerNext) return pagerNext;
+
+  // Links to the next page by URL pattern
+  const numbered = pageNumberOf(pageUrl);
+  const expected = numbered ? [toUrl(numbered.build(pageNumber + 1))] : pageVariants(pageUrl, pageNumber + 1);
+  let patternNext = null;
+  $('a[href]').each((i, el) => {
+    const url = toUrl($(el).attr('href'), pageUrl);
+    if (url && expected.some(candidate => sameUrl(candidate, url))) {
+      patternNext = url.href;
+      return false;
+    }
+  });
+  if (patternNext) return patternNext;
+
+  return numbered && numbered.page === pageNumber ? numbered.build(pageNumber + 1) : null;
+}
+
+/**
+ * Endpoint behind a "load more" button (data-url and friends, or the link's
+ * own href), with its page parameter set to `pageNumber + 1` when the button
+ * says which page comes next
+ */
+export function findLoadMoreUrl($, pageUrl, pageNumber = 1) {
+  const $candidates = $(LOAD_MORE_SELECTORS.join(', '))
+    .add($('button, a').filter((i, el) => LOAD_MORE_TEXT.test($(el).text().replace(/\s+/g, ' ').trim())));
+
+  for (const el of $candidates.toArray()) {
+    const $el = $(el);
+    const $scope = $el.add($el.find('[data-url], [data-href], [data-api], [data-endpoint], [data-next]'));
+
+    for (const scopeEl of $scope.toArray()) {
+      const attrs = scopeEl.attribs || {};
+      const href = ENDPOINT_ATTRS.map(name => attrs[name]).find(Boolean) || (scopeEl.name === 'a' ? attrs.href : null);
+      const url = toUrl(href?.replace(/\{page\}/g, String(pageNumber + 1)), pageUrl);
+      if (!url || sameUrl(url, toUrl(pageUrl))) continue;
+
+      const nextPage = attrs['data-page'] || attrs['data-next-page'];
+      if (/^\d+$/.test(nextPage || '') && !pageNumberOf(url.href)) {
+        url.searchParams.set('page', attrs['data-next-page'] ? nextPage : String(parseInt(nextPage) + 1));
+      }
+      return url.href;
+    }
+  }
+  return null;
+}
+
+/**
+ * Response body as JSON (axios already parses application/json), or null for HTML
+ */
+export function parseJsonPayload(data) {
+  if (data && typeof data === 'object' && !Buffer.isBuffer(data)) return data;
+  const text = Buffer.isBuffer(data) ? data.toString('utf8') : String(data || '');
+  if (!/^\s*[[{]/.test(text)) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+const URL_KEYS = ['url', 'link', 'permalink', 'href', 'canonical_url', 'canonicalUrl', 'weburl', 'webUrl', 'shareUrl', 'share_url'];
+const TITLE_KEYS = ['title', 'headline', 'heading', 'name'];
+const DATE_KEYS = ['publishDate', 'datePublished', 'published_at', 'publishedAt', 'pubDate', 'publish_date', 'date', 'created_at'];
+const MODIFIED_KEYS = ['modifiedDate', 'dateModified', 'updated_at', 'updatedAt', 'modified'];
+
+function firstString(obj, keys) {
+  for (const key of keys) {
+    const value = obj[key];
+    if (typeof value === 'string' && value.trim()) return value.trim();
+    // WordPress REST: { title: { rendered: "..." } }
+    if (value && typeof value === 'object' && typeof value.rendered === 'string') return value.rendered.trim();
+  }
+  return null;
+}
+
+/**
+ * Articles in a "load more" JSON response: objects with a title and a URL
+ * anywhere in the payload, plus HTML fragments (many endpoints return the
+ * rendered cards) for the caller to parse like a listing page.
+ * Returns { items: [{ title, url, publishDate, modifiedDate }], html: [string] }
+ */
+export function articlesFromJson(data) {
+  const items = [];
+  const html = [];
+
+  const walk = (value, depth) => {
+    if (depth > 8 || value == null) return;
+    if (typeof value === 'string') {
+      if (value.length > 50 && /<a\s[^>]*href=/i.test(value)) html.push(value);
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(item => walk(item, depth + 1));
+      return;
+    }
+    if (typeof value !== 'object') return;
+
+    const url = firstString(value, URL_KEYS);
+    const title = firstString(value, TITLE_KEYS);
+    if (url && title && !/^(#|javascript:)/i.test(url)) {
+      items.push({
+        title: title.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+        url,
+        publishDate: firstString(value, DATE_KEYS),
+        modifiedDate: firstString(value, MODIFIED_KEYS)
+      });
+      return;
+    }
+    Object.values(value).forEach(child => walk(child, depth + 1));
+  };
+
+  walk(data, 0);
+  return { items, html };
+}
+
+const NEXT_KEYS = ['next', 'nextUrl', 'next_url', 'nextPageUrl', 'next_page_url', 'nextLink', 'next_link'];
+const MORE_KEYS = ['hasMore', 'has_more', 'hasNext', 'has_next', 'moreAvailable', 'more'];
+
+/**
+ * URL of the next "load more" request: a next link in the payload, else the
+ * request URL with its page or offset parameter advanced. Null when the
+ * payload says there is nothing more.
+ */
+export function nextJsonPageUrl(data, requestUrl, itemCount) {
+  const containers = [data, data?.meta, data?.pagination, data?.paging, data?.links, data?.page_info, data?.pageInfo]
+    .filter(c => c && typeof c === 'object' && !Array.isArray(c));
+
+  for (const container of containers) {
+    for (const key of MORE_KEYS) {
+      if (container[key] === false) return null;
+    }
+    if (container.isLastPage === true || container.last === true) return null;
+  }
+
+  for (const container of containers) {
+    const next = firstString(container, NEXT_KEYS);
+    const url = toUrl(next, requestUrl);
+    if (url) return url.href;
+  }
+
+  const numbered = pageNumberOf(requestUrl);
+  if (numbered) return numbered.build(numbered.page + 1);
+
+  const url = toUrl(requestUrl);
+  for (const [name, value] of url.searchParams) {
+    if (OFFSET_PARAMS.includes(name.toLowerCase()) && /^\d+$/.test(value) && itemCount > 0) {
+      url.searchParams.set(name, String(parseInt(value) + itemCount));
+      return url.href;
+    }
+  }
+  return null;
+}
+
+export default {
+  pageNumberOf,
+  findNextPageUrl,
+  findLoadMoreUrl,
+  parseJsonPayload,
+  articlesFromJson,
+  nextJsonPageUrl
+};
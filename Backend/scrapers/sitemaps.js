@@ -0,0 +1,183 @@
+import zlib from "zlib";
+import * as cheerio from "cheerio";
+import { httpGet } from "./httpClient.js";
+import { checkpoint, isCancellation } from "../utils/jobControl.js";
+
+// ============================================================
+// SITEMAPS
+// Follows <sitemapindex> files recursively (bounded by depth, file and URL
+// limits), un-gzips .xml.gz sitemaps and reads Google News fields
+// (news:publication_date, news:title, news:keywords, news:language).
+// ============================================================
+
+export const SITEMAP_MAX_DEPTH = 3;
+export const SITEMAP_MAX_FILES = 40;
+export const SITEMAP_MAX_BYTES = 50 * 1024 * 1024; // The sitemaps.org limit, uncompressed
+
+// Tag name without its namespace prefix ("news:title" -> "title")
+function localName(el) {
+  return (el.name || '').split(':').pop().toLowerCase();
+}
+
+function childElements($, el, name) {
+  return $(el).children().filter((i, child) => localName(child) === name);
+}
+
+function childText($, el, name) {
+  const child = childElements($, el, name).first();
+  const text = child.length ? child.text().trim() : '';
+  return text || null;
+}
+
+/**
+ * Sitemap body as text, un-gzipping when needed. Throws when it inflates past
+ * SITEMAP_MAX_BYTES, so a gzip bomb can't exhaust memory.
+ */
+export function decodeSitemapBody(data) {
+  let buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data || ''));
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      buffer = zlib.gunzipSync(buffer, { maxOutputLength: SITEMAP_MAX_BYTES });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`Sitemap larger than ${SITEMAP_MAX_BYTES / 1024 / 1024} MB uncompressed`);
+      }
+      throw err;
+    }
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Parse a sitemap or sitemap index
+ */
+export function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const root = $.root().children().filter((i, el) => el.type === 'tag').first();
+  const result = { type: root.length ? localName(root[0]) : null, sitemaps: [], urls: [] };
+
+  root.children().each((i, el) => {
+    const name = localName(el);
+
+    if (name === 'sitemap') {
+      const loc = childText($, el, 'loc');
+      if (loc) result.sitemaps.push({ loc, lastmod: childText($, el, 'lastmod') });
+      return;
+    }
+
+    if (name !== 'url') return;
+
+    const loc = childText($, el, 'loc');
+    if (!loc) return;
+
+    const entry = { loc, lastmod: childText($, el, 'lastmod'), news: null };
+
+    const news = childElements($, el, 'news').first();
+    if (news.length) {
+      const publication = childElements($, news[0], 'publication').first();
+      entry.news = {
+        publicationDate: childText($, news[0], 'publication_date'),
+        title: childText($, news[0], 'title'),
+        keywords: (childText($, news[0], 'keywords') || '')
+          .split(',')
+          .map(k => k.trim())
+          .filter(Boolean),
+        language: publication.length ? childText($, publication[0], 'language') : null,
+        publicationName: publication.length ? childText($, publication[0], 'name') : null
+      };
+    }
+
+    result.urls.push(entry);
+  });
+
+  return result;
+}
+
+// News sitemaps first, then most recently modified
+function childPriority(a, b) {
+  const aNews = /news/i.test(a.loc) ? 1 : 0;
+  const bNews = /news/i.test(b.loc) ? 1 : 0;
+  if (aNews !== bNews) return bNews - aNews;
+  return String(b.lastmod || '').localeCompare(String(a.lastmod || ''));
+}
+
+/**
+ * Collect URL entries starting from one sitemap, following sitemap indexes.
+ * `isNewer(date)` filters entries and child sitemaps in incremental mode.
+ */
+export async function collectSitemapEntries(rootUrl, options = {}) {
+  const {
+    maxUrls = 500,
+    maxDepth = SITEMAP_MAX_DEPTH,
+    maxFiles = SITEMAP_MAX_FILES,
+    control = null,
+    isNewer = () => true,
+    userAgent
+  } = options;
+
+  const entries = [];
+  const seenUrls = new Set();
+  const visited = new Set();
+  const queue = [{ url: rootUrl, depth: 0 }];
+  let skippedOld = 0;
+  let filesFetched = 0;
+
+  while (queue.length > 0 && entries.length < maxUrls && filesFetched < maxFiles) {
+    const { url, depth } = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+    await checkpoint(control);
+
+    let parsed;
+    try {
+      const response = await httpGet(url, {
+        headers: userAgent ? { 'User-Agent': userAgent } : {},
+        timeout: 15000,
+        responseType: 'arraybuffer'
+      }, { resourceType: 'sitemap' });
+      filesFetched++;
+      parsed = parseSitemap(decodeSitemapBody(response.data));
+    } catch (err) {
+      if (isCancellation(err)) throw err;
+      if (depth === 0) throw err; // Let the caller try its next sitemap path
+      continue;
+    }
+
+    if (parsed.sitemaps.length > 0) {
+      if (depth >= maxDepth) continue;
+
+      for (const child of parsed.sitemaps.sort(childPriority)) {
+        if (!isNewer(child.lastmod)) {
+          skippedOld++;
+          continue;
+        }
+        queue.push({ url: child.loc, depth: depth + 1 });
+      }
+      continue;
+    }
+
+    for (const entry of parsed.urls) {
+      if (entries.length >= maxUrls) break;
+      if (seenUrls.has(entry.loc)) continue;
+
+      if (!isNewer(entry.news?.publicationDate || entry.lastmod)) {
+        skippedOld++;
+        continue;
+      }
+
+      seenUrls.add(entry.loc);
+      entries.push(entry);
+    }
+  }
+
+  return { entries, skippedOld, filesFetched };
+}
+
+export default {
+  SITEMAP_MAX_DEPTH,
+  SITEMAP_MAX_FILES,
+  SITEMAP_MAX_BYTES,
+  decodeSitemapBody,
+  parseSitemap,
+  collectSitemapEntries
+};
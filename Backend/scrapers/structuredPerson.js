@@ -0,0 +1,238 @@
+// ============================================================
+// STRUCTURED AUTHOR DATA
+// schema.org Person entities from JSON-LD, microdata and RDFa: profile
+// pages (ProfilePage.mainEntity) and article pages (Article.author) often
+// carry jobTitle, description, image and sameAs links that are far more
+// reliable than guessing with CSS selectors.
+// ============================================================
+
+// Most trusted first
+export const PERSON_SOURCES = ['json-ld', 'microdata', 'rdfa'];
+
+const SOCIAL_NETWORKS = [
+  { key: 'twitter', pattern: /(^|\.)(twitter|x)\.com$/ },
+  { key: 'linkedin', pattern: /(^|\.)linkedin\.com$/ },
+  { key: 'facebook', pattern: /(^|\.)facebook\.com$/ },
+  { key: 'instagram', pattern: /(^|\.)instagram\.com$/ },
+];
+
+// Profile properties, by schema.org name
+const PERSON_PROPS = ['name', 'jobTitle', 'description', 'image', 'sameAs', 'url', 'email', 'worksFor', 'knowsAbout'];
+
+function isPersonType(type) {
+  return [].concat(type || []).some(t => /(^|[/:])Person$/i.test(String(t)));
+}
+
+function cleanText(value) {
+  if (value == null) return null;
+  const text = String(value).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+// Text of a Text-or-Thing value ("Reporter", { name: "Reporter" }, [...])
+function textValues(value) {
+  return [].concat(value || [])
+    .map(v => cleanText(typeof v === 'object' ? v?.name || v?.['@value'] : v))
+    .filter(Boolean);
+}
+
+function resolve(href, base) {
+  if (!href || typeof href !== 'string' || href.startsWith('data:')) return null;
+  try {
+    return new URL(href.trim(), base).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ImageObject, URL string or a list of either
+function imageUrl(value, base) {
+  for (const image of [].concat(value || [])) {
+    const url = resolve(typeof image === 'object' ? image?.url || image?.contentUrl || image?.['@id'] : image, base);
+    if (url) return url;
+  }
+  return null;
+}
+
+/**
+ * Split sameAs / url / email values into socialLinks ({ twitter, linkedin, facebook,
+ * instagram, email }) and the remaining sameAs URLs
+ */
+function socialFromLinks(links, email) {
+  const socialLinks = {};
+  const sameAs = [];
+
+  for (const link of links) {
+    let host;
+    try {
+      host = new URL(link).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+      continue;
+    }
+    const network = SOCIAL_NETWORKS.find(n => n.pattern.test(host));
+    if (network && !socialLinks[network.key]) socialLinks[network.key] = link;
+    sameAs.push(link);
+  }
+
+  const address = cleanText(email)?.replace(/^mailto:/i, '');
+  if (address && /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(address)) socialLinks.email = address;
+
+  return { socialLinks, sameAs: [...new Set(sameAs)] };
+}
+
+// Normalized record from raw schema.org property values
+function toPerson(raw, source, base) {
+  const links = [].concat(raw.sameAs || [])
+    .map(link => resolve(typeof link === 'object' ? link?.['@id'] || link?.url : link, base))
+    .filter(Boolean);
+  const { socialLinks, sameAs } = socialFromLinks(links, [].concat(raw.email || [])[0]);
+
+  const bio = cleanText([].concat(raw.description || [])[0]);
+  const role = textValues(raw.jobTitle)[0] || null;
+
+  return {
+    source,
+    name: textValues(raw.name)[0] || null,
+    bio: bio && bio.length >= 20 ? bio.substring(0, 1000) : null,
+    role: role && role.length <= 80 ? role : null,
+    avatar: imageUrl(raw.image, base),
+    url: resolve([].concat(raw.url || [])[0], base),
+    socialLinks,
+    sameAs,
+    worksFor: textValues(raw.worksFor),
+    knowsAbout: textValues(raw.knowsAbout).slice(0, 20)
+  };
+}
+
+// Every Person node in a JSON-LD document, however deeply nested
+function jsonLdPersons(data, found = []) {
+  if (Array.isArray(data)) {
+    data.forEach(item => jsonLdPersons(item, found));
+  } else if (data && typeof data === 'object') {
+    if (isPersonType(data['@type'])) found.push(data);
+    for (const [key, value] of Object.entries(data)) {
+      if (key !== '@context' && value && typeof value === 'object') jsonLdPersons(value, found);
+    }
+  }
+  return found;
+}
+
+const LINK_PROPS = new Set(['image', 'sameAs', 'url']);
+
+// Value of a microdata / RDFa property element: links for URL properties, text otherwise
+function propertyValue($el, prop) {
+  if ($el.length === 0) return null;
+  if (LINK_PROPS.has(prop)) {
+    return $el.attr('content') || $el.attr('href') || $el.attr('src') || $el.attr('resource') || $el.text();
+  }
+  return $el.attr('content') || $el.text();
+}
+
+// Properties of an itemscope / typeof element, skipping nested entities
+// (a Person's worksFor Organization has a name of its own)
+function collectProperties($, $scope, attr, scopeSelector) {
+  const raw = {};
+  $scope.find(`[${attr}]`).each((i, el) => {
+    const $el = $(el);
+    if ($el.parent().closest(scopeSelector)[0] !== $scope[0]) return;
+
+    for (const prop of ($el.attr(attr) || '').split(/\s+/)) {
+      const name = prop.replace(/^(schema|sdo):/, '').replace(/^https?:\/\/schema\.org\//, '');
+      if (!PERSON_PROPS.includes(name)) continue;
+
+      // A nested entity (worksFor, image) is represented by its name / url
+      const value = $el.is(scopeSelector)
+        ? propertyValue($el.find(`[${attr}$="${LINK_PROPS.has(name) ? 'url' : 'name'}"]`).first(), name)
+        : propertyValue($el, name);
+      if (value) raw[name] = [].concat(raw[name] || [], value.trim());
+    }
+  });
+  return raw;
+}
+
+/**
+ * All schema.org Person entities on a page, one normalized record per entity:
+ * { source, name, bio, role, avatar, url, socialLinks, sameAs, worksFor, knowsAbout }
+ */
+export function extractPersons($, pageUrl) {
+  const persons = [];
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const data = JSON.parse($(el).html());
+      for (const raw of jsonLdPersons(data)) persons.push(toPerson(raw, 'json-ld', pageUrl));
+    } catch (e) {}
+  });
+
+  const itemScope = '[itemscope]';
+  $('[itemscope][itemtype]').filter((i, el) => isPersonType($(el).attr('itemtype'))).each((i, el) => {
+    persons.push(toPerson(collectProperties($, $(el), 'itemprop', itemScope), 'microdata', pageUrl));
+  });
+
+  const rdfaScope = '[typeof]';
+  $('[typeof]').filter((i, el) => ($(el).attr('typeof') || '').split(/\s+/).some(isPersonType)).each((i, el) => {
+    persons.push(toPerson(collectProperties($, $(el), 'property', rdfaScope), 'rdfa', pageUrl));
+  });
+
+  return persons.filter(p => p.name || p.bio || p.role || p.avatar || p.sameAs.length);
+}
+
+function comparableName(name) {
+  return String(name || '').toLowerCase().replace(/[^\p{L}\p{M}]+/gu, ' ').trim();
+}
+
+/**
+ * Merge the records describing one author into a profile. Records naming
+ * someone else are ignored; unnamed ones only count when the page has no
+ * named person at all (e.g. a profile page whose Person omits the name).
+ * Returns { fields, sources } where sources maps each field to where it came from,
+ * or null when nothing applies.
+ */
+export function personProfile(persons, name) {
+  const wanted = comparableName(name);
+  const named = persons.filter(p => p.name);
+  const matching = persons.filter(p => p.name
+    ? !wanted || comparableName(p.name) === wanted
+    : named.length === 0);
+  if (matching.length === 0) return null;
+
+  matching.sort((a, b) => PERSON_SOURCES.indexOf(a.source) - PERSON_SOURCES.indexOf(b.source));
+
+  const fields = { socialLinks: {}, sameAs: [], worksFor: [], knowsAbout: [] };
+  const sources = {};
+
+  for (const person of matching) {
+    for (const key of ['bio', 'role', 'avatar', 'url']) {
+      if (!fields[key] && person[key]) {
+        fields[key] = person[key];
+        sources[key] = person.source;
+      }
+    }
+    for (const [network, link] of Object.entries(person.socialLinks)) {
+      if (!fields.socialLinks[network]) {
+        fields.socialLinks[network] = link;
+        sources[`socialLinks.${network}`] = person.source;
+      }
+    }
+    // sameAs links from every source describe the same person
+    const added = person.sameAs.filter(link => !fields.sameAs.includes(link));
+    if (added.length > 0) {
+      fields.sameAs.push(...added);
+      sources.sameAs = sources.sameAs || person.source;
+    }
+    for (const key of ['worksFor', 'knowsAbout']) {
+      if (fields[key].length === 0 && person[key].length > 0) {
+        fields[key] = person[key];
+        sources[key] = person.source;
+      }
+    }
+  }
+
+  return Object.keys(sources).length > 0 ? { fields, sources } : null;
+}
+
+export default {
+  PERSON_SOURCES,
+  extractPersons,
+  personProfile
+};
@@ -1,12 +1,26 @@
 import express from "express";
+import http from "http";
 import dotenv from "dotenv";
 import mongoose from "mongoose";
 import cors from "cors";
-import axios from "axios";
 import * as cheerio from "cheerio";
-import AuthorProfile from './models/AuthorProfile.js';
+import AuthorProfile, { dropLegacyProfileIndexes } from './models/AuthorProfile.js';
+import Article from './models/Article.js';
 import { JournalistModel } from './models/Journalist.js';
 import authorRoutes from './routes/authorRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
+import articleRoutes from './routes/articleRoutes.js';
+import personRoutes from './routes/personRoutes.js';
+import topicRoutes from './routes/topicRoutes.js';
+import taxonomyRoutes from './routes/taxonomyRoutes.js';
+import { registerJobHandler, enqueueJob, getJob, startJobWorker } from './utils/jobQueue.js';
+import { initJobSockets } from './utils/jobEvents.js';
+import { startScheduler } from './utils/scheduler.js';
+import { httpGet, httpHead } from './scrapers/httpClient.js';
+import { canonicalizeUrl } from './scrapers/canonicalUrl.js';
+import { loadTaxonomy, getTaxonomy, findTopic, topicPath, childTopics, topicNames, DEFAULT_TOPIC_COLOR } from './utils/taxonomy.js';
+import { LANGUAGE_NAMES, languageCode } from './utils/languageDetector.js';
+import { loadTopicModel } from './utils/topicClassifier.js';
 
 dotenv.config();
 
@@ -35,13 +49,31 @@ app.use(cors({
 app.use(express.json());
 
 app.use('/api/authors', authorRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/articles', articleRoutes);
+app.use('/api/people', personRoutes);
+app.use('/api/topics', topicRoutes);
+app.use('/api/taxonomy', taxonomyRoutes);
+
+// ---------------- Topic model ----------------
+// Loaded once here; retraining (POST /api/topics/classifier/train) replaces it
+loadTopicModel();
 
 // ---------------- MongoDB setup ----------------
 mongoose
   .connect(MONGO_URI)
   .then(() => {
     console.log("MongoDB connected");
+    // Namesakes at one outlet need the old unique { name, outlet } index gone
+    return dropLegacyProfileIndexes()
+      .catch(err => console.error("Could not drop legacy profile indexes:", err.message));
+  })
+  .then(() => loadTaxonomy())
+  .then(() => {
+    // Resume interrupted scrape jobs and start processing the queue
+    return startJobWorker();
   })
+  .then(() => startScheduler())
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // Author schema & model
@@ -69,17 +101,6 @@ function getRandomUserAgent() {
   return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
 }
 
-const TOPICS = [
-  "Technology",
-  "Politics",
-  "Business",
-  "Science",
-  "Entertainment",
-  "Sports",
-  "Health",
-  "Environment",
-];
-
 // ---------------- Stage 0: Find official website of outlet using DuckDuckGo ----------------
 async function findOutletWebsite(outletName) {
   try {
@@ -89,14 +110,14 @@ async function findOutletWebsite(outletName) {
     const searchUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(outletName + ' official website news india')}`;
     
     try {
-      const response = await axios.get(searchUrl, {
+      const response = await httpGet(searchUrl, {
         headers: {
           'User-Agent': getRandomUserAgent(),
           'Accept': 'text/html,application/xhtml+xml',
           'Accept-Language': 'en-US,en;q=0.9'
         },
         timeout: 10000
-      });
+      }, { robots: false, resourceType: 'search' }); // Search lookup, not a crawl of the outlet
       
       const cheerio = await import('cheerio');
       const $ = cheerio.load(response.data);
@@ -125,7 +146,7 @@ async function findOutletWebsite(outletName) {
     
     for (const domain of commonDomains) {
       try {
-        const response = await axios.head(domain, { timeout: 5000 });
+        const response = await httpHead(domain, { timeout: 5000 });
         if (response.status === 200) {
           console.log(`✅ Found via pattern matching: ${domain}`);
           return domain;
@@ -152,14 +173,14 @@ async function findAuthorsPages(outlet, maxPages = 5) {
     const searchUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(outlet + ' authors journalists team staff contributors')}`;
     
     try {
-      const response = await axios.get(searchUrl, {
+      const response = await httpGet(searchUrl, {
         headers: {
           'User-Agent': getRandomUserAgent(),
           'Accept': 'text/html,application/xhtml+xml',
           'Accept-Language': 'en-US,en;q=0.9'
         },
         timeout: 10000
-      });
+      }, { robots: false, resourceType: 'search' }); // Search lookup, not a crawl of the outlet
       
       const cheerio = await import('cheerio');
       const $ = cheerio.load(response.data);
@@ -190,7 +211,7 @@ async function findAuthorsPages(outlet, maxPages = 5) {
 // ---------------- Cheerio-based scraper for authors ----------------
 async function scrapeAuthorsFromPage(url, limit = 50) {
   try {
-    const response = await axios.get(url, {
+    const response = await httpGet(url, {
       headers: {
         "User-Agent": getRandomUserAgent(),
         "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
@@ -202,7 +223,7 @@ async function scrapeAuthorsFromPage(url, limit = 50) {
       },
       timeout: 30000,
       maxRedirects: 5,
-    });
+    }, { resourceType: 'directory' });
 
     const $ = cheerio.load(response.data);
     const authors = [];
@@ -280,9 +301,9 @@ async function scrapeAuthorsFromPage(url, limit = 50) {
       const name = $(el).attr('content');
       if (name && isValidJournalistName(name)) {
         // Try to find a profile link for this author
-        const profileLink = url.includes(name.toLowerCase().replace(/\s+/g, '-'))
+        const profileLink = canonicalizeUrl(url.includes(name.toLowerCase().replace(/\s+/g, '-'))
           ? url
-          : `${new URL(url).origin}/author/${name.toLowerCase().replace(/\s+/g, '-')}`;
+          : `${new URL(url).origin}/author/${name.toLowerCase().replace(/\s+/g, '-')}`);
 
         const key = profileLink + name.toLowerCase();
         if (!seen.has(key)) {
@@ -343,10 +364,9 @@ async function scrapeAuthorsFromPage(url, limit = 50) {
         /facebook|twitter|instagram|linkedin|mailto|youtube|whatsapp|telegram/i.test(href)
       ) continue;
 
-      // Resolve relative URLs
-      const absHref = href.startsWith("http")
-        ? href
-        : new URL(href, url).href;
+      // Resolve relative URLs (canonical form, so variants of one profile dedupe)
+      const absHref = canonicalizeUrl(href, { base: url });
+      if (!absHref) continue;
 
       // ============ STRICT VALIDATION ============
 
@@ -374,14 +394,14 @@ async function scrapeAuthorsFromPage(url, limit = 50) {
 // ---------------- Advanced: Scrape directly from outlet website ----------------
 async function scrapeOutletWebsite(websiteUrl, outlet, limit = 30) {
   try {
-    const response = await axios.get(websiteUrl, {
+    const response = await httpGet(websiteUrl, {
       headers: {
         "User-Agent": getRandomUserAgent(),
         "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
         "Referer": "https://www.google.com/",
       },
       timeout: 30000,
-    });
+    }, { resourceType: 'homepage' });
 
     const $ = cheerio.load(response.data);
     const authors = [];
@@ -410,8 +430,8 @@ async function scrapeOutletWebsite(websiteUrl, outlet, limit = 30) {
     $("a").each((i, el) => {
       const href = $(el).attr("href");
       if (href && /\/(news|article|story|india|world|sports|business)\//.test(href)) {
-        const fullUrl = href.startsWith("http") ? href : new URL(href, websiteUrl).href;
-        if (!articleLinks.includes(fullUrl)) {
+        const fullUrl = canonicalizeUrl(href, { base: websiteUrl });
+        if (fullUrl && !articleLinks.includes(fullUrl)) {
           articleLinks.push(fullUrl);
         }
       }
@@ -456,8 +476,8 @@ async function scrapeOutletWebsite(websiteUrl, outlet, limit = 30) {
         text.includes("journalist") ||
         text.includes("writer")
       )) {
-        const fullUrl = href.startsWith("http") ? href : new URL(href, websiteUrl).href;
-        if (!authorPageLinks.includes(fullUrl)) {
+        const fullUrl = canonicalizeUrl(href, { base: websiteUrl });
+        if (fullUrl && !authorPageLinks.includes(fullUrl)) {
           authorPageLinks.push(fullUrl);
         }
       }
@@ -495,9 +515,6 @@ async function scrapeOutletWebsite(websiteUrl, outlet, limit = 30) {
   }
 }
 
-// Job status tracking
-const scrapingJobs = new Map();
-
 // ---------------- API Endpoint: Detect outlet website ----------------
 app.post("/detect-outlet", async (req, res) => {
   const outletName = (req.body.outlet || "").trim();
@@ -516,154 +533,136 @@ app.post("/detect-outlet", async (req, res) => {
   }
 });
 
-// ---------------- Scrape & Save Authors (Async with immediate response) ----------------
-app.post("/scrape-authors", async (req, res) => {
-  const outlet = (req.body.outlet || "").toLowerCase().trim();
-  if (!outlet) return res.status(400).json({ error: "Outlet name required" });
-
-  // Generate job ID
-  const jobId = `${outlet}_${Date.now()}`;
-
-  // Initialize job status
-  scrapingJobs.set(jobId, {
-    status: 'in_progress',
-    outlet,
-    progress: 0,
-    authorsFound: 0,
-    startTime: new Date(),
-  });
-
-  // Send immediate response with job ID
-  res.json({
-    jobId,
-    status: 'started',
-    message: 'Scraping started. Check /scrape-status/:jobId for progress.',
-    outlet
-  });
-
-  // Start async scraping
-  (async () => {
-    try {
-      console.log(`Starting scrape for outlet: ${outlet}`);
-
-      // Update progress
-      scrapingJobs.set(jobId, { ...scrapingJobs.get(jobId), progress: 10, message: 'Detecting website...' });
-
-      // Stage 0: Find outlet website
-      const outletWebsite = await findOutletWebsite(outlet);
-      console.log(`Detected website: ${outletWebsite}`);
+// ---------------- Job handler: legacy author scrape ----------------
+async function runScrapeAuthorsJob(job, { update, control }) {
+  const { outlet } = job.params;
+  console.log(`Starting scrape for outlet: ${outlet}`);
+
+  // Update progress
+  await update({ progress: 10, message: 'Detecting website...' });
+
+  // Stage 0: Find outlet website
+  const outletWebsite = await findOutletWebsite(outlet);
+  console.log(`Detected website: ${outletWebsite}`);
+
+  let authors = [];
+
+  // Update progress
+  await update({ progress: 20, message: 'Finding author pages...', website: outletWebsite });
+
+  // Stage 1: Find author pages using SERP API
+  const pages = await findAuthorsPages(outlet);
+  console.log(`Found ${pages.length} author pages`);
+
+  // Update progress
+  await update({ progress: 30, message: `Scraping ${pages.length} pages...` });
+
+  // Scrape authors from each page (limit to first 3 pages for speed)
+  const pagesToScrape = pages.slice(0, 3);
+  for (let i = 0; i < pagesToScrape.length; i++) {
+    await control.checkpoint();
+    const pageUrl = pagesToScrape[i];
+    console.log(`Scraping page ${i + 1}/${pagesToScrape.length}: ${pageUrl}`);
+    const pageAuthors = await scrapeAuthorsFromPage(pageUrl, 50);
+    authors.push(...pageAuthors);
+
+    // Update progress
+    const progress = 30 + ((i + 1) / pagesToScrape.length) * 40;
+    await update({
+      progress: Math.round(progress),
+      authorsFound: authors.length,
+      message: `Scraped ${i + 1}/${pagesToScrape.length} pages, found ${authors.length} authors...`
+    });
 
-      let authors = [];
+    await delay(1000); // Reduced delay for faster scraping
+  }
 
-      // Update progress
-      scrapingJobs.set(jobId, { ...scrapingJobs.get(jobId), progress: 20, message: 'Finding author pages...', website: outletWebsite });
+  // If we don't have enough authors and we have the outlet website, try scraping it directly
+  if (authors.length < 30 && outletWebsite) {
+    await control.checkpoint();
+    console.log(`Only found ${authors.length} authors, trying direct website scrape...`);
+    await update({ progress: 70, message: 'Trying direct website scrape...' });
 
-      // Stage 1: Find author pages using SERP API
-      const pages = await findAuthorsPages(outlet);
-      console.log(`Found ${pages.length} author pages`);
+    const directAuthors = await scrapeOutletWebsite(outletWebsite, outlet, 30);
+    authors.push(...directAuthors);
+  }
 
-      // Update progress
-      scrapingJobs.set(jobId, { ...scrapingJobs.get(jobId), progress: 30, message: `Scraping ${pages.length} pages...` });
+  // Update progress
+  await update({ progress: 80, message: 'Deduplicating and saving...' });
 
-      // Scrape authors from each page (limit to first 3 pages for speed)
-      const pagesToScrape = pages.slice(0, 3);
-      for (let i = 0; i < pagesToScrape.length; i++) {
-        const pageUrl = pagesToScrape[i];
-        console.log(`Scraping page ${i + 1}/${pagesToScrape.length}: ${pageUrl}`);
-        const pageAuthors = await scrapeAuthorsFromPage(pageUrl, 50);
-        authors.push(...pageAuthors);
+  // Deduplicate
+  const seen = new Set();
+  authors = authors.filter(a => {
+    const key = a.profileLink + a.name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 
-        // Update progress
-        const progress = 30 + ((i + 1) / pagesToScrape.length) * 40;
-        scrapingJobs.set(jobId, {
-          ...scrapingJobs.get(jobId),
-          progress: Math.round(progress),
-          authorsFound: authors.length,
-          message: `Scraped ${i + 1}/${pagesToScrape.length} pages, found ${authors.length} authors...`
-        });
+  console.log(`Total unique authors found: ${authors.length}`);
 
-        await delay(1000); // Reduced delay for faster scraping
-      }
+  // Save/update each author in MongoDB
+  const ops = authors.map((author) => ({
+    updateOne: {
+      filter: { profileLink: author.profileLink },
+      update: { $setOnInsert: { ...author, outlet, scrapedAt: new Date() } },
+      upsert: true,
+    },
+  }));
 
-      // If we don't have enough authors and we have the outlet website, try scraping it directly
-      if (authors.length < 30 && outletWebsite) {
-        console.log(`Only found ${authors.length} authors, trying direct website scrape...`);
-        scrapingJobs.set(jobId, { ...scrapingJobs.get(jobId), progress: 70, message: 'Trying direct website scrape...' });
+  if (ops.length) await Author.bulkWrite(ops);
 
-        const directAuthors = await scrapeOutletWebsite(outletWebsite, outlet, 30);
-        authors.push(...directAuthors);
-      }
+  console.log(`✅ Scraping completed for ${outlet}: ${authors.length} authors`);
 
-      // Update progress
-      scrapingJobs.set(jobId, { ...scrapingJobs.get(jobId), progress: 80, message: 'Deduplicating and saving...' });
+  return {
+    website: outletWebsite,
+    authorsFound: authors.length,
+    authors,
+    message: authors.length >= 30 ? "Successfully scraped 30+ authors" : `Found ${authors.length} authors (target: 30)`
+  };
+}
 
-      // Deduplicate
-      const seen = new Set();
-      authors = authors.filter(a => {
-        const key = a.profileLink + a.name.toLowerCase();
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-      });
+registerJobHandler('scrape-authors', runScrapeAuthorsJob);
 
-      console.log(`Total unique authors found: ${authors.length}`);
+// ---------------- Scrape & Save Authors (Async with immediate response) ----------------
+app.post("/scrape-authors", async (req, res) => {
+  const outlet = (req.body.outlet || "").toLowerCase().trim();
+  if (!outlet) return res.status(400).json({ error: "Outlet name required" });
 
-      // Save/update each author in MongoDB
-      const ops = authors.map((author) => ({
-        updateOne: {
-          filter: { profileLink: author.profileLink },
-          update: { $setOnInsert: { ...author, outlet, scrapedAt: new Date() } },
-          upsert: true,
-        },
-      }));
+  // Generate job ID
+  const jobId = `${outlet}_${Date.now()}`;
 
-      if (ops.length) await Author.bulkWrite(ops);
-
-      // Update final status
-      scrapingJobs.set(jobId, {
-        status: 'completed',
-        outlet,
-        website: outletWebsite,
-        authorsFound: authors.length,
-        authors,
-        progress: 100,
-        message: authors.length >= 30 ? "Successfully scraped 30+ authors" : `Found ${authors.length} authors (target: 30)`,
-        completedAt: new Date(),
-        startTime: scrapingJobs.get(jobId).startTime
-      });
+  try {
+    // Persist the job; the worker runs it in the background
+    await enqueueJob('scrape-authors', { jobId, outlet, params: { outlet } });
 
-      console.log(`✅ Scraping completed for ${outlet}: ${authors.length} authors`);
-
-      // Clean up old job after 5 minutes
-      setTimeout(() => {
-        scrapingJobs.delete(jobId);
-      }, 5 * 60 * 1000);
-    } catch (err) {
-      console.error("Error in async scraping:", err);
-      scrapingJobs.set(jobId, {
-        status: 'failed',
-        outlet,
-        error: err.message,
-        progress: 0,
-        authorsFound: 0,
-        message: 'Scraping failed: ' + err.message,
-        failedAt: new Date()
-      });
-    }
-  })();
+    // Send immediate response with job ID
+    res.json({
+      jobId,
+      status: 'started',
+      message: 'Scraping started. Check /scrape-status/:jobId for progress.',
+      outlet
+    });
+  } catch (err) {
+    console.error("Error queueing scrape job:", err);
+    res.status(500).json({ error: "Error starting scrape job: " + err.message });
+  }
 });
 
 // ---------------- Get Scraping Job Status ----------------
 app.get("/scrape-status/:jobId", async (req, res) => {
-  const { jobId } = req.params;
+  try {
+    const job = await getJob(req.params.jobId);
 
-  const job = scrapingJobs.get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
 
-  if (!job) {
-    return res.status(404).json({ error: "Job not found or expired" });
+    res.json(job);
+  } catch (err) {
+    console.error("Error fetching job status:", err);
+    res.status(500).json({ error: "Error fetching job status" });
   }
-
-  res.json(job);
 });
 
 // ---------------- Quick Scrape (returns immediately with available data) ----------------
@@ -824,12 +823,60 @@ app.get('/authorprofile/:outlet/:name', async (req, res) => {
 
 // Removed the /enrich-profile endpoint
 
+// ---------------- Topic Roll-up ----------------
+// Profile topics with every topic above them added, so a sub-topic's
+// journalists count towards its parents (IPL -> Cricket -> Sports). Labels
+// missing from the taxonomy ("General", removed topics) are dropped.
+function topicRollupStages() {
+  const paths = getTaxonomy().map(topic => ({ name: topic.name, path: topicPath(topic.topicId).map(t => t.name) }));
+  return [
+    {
+      $addFields: {
+        topics: {
+          $reduce: {
+            input: { $filter: { input: { $literal: paths }, as: 'entry', cond: { $in: ['$$entry.name', { $ifNull: ['$topics', []] }] } } },
+            initialValue: [],
+            in: { $setUnion: ['$$value', '$$this.path'] }
+          }
+        }
+      }
+    }
+  ];
+}
+
+// Topic names a request asks for: with `?parent=<topicId|name>` that topic's
+// sub-topics, else every topic. null when the parent is unknown.
+function requestedTopicNames(req) {
+  if (!req.query.parent) return topicNames();
+  if (!findTopic(req.query.parent)) return null;
+  return childTopics(req.query.parent).map(topic => topic.name);
+}
+
+// Taxonomy fields added to each topic in the topic endpoints
+function topicInfo(name) {
+  const topic = findTopic(name);
+  return {
+    topicId: topic.topicId,
+    color: topic.color || DEFAULT_TOPIC_COLOR,
+    parent: topic.parent || null,
+    path: topicPath(topic.topicId).map(t => t.name),
+    subTopics: childTopics(topic.topicId).length
+  };
+}
+
 // ---------------- Get Topics with journalist count ----------------
+// Sub-topics roll up into their parents; ?parent=<topicId> lists one topic's sub-topics
 app.get('/topics', async (req, res) => {
   try {
+    const names = requestedTopicNames(req);
+    if (!names) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+
     const topicsData = await AuthorProfile.aggregate([
+      ...topicRollupStages(),
       { $unwind: '$topics' },
-      { $match: { topics: { $in: TOPICS } } },
+      { $match: { topics: { $in: names } } },
       {
         $group: {
           _id: '$topics',
@@ -856,8 +903,7 @@ app.get('/topics', async (req, res) => {
       { $sort: { journalistCount: -1 } }
     ]);
 
-
-    res.json(topicsData);
+    res.json(topicsData.map(t => ({ ...t, ...topicInfo(t.name) })));
   } catch (err) {
     console.error('Error fetching topics:', err);
     res.status(500).json({ error: 'Server error' });
@@ -982,6 +1028,19 @@ app.get("/export/json", async (req, res) => {
       return res.status(404).json({ error: "No data to export" });
     }
 
+    // Article links per author from the Article collection
+    const linksByAuthor = new Map();
+    const articles = await Article.find({ authors: { $in: profiles.map(p => p._id) } })
+      .select('url authors')
+      .lean();
+    for (const article of articles) {
+      for (const authorId of article.authors) {
+        const key = String(authorId);
+        if (!linksByAuthor.has(key)) linksByAuthor.set(key, []);
+        linksByAuthor.get(key).push(article.url);
+      }
+    }
+
     // Format data for export
     const exportData = {
       exportDate: new Date().toISOString(),
@@ -994,7 +1053,7 @@ app.get("/export/json", async (req, res) => {
         profilePic: p.profilePic,
         topics: p.topics || [],
         articleCount: p.articles || 0,
-        articleLinks: p.articleLinks || [],
+        articleLinks: linksByAuthor.get(String(p._id)) || [],
         scrapedAt: p.scrapedAt
       }))
     };
@@ -1009,14 +1068,41 @@ app.get("/export/json", async (req, res) => {
   }
 });
 
+// ---------------- Agency Copy in Analytics ----------------
+// Wire stories are often credited to the staffer who filed them. With
+// ?agency=exclude, analytics count only a journalist's own copy and leave out
+// profiles whose every credited article is agency copy.
+function excludesAgencyCopy(req) {
+  return req.query.agency === 'exclude';
+}
+
+const AGENCY_ARTICLES = { $ifNull: ['$copyTypes.agency', 0] };
+
+function ownCopyStages(req) {
+  // A no-op match rather than no stages: Mongoose rejects an empty pipeline
+  if (!excludesAgencyCopy(req)) return [{ $match: {} }];
+  return [
+    {
+      $addFields: {
+        articles: { $max: [0, { $subtract: [{ $ifNull: ['$articles', 0] }, AGENCY_ARTICLES] }] },
+        agencyOnly: { $and: [{ $gt: ['$articles', 0] }, { $gte: [AGENCY_ARTICLES, '$articles'] }] }
+      }
+    },
+    { $match: { agencyOnly: false } }
+  ];
+}
+
 // ---------------- Analytics Endpoint (NLP-based) ----------------
+// Trending keywords come from the titles of this many newest articles
+const TRENDING_ARTICLES = 5000;
+
 app.get("/analytics", async (req, res) => {
   try {
     // Import NLP analyzer
     const nlp = await import('./utils/nlpAnalyzer.js');
 
     // Fetch all author profiles
-    const profiles = await AuthorProfile.find({});
+    const profiles = await AuthorProfile.aggregate([...ownCopyStages(req), ...topicRollupStages()]);
 
     if (!profiles.length) {
       return res.json({
@@ -1031,10 +1117,13 @@ app.get("/analytics", async (req, res) => {
     // Get top contributors per outlet
     const outletContributors = {};
     for (const [outlet, count] of Object.entries(analysis.outletDistribution)) {
-      const topAuthors = await AuthorProfile.find({ outlet })
-        .sort({ articles: -1, influence: -1 })
-        .limit(5)
-        .select('name articles influence topics');
+      const topAuthors = await AuthorProfile.aggregate([
+        { $match: { outlet } },
+        ...ownCopyStages(req),
+        { $sort: { articles: -1, influence: -1 } },
+        { $limit: 5 },
+        { $project: { name: 1, articles: 1, influence: 1, topics: 1 } }
+      ]);
 
       outletContributors[outlet] = {
         totalJournalists: count,
@@ -1042,20 +1131,19 @@ app.get("/analytics", async (req, res) => {
       };
     }
 
-    // Extract trending keywords from all articles
-    const allArticleTitles = [];
-    profiles.forEach(p => {
-      if (p.articleData && p.articleData.length > 0) {
-        p.articleData.forEach(article => {
-          if (article.title) allArticleTitles.push(article.title);
-        });
-      }
-    });
+    // Trending keywords from the titles of the newest stored articles
+    const recentArticles = await Article.aggregate([
+      { $match: { title: { $nin: [null, ''] }, ...(excludesAgencyCopy(req) ? { copyType: { $ne: 'agency' } } : {}) } },
+      { $sort: { publishDate: -1, firstSeenAt: -1 } },
+      { $limit: TRENDING_ARTICLES },
+      { $project: { title: 1 } }
+    ]);
 
-    const keywordAnalysis = nlp.analyzeArticleTitles(allArticleTitles);
+    const keywordAnalysis = nlp.analyzeArticleTitles(recentArticles.map(article => article.title));
 
     res.json({
       ...analysis,
+      topicColors: Object.fromEntries(Object.keys(analysis.topicDistribution).map(topic => [topic, topicInfo(topic).color])),
       topContributorsPerOutlet: outletContributors,
       trendingKeywords: keywordAnalysis.keywords.slice(0, 20),
       generatedAt: new Date()
@@ -1067,10 +1155,19 @@ app.get("/analytics", async (req, res) => {
 });
 
 // ---------------- Topic Distribution Visualization Data ----------------
+// Sub-topics roll up into their parents; ?parent=<topicId> lists one topic's sub-topics
 app.get("/analytics/topics", async (req, res) => {
   try {
+    const names = requestedTopicNames(req);
+    if (!names) {
+      return res.status(404).json({ error: "Topic not found" });
+    }
+
     const topicData = await AuthorProfile.aggregate([
+      ...ownCopyStages(req),
+      ...topicRollupStages(),
       { $unwind: '$topics' },
+      { $match: { topics: { $in: names } } },
       {
         $group: {
           _id: '$topics',
@@ -1085,6 +1182,7 @@ app.get("/analytics/topics", async (req, res) => {
 
     res.json(topicData.map(t => ({
       topic: t._id,
+      ...topicInfo(t._id),
       journalistCount: t.count,
       avgInfluence: parseFloat((t.avgInfluence || 0).toFixed(1)),
       totalArticles: t.totalArticles
@@ -1150,6 +1248,7 @@ app.get("/analytics/keywords", async (req, res) => {
 app.get("/analytics/outlets", async (req, res) => {
   try {
     const outletStats = await AuthorProfile.aggregate([
+      ...ownCopyStages(req),
       {
         $group: {
           _id: '$outlet',
@@ -1175,6 +1274,112 @@ app.get("/analytics/outlets", async (req, res) => {
   }
 });
 
+// ---------------- Copy Types (staff / agency / syndicated / sponsored) ----------------
+app.get("/analytics/copy", async (req, res) => {
+  try {
+    const match = req.query.outlet ? { outlet: req.query.outlet.toLowerCase().trim() } : {};
+
+    const [byOutlet, agencies, syndicatedFrom] = await Promise.all([
+      Article.aggregate([
+        { $match: match },
+        { $group: { _id: { outlet: '$outlet', copyType: { $ifNull: ['$copyType', 'staff'] } }, count: { $sum: 1 } } }
+      ]),
+      Article.aggregate([
+        { $match: { ...match, copyType: 'agency' } },
+        { $unwind: '$agencies' },
+        { $group: { _id: '$agencies', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 15 }
+      ]),
+      Article.aggregate([
+        { $match: { ...match, copyType: 'syndicated', syndicatedFrom: { $ne: null } } },
+        { $group: { _id: '$syndicatedFrom', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 15 }
+      ])
+    ]);
+
+    const outlets = {};
+    for (const { _id, count } of byOutlet) {
+      if (!outlets[_id.outlet]) {
+        outlets[_id.outlet] = { outlet: _id.outlet, total: 0, staff: 0, agency: 0, syndicated: 0, sponsored: 0 };
+      }
+      const entry = outlets[_id.outlet];
+      entry[_id.copyType] = (entry[_id.copyType] || 0) + count;
+      entry.total += count;
+    }
+
+    res.json({
+      outlets: Object.values(outlets)
+        .sort((a, b) => b.total - a.total)
+        .map(o => ({ ...o, agencyShare: o.total > 0 ? parseFloat((o.agency / o.total * 100).toFixed(1)) : 0 })),
+      topAgencies: agencies.map(a => ({ agency: a._id, articles: a.count })),
+      syndicatedFrom: syndicatedFrom.map(s => ({ source: s._id, articles: s.count }))
+    });
+  } catch (err) {
+    console.error("Error in copy analytics:", err);
+    res.status(500).json({ error: "Error generating copy analytics" });
+  }
+});
+
+// ---------------- Language Mix (per outlet) ----------------
+// Articles per detected language and journalists per main language, so
+// mixed-language outlets can be told apart desk by desk
+app.get("/analytics/languages", async (req, res) => {
+  try {
+    const match = req.query.outlet ? { outlet: req.query.outlet.toLowerCase().trim() } : {};
+
+    const [byArticle, byJournalist] = await Promise.all([
+      Article.aggregate([
+        { $match: match },
+        { $group: { _id: { outlet: '$outlet', language: '$language' }, count: { $sum: 1 } } }
+      ]),
+      AuthorProfile.aggregate([
+        { $match: match },
+        { $group: { _id: { outlet: '$outlet', language: '$language' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const outlets = {};
+    const entryFor = (outlet) => {
+      if (!outlets[outlet]) outlets[outlet] = { outlet, articles: 0, languages: {}, journalists: {} };
+      return outlets[outlet];
+    };
+    // Older articles may carry a declared locale ("hi-IN"); no language at all counts as unknown
+    for (const { _id, count } of byArticle) {
+      const entry = entryFor(_id.outlet);
+      const language = languageCode(_id.language) || 'unknown';
+      entry.languages[language] = (entry.languages[language] || 0) + count;
+      entry.articles += count;
+    }
+    for (const { _id, count } of byJournalist) {
+      const entry = entryFor(_id.outlet);
+      const language = languageCode(_id.language) || 'unknown';
+      entry.journalists[language] = (entry.journalists[language] || 0) + count;
+    }
+
+    res.json({
+      outlets: Object.values(outlets)
+        .sort((a, b) => b.articles - a.articles)
+        .map(o => {
+          const known = Object.entries(o.languages).filter(([language]) => language !== 'unknown');
+          const top = known.sort((a, b) => b[1] - a[1])[0];
+          const knownTotal = known.reduce((sum, [, count]) => sum + count, 0);
+          return {
+            ...o,
+            mainLanguage: top ? top[0] : null,
+            // Share of articles not in the main language
+            mixedShare: knownTotal > 0 ? parseFloat(((knownTotal - top[1]) / knownTotal * 100).toFixed(1)) : 0
+          };
+        }),
+      languageNames: LANGUAGE_NAMES
+    });
+  } catch (err) {
+    console.error("Error in language analytics:", err);
+    res.status(500).json({ error: "Error generating language analytics" });
+  }
+});
+
 // ---------------- Top Influencers (sorted by influence score) ----------------
 app.get("/top-influencers", async (req, res) => {
   try {
@@ -1469,6 +1674,11 @@ app.post("/cleanup-invalid-profiles", async (req, res) => {
 app.get("/", (req, res) => res.send("Server running on port " + PORT));
 
 // ---------------- Start server ----------------
-app.listen(PORT, () =>
+const server = http.createServer(app);
+
+// Live job progress: clients connect to the /jobs/<jobId> namespace
+initJobSockets(server, { origin: allowedOrigins, credentials: true });
+
+server.listen(PORT, () =>
   console.log("Server running on http://localhost:" + PORT)
 );
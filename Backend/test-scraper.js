@@ -1,16 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
 import { scrapeLightweight } from './scrapers/newsOutletScraper.js';
+import { setHttpMode } from './scrapers/httpFixtures.js';
+
+// Usage: node test-scraper.js "<outlet>" [maxAuthors] [--record <dir> | --replay <dir>]
+//   --record  saves every request/response plus the results to <dir>
+//   --replay  re-runs offline from <dir> and compares against the recorded results
+const args = process.argv.slice(2);
+let httpMode = 'live';
+let fixturesDir = null;
+for (const flag of ['--record', '--replay']) {
+  const idx = args.indexOf(flag);
+  if (idx !== -1) {
+    httpMode = flag.slice(2);
+    fixturesDir = args[idx + 1];
+    args.splice(idx, 2);
+  }
+}
+if (httpMode !== 'live') setHttpMode(httpMode, fixturesDir);
+
+// Authors by name, each with their article URLs sorted
+function sortedSummary(summary) {
+  const authors = summary.authors
+    .map(a => (a.articles ? { ...a, articles: [...a.articles].sort() } : a))
+    .sort((a, b) => a.name.localeCompare(b.name) || String(a.profileUrl).localeCompare(String(b.profileUrl)));
+  return { ...summary, authors };
+}
 
 // Test the scraper with verbose logging
 console.log('╔════════════════════════════════════════════════════════════╗');
 console.log('║       🧪 AtenFlux News Outlet Scraper - Test Suite       ║');
 console.log('╚════════════════════════════════════════════════════════════╝\n');
 
-const outletName = process.argv[2] || 'The Hindu';
-const maxAuthors = parseInt(process.argv[3]) || 10;
+const outletName = args[0] || 'The Hindu';
+const maxAuthors = parseInt(args[1]) || 10;
 
 console.log(`📰 Testing Outlet: "${outletName}"`);
 console.log(`🎯 Target: ${maxAuthors} authors`);
-console.log(`🔧 Mode: Full autonomous (DuckDuckGo search only, no guessing)\n`);
+console.log(`🔧 Mode: Full autonomous (DuckDuckGo search only, no guessing)`);
+console.log(`📼 HTTP: ${httpMode}${fixturesDir ? ` (${fixturesDir})` : ''}\n`);
 console.log('─'.repeat(60));
 
 const startTime = Date.now();
@@ -70,6 +98,47 @@ try {
       console.log(`   Profile: ${author.profileUrl}`);
     });
     
+    // Record/replay: results must match what was recorded. Authors finish in
+    // whatever order their requests complete, so compare them sorted.
+    const summary = sortedSummary({
+      outlet: result.outlet,
+      website: result.website,
+      authors: result.authors.map(a => ({
+        name: a.name,
+        profileUrl: a.profileUrl,
+        totalArticles: a.totalArticles,
+        articles: (a.articles || []).map(article => article.url)
+      }))
+    });
+    const expectedFile = fixturesDir ? path.join(fixturesDir, 'expected.json') : null;
+    
+    if (httpMode === 'record') {
+      await fs.mkdir(fixturesDir, { recursive: true });
+      await fs.writeFile(expectedFile, JSON.stringify(summary, null, 2));
+      console.log(`\n📼 Recorded fixtures and expected results to ${fixturesDir}`);
+    } else if (httpMode === 'replay') {
+      const expected = sortedSummary(JSON.parse(await fs.readFile(expectedFile, 'utf8')));
+      if (JSON.stringify(expected) !== JSON.stringify(summary)) {
+        console.log('\n' + '═'.repeat(60));
+        console.log('❌ TEST FAILED - REPLAY DIFFERS FROM RECORDING');
+        console.log('═'.repeat(60));
+        console.log(`   Website: expected ${expected.website}, got ${summary.website}`);
+        console.log(`   Authors: expected ${expected.authors.length}, got ${summary.authors.length}`);
+        const got = new Map(summary.authors.map(a => [a.name, a]));
+        for (const author of expected.authors) {
+          const actual = got.get(author.name);
+          if (!actual) console.log(`   - missing: ${author.name}`);
+          else if (JSON.stringify(actual) !== JSON.stringify(author)) {
+            console.log(`   ~ changed: ${author.name} (${author.totalArticles} → ${actual.totalArticles} articles)`);
+          }
+        }
+        const expectedNames = new Set(expected.authors.map(a => a.name));
+        summary.authors.filter(a => !expectedNames.has(a.name)).forEach(a => console.log(`   + extra: ${a.name}`));
+        process.exit(1);
+      }
+      console.log('\n📼 Replay matches the recorded results');
+    }
+    
     console.log('\n' + '═'.repeat(60));
     console.log('✅ TEST PASSED - Scraper working correctly!');
     console.log('═'.repeat(60));
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { parseArticleDate, normalizeDate, dateFromUrl, extractArticleDates } from '../scrapers/articleDates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(name) {
+  return cheerio.load(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+describe('normalizeDate', () => {
+  it('keeps explicit offsets and UTC', () => {
+    assert.equal(normalizeDate('2026-02-01T11:05:00+05:30'), '2026-02-01T05:35:00.000Z');
+    assert.equal(normalizeDate('2026-02-01T11:05:00Z'), '2026-02-01T11:05:00.000Z');
+    assert.equal(normalizeDate('Sun, 01 Feb 2026 11:05:00 GMT'), '2026-02-01T11:05:00.000Z');
+    assert.equal(normalizeDate('Sun, 01 Feb 2026 11:05:00 +0530'), '2026-02-01T05:35:00.000Z');
+  });
+
+  it('reads dates without a timezone as IST', () => {
+    assert.equal(normalizeDate('2026-02-01 11:05'), '2026-02-01T05:35:00.000Z');
+    assert.equal(normalizeDate('Feb 1, 2026 11:05 AM'), '2026-02-01T05:35:00.000Z');
+    assert.equal(normalizeDate('01/02/2026'), '2026-01-31T18:30:00.000Z'); // Day first
+  });
+
+  it('reads IST and other zone abbreviations', () => {
+    assert.equal(normalizeDate('Feb 1, 2026 11:05 AM IST'), '2026-02-01T05:35:00.000Z');
+    assert.equal(normalizeDate('Feb 1, 2026 11:05 AM EST'), '2026-02-01T16:05:00.000Z');
+    assert.equal(normalizeDate('2026-07-01 11:05 EDT'), '2026-07-01T15:05:00.000Z');
+    assert.equal(normalizeDate('Jul 1, 2026 11:05 BST'), '2026-07-01T10:05:00.000Z');
+  });
+
+  it('gives up on unknown zone abbreviations instead of assuming IST', () => {
+    assert.equal(normalizeDate('Feb 1, 2026 11:05 AM XYZT'), null);
+  });
+
+  it('strips "Published" / "Updated" prefixes', () => {
+    assert.equal(normalizeDate('Last Updated: Feb 1, 2026 at 11:05 AM IST'), '2026-02-01T05:35:00.000Z');
+    assert.equal(normalizeDate('Published on 2026-02-01T11:05:00+05:30'), '2026-02-01T05:35:00.000Z');
+  });
+
+  it('reads Unix timestamps in seconds and milliseconds', () => {
+    assert.equal(normalizeDate(1769923500), '2026-02-01T05:25:00.000Z');
+    assert.equal(normalizeDate('1769923500000'), '2026-02-01T05:25:00.000Z');
+  });
+
+  it('rejects implausible and unreadable dates', () => {
+    assert.equal(normalizeDate('1970-01-01T00:00:00Z'), null);
+    assert.equal(normalizeDate(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()), null);
+    assert.equal(normalizeDate('yesterday'), null);
+    assert.equal(normalizeDate('31/13/2026'), null);
+    assert.equal(normalizeDate(''), null);
+  });
+});
+
+describe('parseArticleDate', () => {
+  it('flags dates without a time of day', () => {
+    assert.equal(parseArticleDate('2026-02-01').dayOnly, true);
+    assert.equal(parseArticleDate('1 February 2026').dayOnly, true);
+    assert.equal(parseArticleDate('2026-02-01T11:05:00Z').dayOnly, false);
+  });
+});
+
+describe('dateFromUrl', () => {
+  it('finds dates in article paths', () => {
+    assert.equal(dateFromUrl('https://www.example.com/2026/02/01/budget-story/'), '2026-02-01');
+    assert.equal(dateFromUrl('https://www.example.com/india/2026-2-1-budget'), '2026-02-01');
+    assert.equal(dateFromUrl('https://www.example.com/news/20260201/budget'), '2026-02-01');
+  });
+
+  it('ignores numbers that are not dates', () => {
+    assert.equal(dateFromUrl('https://www.example.com/india/story-123456'), null);
+    assert.equal(dateFromUrl('https://www.example.com/2026/13/45/story'), null);
+    assert.equal(dateFromUrl(null), null);
+  });
+});
+
+describe('extractArticleDates', () => {
+  it('prefers JSON-LD over meta tags and <time>', () => {
+    const dates = extractArticleDates(loadFixture('article-dates-jsonld.html'), 'https://www.example.com/business/budget-2026-salaried');
+    assert.deepEqual(dates, {
+      publishDate: '2026-02-01T11:05:00+05:30',
+      modifiedDate: '2026-02-01T18:40:00+05:30'
+    });
+  });
+
+  it('skips unreadable values and falls back to visible dates', () => {
+    const dates = extractArticleDates(loadFixture('article-dates-visible.html'), 'https://www.example.com/city/local-body-polls');
+    assert.equal(normalizeDate(dates.publishDate), '2026-03-04T03:45:00.000Z');
+    assert.equal(dates.modifiedDate, '2026-03-04T14:00:00+05:30');
+  });
+
+  it('falls back to the date in the URL', () => {
+    const dates = extractArticleDates(cheerio.load('<p>No dates</p>'), 'https://www.example.com/2026/03/04/polls');
+    assert.deepEqual(dates, { publishDate: '2026-03-04', modifiedDate: null });
+  });
+});
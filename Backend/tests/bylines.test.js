@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitByline } from '../scrapers/bylines.js';
+
+describe('splitByline', () => {
+  it('splits co-authors on "and", "&" and Indian-language conjunctions', () => {
+    assert.deepEqual(splitByline('By Jane Doe and John Roe'), ['Jane Doe', 'John Roe']);
+    assert.deepEqual(splitByline('Jane Doe & John Roe'), ['Jane Doe', 'John Roe']);
+    assert.deepEqual(splitByline('राहुल शर्मा और प्रिया सिंह'), ['राहुल शर्मा', 'प्रिया सिंह']);
+  });
+
+  it('splits on commas before the last conjunction, with or without an Oxford comma', () => {
+    assert.deepEqual(splitByline('Jane Doe, John Roe and Asha Rao'), ['Jane Doe', 'John Roe', 'Asha Rao']);
+    assert.deepEqual(splitByline('Jane Doe, John Roe, and Asha Rao'), ['Jane Doe', 'John Roe', 'Asha Rao']);
+    assert.deepEqual(splitByline('Jane Doe, John Roe & Asha Rao'), ['Jane Doe', 'John Roe', 'Asha Rao']);
+  });
+
+  it('drops a dateline after the last name', () => {
+    assert.deepEqual(splitByline('By Jane Doe and John Roe, New Delhi'), ['Jane Doe', 'John Roe']);
+    assert.deepEqual(splitByline('Jane Doe, John Roe & Asha Rao, Mumbai'), ['Jane Doe', 'John Roe', 'Asha Rao']);
+    assert.deepEqual(splitByline('Jane Doe, New Delhi'), ['Jane Doe']);
+  });
+
+  it('keeps "&" and "and" inside desk and department names', () => {
+    assert.deepEqual(splitByline('Science & Technology Desk'), ['Science & Technology Desk']);
+    assert.deepEqual(splitByline('Dept. of Science and Technology'), ['Dept. of Science and Technology']);
+    assert.deepEqual(splitByline('Jane Doe and Dept. of Science and Technology'), ['Jane Doe', 'Dept. of Science and Technology']);
+    assert.deepEqual(splitByline('Dept. of Science and Technology and Jane Doe'), ['Dept. of Science and Technology', 'Jane Doe']);
+  });
+
+  it('drops agency credits', () => {
+    assert.deepEqual(splitByline('Jane Doe (with inputs from PTI)'), ['Jane Doe']);
+    assert.deepEqual(splitByline('Jane Doe and John Roe with agency inputs from Reuters'), ['Jane Doe', 'John Roe']);
+  });
+
+  it('returns nothing for empty or non-string input', () => {
+    assert.deepEqual(splitByline(''), []);
+    assert.deepEqual(splitByline('By '), []);
+    assert.deepEqual(splitByline(null), []);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { canonicalizeUrl, pageCanonicalUrl, isSameSite } from '../scrapers/canonicalUrl.js';
+
+describe('canonicalizeUrl', () => {
+  it('drops tracking parameters, the fragment and the trailing slash', () => {
+    assert.equal(
+      canonicalizeUrl('https://WWW.Example.com/india/story-123/?utm_source=twitter&fbclid=abc&id=7#comments'),
+      'https://www.example.com/india/story-123?id=7'
+    );
+  });
+
+  it('keeps generic parameters that sites use for content', () => {
+    assert.equal(
+      canonicalizeUrl('https://www.example.com/author/jane-doe?from=20&ref=home&share=1'),
+      'https://www.example.com/author/jane-doe?from=20&ref=home&share=1'
+    );
+  });
+
+  it('sorts the remaining parameters', () => {
+    assert.equal(canonicalizeUrl('https://www.example.com/search?q=rain&cat=news'), 'https://www.example.com/search?cat=news&q=rain');
+  });
+
+  it('folds AMP and mobile variants into the desktop page', () => {
+    assert.equal(canonicalizeUrl('https://m.example.com/india/story-123', { preferredHost: 'www.example.com' }), 'https://www.example.com/india/story-123');
+    assert.equal(canonicalizeUrl('https://www.example.com/amp/india/story-123'), 'https://www.example.com/india/story-123');
+    assert.equal(canonicalizeUrl('https://www.example.com/india/story-123/amp/'), 'https://www.example.com/india/story-123');
+    assert.equal(canonicalizeUrl('https://www.example.com/india/story-123.amp.html'), 'https://www.example.com/india/story-123.html');
+    assert.equal(
+      canonicalizeUrl('https://timesofindia.indiatimes.com/city/delhi/amp_articleshow/1234.cms'),
+      'https://timesofindia.indiatimes.com/city/delhi/articleshow/1234.cms'
+    );
+  });
+
+  it('unwraps the Google AMP cache', () => {
+    assert.equal(
+      canonicalizeUrl('https://www-example-com.cdn.ampproject.org/c/s/www.example.com/india/story-123/amp'),
+      'https://www.example.com/india/story-123'
+    );
+  });
+
+  it('keeps variant hosts without a preferred host', () => {
+    assert.equal(canonicalizeUrl('https://m.example.com/india/story-123/'), 'https://m.example.com/india/story-123');
+  });
+
+  it('folds variant hosts to the preferred host when given', () => {
+    assert.equal(
+      canonicalizeUrl('https://amp.example.com/india/story-123', { preferredHost: 'example.com' }),
+      'https://example.com/india/story-123'
+    );
+  });
+
+  it('resolves relative links against a base', () => {
+    assert.equal(canonicalizeUrl('/author/jane-doe/', { base: 'https://www.example.com/india/x' }), 'https://www.example.com/author/jane-doe');
+  });
+
+  it('rejects what is not an http(s) URL', () => {
+    assert.equal(canonicalizeUrl('mailto:desk@example.com'), undefined);
+    assert.equal(canonicalizeUrl('not a url'), undefined);
+    assert.equal(canonicalizeUrl(''), undefined);
+    assert.equal(canonicalizeUrl(null), undefined);
+  });
+});
+
+describe('isSameSite', () => {
+  it('ignores www, AMP and mobile subdomains', () => {
+    assert.equal(isSameSite('https://m.example.com/a', 'https://www.example.com/b'), true);
+    assert.equal(isSameSite('amp.example.com', 'example.com'), true);
+    assert.equal(isSameSite('https://www.example.com', 'https://www.example.net'), false);
+  });
+});
+
+describe('pageCanonicalUrl', () => {
+  const pageUrl = 'https://m.example.com/india/story-123?utm_medium=social';
+
+  it('uses the declared canonical link, canonicalized', () => {
+    const $ = cheerio.load('<link rel="canonical" href="https://www.example.com/india/story-123/?utm_source=home">');
+    assert.equal(pageCanonicalUrl($, pageUrl), 'https://www.example.com/india/story-123');
+  });
+
+  it('falls back to og:url', () => {
+    const $ = cheerio.load('<meta property="og:url" content="/india/story-123">');
+    assert.equal(pageCanonicalUrl($, pageUrl, { preferredHost: 'www.example.com' }), 'https://www.example.com/india/story-123');
+  });
+
+  it('ignores canonicals pointing at the homepage or another site', () => {
+    assert.equal(pageCanonicalUrl(cheerio.load('<link rel="canonical" href="https://www.example.com/">'), pageUrl), undefined);
+    assert.equal(pageCanonicalUrl(cheerio.load('<link rel="canonical" href="https://www.other.com/story">'), pageUrl), undefined);
+  });
+});
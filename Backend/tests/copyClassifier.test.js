@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { pageBylines, classifyCopy } from '../scrapers/copyClassifier.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(name) {
+  return cheerio.load(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+// Body text the way the scraper extracts it
+function bodyOf($) {
+  return $('p').map((i, el) => $(el).text()).get().join('\n');
+}
+
+describe('pageBylines', () => {
+  it('collects JSON-LD authors, meta tags and byline elements', () => {
+    assert.deepEqual(pageBylines(loadFixture('copy-agency.html')), ['PTI', 'By PTI | Mumbai']);
+    assert.deepEqual(pageBylines(loadFixture('copy-staff-inputs.html')), ['Kavya Iyer']);
+  });
+
+  it('skips author meta tags holding a URL', () => {
+    const $ = cheerio.load('<meta property="article:author" content="https://www.facebook.com/examplenews">');
+    assert.deepEqual(pageBylines($), []);
+  });
+});
+
+describe('classifyCopy', () => {
+  it('spots agency copy from the byline, dateline and notice', () => {
+    const $ = loadFixture('copy-agency.html');
+    const result = classifyCopy({ $, url: 'https://www.example.com/business/sensex-climbs-it-gains-5566', body: bodyOf($) });
+    assert.equal(result.copyType, 'agency');
+    assert.deepEqual(result.agencies, ['PTI']);
+    assert.deepEqual(result.signals, ['agency-byline', 'agency-dateline', 'agency-notice']);
+  });
+
+  it('keeps staff copy that used agency inputs as staff', () => {
+    const $ = loadFixture('copy-staff-inputs.html');
+    const result = classifyCopy({ $, url: 'https://www.example.com/mumbai/heavy-rain-trains-7788', body: bodyOf($) });
+    assert.equal(result.copyType, 'staff');
+    assert.deepEqual(result.agencies.sort(), ['PTI', 'Reuters']);
+    assert.deepEqual(result.signals, ['agency-inputs']);
+  });
+
+  it('spots sponsored content', () => {
+    const $ = loadFixture('copy-sponsored.html');
+    const result = classifyCopy({ $, url: 'https://www.example.com/brand-stories/plan-retirement-early-9911', body: bodyOf($) });
+    assert.equal(result.copyType, 'sponsored');
+    assert.ok(result.signals.includes('sponsored-url'));
+    assert.ok(result.signals.includes('sponsored-byline'));
+    assert.ok(result.signals.includes('sponsored-notice'));
+  });
+
+  it('spots stories syndicated from another outlet', () => {
+    const $ = loadFixture('copy-syndicated.html');
+    const result = classifyCopy({ $, url: 'https://www.example.com/india/cities-flood-monsoon-3344', body: bodyOf($) });
+    assert.equal(result.copyType, 'syndicated');
+    assert.equal(result.syndicatedFrom, 'scroll.in');
+    assert.deepEqual(result.signals, ['cross-site-canonical']);
+  });
+
+  it('reads syndication notices in the body', () => {
+    const result = classifyCopy({
+      url: 'https://www.example.com/opinion/essay-1',
+      bylines: ['Meera Pillai'],
+      body: 'An essay on water. This article first appeared on The Conversation.'
+    });
+    assert.equal(result.copyType, 'syndicated');
+    assert.equal(result.syndicatedFrom, 'The Conversation');
+  });
+
+  it('tags named agency reporters', () => {
+    const result = classifyCopy({ url: 'https://www.example.com/world/x-2', bylines: ['Shivam Patel, Reuters'] });
+    assert.equal(result.copyType, 'agency');
+    assert.deepEqual(result.agencies, ['Reuters']);
+  });
+
+  it('defaults to staff copy', () => {
+    assert.deepEqual(classifyCopy({ url: 'https://www.example.com/india/x-3', bylines: ['Jane Doe'], body: 'New Delhi: The ministry said on Monday...' }), {
+      copyType: 'staff',
+      agencies: [],
+      syndicatedFrom: null,
+      signals: []
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import {
+  extractEmbeddedStates,
+  embeddedBylines,
+  embeddedAuthors,
+  embeddedArticles
+} from '../scrapers/embeddedState.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(name) {
+  return cheerio.load(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+describe('extractEmbeddedStates', () => {
+  it('reads __NEXT_DATA__ as JSON', () => {
+    const states = extractEmbeddedStates(loadFixture('next-data-article.html'));
+    assert.equal(states.length, 1);
+    assert.equal(states[0].source, 'next-data');
+    assert.equal(states[0].data.props.pageProps.story.authors.length, 2);
+  });
+
+  it('reads window state written in JS syntax without executing it', () => {
+    const [state] = extractEmbeddedStates(loadFixture('window-state-article.html'));
+    assert.equal(state.source, 'window-state');
+    const { article } = state.data;
+    assert.equal(article.title, 'Heatwave grips north India as mercury crosses 47 degrees');
+    assert.equal(article.published, '2026-05-30T06:15:00Z'); // new Date("...") keeps its string
+    assert.equal(article.updated, undefined); // void 0
+    assert.equal(article.live, false); // !1
+    assert.equal(article.featured, true); // !0
+    assert.deepEqual(article.tags, ['weather', 'delhi']);
+    assert.equal(article.note, 'It\'s "hot"!');
+  });
+
+  it('binds the arguments of a Nuxt 2 payload function', () => {
+    const [state] = extractEmbeddedStates(loadFixture('nuxt2-listing.html'));
+    assert.equal(state.source, 'nuxt');
+    const [first, second] = state.data.data[0].stories;
+    assert.deepEqual(first.author, { name: 'Ravi Kumar', url: '/author/ravi-kumar' });
+    assert.equal(second.publishDate, '2026-08-02T11:30:00Z');
+  });
+
+  it('revives a Nuxt 3 devalue payload', () => {
+    const [state] = extractEmbeddedStates(loadFixture('nuxt3-article.html'));
+    assert.equal(state.source, 'nuxt-data');
+    assert.equal(state.data.data.article.author.name, 'Lakshmi Narayanan');
+    assert.equal(state.data.state.published, '2026-09-12T04:00:00.000Z');
+  });
+
+  it('resolves Apollo cache references', () => {
+    const [state] = extractEmbeddedStates(loadFixture('apollo-directory.html'));
+    assert.equal(state.data['Story:10'].author.name, 'Sana Qureshi');
+    assert.equal(state.data.ROOT_QUERY.team[1].name, 'Vikram Rao');
+  });
+
+  it('skips JSON-LD and scripts it cannot parse', () => {
+    const $ = cheerio.load(`
+      <script type="application/ld+json">{"@type":"NewsArticle","author":{"name":"Jane Doe"}}</script>
+      <script>window.__INITIAL_STATE__ = { title: \`Breaking: \${headline}\` };</script>
+      <script>var pageData = { broken: [1, 2 };</script>
+    `);
+    assert.deepEqual(extractEmbeddedStates($), []);
+  });
+});
+
+describe('embeddedBylines', () => {
+  it('picks the story whose URL is the page', () => {
+    const $ = loadFixture('next-data-article.html');
+    const bylines = embeddedBylines($, 'https://www.example.com/india/monsoon-session-opposition-walkout-123456/');
+    assert.deepEqual(bylines, [
+      { name: 'Jane Doe', profileUrl: 'https://www.example.com/author/jane-doe' },
+      { name: 'Arjun Mehta', profileUrl: 'https://www.example.com/author/arjun-mehta' }
+    ]);
+  });
+
+  it('falls back to the story matching the page headline', () => {
+    const $ = loadFixture('window-state-article.html');
+    const bylines = embeddedBylines($, 'https://www.example.com/weather/heatwave-north-india-556677');
+    assert.deepEqual(bylines, [{ name: 'Rohit Sharma and Kavya Iyer', profileUrl: null }]);
+  });
+
+  it('trusts unmatched stories only when they all agree', () => {
+    const conflicting = loadFixture('conflicting-bylines.html');
+    assert.deepEqual(embeddedBylines(conflicting, 'https://www.example.com/business/some-story-1'), []);
+
+    const nuxt2 = loadFixture('nuxt2-listing.html');
+    assert.deepEqual(embeddedBylines(nuxt2, 'https://www.example.com/latest'), [
+      { name: 'Ravi Kumar', profileUrl: 'https://www.example.com/author/ravi-kumar' }
+    ]);
+  });
+
+  it('returns nothing for pages without payloads', () => {
+    assert.deepEqual(embeddedBylines(cheerio.load('<h1>Plain page</h1>'), 'https://www.example.com/a'), []);
+  });
+});
+
+describe('embeddedAuthors', () => {
+  it('lists every author, including directory entries without an author key', () => {
+    const authors = embeddedAuthors(loadFixture('apollo-directory.html'), 'https://www.example.com/our-team');
+    assert.deepEqual(authors.map(a => a.name).sort(), ['Sana Qureshi', 'Vikram Rao']);
+    assert.equal(authors.find(a => a.name === 'Vikram Rao').profileUrl, 'https://www.example.com/authors/vikram-rao');
+  });
+
+  it('keeps the profile link when an author is seen with and without one', () => {
+    const authors = embeddedAuthors(loadFixture('next-data-article.html'), 'https://www.example.com/');
+    assert.deepEqual(authors.map(a => a.name).sort(), ['Arjun Mehta', 'Jane Doe', 'Priya Nair']);
+    assert.ok(authors.every(a => a.profileUrl));
+  });
+});
+
+describe('embeddedArticles', () => {
+  it('lists stories with absolute URLs and their dates', () => {
+    const articles = embeddedArticles(loadFixture('nuxt2-listing.html'), 'https://www.example.com/latest');
+    assert.deepEqual(articles.map(a => a.url), [
+      'https://www.example.com/assam/floods-villages-cut-off-445566',
+      'https://www.example.com/politics/state-budget-farm-loan-waiver-445570'
+    ]);
+    assert.equal(articles[0].publishDate, '2026-08-01T10:00:00Z');
+  });
+
+  it('leaves out navigation and author pages', () => {
+    const articles = embeddedArticles(loadFixture('apollo-directory.html'), 'https://www.example.com/our-team');
+    assert.deepEqual(articles.map(a => a.url), ['https://www.example.com/karnataka/bengaluru-water-tankers-prices-112233']);
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// The cache directory is read when the module loads
+const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'http-cache-test-'));
+process.env.SCRAPER_CACHE_DIR = cacheDir;
+const {
+  getCacheTtl, readCacheEntry, writeCacheEntry, pruneCache, isFresh, conditionalHeaders, cachedResponse
+} = await import('../scrapers/httpCache.js');
+const { httpGet, createFetchStats, runWithFetchStats } = await import('../scrapers/httpClient.js');
+
+after(() => fs.rm(cacheDir, { recursive: true, force: true }));
+
+describe('getCacheTtl', () => {
+  it('uses the resource type default, or the default for unknown types', () => {
+    assert.equal(getCacheTtl('feed'), 15 * 60 * 1000);
+    assert.equal(getCacheTtl('nonsense'), getCacheTtl('default'));
+  });
+
+  it('honors SCRAPER_CACHE_TTL_<TYPE> overrides, including 0', () => {
+    process.env.SCRAPER_CACHE_TTL_SECTION = '0';
+    try {
+      assert.equal(getCacheTtl('section'), 0);
+    } finally {
+      delete process.env.SCRAPER_CACHE_TTL_SECTION;
+    }
+  });
+});
+
+describe('cache entries', () => {
+  it('round-trips text and binary bodies with their validators', async () => {
+    const headers = { 'content-type': 'text/html', etag: '"v1"', 'last-modified': 'Mon, 05 Oct 2026 10:00:00 GMT' };
+    assert.equal(await writeCacheEntry('https://example.com/a', { status: 200, data: '<p>a</p>', headers }, 'article'), true);
+    assert.equal(await writeCacheEntry('https://example.com/b.gz', { status: 200, data: Buffer.from([1, 2, 3]), headers: {} }), true);
+
+    const text = await readCacheEntry('https://example.com/a');
+    assert.equal(cachedResponse(text).data, '<p>a</p>');
+    assert.equal(cachedResponse(text).fromCache, true);
+    assert.ok(isFresh(text));
+    assert.deepEqual(conditionalHeaders(text), {
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 05 Oct 2026 10:00:00 GMT'
+    });
+
+    const binary = await readCacheEntry('https://example.com/b.gz');
+    assert.deepEqual(cachedResponse(binary).data, Buffer.from([1, 2, 3]));
+    assert.deepEqual(conditionalHeaders(binary), {});
+  });
+
+  it('does not store error responses', async () => {
+    assert.equal(await writeCacheEntry('https://example.com/missing', { status: 404, data: 'gone' }), false);
+    assert.equal(await readCacheEntry('https://example.com/missing'), null);
+  });
+
+  it('treats entries older than their TTL as stale', async () => {
+    const entry = await readCacheEntry('https://example.com/a');
+    assert.equal(isFresh({ ...entry, storedAt: Date.now() - getCacheTtl('article') - 1 }), false);
+  });
+});
+
+describe('revalidation', () => {
+  let server;
+  let baseUrl;
+  let etag = '"v1"';
+  const seen = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      seen.push(req.headers['if-none-match'] || null);
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: etag });
+      res.end(`<rss>${etag}</rss>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    delete process.env.SCRAPER_CACHE_TTL_FEED;
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const fetchFeed = async () => {
+    const stats = createFetchStats();
+    const response = await runWithFetchStats(stats, () =>
+      httpGet(`${baseUrl}/feed.xml`, {}, { robots: false, resourceType: 'feed' }));
+    return { response, stats };
+  };
+
+  it('serves fresh entries without a request', async () => {
+    const first = await fetchFeed();
+    assert.equal(first.response.data, '<rss>"v1"</rss>');
+    const second = await fetchFeed();
+    assert.equal(second.response.fromCache, true);
+    assert.equal(second.stats.cacheHits, 1);
+    assert.deepEqual(seen, [null]);
+  });
+
+  it('revalidates stale entries and reuses them on a 304', async () => {
+    process.env.SCRAPER_CACHE_TTL_FEED = '0';
+    const { response, stats } = await fetchFeed();
+    assert.equal(response.fromCache, true);
+    assert.equal(response.data, '<rss>"v1"</rss>');
+    assert.equal(stats.notModified, 1);
+    assert.equal(seen.at(-1), '"v1"');
+  });
+
+  it('replaces stale entries when the page changed', async () => {
+    etag = '"v2"';
+    const { response, stats } = await fetchFeed();
+    assert.equal(response.fromCache, undefined);
+    assert.equal(response.data, '<rss>"v2"</rss>');
+    assert.equal(stats.notModified, 0);
+    assert.deepEqual(conditionalHeaders(await readCacheEntry(`${baseUrl}/feed.xml`)), { 'If-None-Match': '"v2"' });
+  });
+});
+
+describe('pruneCache', () => {
+  const fileOf = async (url) => {
+    const before = new Set(await listFiles());
+    await writeCacheEntry(url, { status: 200, data: 'x'.repeat(1000), headers: {} });
+    return (await listFiles()).find(file => !before.has(file)) || null;
+  };
+  const listFiles = async () => {
+    const buckets = await fs.readdir(cacheDir);
+    const files = await Promise.all(buckets.map(async b =>
+      (await fs.readdir(path.join(cacheDir, b))).map(name => path.join(cacheDir, b, name))));
+    return files.flat();
+  };
+  const ageBy = (file, ms) => fs.utimes(file, new Date(Date.now() - ms), new Date(Date.now() - ms));
+
+  it('removes entries older than maxAgeMs', async () => {
+    const oldFile = await fileOf('https://example.com/old');
+    await ageBy(oldFile, 10 * 60 * 1000);
+    await pruneCache({ maxAgeMs: 5 * 60 * 1000, maxBytes: Infinity });
+    assert.equal(await readCacheEntry('https://example.com/old'), null);
+    assert.ok(await readCacheEntry('https://example.com/a'));
+  });
+
+  it('removes the least recently stored entries until the cache fits', async () => {
+    const older = await fileOf('https://example.com/older');
+    await ageBy(older, 60 * 1000);
+    await fileOf('https://example.com/newer');
+
+    const sizes = await Promise.all((await listFiles()).map(file => fs.stat(file)));
+    const totalBytes = sizes.reduce((sum, stat) => sum + stat.size, 0);
+    const { remainingBytes } = await pruneCache({ maxAgeMs: Infinity, maxBytes: totalBytes - 1 });
+    assert.equal(await readCacheEntry('https://example.com/older'), null);
+    assert.ok(await readCacheEntry('https://example.com/newer'));
+    assert.ok(remainingBytes > 0);
+  });
+});
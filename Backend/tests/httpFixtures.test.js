@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AxiosError } from 'axios';
+import { setHttpMode, getHttpMode, fixtureRequest } from '../scrapers/httpFixtures.js';
+
+const networkDown = () => {
+  throw new Error('replay must not touch the network');
+};
+
+describe('setHttpMode', () => {
+  it('rejects unknown modes and record/replay without a directory', () => {
+    assert.throws(() => setHttpMode('offline'), /Unknown HTTP mode/);
+    assert.throws(() => setHttpMode('replay', null), /needs a fixtures directory/);
+    assert.equal(getHttpMode().mode, 'live');
+  });
+});
+
+describe('record and replay', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'http-fixtures-test-'));
+  });
+
+  after(async () => {
+    setHttpMode('live', null);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('replays recorded text and binary bodies with their headers', async () => {
+    setHttpMode('record', dir);
+    const page = { url: 'https://example.com/story', method: 'get' };
+    const gzip = { url: 'https://example.com/sitemap.xml.gz', method: 'get', responseType: 'arraybuffer' };
+    await fixtureRequest(page, async () => ({
+      status: 200, statusText: 'OK', data: '<h1>Story</h1>',
+      headers: { 'content-type': 'text/html', 'set-cookie': 'session=1' }
+    }));
+    await fixtureRequest(gzip, async () => ({ status: 200, data: Buffer.from([31, 139, 8]), headers: {} }));
+
+    setHttpMode('replay', dir);
+    const replayed = await fixtureRequest(page, networkDown);
+    assert.equal(replayed.data, '<h1>Story</h1>');
+    assert.equal(replayed.fromFixture, true);
+    assert.deepEqual(replayed.headers, { 'content-type': 'text/html' });
+    assert.deepEqual((await fixtureRequest(gzip, networkDown)).data, Buffer.from([31, 139, 8]));
+  });
+
+  it('keys fixtures by method as well as URL', async () => {
+    await assert.rejects(
+      fixtureRequest({ url: 'https://example.com/story', method: 'head' }, networkDown),
+      (err) => err instanceof AxiosError && err.code === 'ENOFIXTURE'
+    );
+  });
+
+  it('replays error statuses as failed requests, unless the caller accepts them', async () => {
+    setHttpMode('record', dir);
+    const config = { url: 'https://example.com/robots.txt', method: 'get' };
+    const notFound = new AxiosError('Request failed with status code 404', 'ERR_BAD_REQUEST', config, null,
+      { status: 404, statusText: 'Not Found', data: 'missing', headers: {} });
+    await assert.rejects(fixtureRequest(config, async () => { throw notFound; }));
+
+    setHttpMode('replay', dir);
+    await assert.rejects(fixtureRequest(config, networkDown), (err) => err.response?.status === 404);
+    const accepted = await fixtureRequest({ ...config, validateStatus: () => true }, networkDown);
+    assert.equal(accepted.status, 404);
+  });
+
+  it('replays network errors with their code', async () => {
+    setHttpMode('record', dir);
+    const config = { url: 'https://down.example.com/', method: 'get' };
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    await assert.rejects(fixtureRequest(config, async () => { throw refused; }));
+
+    setHttpMode('replay', dir);
+    await assert.rejects(fixtureRequest(config, networkDown),
+      (err) => err.code === 'ECONNREFUSED' && err.message === 'connect ECONNREFUSED');
+  });
+
+  it('passes requests straight through in live mode', async () => {
+    setHttpMode('live', null);
+    const response = await fixtureRequest({ url: 'https://example.com/live' }, async () => ({ status: 200, data: 'live' }));
+    assert.equal(response.data, 'live');
+    const recorded = await fs.readdir(path.join(dir, 'example.com'));
+    assert.equal(recorded.length, 3); // story, sitemap and robots.txt, nothing for /live
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizePersonName, nameSimilarity, socialHandles, photoKey, bioSimilarity, scoreMatch
+} from '../utils/identityResolver.js';
+
+const AUTO_CONFIRM = 0.9;
+
+describe('normalizePersonName', () => {
+  it('drops honorifics, punctuation and Latin accents', () => {
+    assert.equal(normalizePersonName('Dr. Amit K. Sharma'), 'amit k sharma');
+    assert.equal(normalizePersonName('  José   D’Souza '), 'jose d souza');
+  });
+
+  it('keeps Indic vowel signs', () => {
+    assert.equal(normalizePersonName('अमित शर्मा'), 'अमित शर्मा');
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('scores word order, dropped middle names and initials below an exact match', () => {
+    assert.equal(nameSimilarity('Amit Sharma', 'amit sharma'), 1);
+    assert.equal(nameSimilarity('Sharma Amit', 'Amit Sharma'), 0.95);
+    assert.equal(nameSimilarity('Amit Kumar Sharma', 'Amit Sharma'), 0.85);
+    assert.equal(nameSimilarity('A. Sharma', 'Amit Sharma'), 0.8);
+  });
+
+  it('gives unrelated names no credit', () => {
+    assert.equal(nameSimilarity('Amit Sharma', 'Priya Rao'), 0);
+    assert.equal(nameSimilarity('Amit Sharma', ''), 0);
+  });
+});
+
+describe('socialHandles', () => {
+  it('normalizes accounts across hosts and skips share links', () => {
+    const handles = socialHandles({
+      socialLinks: { twitter: 'https://x.com/AmitSharma', linkedin: 'https://www.linkedin.com/in/amit-sharma/' },
+      sameAs: ['mailto:Amit@Example.com', 'https://twitter.com/intent/tweet?text=hi', 'https://example.com/amit']
+    });
+    assert.deepEqual([...handles].sort(), ['email:amit@example.com', 'linkedin:in/amit-sharma', 'twitter:amitsharma']);
+  });
+});
+
+describe('photoKey', () => {
+  it('ignores size variants and placeholder images', () => {
+    assert.equal(photoKey('https://cdn.example.com/uploads/amit-sharma-150x150.jpg'), 'amit-sharma');
+    assert.equal(photoKey('https://img.example.in/authors/amit-sharma.webp'), 'amit-sharma');
+    assert.equal(photoKey('https://cdn.example.com/images/default-avatar.png'), null);
+    assert.equal(photoKey('not a url'), null);
+  });
+});
+
+describe('bioSimilarity', () => {
+  it('needs a few content words on both sides', () => {
+    assert.equal(bioSimilarity('Covers politics', 'Covers politics'), 0);
+    assert.ok(bioSimilarity(
+      'Amit covers Delhi politics, elections and parliament',
+      'Senior correspondent covering Delhi politics and parliament'
+    ) >= 0.2);
+  });
+});
+
+describe('scoreMatch', () => {
+  const amit = {
+    name: 'Amit Sharma',
+    socialLinks: { twitter: 'https://twitter.com/amitsharma' },
+    profilePic: 'https://cdn.one.in/amit-sharma-150x150.jpg'
+  };
+
+  it('never auto-confirms on a matching name alone', () => {
+    const { confidence, reasons } = scoreMatch({ name: 'Amit Sharma' }, { name: 'Amit Sharma' });
+    assert.equal(confidence, 0.55);
+    assert.deepEqual(reasons, ['Same name']);
+  });
+
+  it('auto-confirms a matching name with a shared account', () => {
+    const other = { name: 'Amit Sharma', socialLinks: { x: 'https://x.com/AmitSharma' } };
+    const { confidence, signals } = scoreMatch(amit, other);
+    assert.equal(signals.social, 1);
+    assert.ok(confidence >= AUTO_CONFIRM);
+  });
+
+  it('halves the confidence when the names clearly differ', () => {
+    const other = { name: 'Priya Rao', socialLinks: { twitter: 'https://twitter.com/amitsharma' } };
+    assert.equal(scoreMatch(amit, other).confidence, 0.45);
+  });
+
+  it('does not count handles and photos shared by several people', () => {
+    const other = { name: 'Amit Sharma', socialLinks: amit.socialLinks, profilePic: 'https://cdn.two.in/amit-sharma.jpg' };
+    const ignored = { handles: new Set(['twitter:amitsharma']), photos: new Set(['amit-sharma']) };
+    const { confidence, signals } = scoreMatch(amit, other, ignored);
+    assert.deepEqual({ social: signals.social, photo: signals.photo }, { social: 0, photo: 0 });
+    assert.equal(confidence, 0.55);
+  });
+});
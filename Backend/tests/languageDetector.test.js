@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, scriptLanguages, languageCode } from '../utils/languageDetector.js';
+
+describe('detectLanguage', () => {
+  it('knows languages that are the only one of their script for certain', () => {
+    assert.deepEqual(detectLanguage('The Reserve Bank kept the repo rate unchanged on Friday'),
+      { language: 'en', script: 'Latin', confidence: 1 });
+    assert.equal(detectLanguage('ரிசர்வ் வங்கி வெள்ளிக்கிழமை ரெப்போ விகிதத்தை மாற்றவில்லை').language, 'ta');
+    assert.equal(detectLanguage('রিজার্ভ ব্যাংক শুক্রবার রেপো রেট অপরিবর্তিত রেখেছে').language, 'bn');
+  });
+
+  it('tells Hindi from Marathi by n-grams, with less confidence', () => {
+    const hindi = detectLanguage('भारतीय रिज़र्व बैंक ने शुक्रवार को रेपो दर में कोई बदलाव नहीं किया है और महंगाई कम हुई');
+    const marathi = detectLanguage('रिझर्व्ह बँकेने शुक्रवारी रेपो दरात कोणताही बदल केला नाही आणि महागाई कमी झाली आहे');
+    assert.equal(hindi.language, 'hi');
+    assert.equal(marathi.language, 'mr');
+    assert.ok(hindi.confidence > 0.5 && hindi.confidence < 1);
+  });
+
+  it('scales confidence by the share of letters in the main script', () => {
+    const mixed = detectLanguage('IPL 2026: विराट कोहली ने शतक लगाया, RCB की जीत हुई मैच में');
+    assert.equal(mixed.language, 'hi');
+    assert.ok(mixed.confidence < 0.5);
+  });
+
+  it('returns null for short texts and scripts it does not detect', () => {
+    assert.equal(detectLanguage('Short'), null);
+    assert.equal(detectLanguage('Привет, как дела у тебя сегодня?'), null);
+    assert.equal(detectLanguage(null), null);
+  });
+});
+
+describe('scriptLanguages', () => {
+  it('lists the languages written in a script', () => {
+    assert.deepEqual(scriptLanguages('Devanagari'), ['hi', 'mr']);
+    assert.deepEqual(scriptLanguages('Latin'), ['en']);
+    assert.deepEqual(scriptLanguages('Cyrillic'), []);
+  });
+});
+
+describe('languageCode', () => {
+  it('accepts codes, locales and names', () => {
+    assert.equal(languageCode('hi'), 'hi');
+    assert.equal(languageCode('hi-IN'), 'hi');
+    assert.equal(languageCode('ta_IN'), 'ta');
+    assert.equal(languageCode('Malayalam'), 'ml');
+    assert.equal(languageCode('fr'), 'fr');
+    assert.equal(languageCode('  '), null);
+  });
+});
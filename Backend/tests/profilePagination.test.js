@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import {
+  pageNumberOf,
+  findNextPageUrl,
+  findLoadMoreUrl,
+  parseJsonPayload,
+  articlesFromJson,
+  nextJsonPageUrl
+} from '../scrapers/profilePagination.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+describe('pageNumberOf', () => {
+  it('reads page parameters and /page/N paths', () => {
+    assert.equal(pageNumberOf('https://www.example.com/author/jane?page=4').page, 4);
+    assert.equal(pageNumberOf('https://www.example.com/author/jane/page/2/').page, 2);
+    assert.equal(pageNumberOf('https://www.example.com/author/jane/page-7').page, 7);
+    assert.equal(pageNumberOf('https://www.example.com/author/jane'), null);
+  });
+
+  it('builds the same URL for another page', () => {
+    assert.equal(pageNumberOf('https://www.example.com/author/jane?pg=2&sort=new').build(3), 'https://www.example.com/author/jane?pg=3&sort=new');
+    assert.equal(pageNumberOf('https://www.example.com/author/jane/page/2/').build(3), 'https://www.example.com/author/jane/page/3/');
+  });
+});
+
+describe('findNextPageUrl', () => {
+  it('prefers rel="next"', () => {
+    const $ = cheerio.load('<link rel="next" href="/author/jane-doe?page=2"><a href="/author/jane-doe/page/2">2</a>');
+    assert.equal(findNextPageUrl($, 'https://www.example.com/author/jane-doe'), 'https://www.example.com/author/jane-doe?page=2');
+  });
+
+  it('follows the next number in a pager', () => {
+    const $ = cheerio.load(readFixture('author-page-numbered.html'));
+    assert.equal(findNextPageUrl($, 'https://www.example.com/author/jane-doe'), 'https://www.example.com/author/jane-doe/page/2');
+    assert.equal(findNextPageUrl($, 'https://www.example.com/author/jane-doe/page/2', 2), 'https://www.example.com/author/jane-doe/page/3');
+  });
+
+  it('understands "next" in Indian languages', () => {
+    const $ = cheerio.load(readFixture('author-page-hindi.html'));
+    assert.equal(findNextPageUrl($, 'https://www.example.com/hindi/author/lekhak?page=2', 2), 'https://www.example.com/hindi/author/lekhak?page=3');
+  });
+
+  it('continues a numbered URL without links and stops otherwise', () => {
+    const $ = cheerio.load('<p>No pager here</p>');
+    assert.equal(findNextPageUrl($, 'https://www.example.com/author/jane?page=2', 2), 'https://www.example.com/author/jane?page=3');
+    assert.equal(findNextPageUrl($, 'https://www.example.com/author/jane'), null);
+  });
+
+  it('ignores links to other hosts', () => {
+    const $ = cheerio.load('<link rel="next" href="https://ads.example.net/page/2">');
+    assert.equal(findNextPageUrl($, 'https://www.example.com/author/jane'), null);
+  });
+});
+
+describe('findLoadMoreUrl', () => {
+  it('reads the endpoint and next page from a load-more button', () => {
+    const $ = cheerio.load(readFixture('author-page-load-more.html'));
+    assert.equal(
+      findLoadMoreUrl($, 'https://www.example.com/author/arjun-mehta'),
+      'https://www.example.com/api/author/arjun-mehta/stories?size=12&page=2'
+    );
+  });
+
+  it('fills in a {page} placeholder', () => {
+    const $ = cheerio.load('<a class="show-more" data-href="/more?author=9&page={page}">Show more</a>');
+    assert.equal(findLoadMoreUrl($, 'https://www.example.com/author/nine', 3), 'https://www.example.com/more?author=9&page=4');
+  });
+
+  it('returns null without a button', () => {
+    assert.equal(findLoadMoreUrl(cheerio.load('<p>All stories shown</p>'), 'https://www.example.com/author/x'), null);
+  });
+});
+
+describe('parseJsonPayload', () => {
+  it('parses JSON text and passes objects through', () => {
+    assert.deepEqual(parseJsonPayload('{"a":1}'), { a: 1 });
+    assert.deepEqual(parseJsonPayload(Buffer.from('[1,2]')), [1, 2]);
+    const parsed = { posts: [] };
+    assert.equal(parseJsonPayload(parsed), parsed);
+  });
+
+  it('returns null for HTML and broken JSON', () => {
+    assert.equal(parseJsonPayload('<html><body></body></html>'), null);
+    assert.equal(parseJsonPayload('{"a":'), null);
+  });
+});
+
+describe('articlesFromJson', () => {
+  it('finds articles and rendered HTML cards anywhere in the payload', () => {
+    const { items, html } = articlesFromJson(JSON.parse(readFixture('load-more-wordpress.json')));
+    assert.deepEqual(items, [
+      {
+        title: 'Cyclone Remal makes landfall near Sagar Island',
+        url: 'https://www.example.com/weather/cyclone-remal-landfall-901',
+        publishDate: '2026-05-26T20:30:00',
+        modifiedDate: null
+      },
+      {
+        title: 'Kolkata airport suspends flights for 21 hours',
+        url: 'https://www.example.com/city/kolkata-airport-flights-suspended-902',
+        publishDate: '2026-05-26T12:00:00',
+        modifiedDate: null
+      }
+    ]);
+    assert.equal(html.length, 1);
+  });
+});
+
+describe('nextJsonPageUrl', () => {
+  const requestUrl = 'https://www.example.com/api/author/arjun-mehta/stories?size=12&page=2';
+
+  it('follows a next link in the payload', () => {
+    const data = JSON.parse(readFixture('load-more-wordpress.json'));
+    assert.equal(nextJsonPageUrl(data, requestUrl, 2), 'https://www.example.com/api/author/arjun-mehta/stories?size=12&page=3');
+  });
+
+  it('stops when the payload says there is nothing more', () => {
+    assert.equal(nextJsonPageUrl({ items: [], has_more: false }, requestUrl, 0), null);
+    assert.equal(nextJsonPageUrl({ meta: { isLastPage: true } }, requestUrl, 5), null);
+  });
+
+  it('advances the page or offset parameter', () => {
+    assert.equal(nextJsonPageUrl({ items: [] }, requestUrl, 12), 'https://www.example.com/api/author/arjun-mehta/stories?size=12&page=3');
+    assert.equal(nextJsonPageUrl({ items: [] }, 'https://www.example.com/api/stories?offset=20', 10), 'https://www.example.com/api/stories?offset=30');
+    assert.equal(nextJsonPageUrl({ items: [] }, 'https://www.example.com/api/stories', 10), null);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobotsTxt, selectRobotsGroup, isPathAllowed } from '../scrapers/httpClient.js';
+
+const ROBOTS = `
+# Example robots.txt
+User-agent: Googlebot
+Disallow: /search
+
+User-agent: bot
+User-agent: a
+Disallow: /
+
+User-agent: *
+Crawl-delay: 2
+Disallow: /private/
+Allow: /private/press
+Disallow: /*.pdf$
+Disallow:
+`;
+
+describe('parseRobotsTxt', () => {
+  it('groups consecutive user-agent lines and skips comments and empty disallows', () => {
+    const groups = parseRobotsTxt(ROBOTS);
+    assert.equal(groups.length, 3);
+    assert.deepEqual(groups[1].agents, ['bot', 'a']);
+    assert.deepEqual(groups[2].agents, ['*']);
+    assert.equal(groups[2].rules.length, 3);
+    assert.equal(groups[2].crawlDelay, 2);
+  });
+
+  it('ignores rules before the first user-agent line', () => {
+    assert.deepEqual(parseRobotsTxt('Disallow: /\nUser-agent: *\nAllow: /'), [
+      { agents: ['*'], rules: [{ allow: true, path: '/' }], crawlDelay: null }
+    ]);
+  });
+});
+
+describe('selectRobotsGroup', () => {
+  it('does not apply groups whose name is only part of our product token', () => {
+    const group = selectRobotsGroup(parseRobotsTxt(ROBOTS));
+    assert.deepEqual(group.agents, ['*']);
+  });
+
+  it('applies a group naming our product token, in any case and with a version', () => {
+    const groups = parseRobotsTxt('User-agent: *\nDisallow: /a\n\nUser-agent: ATENFLUXBOT/2.0\nDisallow: /b');
+    assert.deepEqual(selectRobotsGroup(groups).rules, [{ allow: false, path: '/b' }]);
+  });
+
+  it('returns null when no group applies', () => {
+    assert.equal(selectRobotsGroup(parseRobotsTxt('User-agent: Googlebot\nDisallow: /')), null);
+  });
+});
+
+describe('isPathAllowed', () => {
+  const group = selectRobotsGroup(parseRobotsTxt(ROBOTS));
+
+  it('lets the longest matching rule win', () => {
+    assert.equal(isPathAllowed(group, '/private/notes'), false);
+    assert.equal(isPathAllowed(group, '/private/press/release-1'), true);
+    assert.equal(isPathAllowed(group, '/india/story-123'), true);
+  });
+
+  it('supports * wildcards and $ anchors', () => {
+    assert.equal(isPathAllowed(group, '/files/report.pdf'), false);
+    assert.equal(isPathAllowed(group, '/files/report.pdf?download=1'), true);
+  });
+
+  it('allows everything without a group', () => {
+    assert.equal(isPathAllowed(null, '/anything'), true);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The jitter bound is read when the module loads
+process.env.SCHEDULE_JITTER_MS = '60000';
+const { validateCron, computeNextRun } = await import('../utils/scheduler.js');
+
+describe('validateCron', () => {
+  it('accepts five- and six-field expressions in a valid timezone', () => {
+    assert.doesNotThrow(() => validateCron('0 6 * * *', 'Asia/Kolkata'));
+    assert.doesNotThrow(() => validateCron('30 0 */2 * * 1-5', 'UTC'));
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => validateCron('every day', 'UTC'));
+    assert.throws(() => validateCron('61 * * * *', 'UTC'));
+  });
+
+  it('rejects unknown timezones', () => {
+    assert.throws(() => validateCron('0 6 * * *', 'Mars/Olympus'), /Invalid timezone: Mars\/Olympus/);
+  });
+});
+
+describe('computeNextRun', () => {
+  const from = new Date('2026-10-19T00:00:00Z');
+
+  afterEach(() => mock.restoreAll());
+
+  it('returns the next occurrence in the schedule timezone', () => {
+    mock.method(Math, 'random', () => 0);
+    // 06:00 in India is 00:30 UTC
+    assert.equal(computeNextRun('0 6 * * *', 'Asia/Kolkata', from).toISOString(), '2026-10-19T00:30:00.000Z');
+    assert.equal(computeNextRun('0 6 * * *', 'UTC', from).toISOString(), '2026-10-19T06:00:00.000Z');
+  });
+
+  it('adds a random offset of less than SCHEDULE_JITTER_MS', () => {
+    mock.method(Math, 'random', () => 0.5);
+    assert.equal(computeNextRun('0 6 * * *', 'UTC', from).toISOString(), '2026-10-19T06:00:30.000Z');
+
+    mock.method(Math, 'random', () => 0.999999);
+    const latest = computeNextRun('0 6 * * *', 'UTC', from).getTime();
+    assert.ok(latest < new Date('2026-10-19T06:01:00Z').getTime());
+  });
+
+  it('moves past the current occurrence', () => {
+    mock.method(Math, 'random', () => 0);
+    const atRun = new Date('2026-10-19T06:00:00Z');
+    assert.equal(computeNextRun('0 6 * * *', 'UTC', atRun).toISOString(), '2026-10-20T06:00:00.000Z');
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { decodeSitemapBody, parseSitemap, SITEMAP_MAX_BYTES } from '../scrapers/sitemaps.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+describe('decodeSitemapBody', () => {
+  it('passes plain text and buffers through', () => {
+    const xml = readFixture('sitemap-index.xml');
+    assert.equal(decodeSitemapBody(xml), xml);
+    assert.equal(decodeSitemapBody(Buffer.from(xml)), xml);
+  });
+
+  it('un-gzips .xml.gz bodies', () => {
+    const xml = readFixture('news-sitemap.xml');
+    assert.equal(decodeSitemapBody(zlib.gzipSync(xml)), xml);
+  });
+
+  it('refuses bodies that inflate past the size limit', () => {
+    const bomb = zlib.gzipSync(Buffer.alloc(SITEMAP_MAX_BYTES + 1024));
+    assert.throws(() => decodeSitemapBody(bomb), /larger than 50 MB/);
+  });
+});
+
+describe('parseSitemap', () => {
+  it('lists the child sitemaps of an index', () => {
+    const result = parseSitemap(readFixture('sitemap-index.xml'));
+    assert.equal(result.type, 'sitemapindex');
+    assert.deepEqual(result.sitemaps, [
+      { loc: 'https://www.example.com/sitemap/2026-07.xml.gz', lastmod: '2026-07-21T10:00:00+05:30' },
+      { loc: 'https://www.example.com/sitemap/news.xml', lastmod: null }
+    ]);
+    assert.deepEqual(result.urls, []);
+  });
+
+  it('reads URLs with their Google News fields', () => {
+    const result = parseSitemap(readFixture('news-sitemap.xml'));
+    assert.equal(result.type, 'urlset');
+    assert.equal(result.urls.length, 3); // The entry without <loc> is skipped
+
+    const [english, hindi, plain] = result.urls;
+    assert.deepEqual(english, {
+      loc: 'https://www.example.com/india/monsoon-session-opposition-walkout-123456',
+      lastmod: '2026-07-21T10:05:00+05:30',
+      news: {
+        publicationDate: '2026-07-21T09:30:00+05:30',
+        title: 'Monsoon session: Opposition walks out over price rise',
+        keywords: ['Parliament', 'Monsoon session', 'inflation'],
+        language: 'en',
+        publicationName: 'Example News'
+      }
+    });
+    assert.equal(hindi.news.title, 'मौसम: कई राज्यों में भारी बारिश का अलर्ट');
+    assert.equal(hindi.news.language, 'hi');
+    assert.deepEqual(hindi.news.keywords, []);
+    assert.equal(plain.news, null);
+  });
+
+  it('returns an empty result for documents that are not sitemaps', () => {
+    const result = parseSitemap('<html><body>Not found</body></html>');
+    assert.deepEqual(result.sitemaps, []);
+    assert.deepEqual(result.urls, []);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeText, scriptOf, graphemeLength, tokenize, isStopWord, contentTokens, stemToken, classifierTokens, keywordRegExp
+} from '../utils/textTokens.js';
+
+describe('tokenize', () => {
+  it('splits runs of different scripts and drops numbers and zero-width joiners', () => {
+    assert.deepEqual(tokenize('IPLमें Kohli‍ की सेंचुरी, 2026!'), ['ipl', 'में', 'kohli', 'की', 'सेंचुरी']);
+  });
+
+  it('never splits a word inside an aksara', () => {
+    assert.deepEqual(tokenize('क्रिकेट'), ['क्रिकेट']);
+    assert.equal(graphemeLength('क्रिकेट'), 3);
+  });
+
+  it('treats empty input as no text', () => {
+    assert.equal(normalizeText(null), '');
+    assert.deepEqual(tokenize(undefined), []);
+  });
+});
+
+describe('scriptOf', () => {
+  it('names the script of the first letter', () => {
+    assert.equal(scriptOf('தேர்தல்'), 'Tamil');
+    assert.equal(scriptOf('hello'), 'Latin');
+    assert.equal(scriptOf('Привет'), 'Other');
+    assert.equal(scriptOf('123'), null);
+  });
+});
+
+describe('stop words and content tokens', () => {
+  it('knows English and Indic function words', () => {
+    assert.equal(isStopWord('the'), true);
+    assert.equal(isStopWord('के'), true);
+    assert.equal(isStopWord('सरकार'), false);
+  });
+
+  it('keeps English words of 4+ letters and Indic words of 2+ graphemes', () => {
+    assert.deepEqual(contentTokens('The government is in चुनावों के बाद सरकार'), ['government', 'चुनावों', 'सरकार']);
+  });
+});
+
+describe('stemToken', () => {
+  it('drops trailing vowel signs so inflected Indic forms group together', () => {
+    assert.equal(stemToken('चुनावों'), 'चुनाव');
+    assert.equal(stemToken('সরকারি'), 'সরকার');
+    assert.equal(stemToken('തിരഞ്ഞെടുപ്പിൽ'), 'തിരഞ്ഞെടുപ്പില'); // Chillu expanded, virama dropped
+  });
+
+  it('leaves English words and stems too short to mean anything', () => {
+    assert.equal(stemToken('elections'), 'elections');
+    assert.equal(stemToken('ने'), 'ने');
+  });
+});
+
+describe('classifierTokens', () => {
+  it('Porter-stems English and light-stems Indic words', () => {
+    assert.deepEqual(classifierTokens('Elections में चुनावों'), ['elect', 'चुनाव']);
+  });
+});
+
+describe('keywordRegExp', () => {
+  it('matches English keywords as whole words only', () => {
+    assert.deepEqual('ipl match'.match(keywordRegExp('IPL')), ['ipl']);
+    assert.equal('ipls'.match(keywordRegExp('IPL')), null);
+    assert.equal('the ipl2026 final'.match(keywordRegExp('ipl')), null);
+  });
+
+  it('matches Indic keywords with any inflection or postposition', () => {
+    assert.deepEqual('தேர்தலில் வெற்றி'.match(keywordRegExp('தேர்தல்')), ['தேர்தலில்']);
+    assert.deepEqual(normalizeText('लोक  सभा चुनावों में').match(keywordRegExp('लोक सभा चुनाव')), ['लोक  सभा चुनावों']);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The model path is read when the module loads; training must not replace
+// the repo's model
+const modelDir = await fs.mkdtemp(path.join(os.tmpdir(), 'topic-model-test-'));
+process.env.TOPIC_MODEL_PATH = path.join(modelDir, 'topic-model.json');
+const {
+  exampleText, keywordTopics, detectSubtopics, seedExamples, trainTopicModel, loadTopicModel,
+  hasTopicModel, topicProbabilities, predictTopics, classifyArticle
+} = await import('../utils/topicClassifier.js');
+
+after(() => fs.rm(modelDir, { recursive: true, force: true }));
+
+const IPL = "Kohli's century lifts RCB in IPL opener";
+
+describe('exampleText', () => {
+  it('counts the title twice and keeps the opening words of the body', () => {
+    assert.equal(exampleText({ title: 'Budget 2026', body: 'Tax slabs change' }), 'Budget 2026 Budget 2026 Tax slabs change');
+    assert.equal(exampleText('word '.repeat(500)).split(' ').length, 120);
+  });
+});
+
+describe('keyword topics (no model trained)', () => {
+  it('matches top-level topics and their sub-topics by taxonomy keywords', () => {
+    assert.equal(hasTopicModel(), false);
+    assert.deepEqual(keywordTopics(IPL), ['Sports']);
+    assert.deepEqual(detectSubtopics(IPL, 'Sports'), ['Cricket', 'IPL']);
+    assert.deepEqual(predictTopics(IPL), ['Sports', 'Cricket', 'IPL']);
+  });
+});
+
+describe('trained model', () => {
+  before(async () => {
+    await trainTopicModel(seedExamples(), { algorithm: 'bayes' });
+  });
+
+  it('refuses to train on fewer than two topics', async () => {
+    await assert.rejects(trainTopicModel([{ text: 'Kohli hits a century', topics: ['Sports'] }]), /at least two topics/);
+  });
+
+  it('predicts the top-level topic of clear headlines', () => {
+    assert.equal(topicProbabilities('RBI keeps repo rate unchanged as inflation eases')[0].topic, 'Business');
+    assert.equal(topicProbabilities('Lok Sabha passes bill after opposition walkout')[0].topic, 'Politics');
+    assert.equal(predictTopics('New smartphone launched with AI camera features')[0], 'Technology');
+  });
+
+  it('classifies Hindi headlines', () => {
+    assert.equal(predictTopics('सेंसेक्स में भारी गिरावट, निवेशकों को नुकसान')[0], 'Business');
+  });
+
+  it('assigns no topic to text with no word it has seen', () => {
+    assert.deepEqual(topicProbabilities('qwzx plorf'), []);
+    assert.deepEqual(predictTopics('qwzx plorf'), []);
+  });
+
+  it('adds sub-topics and scores to classified articles', () => {
+    const { topics, topicScores } = classifyArticle({ title: IPL, body: 'The match at Chinnaswamy stadium' });
+    assert.deepEqual(topics, ['Sports', 'Cricket', 'IPL']);
+    assert.equal(topicScores[0].topic, 'Sports');
+  });
+
+  it('saves the model so it is loaded at the next start', () => {
+    const info = loadTopicModel();
+    assert.equal(info.trained, true);
+    assert.equal(info.algorithm, 'bayes');
+    assert.ok(info.topics.some(t => t.topic === 'Sports'));
+  });
+});
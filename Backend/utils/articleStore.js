@@ -0,0 +1,452 @@
+import mongoose from 'mongoose';
+import Article, { COPY_TYPES } from '../models/Article.js';
+import AuthorProfile from '../models/AuthorProfile.js';
+import Author from '../models/Author.js';
+import { parseArticleDate } from '../scrapers/articleDates.js';
+import { canonicalizeUrl } from '../scrapers/canonicalUrl.js';
+import { calculateInfluence } from './nlpAnalyzer.js';
+import { classifyArticle } from './topicClassifier.js';
+import { withAncestors } from './taxonomy.js';
+import { detectLanguage, scriptLanguages, languageCode } from './languageDetector.js';
+
+// Articles live in their own collection; author profiles only keep a short
+// summary of the most recent ones (`articleData` / `latestArticle`) for list views.
+
+export const RECENT_ARTICLES = 20;
+
+// Detection confidence below which the declared language wins, when it is
+// written in the detected script ("Delhi: प्रधानमंत्री मोदी ने कहा" reads
+// as Marathi at 0.36)
+const MIN_LANGUAGE_CONFIDENCE = parseFloat(process.env.LANGUAGE_MIN_CONFIDENCE) || 0.5;
+
+// Path segments that say nothing about the section
+const GENERIC_SEGMENTS = new Set(['news', 'story', 'stories', 'article', 'articles', 'amp', 'web', 'en', 'hi', 'latest']);
+
+const PLACEHOLDER_TITLES = new Set(['Article', 'Untitled']);
+
+function toDate(value) {
+  const parsed = parseArticleDate(value);
+  return parsed ? parsed.date : undefined;
+}
+
+/**
+ * Dedupe key for an article URL (see scrapers/canonicalUrl.js): no tracking
+ * parameters, AMP/mobile variants folded, no fragment or trailing slash
+ */
+export function canonicalArticleUrl(url) {
+  return canonicalizeUrl(url) || String(url || '').trim();
+}
+
+/**
+ * Section name from the first meaningful URL path segment ("/india-news/..." -> "India News")
+ */
+export function sectionFromUrl(url) {
+  let segments;
+  try {
+    segments = new URL(url).pathname.split('/').filter(Boolean);
+  } catch (e) {
+    return null;
+  }
+
+  // The last segment is the article slug
+  const segment = segments.slice(0, -1)
+    .find(s => /^[a-z][a-z-]{1,30}$/i.test(s) && !GENERIC_SEGMENTS.has(s.toLowerCase()));
+  if (!segment) return null;
+
+  return segment
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+// Language detected from the title and body, else the one the outlet declared
+// (sitemap metadata). Mixed-language outlets often declare one for everything,
+// so the declared language only beats an unsure detection between languages
+// of the same script.
+function languageFields(title, body, declared) {
+  const declaredLanguage = languageCode(declared);
+  const detected = detectLanguage([title, body].filter(Boolean).join('\n'));
+  if (!detected) return { language: declaredLanguage, declaredLanguage };
+
+  const preferDeclared = detected.confidence < MIN_LANGUAGE_CONFIDENCE &&
+    scriptLanguages(detected.script).includes(declaredLanguage);
+  return {
+    language: preferDeclared ? declaredLanguage : detected.language,
+    languageConfidence: detected.confidence,
+    declaredLanguage
+  };
+}
+
+// Fields of an Article document for a scraped (or embedded) article
+function articleFields(article, outlet) {
+  const section = article.section || sectionFromUrl(article.url);
+  const title = PLACEHOLDER_TITLES.has(article.title) ? null : article.title;
+  const classified = classifyArticle({ title: [title, section].filter(Boolean).join(' '), body: article.body });
+
+  return {
+    url: canonicalArticleUrl(article.url),
+    title,
+    outlet,
+    publishDate: toDate(article.publishDate),
+    modifiedDate: toDate(article.modifiedDate),
+    section,
+    topics: Array.isArray(article.topics) && article.topics.length > 0
+      ? withAncestors(article.topics)
+      : classified.topics,
+    topicScores: classified.topicScores,
+    keywords: Array.isArray(article.keywords) ? article.keywords : [],
+    ...languageFields(title, article.body, article.language),
+    copyType: article.copyType,
+    agencies: article.agencies,
+    syndicatedFrom: article.syndicatedFrom,
+    copySignals: article.copySignals,
+    body: article.body,
+    wordCount: article.wordCount,
+    readingTime: article.readingTime
+  };
+}
+
+/**
+ * Canonical URLs of these articles that are already credited to an author
+ */
+export async function knownArticleUrls(authorId, urls) {
+  if (!authorId || urls.length === 0) return new Set();
+
+  const docs = await Article.find({
+    authors: authorId,
+    canonicalUrl: { $in: urls.map(canonicalArticleUrl) }
+  }).select('canonicalUrl').lean();
+
+  return new Set(docs.map(doc => doc.canonicalUrl));
+}
+
+/**
+ * Insert or update articles and credit them to an author.
+ * `author` is an AuthorProfile ({ _id, name }); without an _id only the name is recorded.
+ */
+export async function saveArticles(articles, { outlet, author, scrapedAt = new Date() }) {
+  const ops = [];
+  const seen = new Set();
+
+  // Stored detections are only replaced by at least as confident ones: a
+  // re-scrape that only got the title knows less than one that had the body
+  const urls = articles.filter(article => article?.url).map(article => canonicalArticleUrl(article.url));
+  const detected = urls.length === 0 ? [] : await Article.find({ canonicalUrl: { $in: urls }, languageConfidence: { $ne: null } })
+    .select('canonicalUrl languageConfidence')
+    .lean();
+  const storedConfidence = new Map(detected.map(doc => [doc.canonicalUrl, doc.languageConfidence]));
+
+  for (const article of articles) {
+    if (!article?.url) continue;
+    const canonicalUrl = canonicalArticleUrl(article.url);
+    if (seen.has(canonicalUrl)) continue;
+    seen.add(canonicalUrl);
+
+    // Never overwrite stored values with empty ones
+    const $set = {};
+    for (const [key, value] of Object.entries(articleFields(article, outlet))) {
+      if (value === undefined || value === null || value === '') continue;
+      if (Array.isArray(value) && value.length === 0) continue;
+      $set[key] = value;
+    }
+    if (storedConfidence.get(canonicalUrl) > ($set.languageConfidence ?? -1)) {
+      delete $set.language;
+      delete $set.languageConfidence;
+    }
+
+    const $addToSet = {};
+    if (author?._id) $addToSet.authors = author._id;
+    // Co-authors from the byline are recorded by name; their profiles link up
+    // when they are saved. Without a byline the author is the only name known.
+    const names = [...new Set((article.authorNames?.length ? article.authorNames : [author?.name]).filter(Boolean))];
+    if (names.length > 0) $addToSet.authorNames = { $each: names };
+
+    ops.push({
+      updateOne: {
+        filter: { canonicalUrl },
+        update: {
+          $set,
+          $setOnInsert: { firstSeenAt: toDate(article.scrapedAt) || scrapedAt },
+          ...(Object.keys($addToSet).length > 0 ? { $addToSet } : {})
+        },
+        upsert: true
+      }
+    });
+  }
+
+  if (ops.length === 0) return { upserted: 0, modified: 0 };
+
+  const result = await Article.bulkWrite(ops, { ordered: false });
+  return { upserted: result.upsertedCount, modified: result.modifiedCount };
+}
+
+/**
+ * Recompute an author's article count, influence, copy-type and language
+ * breakdowns and recent-articles summary
+ */
+export async function refreshArticleSummary(authorId) {
+  const authorMatch = { $match: { authors: new mongoose.Types.ObjectId(String(authorId)) } };
+  const [profile, count, byCopyType, byLanguage, recent] = await Promise.all([
+    AuthorProfile.findById(authorId).select('topics bio socialLinks profilePic').lean(),
+    Article.countDocuments({ authors: authorId }),
+    Article.aggregate([
+      authorMatch,
+      { $group: { _id: '$copyType', count: { $sum: 1 } } }
+    ]),
+    Article.aggregate([
+      authorMatch,
+      { $match: { language: { $nin: [null, ''] } } },
+      { $group: { _id: '$language', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]),
+    Article.find({ authors: authorId })
+      .sort({ publishDate: -1, firstSeenAt: -1 })
+      .limit(RECENT_ARTICLES)
+      .select('title url publishDate modifiedDate language copyType wordCount readingTime firstSeenAt')
+      .lean()
+  ]);
+
+  // Articles stored before classification count as staff copy
+  const copyTypes = Object.fromEntries(COPY_TYPES.map(type => [type, 0]));
+  for (const { _id, count: typeCount } of byCopyType) {
+    copyTypes[COPY_TYPES.includes(_id) ? _id : 'staff'] += typeCount;
+  }
+
+  const languages = Object.fromEntries(byLanguage.map(({ _id, count: languageCount }) => [_id, languageCount]));
+
+  const summary = recent.map(({ _id, firstSeenAt, ...article }) => ({ ...article, scrapedAt: firstSeenAt }));
+
+  await AuthorProfile.updateOne({ _id: authorId }, {
+    $set: {
+      articles: count,
+      // From every stored article, not just the ones the last run fetched
+      influence: calculateInfluence({ ...profile, articles: count }),
+      copyTypes,
+      languages,
+      language: byLanguage[0]?._id || null,
+      articleData: summary,
+      latestArticle: summary[0] || null
+    }
+  });
+
+  return { count, recent: summary };
+}
+
+/**
+ * Re-run the topic classifier over stored articles (after retraining).
+ * Returns the number of articles updated.
+ */
+export async function reclassifyArticles({ outlet, batchSize = 500 } = {}) {
+  const cursor = Article.find(outlet ? { outlet } : {})
+    .select('+body title section topics topicScores')
+    .lean()
+    .cursor();
+
+  let ops = [];
+  let updated = 0;
+  const flush = async () => {
+    if (ops.length === 0) return;
+    const result = await Article.bulkWrite(ops, { ordered: false });
+    updated += result.modifiedCount;
+    ops = [];
+  };
+
+  for await (const article of cursor) {
+    const { topics, topicScores } = classifyArticle({
+      title: [article.title, article.section].filter(Boolean).join(' '),
+      body: article.body
+    });
+    if (topics.length === 0 && topicScores.length === 0) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: { $set: { topics: topics.length > 0 ? topics : article.topics, topicScores } }
+      }
+    });
+    if (ops.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return updated;
+}
+
+/**
+ * Re-detect the language of stored articles (e.g. ones saved before detection,
+ * which only carry the outlet's declared language) and refresh the language
+ * mix of their authors. The stored text is detected again, so the result
+ * replaces the stored one whatever its confidence. Returns { updated, authors }.
+ */
+export async function redetectLanguages({ outlet, batchSize = 500 } = {}) {
+  const cursor = Article.find(outlet ? { outlet } : {})
+    .select('+body title language languageConfidence declaredLanguage authors')
+    .lean()
+    .cursor();
+
+  let ops = [];
+  let updated = 0;
+  const authorIds = new Set();
+  const flush = async () => {
+    if (ops.length === 0) return;
+    const result = await Article.bulkWrite(ops, { ordered: false });
+    updated += result.modifiedCount;
+    ops = [];
+  };
+
+  for await (const article of cursor) {
+    // Articles stored before the declared language was kept separately
+    // carry it as their language when nothing was detected
+    const declared = article.declaredLanguage ?? (article.languageConfidence == null ? article.language : null);
+    const fields = languageFields(article.title, article.body, declared);
+    if (!fields.language) continue;
+    if (fields.language === article.language && fields.languageConfidence === article.languageConfidence) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { _id: article._id },
+        update: {
+          $set: fields,
+          ...(fields.languageConfidence === undefined ? { $unset: { languageConfidence: '' } } : {})
+        }
+      }
+    });
+    for (const id of article.authors || []) authorIds.add(String(id));
+    if (ops.length >= batchSize) await flush();
+  }
+  await flush();
+
+  for (const id of authorIds) await refreshArticleSummary(id);
+
+  return { updated, authors: authorIds.size };
+}
+
+// Array fields that are unioned when two stored copies of an article merge
+const MERGED_ARRAYS = ['authors', 'authorNames', 'topics', 'keywords', 'agencies', 'copySignals'];
+
+/**
+ * Re-key stored articles after the dedupe key changed (canonicalArticleUrl).
+ * An article whose new key is already taken is merged into that one: author
+ * credits and other lists are combined, empty fields filled in, and the
+ * earliest firstSeenAt kept. Returns { rekeyed, merged, authors }.
+ */
+export async function rekeyCanonicalUrls({ log = console.log } = {}) {
+  const stats = { rekeyed: 0, merged: 0, authors: 0 };
+  const authorIds = new Set();
+
+  const cursor = Article.find({}).sort({ _id: 1 }).select('url canonicalUrl').lean().cursor();
+  for await (const { _id, url, canonicalUrl } of cursor) {
+    const key = canonicalArticleUrl(url);
+    if (key === canonicalUrl) continue;
+
+    const target = await Article.findOne({ canonicalUrl: key }).select('+body').lean();
+    const article = await Article.findById(_id).select('+body').lean();
+    if (!article) continue; // Merged away already
+    for (const id of [...(article.authors || []), ...(target?.authors || [])]) authorIds.add(String(id));
+
+    if (!target) {
+      await Article.updateOne({ _id }, { $set: { canonicalUrl: key } });
+      stats.rekeyed++;
+      continue;
+    }
+
+    const $set = {};
+    for (const [field, value] of Object.entries(article)) {
+      if (['_id', '__v', 'url', 'canonicalUrl', 'createdAt', 'updatedAt', 'firstSeenAt', ...MERGED_ARRAYS].includes(field)) continue;
+      const current = target[field];
+      if (current === undefined || current === null || current === '' || (Array.isArray(current) && current.length === 0)) {
+        $set[field] = value;
+      }
+    }
+    if (article.firstSeenAt && (!target.firstSeenAt || article.firstSeenAt < target.firstSeenAt)) {
+      $set.firstSeenAt = article.firstSeenAt;
+    }
+    const $addToSet = {};
+    for (const field of MERGED_ARRAYS) {
+      if (article[field]?.length) $addToSet[field] = { $each: article[field] };
+    }
+
+    await Article.updateOne({ _id: target._id }, { $set, $addToSet });
+    await Article.deleteOne({ _id });
+    stats.merged++;
+    log(`🔗 Merged ${url} into ${target.url}`);
+  }
+
+  for (const id of authorIds) await refreshArticleSummary(id);
+  stats.authors = authorIds.size;
+  return stats;
+}
+
+/**
+ * Copy articles embedded in AuthorProfile (articleData, latestArticle,
+ * articleLinks) and legacy Author documents into the Article collection.
+ * With `prune`, the embedded arrays are then cut down to the recent summary.
+ */
+export async function migrateEmbeddedArticles({ prune = false, log = console.log } = {}) {
+  const stats = { profiles: 0, authors: 0, upserted: 0, modified: 0 };
+
+  // Read the raw documents: fields that left the schema are still in there
+  const profiles = AuthorProfile.collection.find({}, {
+    projection: { name: 1, outlet: 1, articleData: 1, articleLinks: 1, latestArticle: 1 }
+  });
+
+  for await (const profile of profiles) {
+    const embedded = [...(profile.articleData || [])];
+    if (profile.latestArticle?.url) embedded.push(profile.latestArticle);
+    for (const url of profile.articleLinks || []) {
+      if (!embedded.some(a => a.url === url)) embedded.push({ url });
+    }
+
+    const result = await saveArticles(embedded, { outlet: profile.outlet, author: profile });
+    stats.profiles++;
+    stats.upserted += result.upserted;
+    stats.modified += result.modified;
+
+    if (prune) {
+      await refreshArticleSummary(profile._id);
+      await AuthorProfile.collection.updateOne({ _id: profile._id }, { $unset: { articleLinks: '' } });
+    }
+
+    log(`📦 ${profile.name} (${profile.outlet}): ${embedded.length} embedded, ${result.upserted} new articles`);
+  }
+
+  // Legacy Author documents embed { title, link }
+  const authors = Author.collection.find({ 'articles.0': { $exists: true } }, {
+    projection: { name: 1, outlet: 1, profileLink: 1, articles: 1 }
+  });
+
+  for await (const author of authors) {
+    const profile = await AuthorProfile.findOne({ profileLink: author.profileLink }).select('_id name').lean();
+    const embedded = author.articles
+      .filter(a => a.link)
+      .map(a => ({ title: a.title, url: a.link }));
+
+    const result = await saveArticles(embedded, {
+      outlet: (author.outlet || 'unknown').toLowerCase().trim(),
+      author: profile || { name: author.name }
+    });
+    stats.authors++;
+    stats.upserted += result.upserted;
+    stats.modified += result.modified;
+
+    if (prune) {
+      if (profile) await refreshArticleSummary(profile._id);
+      await Author.collection.updateOne({ _id: author._id }, { $set: { articles: [] } });
+    }
+
+    log(`📦 ${author.name} (legacy): ${embedded.length} embedded, ${result.upserted} new articles`);
+  }
+
+  return stats;
+}
+
+export default {
+  RECENT_ARTICLES,
+  canonicalArticleUrl,
+  sectionFromUrl,
+  knownArticleUrls,
+  saveArticles,
+  refreshArticleSummary,
+  redetectLanguages,
+  rekeyCanonicalUrls,
+  migrateEmbeddedArticles
+};
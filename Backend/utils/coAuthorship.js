@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import AuthorProfile from '../models/AuthorProfile.js';
+import CoAuthorship from '../models/CoAuthorship.js';
+
+// Co-authorship pairs are derived from the Article collection: every article
+// credited to two or more names adds one to the count of each pair of names.
+
+function nameKey(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Count co-author pairs in a list of articles ({ authorNames, publishDate }).
+ * Returns a Map of "name-a|name-b" -> { names, count, lastArticleAt }
+ */
+export function countCoAuthorPairs(articles) {
+  const pairs = new Map();
+
+  for (const article of articles) {
+    // One spelling per person, in a stable order
+    const byKey = new Map();
+    for (const name of article.authorNames || []) {
+      const key = nameKey(name);
+      if (key && !byKey.has(key)) byKey.set(key, name.trim());
+    }
+    const keys = [...byKey.keys()].sort();
+
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        const pairKey = `${keys[i]}|${keys[j]}`;
+        const pair = pairs.get(pairKey) || { names: [byKey.get(keys[i]), byKey.get(keys[j])], count: 0, lastArticleAt: null };
+        pair.count++;
+        if (article.publishDate && (!pair.lastArticleAt || article.publishDate > pair.lastArticleAt)) {
+          pair.lastArticleAt = article.publishDate;
+        }
+        pairs.set(pairKey, pair);
+      }
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Recompute the co-authorship pairs of an outlet from its stored articles
+ */
+export async function refreshCoAuthorships(outlet) {
+  const normalizedOutlet = outlet.toLowerCase().trim();
+
+  const articles = await Article.find({ outlet: normalizedOutlet, 'authorNames.1': { $exists: true } })
+    .select('authorNames publishDate')
+    .lean();
+  const pairs = countCoAuthorPairs(articles);
+
+  const profiles = await AuthorProfile.find({ outlet: normalizedOutlet }).select('name').lean();
+  const profileIds = new Map(profiles.map(p => [nameKey(p.name), p._id]));
+
+  const ops = [];
+  for (const [pairKey, pair] of pairs) {
+    ops.push({
+      updateOne: {
+        filter: { key: `${normalizedOutlet}|${pairKey}` },
+        update: {
+          $set: {
+            outlet: normalizedOutlet,
+            names: pair.names,
+            authors: pair.names.map(name => profileIds.get(nameKey(name))).filter(Boolean),
+            count: pair.count,
+            lastArticleAt: pair.lastArticleAt
+          }
+        },
+        upsert: true
+      }
+    });
+  }
+
+  if (ops.length > 0) await CoAuthorship.bulkWrite(ops, { ordered: false });
+
+  // Pairs whose shared articles are gone
+  const keys = [...pairs.keys()].map(pairKey => `${normalizedOutlet}|${pairKey}`);
+  const removed = await CoAuthorship.deleteMany({ outlet: normalizedOutlet, key: { $nin: keys } });
+
+  return { pairs: pairs.size, removed: removed.deletedCount };
+}
+
+/**
+ * Stored co-authorship pairs, most frequent first.
+ * `author` is a profile id or a name.
+ */
+export async function listCoAuthorships({ outlet, author, minCount = 1, limit = 500 } = {}) {
+  const query = { count: { $gte: minCount } };
+  if (outlet) query.outlet = outlet.toLowerCase().trim();
+  if (author) {
+    if (mongoose.Types.ObjectId.isValid(author)) {
+      query.authors = author;
+    } else {
+      query.names = new RegExp(`^\\s*${author.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`, 'i');
+    }
+  }
+
+  return CoAuthorship.find(query)
+    .sort({ count: -1, lastArticleAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+export default {
+  countCoAuthorPairs,
+  refreshCoAuthorships,
+  listCoAuthorships
+};
@@ -0,0 +1,456 @@
+import natural from 'natural';
+import Article from '../models/Article.js';
+import AuthorProfile from '../models/AuthorProfile.js';
+import IdentityMatch from '../models/IdentityMatch.js';
+import Person from '../models/Person.js';
+
+// Cross-outlet identity resolution. AuthorProfiles are unique per outlet, so a
+// journalist who writes for two outlets (or moves jobs) has two profiles.
+// Candidate pairs are found by blocking on name, social handle and photo keys,
+// scored from the evidence, and stored as IdentityMatch documents. Confirming a
+// match links both profiles to one Person, whose history spans every outlet.
+
+// Matches this confident are confirmed without review (a shared social handle
+// plus a matching name gets there; a matching name alone never does)
+const AUTO_CONFIRM = parseFloat(process.env.IDENTITY_AUTO_CONFIRM) || 0.9;
+const MIN_CONFIDENCE = 0.5;
+const MAX_BLOCK_SIZE = 200; // Larger blocks (very common names) are skipped
+
+// How much each signal can contribute on its own (combined as a noisy-OR)
+const SIGNAL_WEIGHTS = { name: 0.55, social: 0.9, photo: 0.6, bio: 0.4 };
+
+const HONORIFICS = /^(dr|mr|mrs|ms|prof|shri|smt|sri)\.?\s+/i;
+const PLACEHOLDER_PHOTO = /default|placeholder|avatar|no-?image|no-?photo|blank|user|profile-?pic/i;
+const STOP_WORDS = new Set(natural.stopwords);
+
+// Social networks and the path segments that identify an account on them
+const SOCIAL_HOSTS = {
+  'twitter.com': 1, 'x.com': 1, 'facebook.com': 1, 'instagram.com': 1, 'linkedin.com': 2, 'threads.net': 1
+};
+
+/**
+ * Comparable form of a person's name: lowercase, no honorifics, initials and
+ * Latin diacritics flattened ("Dr. Amit K. Sharma" -> "amit k sharma")
+ */
+export function normalizePersonName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Latin accents only; Indic vowel signs are letters
+    .normalize('NFC')
+    .toLowerCase()
+    .trim()
+    .replace(HONORIFICS, '')
+    .replace(/[.\-_'’]/g, ' ')
+    .replace(/[^\p{L}\p{M}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Similarity (0-1) of two person names, tolerant of word order, initials,
+ * dropped middle names and small spelling differences
+ */
+export function nameSimilarity(a, b) {
+  const x = normalizePersonName(a);
+  const y = normalizePersonName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const xt = x.split(' ');
+  const yt = y.split(' ');
+  if ([...xt].sort().join(' ') === [...yt].sort().join(' ')) return 0.95; // "Sharma Amit"
+
+  if (xt.length > 1 && yt.length > 1 && xt.at(-1) === yt.at(-1)) {
+    if (xt[0] === yt[0]) return 0.85; // "Amit Kumar Sharma" / "Amit Sharma"
+    if ((xt[0].length === 1 || yt[0].length === 1) && xt[0][0] === yt[0][0]) return 0.8; // "A Sharma"
+  }
+
+  const distance = natural.JaroWinklerDistance(x, y);
+  return distance >= 0.92 ? Math.round((distance - 0.1) * 100) / 100 : 0;
+}
+
+/**
+ * Account identifiers from a profile's social links ("twitter:amitsharma", "email:a@b.com")
+ */
+export function socialHandles(profile) {
+  const handles = new Set();
+  const links = Object.values(profile?.socialLinks || {}).concat(profile?.sameAs || []);
+
+  for (const link of links) {
+    if (!link || typeof link !== 'string') continue;
+
+    const email = link.replace(/^mailto:/i, '').trim().toLowerCase();
+    if (/^[^\s@/]+@[^\s@/]+\.[a-z]{2,}$/.test(email)) {
+      handles.add(`email:${email}`);
+      continue;
+    }
+
+    try {
+      const url = new URL(link);
+      let host = url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+      if (host === 'x.com') host = 'twitter.com';
+      const segments = SOCIAL_HOSTS[host];
+      if (!segments) continue;
+
+      const handle = url.pathname.split('/').filter(Boolean).slice(0, segments).join('/').toLowerCase();
+      if (handle && !/^(intent|share|sharer|home|hashtag)/.test(handle)) {
+        handles.add(`${host.replace(/\.(com|net)$/, '')}:${handle}`);
+      }
+    } catch (e) {}
+  }
+
+  return handles;
+}
+
+/**
+ * Comparable key for a profile photo: file name without size variants,
+ * or null for missing and placeholder images
+ */
+export function photoKey(url) {
+  if (!url || typeof url !== 'string') return null;
+  try {
+    const file = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+    const key = decodeURIComponent(file)
+      .toLowerCase()
+      .replace(/\.(jpe?g|png|webp|gif|avif)$/, '')
+      .replace(/[-_]\d{2,4}x\d{2,4}$/, ''); // WordPress-style "-150x150"
+    if (key.length < 6 || PLACEHOLDER_PHOTO.test(key)) return null;
+    return key;
+  } catch (e) {
+    return null;
+  }
+}
+
+function bioTokens(bio) {
+  return new Set(
+    (String(bio || '').toLowerCase().match(/[\p{L}\p{M}]{3,}/gu) || [])
+      .filter(token => !STOP_WORDS.has(token))
+  );
+}
+
+/**
+ * Jaccard overlap (0-1) of the content words of two bios
+ */
+export function bioSimilarity(a, b) {
+  const x = bioTokens(a);
+  const y = bioTokens(b);
+  if (x.size < 3 || y.size < 3) return 0;
+
+  let shared = 0;
+  for (const token of x) if (y.has(token)) shared++;
+  return Math.round((shared / (x.size + y.size - shared)) * 100) / 100;
+}
+
+/**
+ * Confidence (0-1) that two profiles are the same person, with the signals behind it.
+ * Handles and photos in `ignored` (shared by several people, e.g. an outlet's own
+ * account) are not evidence.
+ */
+export function scoreMatch(a, b, ignored = { handles: new Set(), photos: new Set() }) {
+  const reasons = [];
+
+  const name = nameSimilarity(a.name, b.name);
+  if (name === 1) reasons.push('Same name');
+  else if (name > 0) reasons.push(`Similar names ("${a.name}" / "${b.name}")`);
+
+  const handlesB = socialHandles(b);
+  const sharedHandles = [...socialHandles(a)].filter(h => handlesB.has(h) && !ignored.handles.has(h));
+  const social = sharedHandles.length > 0 ? 1 : 0;
+  if (social) reasons.push(`Shared account ${sharedHandles.join(', ')}`);
+
+  const photoA = photoKey(a.profilePic);
+  const photo = photoA && photoA === photoKey(b.profilePic) && !ignored.photos.has(photoA) ? 1 : 0;
+  if (photo) reasons.push('Same profile photo');
+
+  const bio = bioSimilarity(a.bio, b.bio);
+  if (bio >= 0.2) reasons.push(`Bios overlap (${Math.round(bio * 100)}%)`);
+
+  const signals = { name, social, photo, bio };
+
+  // Noisy-OR: each signal independently explains some of the chance of a match
+  let miss = 1;
+  miss *= 1 - SIGNAL_WEIGHTS.name * name;
+  miss *= 1 - SIGNAL_WEIGHTS.social * social;
+  miss *= 1 - SIGNAL_WEIGHTS.photo * photo;
+  miss *= 1 - SIGNAL_WEIGHTS.bio * Math.min(bio * 2, 1);
+  let confidence = 1 - miss;
+
+  // Strong evidence for two clearly different names is more likely a data error
+  if (name < 0.5) confidence *= 0.5;
+
+  return { confidence: Math.round(confidence * 100) / 100, signals, reasons };
+}
+
+// Blocking keys: only profiles sharing a key are compared
+function blockingKeys(profile) {
+  const keys = [];
+  const tokens = normalizePersonName(profile.name).split(' ').filter(Boolean);
+  if (tokens.length > 0) {
+    const first = tokens[0];
+    const last = tokens.at(-1);
+    keys.push(`name:${first[0]}:${last}`, `name:${last[0]}:${first}`);
+    if (tokens.length > 1 && first.length > 1) keys.push(`first:${first}:${last[0]}`); // Surname spelling differs
+  }
+  for (const handle of socialHandles(profile)) keys.push(`social:${handle}`);
+  const photo = photoKey(profile.profilePic);
+  if (photo) keys.push(`photo:${photo}`);
+  return keys;
+}
+
+// Handles / photos that appear on two profiles of the same outlet belong to
+// the outlet (its own Twitter account, a stock avatar), not to a person
+function sharedWithinOutlet(profiles) {
+  const seen = { handles: new Map(), photos: new Map() };
+  const ignored = { handles: new Set(), photos: new Set() };
+
+  const note = (kind, key, outlet) => {
+    if (!key) return;
+    if (seen[kind].has(key) && seen[kind].get(key) === outlet) ignored[kind].add(key);
+    seen[kind].set(key, outlet);
+  };
+
+  for (const profile of profiles) {
+    for (const handle of socialHandles(profile)) note('handles', handle, profile.outlet);
+    note('photos', photoKey(profile.profilePic), profile.outlet);
+  }
+  return ignored;
+}
+
+function matchKey(a, b) {
+  return [String(a), String(b)].sort().join('|');
+}
+
+/**
+ * Find and score candidate matches. With `profileIds`, only pairs involving
+ * those profiles are scored (e.g. the ones a scrape just saved).
+ * Matches at or above `autoConfirm` are confirmed straight away.
+ */
+export async function resolveIdentities({ profileIds = null, minConfidence = MIN_CONFIDENCE, autoConfirm = AUTO_CONFIRM } = {}) {
+  const profiles = await AuthorProfile.find({})
+    .select('name outlet profilePic bio socialLinks sameAs person')
+    .lean();
+
+  const focus = profileIds ? new Set(profileIds.map(String)) : null;
+  const ignored = sharedWithinOutlet(profiles);
+
+  const blocks = new Map();
+  for (const profile of profiles) {
+    for (const key of blockingKeys(profile)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(profile);
+    }
+  }
+
+  const scored = new Map();
+  for (const block of blocks.values()) {
+    if (block.length < 2 || block.length > MAX_BLOCK_SIZE) continue;
+
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const a = block[i];
+        const b = block[j];
+        const key = matchKey(a._id, b._id);
+        if (scored.has(key)) continue;
+        if (focus && !focus.has(String(a._id)) && !focus.has(String(b._id))) continue;
+        if (a.person && String(a.person) === String(b.person)) continue; // Already linked
+
+        const result = scoreMatch(a, b, ignored);
+        if (result.confidence >= minConfidence) scored.set(key, { profiles: [a._id, b._id], ...result });
+      }
+    }
+  }
+
+  // Scores are refreshed; a reviewer's decision is kept
+  const ops = [...scored.entries()].map(([key, match]) => ({
+    updateOne: {
+      filter: { key },
+      update: {
+        $set: { profiles: match.profiles, confidence: match.confidence, signals: match.signals, reasons: match.reasons },
+        $setOnInsert: { status: 'candidate' }
+      },
+      upsert: true
+    }
+  }));
+  if (ops.length > 0) await IdentityMatch.bulkWrite(ops, { ordered: false });
+
+  let confirmed = 0;
+  const sure = await IdentityMatch.find({
+    key: { $in: [...scored.keys()] },
+    status: 'candidate',
+    confidence: { $gte: autoConfirm }
+  }).select('_id').lean();
+  for (const match of sure) {
+    await confirmMatch(match._id, { auto: true });
+    confirmed++;
+  }
+
+  return { profiles: profiles.length, candidates: scored.size, confirmed };
+}
+
+/**
+ * Recompute a person's name, aliases, outlets, photo and social links from
+ * the linked profiles (a person left without profiles is deleted)
+ */
+export async function refreshPerson(personId) {
+  const profiles = await AuthorProfile.find({ person: personId })
+    .select('name outlet profilePic socialLinks articles')
+    .sort({ articles: -1 })
+    .lean();
+
+  if (profiles.length === 0) {
+    await Person.deleteOne({ _id: personId });
+    return null;
+  }
+
+  const primary = profiles[0];
+  const aliases = [...new Set(profiles.map(p => p.name.trim()))].filter(n => n !== primary.name.trim());
+
+  const socialLinks = {};
+  for (const profile of profiles) {
+    for (const [network, link] of Object.entries(profile.socialLinks || {})) {
+      if (link && !socialLinks[network]) socialLinks[network] = link;
+    }
+  }
+
+  return Person.findByIdAndUpdate(personId, {
+    $set: {
+      name: primary.name.trim(),
+      aliases,
+      profiles: profiles.map(p => p._id),
+      outlets: [...new Set(profiles.map(p => p.outlet))],
+      profilePic: profiles.find(p => p.profilePic)?.profilePic || null,
+      socialLinks
+    }
+  }, { new: true });
+}
+
+/**
+ * Link profiles under one Person, merging any persons they already belong to
+ */
+export async function linkProfiles(profileIds) {
+  const profiles = await AuthorProfile.find({ _id: { $in: profileIds } }).select('name person').lean();
+  if (profiles.length < 2) throw new Error('Both profiles must exist to be linked');
+
+  const existing = [...new Set(profiles.filter(p => p.person).map(p => String(p.person)))];
+  const personId = existing[0] || (await Person.create({ name: profiles[0].name }))._id;
+
+  // Fold the other persons into this one
+  const merged = existing.slice(1);
+  if (merged.length > 0) {
+    await AuthorProfile.updateMany({ person: { $in: merged } }, { $set: { person: personId } });
+    await IdentityMatch.updateMany({ person: { $in: merged } }, { $set: { person: personId } });
+    await Person.deleteMany({ _id: { $in: merged } });
+  }
+
+  await AuthorProfile.updateMany({ _id: { $in: profileIds } }, { $set: { person: personId } });
+  return refreshPerson(personId);
+}
+
+/**
+ * Accept a match: both profiles now belong to the same person
+ */
+export async function confirmMatch(matchId, { auto = false } = {}) {
+  const match = await IdentityMatch.findById(matchId);
+  if (!match) return null;
+
+  const person = await linkProfiles(match.profiles);
+  match.set({ status: 'confirmed', person: person._id, reviewedAt: new Date(), autoConfirmed: auto });
+  await match.save();
+
+  console.log(`🪪 Linked ${match.profiles.length} profiles to ${person.name}${auto ? ' (auto)' : ''}`);
+  return match;
+}
+
+/**
+ * Reject a match; later resolution runs keep it rejected
+ */
+export async function rejectMatch(matchId) {
+  return IdentityMatch.findByIdAndUpdate(matchId, {
+    $set: { status: 'rejected', reviewedAt: new Date() }
+  }, { new: true });
+}
+
+export async function listMatches({ status, minConfidence, profile, limit = 100 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (minConfidence) query.confidence = { $gte: minConfidence };
+  if (profile) query.profiles = profile;
+
+  return IdentityMatch.find(query)
+    .sort({ confidence: -1, updatedAt: -1 })
+    .limit(limit)
+    .populate('profiles', 'name outlet profileLink profilePic bio')
+    .lean();
+}
+
+export async function listPeople({ outlet, name, limit = 100 } = {}) {
+  const query = {};
+  if (outlet) query.outlets = outlet.toLowerCase().trim();
+  if (name) {
+    const pattern = new RegExp(name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { aliases: pattern }];
+  }
+
+  return Person.find(query)
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * A person with one entry per outlet profile, oldest first:
+ * { profile, outlet, articles, firstArticleAt, lastArticleAt }
+ */
+export async function getPersonHistory(personId) {
+  const person = await Person.findById(personId).lean();
+  if (!person) return null;
+
+  const profiles = await AuthorProfile.find({ person: personId })
+    .select('name outlet profileLink profilePic bio role scrapedAt')
+    .lean();
+  const ids = profiles.map(p => p._id);
+
+  const stats = await Article.aggregate([
+    { $match: { authors: { $in: ids } } },
+    { $unwind: '$authors' },
+    { $match: { authors: { $in: ids } } },
+    {
+      $group: {
+        _id: '$authors',
+        articles: { $sum: 1 },
+        firstArticleAt: { $min: '$publishDate' },
+        lastArticleAt: { $max: '$publishDate' }
+      }
+    }
+  ]);
+  const statsById = new Map(stats.map(s => [String(s._id), s]));
+
+  const history = profiles.map(profile => {
+    const { articles = 0, firstArticleAt = null, lastArticleAt = null } = statsById.get(String(profile._id)) || {};
+    return { outlet: profile.outlet, profile, articles, firstArticleAt, lastArticleAt };
+  }).sort((a, b) => (a.firstArticleAt || Infinity) - (b.firstArticleAt || Infinity));
+
+  // The outlet with the most recent article is the current one
+  const current = history
+    .filter(h => h.lastArticleAt)
+    .sort((a, b) => b.lastArticleAt - a.lastArticleAt)[0];
+
+  return { ...person, currentOutlet: current?.outlet || null, history };
+}
+
+export default {
+  normalizePersonName,
+  nameSimilarity,
+  socialHandles,
+  photoKey,
+  bioSimilarity,
+  scoreMatch,
+  resolveIdentities,
+  refreshPerson,
+  linkProfiles,
+  confirmMatch,
+  rejectMatch,
+  listMatches,
+  listPeople,
+  getPersonHistory
+};
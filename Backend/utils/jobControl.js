@@ -0,0 +1,64 @@
+// Cooperative cancel/pause for running scrape jobs.
+// Long-running code calls `await control.checkpoint()` between requests:
+// it waits while the job is paused and throws JobCancelledError once cancelled.
+
+export class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Create a control handle for one running job
+ */
+export function createJobControl() {
+  let waiters = [];
+
+  const wake = () => {
+    const pending = waiters;
+    waiters = [];
+    pending.forEach(resolve => resolve());
+  };
+
+  const control = {
+    cancelled: false,
+    paused: false,
+
+    cancel() {
+      control.cancelled = true;
+      wake();
+    },
+
+    pause() {
+      control.paused = true;
+    },
+
+    resume() {
+      control.paused = false;
+      wake();
+    },
+
+    async checkpoint() {
+      while (control.paused && !control.cancelled) {
+        await new Promise(resolve => waiters.push(resolve));
+      }
+      if (control.cancelled) {
+        throw new JobCancelledError();
+      }
+    }
+  };
+
+  return control;
+}
+
+/**
+ * Checkpoint helper for code where the control is optional
+ */
+export async function checkpoint(control) {
+  if (control) await control.checkpoint();
+}
+
+export function isCancellation(err) {
+  return err instanceof JobCancelledError;
+}
@@ -0,0 +1,101 @@
+import { Server } from "socket.io";
+import ScrapeJob from '../models/ScrapeJob.js';
+
+// Live job progress over socket.io. Every job gets its own namespace
+// (`/jobs/<jobId>`, the jobId URI-encoded since it embeds the outlet name,
+// which may contain "/"); clients connect to it and receive:
+//   status - job snapshot whenever status/progress changes
+//   stage  - scraper moved to a new stage
+//   author - one author profile was extracted
+//   error  - a recoverable or fatal error
+//   log    - free-form scraper log line
+
+const JOB_NAMESPACE = /^\/jobs\/[^/]+$/;
+
+let io = null;
+const subscribers = new Map(); // jobId -> number of connected clients
+
+function jobNamespace(jobId) {
+  return `/jobs/${encodeURIComponent(jobId)}`;
+}
+
+/**
+ * Snapshot of the fields clients care about (no author payloads)
+ */
+export function jobSnapshot(job) {
+  if (!job) return null;
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    error: job.error,
+    authorsFound: job.authorsFound,
+    authorsSaved: job.authorsSaved,
+    fetchStats: job.fetchStats,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts
+  };
+}
+
+/**
+ * Attach socket.io to the HTTP server
+ */
+export function initJobSockets(httpServer, cors) {
+  io = new Server(httpServer, {
+    cors,
+    cleanupEmptyChildNamespaces: true
+  });
+
+  io.of(JOB_NAMESPACE).on('connection', async (socket) => {
+    let jobId;
+    try {
+      jobId = decodeURIComponent(socket.nsp.name.slice('/jobs/'.length));
+    } catch (err) {
+      socket.emit('error', { message: `Invalid job id: ${err.message}` });
+      socket.disconnect(true);
+      return;
+    }
+    subscribers.set(jobId, (subscribers.get(jobId) || 0) + 1);
+
+    socket.on('disconnect', () => {
+      const remaining = (subscribers.get(jobId) || 1) - 1;
+      if (remaining > 0) subscribers.set(jobId, remaining);
+      else subscribers.delete(jobId);
+    });
+
+    // Send the current state right away so late subscribers are in sync
+    try {
+      const job = await ScrapeJob.findOne({ jobId }).select('-authors').lean();
+      if (job) {
+        socket.emit('status', jobSnapshot(job));
+      } else {
+        socket.emit('error', { message: 'Job not found' });
+      }
+    } catch (err) {
+      socket.emit('error', { message: err.message });
+    }
+  });
+
+  console.log("🔌 Socket.io ready for live job progress (/jobs/<jobId>)");
+  return io;
+}
+
+/**
+ * Push an event to everyone watching a job
+ */
+export function emitJobEvent(jobId, event, payload = {}) {
+  if (!io || !subscribers.has(jobId)) return;
+
+  io.of(jobNamespace(jobId)).emit(event, {
+    ...payload,
+    jobId,
+    timestamp: new Date()
+  });
+}
+
+export default {
+  initJobSockets,
+  emitJobEvent,
+  jobSnapshot
+};
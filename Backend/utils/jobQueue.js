@@ -0,0 +1,326 @@
+import ScrapeJob from '../models/ScrapeJob.js';
+import { createJobControl, isCancellation } from './jobControl.js';
+import { emitJobEvent, jobSnapshot } from './jobEvents.js';
+
+// Mongo-backed job queue: jobs survive restarts and their history is kept.
+// Handlers are registered per job type and receive the job document plus an
+// `update` helper for progress and a `control` for cancel/pause checkpoints;
+// whatever they return is stored on completion.
+
+const handlers = new Map();
+const controls = new Map(); // jobId -> control of jobs running in this process
+const settledListeners = []; // Called with the final job document
+
+const CONCURRENCY = parseInt(process.env.SCRAPE_JOB_CONCURRENCY) || 2;
+const MAX_ATTEMPTS = parseInt(process.env.SCRAPE_JOB_MAX_ATTEMPTS) || 3;
+const POLL_INTERVAL_MS = 5000;
+
+let activeJobs = 0;
+let pumping = false;
+let pollTimer = null;
+
+/**
+ * Register the function that runs jobs of a given type
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Get notified when a job ends (completed, failed or cancelled). Retries
+ * don't count; listeners only see the final outcome.
+ */
+export function onJobSettled(listener) {
+  settledListeners.push(listener);
+}
+
+async function notifySettled(jobId) {
+  if (settledListeners.length === 0) return;
+
+  const job = await ScrapeJob.findOne({ jobId }).select('-authors').lean();
+  for (const listener of settledListeners) {
+    try {
+      await listener(job);
+    } catch (err) {
+      console.error(`Job settled listener failed for ${jobId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Create a queued job and wake up the worker
+ */
+export async function enqueueJob(type, { jobId, outlet, params = {}, maxAttempts = MAX_ATTEMPTS }) {
+  const job = await ScrapeJob.create({
+    jobId,
+    type,
+    outlet,
+    params,
+    maxAttempts,
+    status: 'queued',
+    message: 'Waiting in queue...'
+  });
+
+  console.log(`📥 Queued job ${jobId} (${type})`);
+  pumpQueue();
+
+  return job;
+}
+
+/**
+ * Update fields on a job (progress, message, counters...) and notify
+ * live subscribers
+ */
+export async function updateJob(jobId, fields) {
+  const job = await ScrapeJob.findOneAndUpdate({ jobId }, { $set: fields }, { new: true });
+  if (job) emitJobEvent(jobId, 'status', jobSnapshot(job));
+  return job;
+}
+
+export async function getJob(jobId) {
+  return ScrapeJob.findOne({ jobId }).lean();
+}
+
+export async function listJobs({ status, outlet, limit = 50 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (outlet) query.outlet = outlet;
+
+  return ScrapeJob.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('-authors')
+    .lean();
+}
+
+/**
+ * Cancel a job. Queued/paused jobs are cancelled right away; running jobs stop
+ * at their next checkpoint and keep the partial results gathered so far.
+ */
+export async function cancelJob(jobId) {
+  const control = controls.get(jobId);
+  if (control) {
+    control.cancel();
+    return updateJob(jobId, { message: 'Cancelling... saving partial results' });
+  }
+
+  const job = await ScrapeJob.findOneAndUpdate(
+    { jobId, status: { $in: ['queued', 'paused'] } },
+    { $set: { status: 'cancelled', message: 'Cancelled', cancelledAt: new Date() } },
+    { new: true }
+  );
+  if (job) {
+    emitJobEvent(jobId, 'status', jobSnapshot(job));
+    await notifySettled(jobId);
+  }
+  return job;
+}
+
+/**
+ * Pause a job. Running jobs block at their next checkpoint; queued jobs are
+ * held back from the worker until resumed.
+ */
+export async function pauseJob(jobId) {
+  const control = controls.get(jobId);
+  if (control) {
+    control.pause();
+    return updateJob(jobId, { status: 'paused', message: 'Paused' });
+  }
+
+  const job = await ScrapeJob.findOneAndUpdate(
+    { jobId, status: 'queued' },
+    { $set: { status: 'paused', message: 'Paused' } },
+    { new: true }
+  );
+  if (job) emitJobEvent(jobId, 'status', jobSnapshot(job));
+  return job;
+}
+
+/**
+ * Resume a paused job
+ */
+export async function resumeJob(jobId) {
+  const control = controls.get(jobId);
+  if (control) {
+    control.resume();
+    return updateJob(jobId, { status: 'running', message: 'Resumed' });
+  }
+
+  // Paused before it started (or the server restarted meanwhile): back to the queue
+  const job = await ScrapeJob.findOneAndUpdate(
+    { jobId, status: 'paused' },
+    { $set: { status: 'queued', message: 'Resumed, waiting in queue...' } },
+    { new: true }
+  );
+  if (job) emitJobEvent(jobId, 'status', jobSnapshot(job));
+  pumpQueue();
+  return job;
+}
+
+/**
+ * Put jobs that were running when the process died back into the queue.
+ * Jobs that already used all their attempts are marked as failed.
+ */
+export async function recoverInterruptedJobs() {
+  const interrupted = await ScrapeJob.find({ status: 'running' });
+
+  for (const job of interrupted) {
+    if (job.attempts >= job.maxAttempts) {
+      await updateJob(job.jobId, {
+        status: 'failed',
+        error: 'Interrupted by server restart',
+        message: `Failed: interrupted after ${job.attempts} attempts`,
+        failedAt: new Date()
+      });
+      console.log(`   ❌ Job ${job.jobId} interrupted too many times, marked as failed`);
+      await notifySettled(job.jobId);
+    } else {
+      await updateJob(job.jobId, {
+        status: 'queued',
+        progress: 0,
+        message: 'Re-queued after server restart'
+      });
+      console.log(`   🔁 Re-queued interrupted job ${job.jobId}`);
+    }
+  }
+
+  return interrupted.length;
+}
+
+/**
+ * Start processing queued jobs (call once MongoDB is connected)
+ */
+export async function startJobWorker() {
+  const recovered = await recoverInterruptedJobs();
+  console.log(`⚙️  Job worker started (concurrency: ${CONCURRENCY}, recovered: ${recovered})`);
+
+  if (!pollTimer) {
+    pollTimer = setInterval(pumpQueue, POLL_INTERVAL_MS);
+  }
+  pumpQueue();
+}
+
+async function claimNextJob() {
+  const job = await ScrapeJob.findOneAndUpdate(
+    { status: 'queued', type: { $in: Array.from(handlers.keys()) } },
+    {
+      $set: { status: 'running', startedAt: new Date(), error: null },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+  if (job) emitJobEvent(job.jobId, 'status', jobSnapshot(job));
+  return job;
+}
+
+async function pumpQueue() {
+  if (pumping) return;
+  pumping = true;
+
+  try {
+    while (activeJobs < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job).finally(() => {
+        activeJobs--;
+        pumpQueue();
+      });
+    }
+  } catch (err) {
+    console.error("Job queue error:", err.message);
+  } finally {
+    pumping = false;
+  }
+}
+
+// Cancelled, requeued for a retry, or failed for good
+async function recordFailure(job, err, update) {
+  if (isCancellation(err)) {
+    await update({ status: 'cancelled', message: 'Cancelled', cancelledAt: new Date() });
+    console.log(`🛑 Job ${job.jobId} cancelled`);
+    await notifySettled(job.jobId);
+    return;
+  }
+
+  console.error(`❌ Error in job ${job.jobId}:`, err.message);
+  emitJobEvent(job.jobId, 'error', { message: err.message, fatal: job.attempts >= job.maxAttempts });
+
+  if (job.attempts < job.maxAttempts) {
+    await update({
+      status: 'queued',
+      error: err.message,
+      progress: 0,
+      message: `Retrying (attempt ${job.attempts}/${job.maxAttempts} failed: ${err.message})`
+    });
+  } else {
+    await update({
+      status: 'failed',
+      error: err.message,
+      progress: 0,
+      message: `Failed: ${err.message}`,
+      failedAt: new Date()
+    });
+    await notifySettled(job.jobId);
+  }
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const update = (fields) => updateJob(job.jobId, fields);
+  const control = createJobControl();
+  controls.set(job.jobId, control);
+
+  console.log(`\n🚀 Running job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  try {
+    const result = await handler(job, { update, control });
+
+    if (control.cancelled) {
+      await update({
+        message: 'Cancelled (partial results saved)',
+        ...result,
+        status: 'cancelled',
+        cancelledAt: new Date()
+      });
+      console.log(`🛑 Job ${job.jobId} cancelled`);
+      await notifySettled(job.jobId);
+      return;
+    }
+
+    await update({
+      status: 'completed',
+      progress: 100,
+      message: 'Completed successfully!',
+      ...result,
+      completedAt: new Date()
+    });
+    console.log(`✅ Job ${job.jobId} completed`);
+    await notifySettled(job.jobId);
+  } catch (err) {
+    // Recording the outcome can fail too (e.g. Mongo is down): log it rather
+    // than leave the rejection unhandled; recovery on restart requeues the job
+    try {
+      await recordFailure(job, err, update);
+    } catch (updateErr) {
+      console.error(`❌ Could not record the outcome of job ${job.jobId}:`, updateErr.message);
+    }
+  } finally {
+    controls.delete(job.jobId);
+  }
+}
+
+export default {
+  registerJobHandler,
+  onJobSettled,
+  enqueueJob,
+  updateJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  pauseJob,
+  resumeJob,
+  recoverInterruptedJobs,
+  startJobWorker
+};
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { INDIC_SCRIPTS, normalizeText, scriptOf, tokenize } from './textTokens.js';
+
+// ============================================================
+// LANGUAGE DETECTION
+// The language an article is written in. The script most of its letters are
+// in narrows it down (Tamil script -> Tamil); languages sharing a script
+// (Hindi and Marathi in Devanagari) are told apart by character n-gram
+// profiles, ranked by out-of-place distance (Cavnar & Trenkle), built from
+// the sample text in data/language-samples.json.
+// ============================================================
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SAMPLES_PATH = path.join(__dirname, '..', 'data', 'language-samples.json');
+
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  mr: 'Marathi',
+  bn: 'Bengali',
+  pa: 'Punjabi',
+  gu: 'Gujarati',
+  or: 'Odia',
+  ta: 'Tamil',
+  te: 'Telugu',
+  kn: 'Kannada',
+  ml: 'Malayalam'
+};
+
+export const LANGUAGES = Object.keys(LANGUAGE_NAMES);
+
+const SCRIPT_LANGUAGES = {
+  Latin: ['en'],
+  ...Object.fromEntries(INDIC_SCRIPTS.map(({ script, languages }) => [script, languages]))
+};
+
+const MAX_CHARS = 5000; // Plenty to tell; longer bodies are cut
+const MIN_LETTERS = 12; // Shorter texts say too little
+const MAX_NGRAM = 3;
+const PROFILE_SIZE = 300; // Most frequent n-grams kept per profile
+
+let profiles = null; // Language -> Map(n-gram -> rank)
+
+// N-grams of 1 to MAX_NGRAM characters of each word, padded with "_" so
+// word beginnings and endings count as well
+function ngramCounts(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    const chars = Array.from(`_${token}_`);
+    for (let n = 1; n <= MAX_NGRAM; n++) {
+      for (let i = 0; i + n <= chars.length; i++) {
+        const gram = chars.slice(i, i + n).join('');
+        if (gram !== '_') counts.set(gram, (counts.get(gram) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+// The PROFILE_SIZE most frequent n-grams, n-gram -> rank
+function rankedProfile(counts) {
+  const ranked = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, PROFILE_SIZE);
+  return new Map(ranked.map(([gram], rank) => [gram, rank]));
+}
+
+function languageProfiles() {
+  if (profiles) return profiles;
+
+  profiles = new Map();
+  try {
+    const { samples = {} } = JSON.parse(fs.readFileSync(SAMPLES_PATH, 'utf8'));
+    for (const [language, texts] of Object.entries(samples)) {
+      profiles.set(language, rankedProfile(ngramCounts(tokenize([].concat(texts).join('\n')))));
+    }
+  } catch (err) {
+    console.warn(`⚠️  Language samples unavailable: ${err.message}`);
+  }
+  return profiles;
+}
+
+// Out-of-place distance of a text profile from a language profile, 0 (same
+// ranking) to 1 (no n-gram in common)
+function outOfPlace(textProfile, languageProfile) {
+  let distance = 0;
+  for (const [gram, rank] of textProfile) {
+    const other = languageProfile.get(gram);
+    distance += other === undefined ? PROFILE_SIZE : Math.abs(rank - other);
+  }
+  return textProfile.size > 0 ? distance / (textProfile.size * PROFILE_SIZE) : 1;
+}
+
+/**
+ * Language of a text: { language, script, confidence }, or null when it has
+ * too few letters or is in a script none of LANGUAGES is written in.
+ * Confidence is the share of letters in that script, scaled down when the
+ * n-gram profiles of its languages are close.
+ */
+export function detectLanguage(text) {
+  const sample = normalizeText(text).slice(0, MAX_CHARS);
+
+  const letters = new Map(); // Script -> letters
+  let total = 0;
+  for (const [letter] of sample.matchAll(/\p{L}/gu)) {
+    const script = scriptOf(letter);
+    letters.set(script, (letters.get(script) || 0) + 1);
+    total++;
+  }
+  if (total < MIN_LETTERS) return null;
+
+  const [script, count] = Array.from(letters.entries()).sort((a, b) => b[1] - a[1])[0];
+  const candidates = SCRIPT_LANGUAGES[script];
+  if (!candidates) return null;
+
+  const share = count / total;
+  const result = (language, confidence) => ({ language, script, confidence: parseFloat(confidence.toFixed(3)) });
+  if (candidates.length === 1) return result(candidates[0], share);
+
+  const textProfile = rankedProfile(ngramCounts(tokenize(sample).filter(token => scriptOf(token) === script)));
+  const ranked = candidates
+    .filter(language => languageProfiles().has(language))
+    .map(language => ({ language, distance: outOfPlace(textProfile, languageProfiles().get(language)) }))
+    .sort((a, b) => a.distance - b.distance);
+
+  // No profiles to compare: the script's first (most widely read) language
+  if (ranked.length === 0) return result(candidates[0], share / candidates.length);
+  if (ranked.length === 1) return result(ranked[0].language, share);
+
+  const [best, second] = ranked;
+  const margin = best.distance + second.distance > 0 ? second.distance / (best.distance + second.distance) : 0.5;
+  return result(best.language, share * margin);
+}
+
+/**
+ * Languages written in a script ("Devanagari" -> ["hi", "mr"]), [] for others
+ */
+export function scriptLanguages(script) {
+  return SCRIPT_LANGUAGES[script] || [];
+}
+
+/**
+ * Language code for a code, locale or name ("hi", "hi-IN", "Hindi" -> "hi");
+ * null when empty. Codes of languages not detected here pass through.
+ */
+export function languageCode(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+
+  const named = Object.entries(LANGUAGE_NAMES).find(([, name]) => name.toLowerCase() === text);
+  return named ? named[0] : text.split(/[-_]/)[0];
+}
+
+export default {
+  LANGUAGE_NAMES,
+  LANGUAGES,
+  detectLanguage,
+  scriptLanguages,
+  languageCode
+};
@@ -1,121 +1,96 @@
-import natural from 'natural';
+import { hasTopicModel, predictTopics, detectSubtopics, keywordTopics } from './topicClassifier.js';
+import { topicPath } from './taxonomy.js';
+import { contentTokens, stemToken } from './textTokens.js';
 
-const tokenizer = new natural.WordTokenizer();
-const TfIdf = natural.TfIdf;
-const tfidf = new TfIdf();
+/**
+ * Text to analyze from a string, an article ({ title, body }) or a list of articles
+ */
+export function articleText(input) {
+  if (!input) return '';
+  if (typeof input === 'string') return input;
+  if (Array.isArray(input)) return input.map(articleText).filter(Boolean).join('\n\n');
+  return [input.title, input.body].filter(Boolean).join('\n\n');
+}
 
-// Common stop words to filter out
-const STOP_WORDS = new Set([
-  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-  'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
-  'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-  'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those',
-  'i', 'you', 'he', 'she', 'it', 'we', 'they', 'what', 'which', 'who',
-  'when', 'where', 'why', 'how', 'all', 'each', 'every', 'both', 'few',
-  'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only',
-  'own', 'same', 'so', 'than', 'too', 'very', 'says', 'said', 'new', 'just'
-]);
+// Most frequent key of a Map of counts
+function mostFrequent(counts) {
+  let best = null;
+  for (const [key, count] of counts) {
+    if (best === null || count > counts.get(best)) best = key;
+  }
+  return best;
+}
 
-// Named entities and important keywords categories
-const ENTITY_CATEGORIES = {
-  POLITICS: ['government', 'parliament', 'minister', 'president', 'prime', 'election', 
-             'vote', 'policy', 'law', 'bill', 'senate', 'congress', 'political',
-             'democracy', 'opposition', 'ruling', 'campaign'],
-  
-  BUSINESS: ['economy', 'market', 'stock', 'trade', 'business', 'company', 'corporate',
-             'finance', 'investment', 'revenue', 'profit', 'loss', 'shares', 'startup',
-             'industry', 'commercial', 'economic', 'financial', 'bank', 'rupee', 'dollar'],
-  
-  TECHNOLOGY: ['technology', 'tech', 'software', 'hardware', 'ai', 'artificial', 'intelligence',
-               'digital', 'online', 'internet', 'cyber', 'computer', 'mobile', 'app',
-               'data', 'algorithm', 'innovation', 'smartphone', 'google', 'microsoft', 'apple'],
-  
-  SPORTS: ['cricket', 'football', 'hockey', 'tennis', 'sports', 'match', 'tournament',
-           'championship', 'olympic', 'player', 'team', 'coach', 'win', 'loss', 'score',
-           'game', 'league', 'ipl', 'worldcup'],
-  
-  ENTERTAINMENT: ['film', 'movie', 'actor', 'actress', 'cinema', 'bollywood', 'hollywood',
-                  'music', 'song', 'album', 'concert', 'entertainment', 'celebrity',
-                  'show', 'series', 'tv', 'streaming', 'netflix', 'star'],
-  
-  HEALTH: ['health', 'medical', 'hospital', 'doctor', 'patient', 'disease', 'virus',
-           'vaccine', 'covid', 'pandemic', 'treatment', 'medicine', 'healthcare',
-           'surgery', 'clinic', 'wellness'],
-  
-  ENVIRONMENT: ['climate', 'environment', 'pollution', 'green', 'carbon', 'emission',
-                'renewable', 'energy', 'sustainability', 'conservation', 'wildlife',
-                'forest', 'ocean', 'global warming', 'ecology'],
-  
-  CRIME: ['crime', 'murder', 'theft', 'robbery', 'arrest', 'police', 'investigation',
-          'accused', 'victim', 'court', 'judge', 'trial', 'justice', 'criminal',
-          'fraud', 'corruption', 'scam'],
-  
-  INTERNATIONAL: ['international', 'global', 'world', 'foreign', 'diplomatic', 'relations',
-                  'united nations', 'country', 'nation', 'border', 'war', 'peace',
-                  'treaty', 'ambassador', 'summit', 'alliance'],
-  
-  EDUCATION: ['education', 'school', 'college', 'university', 'student', 'teacher',
-              'exam', 'degree', 'learning', 'academic', 'campus', 'admission', 'study']
-};
+/**
+ * Score the words of a set of documents by TF-IDF: occurrences times
+ * log(1 + documents / documents with the word), so words every document
+ * repeats (an outlet's name, boilerplate) rank below each story's own words.
+ * Inflected forms of an Indic word count together (see textTokens.stemToken)
+ * under their most frequent form. Returns [{ word, count, score }], best first.
+ */
+function scoreKeywords(documents) {
+  const groups = new Map(); // Stem -> { forms, count, documents }
+
+  for (const doc of documents) {
+    const seen = new Set();
+    for (const token of contentTokens(doc)) {
+      const stem = stemToken(token);
+      let group = groups.get(stem);
+      if (!group) {
+        group = { forms: new Map(), count: 0, documents: 0 };
+        groups.set(stem, group);
+      }
+      group.forms.set(token, (group.forms.get(token) || 0) + 1);
+      group.count++;
+      if (!seen.has(stem)) {
+        seen.add(stem);
+        group.documents++;
+      }
+    }
+  }
+
+  return Array.from(groups.values())
+    .map(group => ({
+      word: mostFrequent(group.forms),
+      count: group.count,
+      score: group.count * Math.log(1 + documents.length / group.documents)
+    }))
+    .sort((a, b) => b.score - a.score || b.count - a.count);
+}
 
 /**
- * Extract keywords from text using TF-IDF
+ * Extract keywords from text, an article or a list of articles (each one a
+ * document for TF-IDF). English and Indic-language text alike.
  */
 export function extractKeywords(text, maxKeywords = 10) {
-  if (!text || text.trim().length === 0) return [];
-  
-  // Tokenize and clean
-  const tokens = tokenizer.tokenize(text.toLowerCase());
-  
-  // Filter stop words and short tokens
-  const filteredTokens = tokens.filter(token => 
-    !STOP_WORDS.has(token) && 
-    token.length > 3 &&
-    /^[a-z]+$/.test(token)
-  );
-  
-  // Count frequency
-  const frequency = {};
-  filteredTokens.forEach(token => {
-    frequency[token] = (frequency[token] || 0) + 1;
-  });
-  
-  // Sort by frequency
-  const keywords = Object.entries(frequency)
-    .sort((a, b) => b[1] - a[1])
+  const documents = (Array.isArray(text) ? text.map(articleText) : [articleText(text)])
+    .filter(doc => doc && doc.trim().length > 0);
+  if (documents.length === 0) return [];
+
+  return scoreKeywords(documents)
     .slice(0, maxKeywords)
-    .map(([word, count]) => ({ word, count }));
-  
-  return keywords;
+    .map(({ word, count, score }) => ({ word, count, score: parseFloat(score.toFixed(3)) }));
 }
 
 /**
- * Categorize text into topics using entity matching
+ * Categorize text (or articles) into topics with the trained topic classifier
+ * (see topicClassifier.js), or by whole-word matching of the taxonomy keywords
+ * without one. Each top-level topic is followed by its sub-topics.
  */
 export function categorizeTopics(text) {
+  if (hasTopicModel()) return predictTopics(text);
+
+  text = articleText(text);
   if (!text || text.trim().length === 0) return [];
-  
-  const lowerText = text.toLowerCase();
-  const categories = new Set();
-  
-  for (const [category, keywords] of Object.entries(ENTITY_CATEGORIES)) {
-    for (const keyword of keywords) {
-      if (lowerText.includes(keyword)) {
-        categories.add(category);
-        break; // Found one match in this category, move to next
-      }
-    }
-  }
-  
-  return Array.from(categories).map(cat => 
-    cat.charAt(0) + cat.slice(1).toLowerCase()
-  );
+
+  return keywordTopics(text).flatMap(topic => [topic, ...detectSubtopics(text, topic)]);
 }
 
 /**
- * Extract named entities (simple pattern-based)
+ * Extract named entities from text or articles (simple pattern-based)
  */
 export function extractEntities(text) {
+  text = articleText(text);
   if (!text || text.trim().length === 0) return [];
   
   const entities = [];
@@ -141,34 +116,17 @@ export function extractEntities(text) {
 export function analyzeArticleTitles(titles) {
   if (!titles || titles.length === 0) return { keywords: [], topics: [] };
   
-  // Add all titles to TF-IDF
-  const localTfidf = new TfIdf();
-  titles.forEach(title => localTfidf.addDocument(title));
-  
-  // Get top terms across all documents
-  const termScores = {};
-  
-  titles.forEach((title, docIndex) => {
-    localTfidf.listTerms(docIndex).forEach(item => {
-      if (!STOP_WORDS.has(item.term) && item.term.length > 3) {
-        termScores[item.term] = (termScores[item.term] || 0) + item.tfidf;
-      }
-    });
-  });
-  
-  // Sort by TF-IDF score
-  const topKeywords = Object.entries(termScores)
-    .sort((a, b) => b[1] - a[1])
+  // Top terms across all titles
+  const topKeywords = scoreKeywords(titles)
     .slice(0, 20)
-    .map(([term, score]) => ({ term, score: parseFloat(score.toFixed(3)) }));
+    .map(({ word, score }) => ({ term: word, score: parseFloat(score.toFixed(3)) }));
   
-  // Categorize all titles to find dominant topics
+  // Categorize each title to find dominant topics
   const topicCounts = {};
-  const allText = titles.join(' ');
-  const topics = categorizeTopics(allText);
-  
-  topics.forEach(topic => {
-    topicCounts[topic] = (topicCounts[topic] || 0) + 1;
+  titles.forEach(title => {
+    categorizeTopics(title).forEach(topic => {
+      topicCounts[topic] = (topicCounts[topic] || 0) + 1;
+    });
   });
   
   return {
@@ -188,8 +146,10 @@ export function calculateInfluence(journalist) {
   // Base score from article count
   score += Math.min(journalist.articles || 0, 50) * 2; // Cap at 50 articles
   
-  // Bonus for topic diversity
-  score += (journalist.topics?.length || 0) * 5;
+  // Bonus for topic diversity (top-level topics: a cricket writer's Sports and
+  // Cricket are one beat)
+  const beats = new Set((journalist.topics || []).map(topic => topicPath(topic)[0]?.name || topic));
+  score += beats.size * 5;
   
   // Bonus for social media presence
   const socialLinks = journalist.socialLinks || {};
@@ -271,6 +231,7 @@ export function analyzeActivity(journalists) {
 }
 
 export default {
+  articleText,
   extractKeywords,
   categorizeTopics,
   extractEntities,
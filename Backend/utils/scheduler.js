@@ -0,0 +1,222 @@
+import { CronExpressionParser } from "cron-parser";
+import ScrapeSchedule from '../models/ScrapeSchedule.js';
+import ScrapeJob from '../models/ScrapeJob.js';
+import { enqueueJob, onJobSettled } from './jobQueue.js';
+
+// Recurring outlet scrapes. Schedules live in Mongo; every tick the due ones
+// are claimed (nextRunAt is advanced atomically, so two servers never fire the
+// same run) and a `discover-and-scrape` job is queued for them. A run is
+// skipped when the outlet still has a job in progress, and every schedule gets
+// a random offset so outlets sharing a cron expression don't all start at once.
+
+const TICK_MS = 30 * 1000;
+const JITTER_MAX_MS = parseInt(process.env.SCHEDULE_JITTER_MS) || 5 * 60 * 1000;
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'Asia/Kolkata';
+const ACTIVE_JOB_STATUSES = ['queued', 'running', 'paused'];
+
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * Throws when the cron expression or timezone is invalid
+ */
+export function validateCron(cron, timezone = DEFAULT_TIMEZONE) {
+  // cron-parser only looks at the timezone when computing a date
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+  } catch (err) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+  CronExpressionParser.parse(cron, { tz: timezone }).next();
+}
+
+/**
+ * Next run time: the next cron occurrence plus a random jitter
+ */
+export function computeNextRun(cron, timezone = DEFAULT_TIMEZONE, from = new Date()) {
+  const next = CronExpressionParser.parse(cron, { currentDate: from, tz: timezone }).next().toDate();
+  return new Date(next.getTime() + Math.floor(Math.random() * JITTER_MAX_MS));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Is a scrape of this outlet already queued or running?
+ */
+async function hasActiveRun(outlet) {
+  const job = await ScrapeJob.exists({
+    outlet: new RegExp(`^\\s*${escapeRegex(outlet.trim())}\\s*$`, 'i'),
+    status: { $in: ACTIVE_JOB_STATUSES }
+  });
+  return Boolean(job);
+}
+
+export async function createSchedule({ outlet, cron, timezone = DEFAULT_TIMEZONE, maxAuthors = 30, incremental = true }) {
+  validateCron(cron, timezone);
+
+  return ScrapeSchedule.create({
+    outlet: outlet.trim(),
+    cron,
+    timezone,
+    maxAuthors,
+    incremental,
+    status: 'active',
+    nextRunAt: computeNextRun(cron, timezone)
+  });
+}
+
+export async function listSchedules({ status, outlet } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (outlet) query.outlet = new RegExp(`^\\s*${escapeRegex(outlet.trim())}\\s*$`, 'i');
+
+  return ScrapeSchedule.find(query).sort({ nextRunAt: 1 }).lean();
+}
+
+export async function pauseSchedule(id) {
+  return ScrapeSchedule.findByIdAndUpdate(id, { $set: { status: 'paused' } }, { new: true });
+}
+
+export async function resumeSchedule(id) {
+  const schedule = await ScrapeSchedule.findById(id);
+  if (!schedule) return null;
+
+  // Runs missed while paused are not made up; continue from now
+  schedule.status = 'active';
+  schedule.nextRunAt = computeNextRun(schedule.cron, schedule.timezone);
+  return schedule.save();
+}
+
+export async function deleteSchedule(id) {
+  return ScrapeSchedule.findByIdAndDelete(id);
+}
+
+/**
+ * Jobs started by a schedule, newest first
+ */
+export async function getScheduleRuns(id, limit = 20) {
+  return ScrapeJob.find({ 'params.scheduleId': String(id) })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('-authors')
+    .lean();
+}
+
+async function runSchedule(schedule) {
+  const now = new Date();
+
+  // Claim this run: only the process that moves nextRunAt forward starts it
+  const claimed = await ScrapeSchedule.findOneAndUpdate(
+    { _id: schedule._id, status: 'active', nextRunAt: schedule.nextRunAt },
+    { $set: { nextRunAt: computeNextRun(schedule.cron, schedule.timezone, now), lastRunAt: now } },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  if (await hasActiveRun(schedule.outlet)) {
+    await ScrapeSchedule.updateOne({ _id: schedule._id }, {
+      $set: { lastStatus: 'skipped', lastError: 'Previous run of this outlet is still in progress' },
+      $inc: { skippedCount: 1 }
+    });
+    console.log(`⏭️  Skipped scheduled scrape of ${schedule.outlet}: previous run still in progress`);
+    return;
+  }
+
+  const jobId = `${schedule.outlet.toLowerCase().replace(/\s+/g, '_')}_${Date.now()}`;
+  await enqueueJob('discover-and-scrape', {
+    jobId,
+    outlet: schedule.outlet,
+    params: {
+      outlet: schedule.outlet,
+      maxAuthors: schedule.maxAuthors,
+      incremental: schedule.incremental,
+      scheduleId: String(schedule._id)
+    }
+  });
+
+  await ScrapeSchedule.updateOne({ _id: schedule._id }, {
+    $set: { lastJobId: jobId, lastStatus: 'queued', lastError: null }
+  });
+  console.log(`⏰ Scheduled scrape of ${schedule.outlet} queued as ${jobId} (next: ${claimed.nextRunAt.toISOString()})`);
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const due = await ScrapeSchedule.find({ status: 'active', nextRunAt: { $lte: new Date() } })
+      .sort({ nextRunAt: 1 })
+      .lean();
+
+    for (const schedule of due) {
+      try {
+        await runSchedule(schedule);
+      } catch (err) {
+        console.error(`Scheduled scrape of ${schedule.outlet} failed to start:`, err.message);
+        await ScrapeSchedule.updateOne({ _id: schedule._id }, {
+          $set: { lastStatus: 'failed', lastError: err.message },
+          $inc: { failureCount: 1 }
+        });
+      }
+    }
+  } catch (err) {
+    console.error("Scheduler error:", err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start checking for due schedules (call once MongoDB is connected)
+ */
+export async function startScheduler() {
+  // Schedules created without a next run (or imported by hand) get one now
+  const pending = await ScrapeSchedule.find({ status: 'active', nextRunAt: null });
+  for (const schedule of pending) {
+    schedule.nextRunAt = computeNextRun(schedule.cron, schedule.timezone);
+    await schedule.save();
+  }
+
+  const active = await ScrapeSchedule.countDocuments({ status: 'active' });
+  console.log(`⏰ Scheduler started (${active} active schedules)`);
+
+  if (!tickTimer) {
+    tickTimer = setInterval(tick, TICK_MS);
+  }
+  tick();
+}
+
+// Record how each scheduled run ended
+onJobSettled(async (job) => {
+  const scheduleId = job?.params?.scheduleId;
+  if (!scheduleId) return;
+
+  await ScrapeSchedule.updateOne({ _id: scheduleId }, {
+    $set: {
+      lastJobId: job.jobId,
+      lastStatus: job.status,
+      lastError: job.error || null,
+      lastResult: {
+        authorsFound: job.authorsFound,
+        authorsSaved: job.authorsSaved,
+        message: job.message
+      }
+    },
+    $inc: { runCount: 1, failureCount: job.status === 'failed' ? 1 : 0 }
+  });
+});
+
+export default {
+  validateCron,
+  computeNextRun,
+  createSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  getScheduleRuns,
+  startScheduler
+};
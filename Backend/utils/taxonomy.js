@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Topic from '../models/Topic.js';
+import Article from '../models/Article.js';
+import AuthorProfile from '../models/AuthorProfile.js';
+import Author from '../models/Author.js';
+import TopicExample from '../models/TopicExample.js';
+import { keywordRegExp } from './textTokens.js';
+
+// ============================================================
+// TOPIC TAXONOMY
+// The topics articles and journalists are sorted into: ids, display names,
+// colors, keywords, URL hints and parent topics. Topics form a tree
+// (Sports › Cricket › IPL); a sub-topic's articles and journalists count
+// towards every topic above it. They live in the Topic collection (seeded
+// from data/taxonomy.json when it is empty) and are cached in memory, so
+// classifiers can read them synchronously; until the database has been read,
+// the bundled defaults are used.
+// ============================================================
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULTS_PATH = path.join(__dirname, '..', 'data', 'taxonomy.json');
+
+export const DEFAULT_TOPIC_COLOR = '#6b7280';
+
+let defaults = null;
+let topics = null; // Cached Topic documents, in display order
+let version = 0; // Bumped on every reload, so data built from the taxonomy can tell it is stale
+const keywordPatterns = new Map(); // Keyword -> whole-word RegExp (see textTokens.keywordRegExp)
+
+/**
+ * Topics bundled with the repo (data/taxonomy.json)
+ */
+export function defaultTopics() {
+  if (defaults) return defaults;
+
+  try {
+    defaults = JSON.parse(fs.readFileSync(DEFAULTS_PATH, 'utf8')).topics || [];
+  } catch (err) {
+    console.warn(`⚠️  Default taxonomy unavailable: ${err.message}`);
+    defaults = [];
+  }
+  return defaults;
+}
+
+/**
+ * Read the taxonomy from the database into the cache, seeding the defaults
+ * when the collection is empty. Call after connecting and after every change.
+ */
+export async function loadTaxonomy() {
+  if (await Topic.countDocuments() === 0) {
+    const seeded = await addDefaultTopics();
+    console.log(`🏷️  Seeded topic taxonomy with ${seeded.length} topics`);
+  }
+
+  topics = await Topic.find({}).sort({ order: 1, name: 1 }).lean();
+  version++;
+  return topics;
+}
+
+/**
+ * Add the bundled topics missing from the database (by id or name), e.g. the
+ * sub-topics of a newer default taxonomy. Returns the added topics.
+ */
+export async function addDefaultTopics() {
+  const existing = await Topic.find({}).select('topicId name').lean();
+  const taken = new Set(existing.flatMap(topic => [topic.topicId, topic.name.toLowerCase()]));
+
+  const missing = defaultTopics()
+    .map((topic, order) => ({ ...topic, order }))
+    .filter(topic => !taken.has(topic.topicId) && !taken.has(topic.name.toLowerCase()));
+  if (missing.length > 0) await Topic.insertMany(missing, { ordered: false });
+  return missing;
+}
+
+/**
+ * Add the bundled keywords missing from topics already in the database (by
+ * id), e.g. the Indic-language keywords of a newer default taxonomy. Keywords
+ * removed by hand come back too. Returns { topicId: [added keywords] }.
+ */
+export async function addDefaultKeywords() {
+  const existing = await Topic.find({}).select('topicId keywords').lean();
+  const stored = new Map(existing.map(topic => [topic.topicId, new Set(topic.keywords || [])]));
+
+  const added = {};
+  const ops = [];
+  for (const topic of defaultTopics()) {
+    const have = stored.get(topic.topicId);
+    if (!have) continue;
+
+    const missing = (topic.keywords || [])
+      .map(keyword => keyword.normalize('NFC').trim().toLowerCase())
+      .filter(keyword => keyword && !have.has(keyword));
+    if (missing.length === 0) continue;
+
+    added[topic.topicId] = missing;
+    ops.push({ updateOne: { filter: { topicId: topic.topicId }, update: { $addToSet: { keywords: { $each: missing } } } } });
+  }
+  if (ops.length > 0) await Topic.bulkWrite(ops, { ordered: false });
+  return added;
+}
+
+/**
+ * All topics, in display order
+ */
+export function getTaxonomy() {
+  return topics || defaultTopics();
+}
+
+export function taxonomyVersion() {
+  return version;
+}
+
+/**
+ * Topic by id or display name (case-insensitive), or null
+ */
+export function findTopic(ref) {
+  if (!ref || typeof ref !== 'string') return null;
+  const key = ref.trim().toLowerCase();
+  return getTaxonomy().find(topic => topic.topicId === key || topic.name.toLowerCase() === key) || null;
+}
+
+/**
+ * Topics from the top-level one down to `ref` (Sports, Cricket, IPL), or []
+ */
+export function topicPath(ref) {
+  const byId = new Map(getTaxonomy().map(topic => [topic.topicId, topic]));
+  const path = [];
+  for (let topic = findTopic(ref); topic && !path.includes(topic); topic = byId.get(topic.parent)) {
+    path.unshift(topic);
+  }
+  return path;
+}
+
+/**
+ * Direct sub-topics of `ref`; the top-level topics when `ref` is null
+ */
+export function childTopics(ref = null) {
+  const parent = ref ? findTopic(ref) : null;
+  if (ref && !parent) return [];
+  const ids = new Set(getTaxonomy().map(topic => topic.topicId));
+  return getTaxonomy().filter(topic => parent
+    ? topic.parent === parent.topicId
+    : !topic.parent || !ids.has(topic.parent));
+}
+
+/**
+ * `ref` and every topic below it
+ */
+export function descendantTopics(ref) {
+  const root = findTopic(ref);
+  if (!root) return [];
+
+  const found = [root];
+  for (let i = 0; i < found.length; i++) {
+    for (const child of childTopics(found[i].topicId)) {
+      if (!found.includes(child)) found.push(child);
+    }
+  }
+  return found;
+}
+
+/**
+ * Topic names with every ancestor added, each parent before its sub-topics
+ * (["IPL", "Business"] -> ["Sports", "Cricket", "IPL", "Business"]).
+ * Names missing from the taxonomy are kept as they are.
+ */
+export function withAncestors(names) {
+  const expanded = [];
+  for (const name of names || []) {
+    const path = topicPath(name).map(topic => topic.name);
+    for (const label of path.length > 0 ? path : [name]) {
+      if (!expanded.includes(label)) expanded.push(label);
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Whole-word matches in `text` (normalized, see textTokens.normalizeText) of
+ * the keywords of `topic` and of every topic below it
+ */
+export function topicKeywordHits(topic, text) {
+  let hits = 0;
+  for (const { keywords = [] } of descendantTopics(topic.topicId || topic)) {
+    for (const keyword of keywords) {
+      let pattern = keywordPatterns.get(keyword);
+      if (!pattern) {
+        pattern = keywordRegExp(keyword);
+        keywordPatterns.set(keyword, pattern);
+      }
+      hits += (text.match(pattern) || []).length;
+    }
+  }
+  return hits;
+}
+
+/**
+ * Display names of all topics
+ */
+export function topicNames() {
+  return getTaxonomy().map(topic => topic.name);
+}
+
+/**
+ * Display name -> color
+ */
+export function topicColors() {
+  return Object.fromEntries(getTaxonomy().map(topic => [topic.name, topic.color || DEFAULT_TOPIC_COLOR]));
+}
+
+// ============================================================
+// Changes
+// ============================================================
+
+/**
+ * Relabel stored articles, profiles and training examples after a topic is
+ * renamed. Returns the number of documents changed.
+ */
+export async function renameTopicLabels(oldName, newName) {
+  if (!oldName || oldName === newName) return 0;
+
+  const relabel = { $set: { 'topics.$[label]': newName } };
+  const options = { arrayFilters: [{ label: oldName }] };
+
+  const results = await Promise.all([
+    Article.updateMany({ topics: oldName }, relabel, options),
+    Article.updateMany(
+      { 'topicScores.topic': oldName },
+      { $set: { 'topicScores.$[score].topic': newName } },
+      { arrayFilters: [{ 'score.topic': oldName }] }
+    ),
+    AuthorProfile.updateMany({ topics: oldName }, relabel, options),
+    Author.updateMany({ topics: oldName }, relabel, options),
+    TopicExample.updateMany({ topics: oldName }, relabel, options)
+  ]);
+
+  const changed = results.reduce((sum, result) => sum + (result.modifiedCount || 0), 0);
+  console.log(`🏷️  Renamed topic "${oldName}" to "${newName}" on ${changed} documents`);
+  return changed;
+}
+
+export default {
+  DEFAULT_TOPIC_COLOR,
+  defaultTopics,
+  loadTaxonomy,
+  addDefaultTopics,
+  addDefaultKeywords,
+  getTaxonomy,
+  taxonomyVersion,
+  findTopic,
+  topicPath,
+  childTopics,
+  descendantTopics,
+  withAncestors,
+  topicKeywordHits,
+  topicNames,
+  topicColors,
+  renameTopicLabels
+};
@@ -0,0 +1,230 @@
+import natural from 'natural';
+
+// ============================================================
+// TEXT TOKENS
+// Tokenization, stop words and light stemming for English and the Indic
+// scripts the scraper reads (Hindi, Marathi, Bengali, Punjabi, Gujarati, Odia,
+// Tamil, Telugu, Kannada, Malayalam). Indic words are runs of letters and
+// combining marks (vowel signs, virama, nukta), so a word is never split
+// inside an aksara, and lengths are counted in graphemes, not code units.
+// ============================================================
+
+// Unicode script names (as in \p{Script=...}) and the languages written in them
+export const INDIC_SCRIPTS = [
+  { script: 'Devanagari', languages: ['hi', 'mr'] },
+  { script: 'Bengali', languages: ['bn'] },
+  { script: 'Gurmukhi', languages: ['pa'] },
+  { script: 'Gujarati', languages: ['gu'] },
+  { script: 'Oriya', languages: ['or'] },
+  { script: 'Tamil', languages: ['ta'] },
+  { script: 'Telugu', languages: ['te'] },
+  { script: 'Kannada', languages: ['kn'] },
+  { script: 'Malayalam', languages: ['ml'] },
+];
+
+// Function words by language; Indic lists are NFC-normalized when loaded
+const STOP_WORD_LISTS = {
+  en: [
+    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+    'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
+    'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+    'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those',
+    'i', 'you', 'he', 'she', 'it', 'we', 'they', 'what', 'which', 'who',
+    'when', 'where', 'why', 'how', 'all', 'each', 'every', 'both', 'few',
+    'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only',
+    'own', 'same', 'so', 'than', 'too', 'very', 'says', 'said', 'new', 'just'
+  ],
+  hi: [
+    'और', 'का', 'की', 'के', 'को', 'में', 'से', 'है', 'हैं', 'था', 'थी', 'थे', 'पर', 'भी',
+    'यह', 'वह', 'ये', 'वे', 'इस', 'उस', 'इन', 'उन', 'एक', 'तो', 'ही', 'नहीं', 'कि', 'जो',
+    'लिए', 'साथ', 'किया', 'करने', 'कर', 'गया', 'गई', 'गए', 'होने', 'हो', 'रहा', 'रही',
+    'रहे', 'अपने', 'अपनी', 'अब', 'या', 'बाद', 'तक', 'द्वारा', 'कहा', 'कुछ', 'सभी', 'जब',
+    'तब', 'क्या', 'कैसे', 'यहां', 'वहां', 'ने', 'लेकिन', 'अगर', 'हुआ', 'हुई', 'हुए',
+    'सकता', 'सकते', 'होगा', 'करें', 'दिया', 'वाले', 'वाली', 'बताया', 'इसके', 'उनके',
+    'उन्होंने', 'करते', 'करना', 'रूप', 'दौरान', 'बीच', 'जा', 'रहें', 'होती', 'होते'
+  ],
+  mr: [
+    'आणि', 'व', 'हा', 'ही', 'हे', 'या', 'ते', 'ती', 'त्या', 'त्याचा', 'त्याची', 'त्याचे',
+    'आहे', 'आहेत', 'होता', 'होती', 'होते', 'आले', 'केले', 'करून', 'मध्ये', 'साठी', 'पण',
+    'तर', 'की', 'म्हणून', 'एक', 'नाही', 'कि', 'असे', 'अशी', 'सर्व', 'काही', 'यांनी',
+    'त्यांनी', 'यांच्या', 'त्यांच्या', 'केली', 'होणार', 'आता', 'म्हणाले', 'येथे', 'तसेच',
+    'करण्यात', 'आला', 'आली', 'असून', 'नंतर', 'वर', 'मात्र'
+  ],
+  bn: [
+    'এবং', 'ও', 'এই', 'সেই', 'যে', 'তার', 'তাঁর', 'এর', 'করে', 'করা', 'হয়', 'হয়েছে',
+    'হবে', 'ছিল', 'থেকে', 'জন্য', 'সঙ্গে', 'সাথে', 'কিন্তু', 'না', 'নয়', 'একটি', 'এক',
+    'কি', 'কী', 'আর', 'তিনি', 'তারা', 'আমরা', 'আমি', 'বলেন', 'বলে', 'দিয়ে', 'নিয়ে',
+    'পর', 'মধ্যে', 'উপর', 'যা', 'এমন', 'কোনো', 'সব', 'শুধু', 'বা', 'হয়ে', 'করেন', 'এখন'
+  ],
+  pa: [
+    'ਅਤੇ', 'ਦੇ', 'ਦੀ', 'ਦਾ', 'ਨੂੰ', 'ਵਿੱਚ', 'ਤੋਂ', 'ਹੈ', 'ਹਨ', 'ਸੀ', 'ਨੇ', 'ਇਹ', 'ਉਹ',
+    'ਇੱਕ', 'ਕਿ', 'ਲਈ', 'ਨਾਲ', 'ਵੀ', 'ਤੇ', 'ਜੋ', 'ਕੀਤਾ', 'ਕੀਤੀ', 'ਗਿਆ', 'ਗਈ', 'ਹੋ',
+    'ਰਹੇ', 'ਨਹੀਂ', 'ਪਰ', 'ਕਰ', 'ਵਾਲੇ', 'ਉਨ੍ਹਾਂ', 'ਇਸ', 'ਉਸ', 'ਬਾਅਦ', 'ਤੱਕ'
+  ],
+  gu: [
+    'અને', 'છે', 'હતા', 'હતું', 'હતી', 'આ', 'તે', 'એ', 'કે', 'માં', 'નું', 'ની', 'ના', 'નો',
+    'થી', 'પર', 'માટે', 'સાથે', 'પણ', 'એક', 'નથી', 'જે', 'કર્યું', 'કરી', 'કરવા', 'તેમ',
+    'તેમણે', 'તેઓ', 'હવે', 'બાદ', 'સુધી', 'તેમના', 'આવી', 'આવ્યો', 'આવ્યું'
+  ],
+  or: [
+    'ଓ', 'ଏବଂ', 'ଏହି', 'ସେହି', 'ଯେ', 'ର', 'ରେ', 'କୁ', 'ଠାରୁ', 'ପାଇଁ', 'ସହ', 'ସହିତ',
+    'ହୋଇଛି', 'ହେବ', 'ଥିଲା', 'ଥିଲେ', 'କରି', 'କରିଛନ୍ତି', 'ଏକ', 'ନାହିଁ', 'କିନ୍ତୁ', 'ମଧ୍ୟ',
+    'ବି', 'ସେ', 'ତାଙ୍କ', 'ଯାହା', 'ପରେ', 'ଦ୍ୱାରା'
+  ],
+  ta: [
+    'மற்றும்', 'ஒரு', 'இந்த', 'அந்த', 'என்று', 'என', 'உள்ள', 'இருந்து', 'இது', 'அது',
+    'அவர்', 'அவர்கள்', 'ஆகிய', 'போது', 'மேலும்', 'பின்னர்', 'வேண்டும்', 'என்ற', 'அன்று',
+    'இருக்கும்', 'செய்து', 'கொண்டு', 'உடன்', 'மூலம்', 'தான்', 'ஆனால்', 'அல்லது', 'எந்த',
+    'இல்லை', 'பற்றி', 'என்பது', 'தனது', 'அவரது', 'இங்கு', 'வரை'
+  ],
+  te: [
+    'మరియు', 'ఈ', 'ఆ', 'ఒక', 'అని', 'లో', 'కు', 'నుంచి', 'నుండి', 'తో', 'కూడా', 'కానీ',
+    'లేదా', 'అతను', 'ఆమె', 'వారు', 'ఇది', 'అది', 'ఉంది', 'ఉన్నారు', 'చేసి', 'చేశారు',
+    'తర్వాత', 'వరకు', 'గురించి', 'మీద', 'పై', 'లేదు', 'అయితే', 'కోసం', 'తన', 'వారి'
+  ],
+  kn: [
+    'ಮತ್ತು', 'ಈ', 'ಆ', 'ಒಂದು', 'ಎಂದು', 'ಅವರು', 'ಅವರ', 'ಇದು', 'ಅದು', 'ಇದೆ', 'ಇವೆ',
+    'ಆಗಿ', 'ನಂತರ', 'ಮೂಲಕ', 'ಹಾಗೂ', 'ಕೂಡ', 'ಆದರೆ', 'ಅಥವಾ', 'ಬಗ್ಗೆ', 'ಮೇಲೆ', 'ಸೇರಿ',
+    'ಮಾಡಿ', 'ಮಾಡಿದ', 'ಇಲ್ಲ', 'ಎಂಬ', 'ವೇಳೆ', 'ಹೇಳಿದರು', 'ತಮ್ಮ'
+  ],
+  ml: [
+    'ഒരു', 'ഈ', 'ആ', 'എന്ന്', 'എന്ന', 'ആണ്', 'ആയി', 'ഇത്', 'അത്', 'അവർ', 'അദ്ദേഹം',
+    'കൂടാതെ', 'ഒപ്പം', 'പിന്നീട്', 'മുതൽ', 'വരെ', 'എന്നാൽ', 'അല്ലെങ്കിൽ', 'ഇല്ല', 'ഉണ്ട്',
+    'ചെയ്തു', 'നിന്ന്', 'വേണ്ടി', 'കൂടി', 'പറഞ്ഞു', 'ശേഷം', 'തന്നെ', 'എന്നും'
+  ],
+};
+
+const STOP_WORDS = new Set(Object.values(STOP_WORD_LISTS).flat().map(word => word.normalize('NFC')));
+
+// One token per run of a single script, so "IPLमें" is "ipl" + "में"
+const TOKEN_PATTERN = new RegExp([
+  '[\\p{Script=Latin}\\p{Nd}]+',
+  ...INDIC_SCRIPTS.map(({ script }) => `\\p{Script=${script}}+`),
+  '[\\p{L}\\p{M}\\p{N}]+'
+].join('|'), 'gu');
+
+const INDIC_PATTERN = new RegExp(INDIC_SCRIPTS.map(({ script }) => `\\p{Script=${script}}`).join('|'), 'u');
+
+const SCRIPT_PATTERNS = [
+  { script: 'Latin', pattern: /\p{Script=Latin}/u },
+  ...INDIC_SCRIPTS.map(({ script }) => ({ script, pattern: new RegExp(`\\p{Script=${script}}`, 'u') }))
+];
+
+// Malayalam chillu letters are word-final forms of a consonant + virama
+const CHILLU = { 'ൺ': 'ണ്', 'ൻ': 'ന്', 'ർ': 'ര്', 'ൽ': 'ല്', 'ൾ': 'ള്', 'ൿ': 'ക്' };
+
+const graphemes = new Intl.Segmenter('und', { granularity: 'grapheme' });
+
+/**
+ * NFC, lowercase, zero-width joiners removed (they only change how a
+ * conjunct is drawn)
+ */
+export function normalizeText(text) {
+  return String(text || '').normalize('NFC').replace(/[\u200B-\u200D\uFEFF]/g, '').toLowerCase();
+}
+
+/**
+ * Script name of a token ('Latin', 'Devanagari', ...), by its first letter
+ */
+export function scriptOf(token) {
+  const letter = String(token || '').match(/\p{L}/u)?.[0];
+  if (!letter) return null;
+  return SCRIPT_PATTERNS.find(({ pattern }) => pattern.test(letter))?.script || 'Other';
+}
+
+export function isIndic(token) {
+  return INDIC_PATTERN.test(token);
+}
+
+/**
+ * User-perceived characters ("क्रिकेट" is 3, not 7 code units)
+ */
+export function graphemeLength(text) {
+  let count = 0;
+  for (const segment of graphemes.segment(text)) count += segment.segment ? 1 : 0;
+  return count;
+}
+
+/**
+ * Normalized word tokens, one script each
+ */
+export function tokenize(text) {
+  return (normalizeText(text).match(TOKEN_PATTERN) || []).filter(token => /\p{L}/u.test(token));
+}
+
+export function isStopWord(token) {
+  return STOP_WORDS.has(token);
+}
+
+/**
+ * Tokens worth counting as keywords: no stop words, English words of 4+
+ * letters, Indic words of 2+ graphemes
+ */
+export function contentTokens(text) {
+  return tokenize(text).filter(token => {
+    if (STOP_WORDS.has(token)) return false;
+    if (isIndic(token)) return /^[\p{L}\p{M}]+$/u.test(token) && graphemeLength(token) >= 2;
+    return /^[a-z]+$/.test(token) && token.length > 3;
+  });
+}
+
+/**
+ * Light stem of an Indic word: trailing vowel signs, virama and nasal marks
+ * dropped, so inflected forms group together (चुनावों -> चुनाव, সরকারি ->
+ * সরকার). English words are returned as they are.
+ */
+export function stemToken(token) {
+  if (!isIndic(token)) return token;
+
+  const base = token.replace(/[ൺൻർൽൾൿ]$/u, chillu => CHILLU[chillu]);
+  const stem = base.replace(/\p{M}+$/u, '');
+  return graphemeLength(stem) >= 2 ? stem : token;
+}
+
+/**
+ * Features for the topic classifier: natural's stemmed English tokens (as
+ * its classifiers make them) plus stemmed Indic content words
+ */
+export function classifierTokens(text) {
+  const normalized = normalizeText(text);
+  const indic = contentTokens(normalized).filter(isIndic).map(stemToken);
+  return [...natural.PorterStemmer.tokenizeAndStem(normalized), ...indic];
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A letter, mark or digit of the script `token` is written in
+function wordChar(token) {
+  const script = scriptOf(token);
+  const name = !script || script === 'Other' ? 'Latin' : script;
+  return `(?:(?=[\\p{Script=${name}}\\p{Nd}])[\\p{L}\\p{M}\\p{N}])`;
+}
+
+/**
+ * Global RegExp finding a keyword in normalized text as a whole word. Indic
+ * words inflect and take postpositions as suffixes (தேர்தல் -> தேர்தலில்), so
+ * their stem matches with any ending.
+ */
+export function keywordRegExp(keyword) {
+  const words = normalizeText(keyword).split(/\s+/).filter(Boolean);
+  const parts = words.map(word => isIndic(word)
+    ? `${escapeRegex(stemToken(word))}${wordChar(word)}*`
+    : escapeRegex(word));
+  const before = wordChar(words[0]);
+  const after = wordChar(words[words.length - 1]);
+  return new RegExp(`(?<!${before})${parts.join('\\s+')}(?!${after})`, 'gu');
+}
+
+export default {
+  INDIC_SCRIPTS,
+  normalizeText,
+  scriptOf,
+  isIndic,
+  graphemeLength,
+  tokenize,
+  isStopWord,
+  contentTokens,
+  stemToken,
+  classifierTokens,
+  keywordRegExp
+};
@@ -0,0 +1,462 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+import natural from 'natural';
+import TopicExample from '../models/TopicExample.js';
+import { getTaxonomy, findTopic, topicPath, childTopics, topicKeywordHits } from './taxonomy.js';
+import { normalizeText, classifierTokens } from './textTokens.js';
+
+// ============================================================
+// TOPIC CLASSIFIER
+// Supervised topic classification (natural's Bayes or logistic regression
+// classifier) trained on labeled article titles and bodies. Training runs in
+// a worker thread (topicTrainer.js); the model is saved to disk and loaded at
+// startup. Until one has been trained, and for texts it finds no topic likely
+// enough for, topics are matched by their taxonomy keywords. Models are
+// trained on topic ids, so renaming a topic needs no retraining.
+// The model tells top-level topics apart; sub-topics (Sports › Cricket › IPL)
+// are then picked by their taxonomy keywords. Texts are tokenized with
+// textTokens.classifierTokens, so Indic-language articles have features too.
+// ============================================================
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MODEL_PATH = process.env.TOPIC_MODEL_PATH || path.join(__dirname, '..', 'data', 'topic-model.json');
+const SEED_PATH = path.join(__dirname, '..', 'data', 'topic-seed.json');
+const TRAINER_URL = new URL('./topicTrainer.js', import.meta.url);
+
+export const CLASSIFIER_ALGORITHMS = ['bayes', 'logistic'];
+const DEFAULT_ALGORITHM = CLASSIFIER_ALGORITHMS.includes(process.env.TOPIC_CLASSIFIER) ? process.env.TOPIC_CLASSIFIER : 'bayes';
+
+// A topic is assigned when its probability reaches this share
+const MIN_PROBABILITY = parseFloat(process.env.TOPIC_MIN_PROBABILITY) || 0.3;
+const MAX_TOPICS = 3;
+
+// Title plus the opening of the body: the lead says what a story is about, and
+// Bayes likelihoods of long texts underflow to zero
+const MAX_WORDS = 120;
+
+// Copies per Bayes training document for the largest topic (see buildModel)
+const BAYES_BALANCE = 4;
+
+// Keyword matches a sub-topic needs (a title mention counts twice)
+const MIN_SUBTOPIC_HITS = 2;
+
+let model = null; // { classifier, algorithm, trainedAt, exampleCount, topicCounts }
+
+// ============================================================
+// Text preparation
+// ============================================================
+
+function inputParts(input) {
+  if (!input) return { title: '', body: '' };
+  if (typeof input === 'string') return { title: '', body: input };
+  if (Array.isArray(input)) return { title: '', body: input.map(item => exampleText(item)).join('\n\n') };
+  return { title: input.title || '', body: input.body || input.text || '' };
+}
+
+/**
+ * Text the classifier sees for a string or an article ({ title, body }):
+ * the title (counted twice, it is the densest signal) and the first words
+ */
+export function exampleText(input) {
+  const { title, body } = inputParts(input);
+  const text = [title, title, body].filter(Boolean).join('\n');
+  return text.split(/\s+/).slice(0, MAX_WORDS).join(' ');
+}
+
+// ============================================================
+// Training
+// ============================================================
+
+function restoreClassifier(algorithm, data) {
+  return algorithm === 'logistic'
+    ? natural.LogisticRegressionClassifier.restore(data)
+    : natural.BayesClassifier.restore(data);
+}
+
+// Top-level topic ids of an example's labels (IPL -> sports); labels missing
+// from the taxonomy are dropped
+function labelIds(example) {
+  return [...new Set((example.topics || []).map(label => topicPath(label)[0]?.topicId).filter(Boolean))];
+}
+
+// Examples with text and at least one known topic, labels as topic ids
+function usableExamples(examples) {
+  return examples
+    .map(example => ({ ...example, labels: labelIds(example) }))
+    .filter(example => example.labels.length > 0 && exampleText(example).trim());
+}
+
+function countTopics(examples) {
+  const counts = {};
+  for (const example of examples) {
+    for (const topic of example.labels) counts[topic] = (counts[topic] || 0) + 1;
+  }
+  return counts;
+}
+
+// Top-level topic name of a model label (a topic id, or a name in older
+// models), null once it has left the taxonomy
+function topicName(label) {
+  return topicPath(label)[0]?.name || null;
+}
+
+// Train a classifier on [{ tokens, topic, copies }] in a worker thread
+function trainInWorker(algorithm, documents) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(TRAINER_URL, { workerData: { algorithm, documents } });
+    worker.once('message', (data) => {
+      try {
+        resolve(restoreClassifier(algorithm, JSON.parse(data)));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Topic trainer stopped with exit code ${code}`));
+    });
+  });
+}
+
+// One document per (example, topic): multi-topic examples teach every label
+async function buildModel(examples, algorithm) {
+  const usable = usableExamples(examples);
+  const topicCounts = countTopics(usable);
+  if (Object.keys(topicCounts).length < 2) {
+    throw new Error('Training needs examples for at least two topics');
+  }
+
+  // natural's Bayes classifier scores words a topic has never seen by the
+  // topic's document count, which favours small topics: Bayes training
+  // repeats every topic's documents until the counts (nearly) match
+  const largest = Math.max(...Object.values(topicCounts));
+  const repeats = (topic) => algorithm === 'bayes' ? Math.round(BAYES_BALANCE * largest / topicCounts[topic]) : 1;
+
+  const documents = usable.flatMap(example => {
+    const tokens = classifierTokens(exampleText(example));
+    return example.labels.map(topic => ({ tokens, topic, copies: repeats(topic) }));
+  });
+  const classifier = await trainInWorker(algorithm, documents);
+
+  return { classifier, algorithm, trainedAt: new Date(), exampleCount: usable.length, topicCounts };
+}
+
+/**
+ * Labeled headlines shipped with the repo, plus each taxonomy topic's keywords
+ * as one-term examples: { text, topics, source: 'seed' }. Sub-topic keywords
+ * train their top-level topic.
+ */
+export function seedExamples() {
+  const terms = getTaxonomy()
+    .flatMap(topic => (topic.keywords || []).map(text => ({ text, topics: [topic.topicId], term: true })));
+
+  let headlines = [];
+  try {
+    headlines = JSON.parse(fs.readFileSync(SEED_PATH, 'utf8')).examples || [];
+  } catch (err) {
+    console.warn(`⚠️  Topic seed data unavailable: ${err.message}`);
+  }
+  return [...terms, ...headlines].map(example => ({ ...example, source: 'seed' }));
+}
+
+/**
+ * Seed headlines plus the examples stored in the TopicExample collection
+ */
+export async function trainingExamples({ includeSeed = true } = {}) {
+  const stored = await TopicExample.find({}).select('title text topics source').lean();
+  return [...(includeSeed ? seedExamples() : []), ...stored];
+}
+
+/**
+ * Load the saved model (call once at startup). Without one, topics are
+ * matched by keywords until a model is trained.
+ */
+export function loadTopicModel() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(MODEL_PATH, 'utf8'));
+    model = {
+      classifier: restoreClassifier(saved.algorithm, saved.classifier),
+      algorithm: saved.algorithm,
+      trainedAt: new Date(saved.trainedAt),
+      exampleCount: saved.exampleCount,
+      topicCounts: saved.topicCounts || {}
+    };
+    console.log(`🧠 Topic model loaded (${model.algorithm}, ${model.exampleCount} examples)`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`⚠️  Could not load topic model ${MODEL_PATH}: ${err.message}`);
+  }
+  return getTopicModelInfo();
+}
+
+/**
+ * Train on `examples` ({ title?, text|body, topics: [..] }) and save the model
+ */
+export async function trainTopicModel(examples, { algorithm = DEFAULT_ALGORITHM } = {}) {
+  const trained = await buildModel(examples, algorithm);
+
+  await fsp.mkdir(path.dirname(MODEL_PATH), { recursive: true });
+  await fsp.writeFile(MODEL_PATH, JSON.stringify({
+    algorithm: trained.algorithm,
+    trainedAt: trained.trainedAt,
+    exampleCount: trained.exampleCount,
+    topicCounts: trained.topicCounts,
+    classifier: trained.classifier
+  }));
+
+  model = trained;
+  console.log(`🧠 Topic model trained (${algorithm}) on ${trained.exampleCount} examples, ${Object.keys(trained.topicCounts).length} topics`);
+  return getTopicModelInfo();
+}
+
+/**
+ * Model in use: algorithm, when and on what it was trained
+ */
+export function getTopicModelInfo() {
+  if (!model) return { trained: false };
+
+  const counts = {};
+  for (const [label, examples] of Object.entries(model.topicCounts)) {
+    const topic = topicName(label);
+    if (topic) counts[topic] = (counts[topic] || 0) + examples;
+  }
+
+  return {
+    trained: true,
+    algorithm: model.algorithm,
+    trainedAt: model.trainedAt,
+    exampleCount: model.exampleCount,
+    topics: Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([topic, examples]) => ({ topic, examples }))
+  };
+}
+
+export function hasTopicModel() {
+  return model !== null;
+}
+
+// ============================================================
+// Classification
+// ============================================================
+
+// Classifier scores normalized to probabilities that sum to 1. A text with no
+// word the model has seen (say, in a language it has no examples for) would
+// only get the topic priors, so it gets none.
+function probabilities(classifier, text) {
+  const tokens = classifierTokens(text);
+  const { features } = classifier;
+  if (features && !tokens.some(token => Object.hasOwn(features, token))) return [];
+
+  const scores = classifier.getClassifications(tokens);
+  const total = scores.reduce((sum, s) => sum + s.value, 0);
+  if (!(total > 0)) return [];
+  return scores.map(s => ({ topic: s.label, probability: s.value / total }));
+}
+
+function probabilitiesFor(classifier, input) {
+  const text = exampleText(input);
+  if (!text.trim()) return [];
+
+  let result = probabilities(classifier, text);
+  // Underflow on a long text: fall back to the title
+  const { title } = inputParts(input);
+  if (result.length === 0 && title) result = probabilities(classifier, title);
+  return result.sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * Probability of every top-level topic for a string or an article ({ title,
+ * body }), most likely first. Topics since removed from the taxonomy are left
+ * out; labels of topics since moved under another add up in its top-level topic.
+ */
+export function topicProbabilities(input) {
+  if (!model) return [];
+
+  const byTopic = new Map();
+  for (const p of probabilitiesFor(model.classifier, input)) {
+    const topic = topicName(p.topic);
+    if (topic) byTopic.set(topic, (byTopic.get(topic) || 0) + p.probability);
+  }
+  return Array.from(byTopic.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([topic, probability]) => ({ topic, probability: parseFloat(probability.toFixed(3)) }));
+}
+
+/**
+ * Sub-topics of `topic` a text is about, one per level, by the keywords of
+ * each sub-topic and those below it: "Kohli's century lifts RCB in IPL opener"
+ * under Sports -> ["Cricket", "IPL"]
+ */
+export function detectSubtopics(input, topic) {
+  const text = normalizeText(exampleText(input));
+  const path = [];
+
+  for (let current = findTopic(topic); current;) {
+    let best = null;
+    let bestHits = MIN_SUBTOPIC_HITS - 1;
+    for (const child of childTopics(current.topicId)) {
+      const hits = topicKeywordHits(child, text);
+      if (hits > bestHits) {
+        best = child;
+        bestHits = hits;
+      }
+    }
+    if (!best || path.includes(best.name)) break;
+    path.push(best.name);
+    current = best;
+  }
+  return path;
+}
+
+/**
+ * Top-level topics whose keywords (or their sub-topics' keywords) appear in a
+ * string or an article
+ */
+export function keywordTopics(input) {
+  const { title, body } = inputParts(input);
+  const text = normalizeText([title, body].filter(Boolean).join('\n'));
+  if (!text.trim()) return [];
+  return childTopics().filter(topic => topicKeywordHits(topic, text) > 0).map(topic => topic.name);
+}
+
+// Each topic followed by its detected sub-topics
+function withSubtopics(input, topics) {
+  return topics.flatMap(topic => [topic, ...detectSubtopics(input, topic)]);
+}
+
+function topicsFrom(probs) {
+  return probs
+    .filter(p => p.probability >= MIN_PROBABILITY)
+    .slice(0, MAX_TOPICS)
+    .map(p => p.topic);
+}
+
+// Top-level topics from the model, or by keywords when there is no model or
+// it finds no topic likely enough
+function topTopics(input, probs) {
+  const topics = topicsFrom(probs);
+  return topics.length > 0 ? topics : keywordTopics(input);
+}
+
+/**
+ * Topics for a string or an article: the top-level ones at least
+ * TOPIC_MIN_PROBABILITY likely, each followed by its sub-topics
+ */
+export function predictTopics(input) {
+  return withSubtopics(input, topTopics(input, topicProbabilities(input)));
+}
+
+/**
+ * Topics and the top per-topic probabilities (top-level topics) for an
+ * article, as stored on it
+ */
+export function classifyArticle(article) {
+  const probs = topicProbabilities(article);
+  return {
+    topics: withSubtopics(article, topTopics(article, probs)),
+    topicScores: probs.filter(p => p.probability >= 0.01).slice(0, 5)
+  };
+}
+
+// ============================================================
+// Evaluation
+// ============================================================
+
+/**
+ * Hold out `testShare` of the examples (spread evenly over each topic), train
+ * on the rest and score the predictions of top-level topics. The model in use
+ * is not replaced.
+ */
+export async function evaluateTopicModel(examples, { algorithm = DEFAULT_ALGORITHM, testShare = 0.2 } = {}) {
+  const usable = usableExamples(examples);
+  const every = Math.max(2, Math.round(1 / Math.min(Math.max(testShare, 0.05), 0.5)));
+
+  // Every n-th example of each (first) topic is held out; vocabulary terms
+  // always stay in training
+  const train = [];
+  const test = [];
+  const seen = {};
+  for (const example of usable) {
+    if (example.term) {
+      train.push(example);
+      continue;
+    }
+    const topic = example.labels[0];
+    seen[topic] = (seen[topic] || 0) + 1;
+    (seen[topic] % every === 0 ? test : train).push(example);
+  }
+  if (test.length === 0) throw new Error('Not enough examples to hold any out for testing');
+
+  const { classifier } = await buildModel(train, algorithm);
+
+  const perTopic = {};
+  const stat = (topic) => (perTopic[topic] = perTopic[topic] || { tp: 0, fp: 0, fn: 0, support: 0 });
+  const misclassified = [];
+  let correct = 0;
+
+  for (const example of test) {
+    const probs = probabilitiesFor(classifier, example);
+    const predicted = topicsFrom(probs);
+    const best = probs[0]?.topic;
+
+    if (best && example.labels.includes(best)) {
+      correct++;
+    } else if (misclassified.length < 20) {
+      misclassified.push({
+        text: exampleText(example).substring(0, 200),
+        expected: example.labels.map(topicName),
+        predicted: best ? topicName(best) : null
+      });
+    }
+
+    for (const topic of example.labels) {
+      stat(topic).support++;
+      if (predicted.includes(topic)) stat(topic).tp++;
+      else stat(topic).fn++;
+    }
+    for (const topic of predicted) {
+      if (!example.labels.includes(topic)) stat(topic).fp++;
+    }
+  }
+
+  const round = (n) => parseFloat(n.toFixed(3));
+  const topics = Object.entries(perTopic).map(([topic, s]) => {
+    const precision = s.tp + s.fp > 0 ? s.tp / (s.tp + s.fp) : 0;
+    const recall = s.tp + s.fn > 0 ? s.tp / (s.tp + s.fn) : 0;
+    const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+    return { topic: topicName(topic), precision: round(precision), recall: round(recall), f1: round(f1), support: s.support };
+  }).sort((a, b) => b.support - a.support);
+
+  const withSupport = topics.filter(t => t.support > 0);
+
+  return {
+    algorithm,
+    trainExamples: train.length,
+    testExamples: test.length,
+    accuracy: round(correct / test.length), // Most likely topic is one of the labels
+    macroF1: withSupport.length > 0 ? round(withSupport.reduce((sum, t) => sum + t.f1, 0) / withSupport.length) : 0,
+    topics,
+    misclassified
+  };
+}
+
+export default {
+  CLASSIFIER_ALGORITHMS,
+  exampleText,
+  seedExamples,
+  trainingExamples,
+  loadTopicModel,
+  trainTopicModel,
+  getTopicModelInfo,
+  hasTopicModel,
+  topicProbabilities,
+  predictTopics,
+  detectSubtopics,
+  keywordTopics,
+  classifyArticle,
+  evaluateTopicModel
+};
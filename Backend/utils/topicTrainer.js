@@ -0,0 +1,20 @@
+import { parentPort, workerData } from 'worker_threads';
+import natural from 'natural';
+
+// ============================================================
+// TOPIC TRAINER
+// Worker thread that trains a topic classifier for topicClassifier.js, so
+// training (minutes of CPU for logistic regression) never blocks requests.
+// Takes { algorithm, documents: [{ tokens, topic, copies }] } and posts the
+// trained classifier back as JSON.
+// ============================================================
+
+const { algorithm, documents } = workerData;
+
+const classifier = algorithm === 'logistic' ? new natural.LogisticRegressionClassifier() : new natural.BayesClassifier();
+for (const { tokens, topic, copies } of documents) {
+  for (let i = 0; i < copies; i++) classifier.addDocument(tokens, topic);
+}
+classifier.train();
+
+parentPort.postMessage(JSON.stringify(classifier));
@@ -1,7 +1,8 @@
 "use client";
 
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import axios from "axios";
+import { io, Socket } from "socket.io-client";
 import { getFallbackUrls, API_ENDPOINTS } from "../config/api";
 
 interface Article {
@@ -11,6 +12,16 @@ interface Article {
   section?: string;
 }
 
+// Events pushed by the backend on the /jobs/<jobId> socket.io namespace
+interface JobEvent {
+  status?: string;
+  stage?: string;
+  message?: string;
+  progress?: number;
+  index?: number;
+  total?: number;
+}
+
 interface AuthorProfile {
   _id: string;
   name: string;
@@ -39,12 +50,59 @@ export default function AuthorsFetcher() {
   const [logs, setLogs] = useState<string[]>([]);
   const [selectedProfile, setSelectedProfile] = useState<AuthorProfile | null>(null);
   const [showModal, setShowModal] = useState(false);
+  const [activeJob, setActiveJob] = useState<{ id: string; baseUrl: string } | null>(null);
+  const [jobState, setJobState] = useState<string>("");
+  const [progress, setProgress] = useState<number>(0);
+  const [progressMessage, setProgressMessage] = useState<string>("");
+  const socketRef = useRef<Socket | null>(null);
+
+  // Close the live progress socket when the component unmounts
+  useEffect(() => () => {
+    socketRef.current?.disconnect();
+  }, []);
 
   // Logs
   const addLog = (message: string) => {
     setLogs((prev) => [...prev, `[${new Date().toLocaleTimeString()}] ${message}`]);
   };
 
+  // Subscribe to live progress for a job
+  const subscribeToJob = (baseUrl: string, jobId: string) => {
+    socketRef.current?.disconnect();
+
+    const socket = io(`${baseUrl}/jobs/${encodeURIComponent(jobId)}`, { transports: ["websocket", "polling"] });
+    socketRef.current = socket;
+
+    socket.on("connect", () => addLog("🔌 Connected to live progress"));
+    socket.on("status", (event: JobEvent) => {
+      if (event.status) setJobState(event.status);
+      if (typeof event.progress === "number") setProgress(event.progress);
+      if (event.message) setProgressMessage(event.message);
+    });
+    socket.on("stage", (event: JobEvent) => addLog(`▶ ${event.message}`));
+    socket.on("author", (event: JobEvent) => addLog(`👤 [${event.index}/${event.total}] ${event.message}`));
+    socket.on("error", (event: JobEvent) => addLog(`⚠️ ${event.message}`));
+    socket.on("connect_error", () => addLog("⚠️ Live progress unavailable, falling back to polling"));
+  };
+
+  // Cancel, pause or resume the running scrape job
+  const controlJob = async (action: "cancel" | "pause" | "resume") => {
+    if (!activeJob) return;
+
+    try {
+      const res = await axios.post(
+        `${activeJob.baseUrl}${API_ENDPOINTS.JOBS}/${encodeURIComponent(activeJob.id)}/${action}`,
+        {},
+        { timeout: 10000 }
+      );
+      setJobState(res.data?.job?.status || jobState);
+      addLog(`⏯️ ${action} requested for job ${activeJob.id}`);
+    } catch (err) {
+      const reason = axios.isAxiosError(err) ? err.response?.data?.error || err.message : String(err);
+      addLog(`⚠️ Could not ${action} job: ${reason}`);
+    }
+  };
+
   // Fetch authors AND their full profiles
   const fetchAuthorsWithProfiles = async () => {
     if (!outlet.trim()) {
@@ -57,6 +115,8 @@ export default function AuthorsFetcher() {
     setError("");
     setAuthors([]);
     setLogs([]);
+    setProgress(0);
+    setProgressMessage("");
 
     addLog(`Discovering journalists from: "${outlet}"`);
     addLog(`This will collect 200-400 articles, extract unique authors, then scrape profiles`);
@@ -103,17 +163,20 @@ export default function AuthorsFetcher() {
       }
 
       const jobId: string = jobStart.jobId;
+      setActiveJob({ id: jobId, baseUrl: chosenBaseUrl });
+      setJobState("queued");
+      subscribeToJob(chosenBaseUrl, jobId);
       addLog(`Job ID: ${jobId}`);
       addLog("⏳ Scraping in progress... (this may take 2-5 minutes)");
 
-      const statusPath = jobStart.statusEndpoint || `${API_ENDPOINTS.JOB_STATUS}/${jobId}`;
+      const statusPath = jobStart.statusEndpoint || `${API_ENDPOINTS.JOB_STATUS}/${encodeURIComponent(jobId)}`;
       const statusUrl = `${chosenBaseUrl}${statusPath.startsWith('/') ? statusPath : `/${statusPath}`}`;
       let completedData: any | null = null;
 
-      const startTime = Date.now();
-      const MAX_WAIT_MS = 15 * 60 * 1000; // 15 minutes
+      let startTime = Date.now();
+      const MAX_WAIT_MS = 15 * 60 * 1000; // 15 minutes of running, not counting pauses
 
-      // Poll silently without ANY logging
+      // Poll silently as a fallback; live logs come from the socket
       while (!completedData && Date.now() - startTime < MAX_WAIT_MS) {
         try {
           const statusRes = await axios.get(statusUrl, { timeout: 10000 });
@@ -126,11 +189,24 @@ export default function AuthorsFetcher() {
             return;
           }
 
+          // Check for cancellation (partial results are still saved)
+          if (status.status === 'cancelled') {
+            addLog(`🛑 Job cancelled: ${status.message || ''}`);
+            completedData = status;
+            break;
+          }
+
           // Check for completion
           if (status.status === 'completed') {
             completedData = status;
             break;
           }
+
+          // A paused job can wait indefinitely; the timeout restarts on resume
+          if (status.status === 'paused') startTime = Date.now();
+
+          setJobState(status.status);
+          if (typeof status.progress === 'number') setProgress(status.progress);
           
           // NO LOGGING - completely silent polling
         } catch (err: any) {
@@ -189,6 +265,10 @@ export default function AuthorsFetcher() {
       }
     } finally {
       setLoading(false);
+      setActiveJob(null);
+      setJobState("");
+      socketRef.current?.disconnect();
+      socketRef.current = null;
       addLog(" Process finished");
     }
   };
@@ -229,8 +309,48 @@ export default function AuthorsFetcher() {
         >
           {loading ? "Discovering..." : "Discover & Scrape"}
         </button>
+        {activeJob && (
+          <>
+            {jobState === "paused" ? (
+              <button
+                onClick={() => controlJob("resume")}
+                className="px-4 py-2 border border-primary text-primary rounded-md hover:bg-primary/10 transition-colors"
+              >
+                Resume
+              </button>
+            ) : (
+              <button
+                onClick={() => controlJob("pause")}
+                className="px-4 py-2 border border-border text-foreground rounded-md hover:bg-muted transition-colors"
+              >
+                Pause
+              </button>
+            )}
+            <button
+              onClick={() => controlJob("cancel")}
+              className="px-4 py-2 border border-destructive text-destructive rounded-md hover:bg-destructive/10 transition-colors"
+            >
+              Cancel
+            </button>
+          </>
+        )}
       </div>
 
+      {loading && activeJob && (
+        <div className="mb-6">
+          <div className="flex justify-between text-sm text-muted-foreground font-mono mb-1">
+            <span>{progressMessage || "Waiting for progress..."}</span>
+            <span>{progress}%</span>
+          </div>
+          <div className="h-2 w-full bg-muted rounded-full overflow-hidden">
+            <div
+              className="h-full bg-primary transition-all duration-500"
+              style={{ width: `${progress}%` }}
+            />
+          </div>
+        </div>
+      )}
+
       {error && (
         <p className="text-destructive mb-4 border border-destructive bg-destructive/20 rounded-md p-3">
           {error}
@@ -5,16 +5,39 @@ import { Filter, X } from 'lucide-react';
 import { Badge } from "@/components/ui/badge";
 import axios from 'axios';
 
+export interface Filters {
+  topics: string[];
+  outlets: string[];
+  languages: string[];  // Language codes (a journalist's main language)
+}
+
 interface FiltersPanelProps {
   topics: string[];
   outlets?: string[];  // Make optional since we'll fetch from backend
-  onFilterChange: (filters: { topics: string[]; outlets: string[] }) => void;
+  onFilterChange: (filters: Filters) => void;
 }
 
+// Display names of the languages the backend detects
+const LANGUAGE_NAMES: Record<string, string> = {
+  en: 'English',
+  hi: 'Hindi',
+  mr: 'Marathi',
+  bn: 'Bengali',
+  pa: 'Punjabi',
+  gu: 'Gujarati',
+  or: 'Odia',
+  ta: 'Tamil',
+  te: 'Telugu',
+  kn: 'Kannada',
+  ml: 'Malayalam',
+};
+
 export const FiltersPanel = ({ topics, outlets: propsOutlets = [], onFilterChange }: FiltersPanelProps) => {
   const [selectedTopics, setSelectedTopics] = useState<string[]>([]);
   const [selectedOutlets, setSelectedOutlets] = useState<string[]>([]);
+  const [selectedLanguages, setSelectedLanguages] = useState<string[]>([]);
   const [fetchedOutlets, setFetchedOutlets] = useState<string[]>([]);
+  const [languages, setLanguages] = useState<string[]>([]);
   const [loading, setLoading] = useState(false);
 
   // Fetch outlets from backend
@@ -42,14 +65,19 @@ export const FiltersPanel = ({ topics, outlets: propsOutlets = [], onFilterChang
       }
 
       if (authors && authors.length > 0) {
-        // Extract unique outlets from authors
+        // Extract unique outlets and languages from authors
         const outletSet = new Set<string>();
+        const languageSet = new Set<string>();
         authors.forEach((author: any) => {
           if (author.outlet) {
             outletSet.add(author.outlet);
           }
+          if (author.language) {
+            languageSet.add(author.language);
+          }
         });
         setFetchedOutlets(Array.from(outletSet));
+        setLanguages(Array.from(languageSet).sort());
         console.log(`📰 Found ${outletSet.size} unique outlets`);
       }
       
@@ -91,7 +119,7 @@ export const FiltersPanel = ({ topics, outlets: propsOutlets = [], onFilterChang
       ? selectedTopics.filter((t) => t !== topic)
       : [...selectedTopics, topic];
     setSelectedTopics(newTopics);
-    onFilterChange({ topics: newTopics, outlets: selectedOutlets });
+    onFilterChange({ topics: newTopics, outlets: selectedOutlets, languages: selectedLanguages });
   };
 
   const toggleOutlet = (outlet: string) => {
@@ -99,15 +127,26 @@ export const FiltersPanel = ({ topics, outlets: propsOutlets = [], onFilterChang
       ? selectedOutlets.filter((o) => o !== outlet)
       : [...selectedOutlets, outlet];
     setSelectedOutlets(newOutlets);
-    onFilterChange({ topics: selectedTopics, outlets: newOutlets });
+    onFilterChange({ topics: selectedTopics, outlets: newOutlets, languages: selectedLanguages });
+  };
+
+  const toggleLanguage = (language: string) => {
+    const newLanguages = selectedLanguages.includes(language)
+      ? selectedLanguages.filter((l) => l !== language)
+      : [...selectedLanguages, language];
+    setSelectedLanguages(newLanguages);
+    onFilterChange({ topics: selectedTopics, outlets: selectedOutlets, languages: newLanguages });
   };
 
   const clearFilters = () => {
     setSelectedTopics([]);
     setSelectedOutlets([]);
-    onFilterChange({ topics: [], outlets: [] });
+    setSelectedLanguages([]);
+    onFilterChange({ topics: [], outlets: [], languages: [] });
   };
 
+  const activeFilters = selectedTopics.length + selectedOutlets.length + selectedLanguages.length;
+
   return (
     <Card className="bg-card border-primary/20 p-4">
       <div className="flex items-center justify-between mb-4">
@@ -115,7 +154,7 @@ export const FiltersPanel = ({ topics, outlets: propsOutlets = [], onFilterChang
           <Filter className="text-primary w-4 h-4" />
           <h3 className="text-sm font-mono uppercase text-primary">Filters</h3>
         </div>
-        {(selectedTopics.length > 0 || selectedOutlets.length > 0) && (
+        {activeFilters > 0 && (
           <Button
             onClick={clearFilters}
             variant="ghost"
@@ -186,11 +225,36 @@ export const FiltersPanel = ({ topics, outlets: propsOutlets = [], onFilterChang
         )}
       </div>
 
+      {/* Languages */}
+      {languages.length > 0 && (
+        <div>
+          <h4 className="text-xs font-mono uppercase text-muted-foreground mb-3">
+            Languages ({languages.length})
+          </h4>
+          <div className="flex flex-wrap gap-2">
+            {languages.map((language) => (
+              <Badge
+                key={language}
+                variant={selectedLanguages.includes(language) ? "default" : "outline"}
+                className={`cursor-pointer transition-all hover:scale-105 ${
+                  selectedLanguages.includes(language)
+                    ? "glow-cyan bg-primary text-primary-foreground"
+                    : "hover:bg-primary/10"
+                }`}
+                onClick={() => toggleLanguage(language)}
+              >
+                {LANGUAGE_NAMES[language] || language}
+              </Badge>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Active Filters Summary */}
-      {(selectedTopics.length > 0 || selectedOutlets.length > 0) && (
+      {activeFilters > 0 && (
         <div className="pt-3 border-t border-primary/20">
           <p className="text-xs text-muted-foreground font-mono">
-            Active: {selectedTopics.length + selectedOutlets.length} filter(s)
+            Active: {activeFilters} filter(s)
           </p>
         </div>
       )}
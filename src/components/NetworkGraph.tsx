@@ -3,6 +3,7 @@ import * as d3 from 'd3';
 import axios from 'axios';
 import { FaUserTie, FaHashtag, FaNewspaper, FaLink, FaInfoCircle } from 'react-icons/fa';
 import { BiNetworkChart } from 'react-icons/bi';
+import { getFallbackUrls, API_ENDPOINTS } from '@/config/api';
 
 interface Node {
   id: string;
@@ -14,6 +15,8 @@ interface Node {
   outlet?: string;
   topics?: string[];
   influenceScore?: number;
+  coAuthors?: number;
+  subTopics?: number; // Sub-topics with journalists, for drilling down
   x?: number;
   y?: number;
   fx?: number | null;
@@ -24,6 +27,13 @@ interface Link {
   source: string;
   target: string;
   value: number;
+  kind?: 'topic' | 'coauthor'; // Journalist ↔ topic coverage, or journalist ↔ journalist shared bylines
+}
+
+interface CoAuthorPair {
+  names: string[];
+  outlet: string;
+  count: number;
 }
 
 interface GraphData {
@@ -31,26 +41,47 @@ interface GraphData {
   links: Link[];
 }
 
-const TOPIC_COLORS: Record<string, string> = {
-  'Politics': '#ef4444',
-  'Business': '#10b981',
-  'Technology': '#3b82f6',
-  'Sports': '#f59e0b',
-  'Entertainment': '#ec4899',
-  'Health': '#14b8a6',
-  'Environment': '#84cc16',
-  'Crime': '#f97316',
-  'International': '#06b6d4',
-  'Education': '#8b5cf6'
+const DEFAULT_TOPIC_COLOR = '#6b7280';
+
+interface TaxonomyTopic {
+  topicId: string;
+  name: string;
+  color?: string;
+  parent?: string | null;
+}
+
+const fetchTaxonomy = async (): Promise<TaxonomyTopic[]> => {
+  for (const url of getFallbackUrls(API_ENDPOINTS.TAXONOMY)) {
+    try {
+      const res = await axios.get<{ topics: TaxonomyTopic[] }>(url, { timeout: 10000 });
+      return res.data.topics;
+    } catch (err) {
+      console.warn(`Failed to fetch topic taxonomy from ${url}`);
+    }
+  }
+  return [];
 };
 
-export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { selectedTopics?: string[]; selectedOutlets?: string[] }) => {
+// Topic names from the top-level topic down to `name` (Sports, Cricket, IPL);
+// topics missing from the taxonomy stand alone
+const topicPath = (name: string, taxonomy: TaxonomyTopic[]): string[] => {
+  const byId = new Map(taxonomy.map((t) => [t.topicId, t]));
+  const path: string[] = [];
+  for (let t = taxonomy.find((x) => x.name === name); t && !path.includes(t.name); t = t.parent ? byId.get(t.parent) : undefined) {
+    path.unshift(t.name);
+  }
+  return path.length > 0 ? path : [name];
+};
+
+export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [], selectedLanguages = [] }: { selectedTopics?: string[]; selectedOutlets?: string[]; selectedLanguages?: string[] }) => {
   const svgRef = useRef<SVGSVGElement>(null);
   const tooltipRef = useRef<HTMLDivElement>(null);
   const [graphData, setGraphData] = useState<GraphData>({ nodes: [], links: [] });
   const [stats, setStats] = useState({ journalists: 0, topics: 0, connections: 0, outlets: 0 });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [taxonomy, setTaxonomy] = useState<TaxonomyTopic[]>([]);
+  const [focusTopic, setFocusTopic] = useState<string | null>(null); // Topic whose sub-topics are shown
 
   useEffect(() => {
     const fetchAuthors = async () => {
@@ -65,6 +96,23 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
       ];
 
       let authors: any[] | null = null;
+      const topics = await fetchTaxonomy();
+      setTaxonomy(topics);
+      const topicColors = Object.fromEntries(topics.map((t) => [t.name, t.color || DEFAULT_TOPIC_COLOR]));
+
+      // An author's topics at the level shown (top-level topics, or the
+      // sub-topics of the focused one), each with the next level below it
+      const levelTopics = (authorTopics: string[]) => {
+        const found = new Map<string, Set<string>>();
+        authorTopics.forEach((topic) => {
+          const path = topicPath(topic, topics);
+          const at = focusTopic ? path.indexOf(focusTopic) + 1 : 0;
+          if ((focusTopic && at === 0) || at >= path.length) return;
+          if (!found.has(path[at])) found.set(path[at], new Set());
+          if (at + 1 < path.length) found.get(path[at])!.add(path[at + 1]);
+        });
+        return found;
+      };
 
       for (const url of urls) {
         try {
@@ -91,6 +139,11 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
         authors = authors.filter((a: any) => selectedOutlets.includes(a.outlet));
       }
 
+      // Filter by selected languages (each journalist's main language)
+      if (selectedLanguages.length > 0) {
+        authors = authors.filter(a => selectedLanguages.includes(a.language));
+      }
+
       // Filter by selected topics
       if (selectedTopics.length > 0) {
         authors = authors.filter((a: any) => 
@@ -117,33 +170,40 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
       // Build bipartite graph: Journalists ↔ Topics
       const nodes: Node[] = [];
       const links: Link[] = [];
-      const topicMap = new Map<string, { count: number; journalists: Set<string>; totalArticles: number }>();
+      const topicMap = new Map<string, { count: number; journalists: Set<string>; totalArticles: number; subTopics: Set<string> }>();
       const outletSet = new Set<string>();
 
       // Analyze data
       authors.forEach((author: any) => {
-        const topics = author.topics || [];
         const outlet = author.outlet || 'Unknown';
         const articleCount = author.articles || author.totalArticles || author.articleCount || 0;
         outletSet.add(outlet);
 
-        topics.forEach((topic: string) => {
+        levelTopics(author.topics || []).forEach((subTopics, topic) => {
           if (!topicMap.has(topic)) {
-            topicMap.set(topic, { count: 0, journalists: new Set(), totalArticles: 0 });
+            topicMap.set(topic, { count: 0, journalists: new Set(), totalArticles: 0, subTopics: new Set() });
           }
           const topicData = topicMap.get(topic)!;
           topicData.journalists.add(author.name);
           topicData.totalArticles += articleCount;
+          subTopics.forEach((sub) => topicData.subTopics.add(sub));
         });
       });
 
-      // Create topic nodes (filter for significant topics with 2+ journalists)
+      // Create topic nodes (filter for significant topics with 2+ journalists;
+      // any sub-topic with journalists when drilled down)
       const significantTopics = Array.from(topicMap.entries())
-        .filter(([_, data]) => data.journalists.size >= 2)
+        .filter(([_, data]) => data.journalists.size >= (focusTopic ? 1 : 2))
         .sort((a, b) => b[1].totalArticles - a[1].totalArticles)
         .slice(0, 15) // Top 15 topics
         .map(([topic, _]) => topic);
 
+      if (focusTopic && significantTopics.length === 0) {
+        setError(`No journalists in the sub-topics of ${focusTopic} match these filters.`);
+        setLoading(false);
+        return;
+      }
+
       significantTopics.forEach((topic) => {
         const data = topicMap.get(topic)!;
         nodes.push({
@@ -151,14 +211,16 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
           name: topic,
           type: 'topic',
           val: Math.min(Math.sqrt(data.totalArticles) * 8, 80),
-          color: TOPIC_COLORS[topic] || '#6b7280',
+          color: topicColors[topic] || DEFAULT_TOPIC_COLOR,
+          subTopics: data.subTopics.size,
         });
       });
 
       // Create journalist nodes and links
       let journalistCount = 0;
+      const journalistIds = new Map<string, string>(); // "name|outlet" -> node id
       authors.forEach((author: any) => {
-        const authorTopics = (author.topics || []).filter((t: string) => 
+        const authorTopics = Array.from(levelTopics(author.topics || []).keys()).filter((t: string) => 
           significantTopics.includes(t)
         );
         
@@ -167,6 +229,7 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
         if (authorTopics.length === 0) return;
 
         const authorId = `journalist-${journalistCount++}`;
+        journalistIds.set(`${author.name.toLowerCase().trim()}|${author.outlet}`, authorId);
         nodes.push({
           id: authorId,
           name: author.name,
@@ -184,10 +247,31 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
             source: authorId,
             target: `topic-${topic}`,
             value: Math.min(articleCount || 1, 15),
+            kind: 'topic',
           });
         });
       });
 
+      // Co-authorship edges between journalists already in the graph
+      for (const url of getFallbackUrls(API_ENDPOINTS.COAUTHORS)) {
+        try {
+          const res = await axios.get(url, { timeout: 10000 });
+          const pairs: CoAuthorPair[] = res.data.pairs || [];
+          pairs.forEach(pair => {
+            const [a, b] = (pair.names || []).map((name: string) => journalistIds.get(`${name.toLowerCase().trim()}|${pair.outlet}`));
+            if (!a || !b) return;
+            links.push({ source: a, target: b, value: Math.min(pair.count * 3, 15), kind: 'coauthor' });
+            [a, b].forEach(id => {
+              const journalist = nodes.find(n => n.id === id)!;
+              journalist.coAuthors = (journalist.coAuthors || 0) + 1;
+            });
+          });
+          break;
+        } catch (err) {
+          console.warn(`Failed to fetch co-authors from ${url}:`, (err as Error).message);
+        }
+      }
+
       console.log(`Graph built: ${journalistCount} journalists, ${significantTopics.length} topics, ${links.length} connections`);
 
       setGraphData({ nodes, links });
@@ -201,7 +285,7 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
     };
 
     fetchAuthors();
-  }, [selectedTopics, selectedOutlets]);
+  }, [selectedTopics, selectedOutlets, selectedLanguages, focusTopic]);
 
   useEffect(() => {
     if (!svgRef.current || graphData.nodes.length === 0 || loading) return;
@@ -287,8 +371,11 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
       .join('line')
       .attr('stroke', d => {
         const opacity = Math.min(d.value / 15, 0.6);
-        return `rgba(59, 130, 246, ${opacity})`;
+        return d.kind === 'coauthor'
+          ? `rgba(251, 191, 36, ${Math.max(opacity, 0.3)})`
+          : `rgba(59, 130, 246, ${opacity})`;
       })
+      .attr('stroke-dasharray', d => d.kind === 'coauthor' ? '4 3' : null)
       .attr('stroke-width', d => Math.sqrt(d.value) * 1.2)
       .style('opacity', 0.4);
 
@@ -347,6 +434,9 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
             if (d.influenceScore) {
               content += `<div style="color:#94a3b8;font-size:13px;margin-bottom:4px;">Influence: <strong style="color:#fbbf24;">${d.influenceScore.toFixed(1)}</strong></div>`;
             }
+            if (d.coAuthors) {
+              content += `<div style="color:#94a3b8;font-size:13px;margin-bottom:4px;">Co-authors: <strong style="color:#fbbf24;">${d.coAuthors}</strong></div>`;
+            }
             if (d.topics && d.topics.length > 0) {
               content += `<div style="color:#94a3b8;font-size:12px;margin-top:6px;padding-top:6px;border-top:1px solid #334155;">`;
               content += `Coverage: ${d.topics.join(', ')}</div>`;
@@ -356,6 +446,9 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
               (typeof l.target === 'string' ? l.target : (l.target as any).id) === d.id
             ).length;
             content += `<div style="color:#94a3b8;font-size:13px;">Journalists: <strong style="color:#fff;">${connectedJournalists}</strong></div>`;
+            if (d.subTopics) {
+              content += `<div style="color:#94a3b8;font-size:12px;margin-top:6px;">Click to see ${d.subTopics} sub-topic${d.subTopics === 1 ? '' : 's'}</div>`;
+            }
           }
           
           content += '</div>';
@@ -368,6 +461,12 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
           tooltipRef.current.style.top = event.pageY + 15 + 'px';
         }
       })
+      .on('click', (event, d) => {
+        if (d.type === 'topic' && d.subTopics) {
+          if (tooltipRef.current) tooltipRef.current.style.display = 'none';
+          setFocusTopic(d.name);
+        }
+      })
       .on('mouseleave', function (event, d) {
         // Reset all at once for better performance
         node
@@ -471,7 +570,13 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
             <FaInfoCircle size={64} />
           </div>
           <p className="text-gray-400 text-lg mb-4">{error}</p>
-          <p className="text-gray-500 text-sm">Use the Scraper tab to fetch journalist data first.</p>
+          {focusTopic ? (
+            <button className="text-cyan-400 text-sm hover:underline" onClick={() => setFocusTopic(null)}>
+              Back to all topics
+            </button>
+          ) : (
+            <p className="text-gray-500 text-sm">Use the Scraper tab to fetch journalist data first.</p>
+          )}
         </div>
       </div>
     );
@@ -549,17 +654,38 @@ export const NetworkGraph = ({ selectedTopics = [], selectedOutlets = [] }: { se
             <div className="w-12 h-0.5 bg-blue-500/40"></div>
             <span className="text-gray-300">Coverage Link</span>
           </div>
+          <div className="flex items-center gap-2.5">
+            <div className="w-12 border-t-2 border-dashed border-amber-400/60"></div>
+            <span className="text-gray-300">Co-author Link</span>
+          </div>
         </div>
         <div className="mt-4 pt-3 border-t border-gray-700 space-y-1 text-xs text-gray-400">
           <div>Hover: Highlight connections</div>
           <div>Drag: Reposition nodes</div>
           <div>Scroll: Zoom in/out</div>
+          <div>Click topic: Show sub-topics</div>
         </div>
       </div>
 
-      {/* Info Badge */}
+      {/* Info Badge, with the path back up when drilled into a topic */}
       <div className="absolute bottom-4 left-4 z-10 bg-slate-900/80 backdrop-blur-sm px-3 py-2 rounded-lg border border-cyan-500/20 text-xs text-gray-400">
-        Bipartite Graph: Journalists ↔ Topics
+        {focusTopic ? (
+          <span className="flex items-center gap-1">
+            <button className="text-cyan-400 hover:underline" onClick={() => setFocusTopic(null)}>All topics</button>
+            {topicPath(focusTopic, taxonomy).map((name) => (
+              <span key={name} className="flex items-center gap-1">
+                <span>›</span>
+                {name === focusTopic ? (
+                  <span className="text-white">{name}</span>
+                ) : (
+                  <button className="text-cyan-400 hover:underline" onClick={() => setFocusTopic(name)}>{name}</button>
+                )}
+              </span>
+            ))}
+          </span>
+        ) : (
+          'Bipartite Graph: Journalists ↔ Topics'
+        )}
       </div>
 
       <svg ref={svgRef} className="w-full h-full" style={{ background: 'linear-gradient(to bottom, #0a0a0a, #0f172a)' }} />
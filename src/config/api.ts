@@ -23,12 +23,15 @@ export const API_ENDPOINTS = {
   SCRAPE_AUTHORS_QUICK: '/api/authors/scrape-authors-quick',
   DISCOVER_AND_SCRAPE: '/api/authors/discover-and-scrape',
   JOB_STATUS: '/api/authors/job-status',
+  JOBS: '/api/authors/jobs',
   SCRAPE_STATUS: '/scrape-status',
   AUTHORS: '/authors',
   AUTHOR_PROFILES: '/api/authors/profiles',
   PROFILES: '/api/authors/profiles',
   PROFILE_BY_ID: '/api/authors/profile',
+  COAUTHORS: '/api/authors/coauthors',
   TOPICS: '/topics',
+  TAXONOMY: '/api/taxonomy',
   OUTLETS: '/outlets',
   ACTIVITIES: '/activities',
   TOP_JOURNALISTS: '/top-journalists',
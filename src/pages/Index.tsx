@@ -8,7 +8,7 @@ import { NetworkGraph } from "@/components/NetworkGraph";
 import { ParticleBackground } from "@/components/ParticleBackground";
 import { ActivityFeed } from "@/components/ActivityFeed";
 import { TopInfluencers } from "@/components/TopInfluencers";
-import { FiltersPanel } from "@/components/FiltersPanel";
+import { FiltersPanel, type Filters } from "@/components/FiltersPanel";
 import TopicClusters from "@/components/TopicClusters";
 import { Footer } from "@/components/Footer";
 import AuthorsFetcher from "@/components/AuthorsFetcher";
@@ -26,6 +26,7 @@ const Index = () => {
   const [topJournalists, setTopJournalists] = useState<Journalist[]>([]);
   const [selectedTopics, setSelectedTopics] = useState<string[]>([]);
   const [selectedOutlets, setSelectedOutlets] = useState<string[]>([]);
+  const [selectedLanguages, setSelectedLanguages] = useState<string[]>([]);
   const graphRef = useRef<HTMLDivElement>(null);
 
   const topics = [
@@ -78,6 +79,7 @@ const Index = () => {
                 name: profile.name,
                 outlet: profile.outlet,
                 topics: profile.topics || [],
+                language: profile.language,
                 articles: profile.articles || 0,
                 influence: profile.influence || 0,
                 profilePic: profile.profilePic,
@@ -179,11 +181,12 @@ const Index = () => {
   }, []);
 
   // ---------------- Filters ----------------
-  const handleFilterChange = (filters: { topics: string[]; outlets: string[] }) => {
+  const handleFilterChange = (filters: Filters) => {
     setSelectedTopics(filters.topics);
     setSelectedOutlets(filters.outlets);
+    setSelectedLanguages(filters.languages);
     
-    if (filters.topics.length === 0 && filters.outlets.length === 0) {
+    if (filters.topics.length === 0 && filters.outlets.length === 0 && filters.languages.length === 0) {
       setFilteredData(graphData);
       setSelectedTopic(null);
       return;
@@ -195,7 +198,9 @@ const Index = () => {
         node.journalist?.topics.some((t) => filters.topics.includes(t));
       const matchesOutlet =
         filters.outlets.length === 0 || filters.outlets.includes(node.journalist?.outlet || "");
-      return matchesTopic && matchesOutlet;
+      const matchesLanguage =
+        filters.languages.length === 0 || filters.languages.includes(node.journalist?.language || "");
+      return matchesTopic && matchesOutlet && matchesLanguage;
     });
 
     const nodeIds = new Set(filteredNodes.map((n) => n.id));
@@ -213,7 +218,7 @@ const Index = () => {
       setFilteredData(graphData);
     } else {
       setSelectedTopic(topic);
-      handleFilterChange({ topics: [topic], outlets: [] });
+      handleFilterChange({ topics: [topic], outlets: [], languages: [] });
     }
   };
 
@@ -266,6 +271,7 @@ const Index = () => {
               <NetworkGraph 
                 selectedTopics={selectedTopics}
                 selectedOutlets={selectedOutlets}
+                selectedLanguages={selectedLanguages}
               />
             </div>
 
@@ -6,21 +6,12 @@ import { Header } from "@/components/Header";
 import { Footer } from "@/components/Footer";
 import { ParticleBackground } from "@/components/ParticleBackground";
 import { NetworkGraph } from "@/components/NetworkGraph";
-import { FiltersPanel } from "@/components/FiltersPanel";
+import { FiltersPanel, type Filters } from "@/components/FiltersPanel";
 import { Card } from "@/components/ui/card";
 import { Tag } from "lucide-react";
+import { getFallbackUrls, API_ENDPOINTS } from "@/config/api";
 
 const COLORS = ["#10B981", "#EC4899", "#F97316", "#EAB308", "#3B82F6", "#8B5CF6", "#14B8A6", "#84CC16"];
-const TOPICS = [
-  "Technology",
-  "Politics",
-  "Business",
-  "Science",
-  "Entertainment",
-  "Sports",
-  "Health",
-  "Environment",
-];
 
 interface JournalistInfo {
   name: string;
@@ -32,6 +23,9 @@ interface JournalistInfo {
 
 interface Topic {
   name: string;
+  topicId?: string;
+  parent?: string | null;
+  path?: string[]; // Names from the top-level topic down to this one
   journalistCount?: number;
   topJournalists?: JournalistInfo[];
   color?: string;
@@ -40,13 +34,17 @@ interface Topic {
 
 const Topics = () => {
   const [topics, setTopics] = useState<Topic[]>([]);
+  const [topicNames, setTopicNames] = useState<string[]>([]);
+  const [parentTopic, setParentTopic] = useState<Topic | null>(null); // Topic whose sub-topics are shown
   const [outlets, setOutlets] = useState<string[]>([]);
   const [selectedTopics, setSelectedTopics] = useState<string[]>([]);
   const [selectedOutlets, setSelectedOutlets] = useState<string[]>([]);
+  const [selectedLanguages, setSelectedLanguages] = useState<string[]>([]);
 
-  const handleFilterChange = (filters: { topics: string[]; outlets: string[] }) => {
+  const handleFilterChange = (filters: Filters) => {
     setSelectedTopics(filters.topics);
     setSelectedOutlets(filters.outlets);
+    setSelectedLanguages(filters.languages);
   };
 
   useEffect(() => {
@@ -65,12 +63,12 @@ const Topics = () => {
         }
       }
 
+      // Only taxonomy topics come back, with their colors
       if (data) {
         const filtered: Topic[] = data
-          .filter((t) => TOPICS.includes(t.name))
           .map((t, i) => ({
             ...t,
-            color: COLORS[i % COLORS.length],
+            color: t.color || COLORS[i % COLORS.length],
             description: `Explore latest news and top journalists in ${t.name}.`,
             journalistCount: t.journalistCount || 0,
             topJournalists: t.topJournalists || [],
@@ -100,10 +98,28 @@ const Topics = () => {
       }
     };
 
+    const fetchTaxonomy = async () => {
+      for (const url of getFallbackUrls(API_ENDPOINTS.TAXONOMY)) {
+        try {
+          const res = await axios.get<{ topics: { name: string }[] }>(url, { timeout: 5000 });
+          setTopicNames(res.data.topics.map((t) => t.name));
+          break;
+        } catch (err) {
+          console.warn(`Failed to fetch topic taxonomy from ${url}`);
+        }
+      }
+    };
+
     fetchTopics();
     fetchOutlets();
+    fetchTaxonomy();
   }, []);
 
+  // Sub-topics roll up into their parents; the grid shows one level at a time
+  const levelTopics = topics.filter((t) => (t.parent || null) === (parentTopic?.topicId || null));
+  const subTopicCount = (topic: Topic) => topics.filter((t) => t.parent && t.parent === topic.topicId).length;
+  const topicByName = (name: string) => topics.find((t) => t.name === name) || null;
+
   return (
     <div className="min-h-screen bg-background">
       <ParticleBackground />
@@ -128,7 +144,7 @@ const Topics = () => {
           <div className="grid lg:grid-cols-[280px_1fr] gap-6 mb-12">
             <div className="space-y-6">
               <FiltersPanel
-                topics={TOPICS}
+                topics={topicNames}
                 outlets={outlets}
                 onFilterChange={handleFilterChange}
               />
@@ -138,6 +154,7 @@ const Topics = () => {
               <NetworkGraph
                 selectedTopics={selectedTopics}
                 selectedOutlets={selectedOutlets}
+                selectedLanguages={selectedLanguages}
               />
             </div>
           </div>
@@ -145,14 +162,34 @@ const Topics = () => {
           {/* Topics Grid */}
           <div className="mt-16">
             <h2 className="text-3xl font-bold font-mono text-foreground mb-8 text-center">
-              Browse by <span className="text-primary">Topic</span>
+              Browse by <span className="text-primary">{parentTopic ? parentTopic.name : "Topic"}</span>
             </h2>
+            {parentTopic && (
+              <div className="flex items-center justify-center gap-2 mb-8 font-mono text-sm text-muted-foreground">
+                <button className="text-primary hover:underline" onClick={() => setParentTopic(null)}>
+                  All topics
+                </button>
+                {(parentTopic.path || [parentTopic.name]).map((name) => (
+                  <span key={name} className="flex items-center gap-2">
+                    <span>›</span>
+                    {name === parentTopic.name ? (
+                      <span className="text-foreground">{name}</span>
+                    ) : (
+                      <button className="text-primary hover:underline" onClick={() => setParentTopic(topicByName(name))}>
+                        {name}
+                      </button>
+                    )}
+                  </span>
+                ))}
+              </div>
+            )}
             <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {topics.map((topic) => (
+              {levelTopics.map((topic) => (
                 <Card
                   key={topic.name}
                   className="bg-card border border-card/30 p-6 transition-transform hover:scale-105 cursor-pointer animate-fade-in"
                   style={{ borderColor: `${topic.color}30` }}
+                  onClick={() => subTopicCount(topic) > 0 && setParentTopic(topic)}
                 >
                   <div className="w-full h-2 mb-6 rounded-full" style={{ backgroundColor: topic.color }} />
 
@@ -182,6 +219,12 @@ const Topics = () => {
                       {topic.journalistCount || 0}
                     </p>
                   </div>
+
+                  {subTopicCount(topic) > 0 && (
+                    <p className="mt-4 text-xs text-primary uppercase font-mono">
+                      {subTopicCount(topic)} sub-topic{subTopicCount(topic) === 1 ? "" : "s"} ›
+                    </p>
+                  )}
                 </Card>
               ))}
             </div>
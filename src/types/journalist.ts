@@ -5,6 +5,7 @@ export interface Journalist {
   articles: number;
   influence: number;
   topics: string[];
+  language?: string; // Main language code (hi, en, ...)
   color: string;
 }
 